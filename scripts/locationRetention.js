@@ -0,0 +1,38 @@
+/**
+ * Script to apply the driver location retention policy and print its stats report
+ *
+ * Downsamples locations older than LOCATION_FULL_RESOLUTION_DAYS and deletes or exports
+ * locations older than LOCATION_ARCHIVE_AFTER_DAYS, the same as the location-retention job.
+ *
+ * Usage:
+ * 1. Set up environment variables (MONGODB_URI, LOCATION_* retention settings)
+ * 2. Run: node scripts/locationRetention.js [--dry-run]
+ *    --dry-run  Only report what would be downsampled and archived
+ */
+
+require('dotenv').config();
+const database = require('../src/config/database');
+const locationRetentionService = require('../src/services/locationRetention.service');
+
+const args = process.argv.slice(2);
+const DRY_RUN = args.includes('--dry-run');
+
+async function main() {
+  console.log(`Starting location retention${DRY_RUN ? ' (dry run)' : ''}...`);
+
+  await database.connect();
+
+  try {
+    const report = await locationRetentionService.applyRetention({ dryRun: DRY_RUN });
+    console.log(JSON.stringify(report, null, 2));
+    console.log('Location retention completed');
+  } catch (err) {
+    console.error('Error:', err);
+    process.exitCode = 1;
+  } finally {
+    await database.disconnect();
+  }
+}
+
+// Run the script
+main().catch(console.error);
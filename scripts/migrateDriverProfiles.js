@@ -0,0 +1,106 @@
+/**
+ * Script to create driver profiles for existing driver users
+ *
+ * Every driver user without a profile gets one. Licence details, status, notes, availability and
+ * documents found on the user document are moved to the profile and removed from the user, and
+ * the vehicle assigned to the driver becomes the profile's vehicle.
+ *
+ * Users that already have a profile are skipped, so the script can be run again.
+ *
+ * Usage:
+ * 1. Set up environment variables (MONGODB_URI)
+ * 2. Run: node scripts/migrateDriverProfiles.js [--dry-run]
+ *    --dry-run  Only report what would be migrated
+ */
+
+require('dotenv').config();
+const database = require('../src/config/database');
+const { User, Vehicle, DriverProfile } = require('../src/models');
+
+const args = process.argv.slice(2);
+const DRY_RUN = args.includes('--dry-run');
+
+const MIGRATION_NOTE = 'Migrated from driver user';
+const LICENSE_TYPES = ['A', 'B', 'C', 'D', 'E', 'Commercial'];
+const DRIVER_STATUSES = ['active', 'inactive', 'on_leave', 'suspended'];
+const DOCUMENT_TYPES = ['license', 'id_card', 'insurance', 'medical', 'background_check', 'other'];
+
+// Fields the driver service wrote onto users, removed once they are on the profile
+const USER_DRIVER_FIELDS = ['licenseNumber', 'licenseType', 'licenseExpiry', 'status', 'vehicle', 'isAvailable', 'documents', 'notes'];
+
+/**
+ * Build the profile of a raw driver user document
+ */
+function toProfile(user, vehicle) {
+  const status = DRIVER_STATUSES.includes(user.status) ? user.status : 'active';
+
+  return {
+    user: user._id,
+    licenseNumber: user.licenseNumber || undefined,
+    licenseType: LICENSE_TYPES.includes(user.licenseType) ? user.licenseType : undefined,
+    licenseExpiry: user.licenseExpiry || null,
+    status,
+    statusHistory: [{ from: null, to: status, changedBy: null, changedAt: user.createdAt || new Date(), notes: MIGRATION_NOTE }],
+    vehicle: vehicle ? vehicle._id : user.vehicle || null,
+    isAvailable: user.isAvailable !== false,
+    documents: (user.documents || [])
+      .filter(document => document.url)
+      .map(document => ({
+        ...document,
+        type: DOCUMENT_TYPES.includes(document.type) ? document.type : 'other'
+      })),
+    notes: user.notes || undefined,
+    isActive: user.isActive !== false
+  };
+}
+
+async function main() {
+  console.log(`Starting driver profiles migration${DRY_RUN ? ' (dry run)' : ''}...`);
+
+  await database.connect();
+
+  try {
+    const users = await User.collection.find({ role: 'driver', deletedAt: null }).toArray();
+    const profiledIds = new Set(
+      (await DriverProfile.distinct('user', { deletedAt: null })).map(id => id.toString())
+    );
+
+    const pending = users.filter(user => !profiledIds.has(user._id.toString()));
+    console.log(`Found ${users.length} driver users, ${pending.length} without a profile`);
+
+    let migrated = 0;
+    for (const user of pending) {
+      const vehicle = await Vehicle.findOne({ assignedDriver: user._id, deletedAt: null }, '_id').lean();
+      const profile = toProfile(user, vehicle);
+      console.log(`${DRY_RUN ? 'Would create' : 'Creating'} profile for ${user.name} (${user._id})${profile.licenseNumber ? ` with licence ${profile.licenseNumber}` : ''}`);
+      if (DRY_RUN) {
+        continue;
+      }
+
+      try {
+        await DriverProfile.create(profile);
+        await User.collection.updateOne(
+          { _id: user._id },
+          { $unset: Object.fromEntries(USER_DRIVER_FIELDS.map(field => [field, ''])) }
+        );
+        migrated++;
+      } catch (err) {
+        console.error(`Could not migrate driver ${user._id}: ${err.message}`);
+        process.exitCode = 1;
+      }
+    }
+
+    if (!DRY_RUN) {
+      console.log(`Created ${migrated} driver profiles`);
+    }
+    console.log('Driver profiles migration completed');
+  } catch (err) {
+    console.error('Error:', err);
+    process.exitCode = 1;
+  } finally {
+    await database.disconnect();
+  }
+}
+
+// Run the script
+main().catch(console.error);
@@ -0,0 +1,217 @@
+/**
+ * Script to merge maintenance records into the unified maintenance workflow
+ *
+ * - Every document of the old maintenanceRecords collection becomes a maintenance, keeping its
+ *   requester, approval, cost and dates. Soft deleted records are migrated as cancelled.
+ * - Existing maintenance with the old statuses is moved to the new ones:
+ *   pending -> scheduled when it has a scheduled date, else approved; in-progress -> in-service
+ * Both get a statusHistory describing how they got to their status.
+ *
+ * Migrated records are linked through legacyRecordId, so running the script again only picks up
+ * what is left. The maintenanceRecords collection is not changed, drop it once the result is checked.
+ *
+ * Usage:
+ * 1. Set up environment variables (MONGODB_URI)
+ * 2. Run: node scripts/migrateMaintenanceRecords.js [--dry-run]
+ *    --dry-run  Only report what would be migrated
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const database = require('../src/config/database');
+const { Maintenance } = require('../src/models');
+
+const args = process.argv.slice(2);
+const DRY_RUN = args.includes('--dry-run');
+
+const LEGACY_COLLECTION = 'maintenanceRecords';
+const MIGRATION_NOTE = 'Migrated from maintenance records';
+
+const LEGACY_STATUS_MAP = {
+  'in-progress': 'in-service',
+  completed: 'completed',
+  cancelled: 'cancelled'
+};
+
+const truncate = (text, length) => (text && text.length > length ? `${text.slice(0, length - 3)}...` : text);
+
+/**
+ * Status of a maintenance record. The record schema had no status, so it is read when a
+ * document has one and otherwise derived from the approval and deletion fields.
+ */
+function getRecordStatus(record) {
+  if (record.isActive === false) {
+    return 'cancelled';
+  }
+  if (record.status === 'completed' || record.completedAt) {
+    return 'completed';
+  }
+  if (record.status === 'rejected') {
+    return 'rejected';
+  }
+  if (record.status === 'approved' || record.approvedBy) {
+    return 'approved';
+  }
+  return 'requested';
+}
+
+/**
+ * Build the maintenance of a maintenance record
+ */
+function toMaintenance(record) {
+  const status = getRecordStatus(record);
+  const requestedAt = record.requestedAt || record.createdAt;
+  const reviewed = ['approved', 'rejected'].includes(status) || Boolean(record.approvedBy);
+
+  const statusHistory = [{ from: null, to: 'requested', changedBy: record.requestedBy, changedAt: requestedAt, notes: MIGRATION_NOTE }];
+  if (reviewed) {
+    statusHistory.push({
+      from: 'requested',
+      to: status === 'rejected' ? 'rejected' : 'approved',
+      changedBy: record.approvedBy,
+      changedAt: record.approvedAt || requestedAt,
+      notes: MIGRATION_NOTE
+    });
+  }
+  if (status === 'completed') {
+    statusHistory.push({
+      from: reviewed ? 'approved' : 'requested',
+      to: 'completed',
+      changedBy: null,
+      changedAt: record.completedAt || record.updatedAt,
+      notes: `${MIGRATION_NOTE}, scheduling and service steps were not recorded`
+    });
+  }
+  if (status === 'cancelled') {
+    statusHistory.push({
+      from: statusHistory[statusHistory.length - 1].to,
+      to: 'cancelled',
+      changedBy: record.deletedBy || null,
+      changedAt: record.deletedAt || record.updatedAt,
+      notes: `${MIGRATION_NOTE}, the record was deleted`
+    });
+  }
+
+  const description = record.description || '';
+
+  return {
+    vehicle: record.vehicleId,
+    type: record.maintenanceType || 'other',
+    title: description.length >= 3 ? truncate(description, 100) : 'Maintenance request',
+    description: truncate(description, 500),
+    servicedBy: typeof record.servicedBy === 'string' && record.servicedBy ? { name: record.servicedBy } : undefined,
+    serviceLocation: record.serviceLocation,
+    odometer: record.odometer || undefined,
+    cost: record.amount || 0,
+    endDate: status === 'completed' ? record.completedAt || record.updatedAt : undefined,
+    status,
+    requestedBy: record.requestedBy,
+    requestedAt,
+    reviewedBy: reviewed ? record.approvedBy || null : null,
+    reviewedAt: reviewed ? record.approvedAt || null : null,
+    statusHistory,
+    notes: truncate(record.notes, 500),
+    legacyRecordId: record._id,
+    createdBy: record.requestedBy,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt
+  };
+}
+
+/**
+ * Copy maintenance records that were not migrated yet
+ */
+async function migrateRecords() {
+  const records = await mongoose.connection.collection(LEGACY_COLLECTION).find({}).toArray();
+  const migratedIds = new Set(
+    (await Maintenance.distinct('legacyRecordId', { legacyRecordId: { $ne: null } })).map(id => id.toString())
+  );
+
+  const pending = records.filter(record => !migratedIds.has(record._id.toString()));
+  console.log(`Found ${records.length} maintenance records, ${pending.length} not migrated yet`);
+
+  let migrated = 0;
+  for (const record of pending) {
+    const maintenance = toMaintenance(record);
+    console.log(`${DRY_RUN ? 'Would migrate' : 'Migrating'} record ${record._id} as ${maintenance.status}`);
+    if (DRY_RUN) {
+      continue;
+    }
+    try {
+      // Keep the record's own createdAt and updatedAt
+      await Maintenance.create([maintenance], { timestamps: false });
+      migrated++;
+    } catch (err) {
+      console.error(`Could not migrate record ${record._id}: ${err.message}`);
+      process.exitCode = 1;
+    }
+  }
+
+  return migrated;
+}
+
+/**
+ * Move existing maintenance to the new statuses and give it a status history
+ */
+async function migrateStatuses() {
+  const maintenance = await Maintenance.collection.find(
+    { legacyRecordId: null, 'statusHistory.0': { $exists: false } },
+    { projection: { status: 1, scheduledDate: 1, createdBy: 1, createdAt: 1, requestedBy: 1 } }
+  ).toArray();
+  console.log(`Found ${maintenance.length} maintenance without status history`);
+
+  const now = new Date();
+  for (const item of maintenance) {
+    const status = item.status === 'pending'
+      ? (item.scheduledDate ? 'scheduled' : 'approved')
+      : LEGACY_STATUS_MAP[item.status] || item.status;
+
+    const statusHistory = [{ from: null, to: 'requested', changedBy: item.createdBy, changedAt: item.createdAt, notes: 'Migrated' }];
+    if (status !== 'requested') {
+      statusHistory.push({ from: 'requested', to: status, changedBy: null, changedAt: now, notes: `Migrated from status ${item.status}` });
+    }
+
+    console.log(`${DRY_RUN ? 'Would move' : 'Moving'} maintenance ${item._id} from ${item.status} to ${status}`);
+    if (DRY_RUN) {
+      continue;
+    }
+    await Maintenance.collection.updateOne(
+      { _id: item._id },
+      {
+        $set: {
+          status,
+          statusHistory: statusHistory.map(entry => ({ _id: new mongoose.Types.ObjectId(), ...entry })),
+          requestedBy: item.requestedBy || item.createdBy,
+          requestedAt: item.createdAt
+        }
+      }
+    );
+  }
+
+  return maintenance.length;
+}
+
+async function main() {
+  console.log(`Starting maintenance records migration${DRY_RUN ? ' (dry run)' : ''}...`);
+
+  await database.connect();
+
+  try {
+    const updated = await migrateStatuses();
+    const migrated = await migrateRecords();
+
+    if (!DRY_RUN) {
+      console.log(`Migrated ${migrated} maintenance records and updated ${updated} maintenance statuses`);
+      console.log(`Drop the ${LEGACY_COLLECTION} collection once the migrated maintenance is checked`);
+    }
+    console.log('Maintenance records migration completed');
+  } catch (err) {
+    console.error('Error:', err);
+    process.exitCode = 1;
+  } finally {
+    await database.disconnect();
+  }
+}
+
+// Run the script
+main().catch(console.error);
@@ -0,0 +1,168 @@
+/**
+ * Script to convert legacy trips into trip schedules
+ *
+ * Every document of the legacy trips collection becomes a trip schedule with a single destination,
+ * the trip's end location. Checkpoints, the start location, actual times, distance, fuel
+ * consumption and the maintenance report are kept, the purpose is added to the schedule notes.
+ * Trips pointing at a driver profile are given to the profile's user.
+ *
+ * Converted schedules keep the trip ID in legacyTripId, so the script can be run again. The trips
+ * collection is left in place and can be dropped once the conversion is checked.
+ *
+ * Usage:
+ * 1. Set up environment variables (MONGODB_URI)
+ * 2. Run: node scripts/migrateTrips.js [--dry-run]
+ *    --dry-run  Only report what would be migrated
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const database = require('../src/config/database');
+const { User, Vehicle, DriverProfile, TripSchedule } = require('../src/models');
+
+const args = process.argv.slice(2);
+const DRY_RUN = args.includes('--dry-run');
+
+const LEGACY_COLLECTION = 'trips';
+
+const STATUSES = {
+  scheduled: 'scheduled',
+  in_progress: 'in progress',
+  completed: 'completed',
+  cancelled: 'cancelled'
+};
+
+/**
+ * Convert a GeoJSON location to a schedule location
+ */
+function toLocation(location) {
+  if (!location) {
+    return {};
+  }
+  return {
+    address: location.address || undefined,
+    coordinates: location.coordinates && location.coordinates.length === 2 ? location.coordinates : undefined
+  };
+}
+
+/**
+ * Find the user a legacy trip's driver refers to, either a driver user or a driver profile
+ */
+async function resolveDriverUser(driverId) {
+  if (!driverId) {
+    return null;
+  }
+  const user = await User.exists({ _id: driverId });
+  if (user) {
+    return user._id;
+  }
+  const profile = await DriverProfile.findById(driverId, 'user').lean();
+  return profile ? profile.user : null;
+}
+
+/**
+ * Build the schedule of a raw legacy trip document
+ */
+function toSchedule(trip, driverId) {
+  const endLocation = toLocation(trip.endLocation);
+  const notes = [trip.purpose, trip.notes].filter(Boolean).join('\n') || undefined;
+
+  return {
+    legacyTripId: trip._id,
+    status: STATUSES[trip.status] || 'scheduled',
+    driverId,
+    vehicleId: trip.vehicle,
+    title: trip.name,
+    startLocation: toLocation(trip.startLocation),
+    notes,
+    destinations: [{
+      destination: endLocation.address || trip.name || null,
+      coordinates: endLocation.coordinates,
+      tripStartTime: trip.scheduledStartTime,
+      tripApproxArrivalTime: trip.scheduledEndTime,
+      checkpoints: (trip.checkpoints || []).map(checkpoint => ({
+        _id: checkpoint._id,
+        ...toLocation(checkpoint.location),
+        status: checkpoint.status || 'pending',
+        timestamp: checkpoint.status && checkpoint.status !== 'pending' ? checkpoint.timestamp : null,
+        notes: checkpoint.notes
+      }))
+    }],
+    tripStartTime: trip.scheduledStartTime,
+    tripApproxArrivalTime: trip.scheduledEndTime,
+    actualStartTime: trip.actualStartTime,
+    actualEndTime: trip.actualEndTime,
+    distanceTraveled: trip.distance,
+    fuelConsumption: trip.fuelConsumption ?? null,
+    maintenanceRequired: Boolean(trip.maintenanceRequired),
+    maintenanceNotes: trip.maintenanceNotes || undefined,
+    createdBy: trip.createdBy || driverId,
+    isActive: trip.isActive !== false,
+    deletedAt: trip.deletedAt || null,
+    createdAt: trip.createdAt,
+    updatedAt: trip.updatedAt
+  };
+}
+
+async function main() {
+  console.log(`Starting trips migration${DRY_RUN ? ' (dry run)' : ''}...`);
+
+  await database.connect();
+
+  try {
+    const trips = await mongoose.connection.db.collection(LEGACY_COLLECTION).find({}).toArray();
+    const migratedIds = new Set(
+      (await TripSchedule.distinct('legacyTripId', { legacyTripId: { $ne: null } })).map(id => id.toString())
+    );
+
+    const pending = trips.filter(trip => !migratedIds.has(trip._id.toString()));
+    console.log(`Found ${trips.length} legacy trips, ${pending.length} not migrated yet`);
+
+    let migrated = 0;
+    for (const trip of pending) {
+      const driverId = await resolveDriverUser(trip.driver);
+      if (!driverId) {
+        console.error(`Skipping trip ${trip._id}: driver ${trip.driver} not found`);
+        process.exitCode = 1;
+        continue;
+      }
+      if (!trip.vehicle || !(await Vehicle.exists({ _id: trip.vehicle }))) {
+        console.error(`Skipping trip ${trip._id}: vehicle ${trip.vehicle} not found`);
+        process.exitCode = 1;
+        continue;
+      }
+      if (!trip.scheduledStartTime) {
+        console.error(`Skipping trip ${trip._id}: no scheduled start time`);
+        process.exitCode = 1;
+        continue;
+      }
+
+      const schedule = toSchedule(trip, driverId);
+      console.log(`${DRY_RUN ? 'Would migrate' : 'Migrating'} trip ${trip._id} (${trip.name || 'unnamed'}, ${schedule.status}) with ${schedule.destinations[0].checkpoints.length} checkpoints`);
+      if (DRY_RUN) {
+        continue;
+      }
+
+      try {
+        await TripSchedule.create(schedule);
+        migrated++;
+      } catch (err) {
+        console.error(`Could not migrate trip ${trip._id}: ${err.message}`);
+        process.exitCode = 1;
+      }
+    }
+
+    if (!DRY_RUN) {
+      console.log(`Migrated ${migrated} trips`);
+    }
+    console.log('Trips migration completed');
+  } catch (err) {
+    console.error('Error:', err);
+    process.exitCode = 1;
+  } finally {
+    await database.disconnect();
+  }
+}
+
+// Run the script
+main().catch(console.error);
@@ -0,0 +1,43 @@
+/**
+ * Script to recompute fuel efficiency and anomaly flags for every vehicle
+ *
+ * Fueling records are analysed again whenever one is created, edited or deleted. Run this once
+ * after deploying the fuel analytics, or after changing the FUEL_* thresholds.
+ *
+ * Usage:
+ * 1. Set up environment variables (MONGODB_URI, FUEL_* analytics settings)
+ * 2. Run: node scripts/recomputeFuelAnalytics.js
+ */
+
+require('dotenv').config();
+const database = require('../src/config/database');
+const { FuelingRecord } = require('../src/models');
+const fuelAnalyticsService = require('../src/services/fuelAnalytics.service');
+
+async function main() {
+  console.log('Starting fuel analytics recompute...');
+
+  await database.connect();
+
+  try {
+    const vehicleIds = await FuelingRecord.distinct('vehicleId', { isActive: true });
+    console.log(`Found ${vehicleIds.length} vehicles with fueling records`);
+
+    for (const vehicleId of vehicleIds) {
+      const result = await fuelAnalyticsService.recomputeVehicleFuelStats(vehicleId);
+      if (result) {
+        console.log(`Vehicle ${vehicleId}: ${result.fuelEfficiency ?? '-'} km/l, ${result.anomalyCount} flagged fuelings`);
+      }
+    }
+
+    console.log('Fuel analytics recompute completed');
+  } catch (err) {
+    console.error('Error:', err);
+    process.exitCode = 1;
+  } finally {
+    await database.disconnect();
+  }
+}
+
+// Run the script
+main().catch(console.error);
@@ -0,0 +1,167 @@
+/**
+ * Script to find and repair inconsistent links between trip requests and trip schedules
+ *
+ * Fixes:
+ * - Requests linked to a schedule that is missing, deleted, cancelled or no longer lists them -> back to pending
+ * - Requests marked as scheduled without a linked schedule -> linked if an active schedule lists them, else pending
+ * - Active schedules listing a pending, unlinked request -> request linked to the schedule
+ * Requests listed by more than one active schedule are only reported.
+ *
+ * Every fix is written together with a TripRequestHistory entry in one transaction.
+ *
+ * Usage:
+ * 1. Set up environment variables (MONGODB_URI)
+ * 2. Run: node scripts/repairTripRequestLinks.js [--dry-run] [--user=<userId>]
+ *    --dry-run  Only report what would be fixed
+ *    --user     User recorded as changedBy in history (default: first active super-admin)
+ */
+
+require('dotenv').config();
+const database = require('../src/config/database');
+const { TripRequest, TripSchedule, TripRequestHistory, User } = require('../src/models');
+const withTransaction = require('../src/utils/transaction');
+
+const args = process.argv.slice(2);
+const DRY_RUN = args.includes('--dry-run');
+const USER_ARG = args.find(arg => arg.startsWith('--user='));
+
+/**
+ * Map each request ID to the active schedules that list it in their destinations
+ */
+async function getActiveScheduleLinks() {
+  const schedules = await TripSchedule.find({
+    isActive: true,
+    deletedAt: null,
+    status: { $ne: 'cancelled' },
+    'destinations.requestId': { $ne: null }
+  }, { 'destinations.requestId': 1 }).lean();
+
+  const links = new Map();
+  schedules.forEach(schedule => {
+    schedule.destinations.forEach(dest => {
+      if (!dest.requestId) {
+        return;
+      }
+      const requestId = dest.requestId.toString();
+      const scheduleIds = links.get(requestId) || new Set();
+      scheduleIds.add(schedule._id.toString());
+      links.set(requestId, scheduleIds);
+    });
+  });
+
+  return links;
+}
+
+/**
+ * Apply a fix to one trip request and record it in history
+ */
+async function applyFix(requestId, update, remarks, userId) {
+  await withTransaction(async (session) => {
+    const tripRequest = await TripRequest.findById(requestId).session(session);
+    const previousState = tripRequest.toObject();
+
+    Object.assign(tripRequest, update);
+    await tripRequest.save({ session });
+
+    await TripRequestHistory.create([{
+      tripRequestId: tripRequest._id,
+      changedBy: userId,
+      changeType: 'status_changed',
+      previousState,
+      newState: tripRequest.toObject(),
+      remarks
+    }], { session });
+  });
+}
+
+async function main() {
+  console.log(`Starting trip request link repair${DRY_RUN ? ' (dry run)' : ''}...`);
+
+  await database.connect();
+
+  try {
+    const user = USER_ARG
+      ? await User.findById(USER_ARG.split('=')[1])
+      : await User.findOne({ role: 'super-admin', isActive: true, deletedAt: null });
+
+    if (!user && !DRY_RUN) {
+      throw new Error('No user found to record the repair as. Pass --user=<userId>.');
+    }
+
+    const scheduleLinks = await getActiveScheduleLinks();
+    const requests = await TripRequest.find({
+      deletedAt: null,
+      $or: [
+        { linkedTripId: { $ne: null } },
+        { status: 'scheduled' },
+        { _id: { $in: Array.from(scheduleLinks.keys()) } }
+      ]
+    }).lean();
+
+    const fixes = [];
+    const conflicts = [];
+
+    requests.forEach(request => {
+      const requestId = request._id.toString();
+      const linkedTripId = request.linkedTripId ? request.linkedTripId.toString() : null;
+      const listedBy = Array.from(scheduleLinks.get(requestId) || []);
+
+      if (listedBy.length > 1) {
+        conflicts.push({ requestId, scheduleIds: listedBy });
+        return;
+      }
+
+      const listingScheduleId = listedBy[0] || null;
+
+      if (linkedTripId && linkedTripId === listingScheduleId) {
+        if (request.status === 'pending') {
+          fixes.push({ requestId, update: { status: 'scheduled' }, remarks: 'Repair: status set to scheduled to match linked schedule' });
+        }
+        return;
+      }
+
+      if (listingScheduleId && request.status !== 'cancelled') {
+        fixes.push({
+          requestId,
+          update: { status: 'scheduled', linkedTripId: listingScheduleId },
+          remarks: `Repair: linked to trip schedule ${listingScheduleId}`
+        });
+        return;
+      }
+
+      if (linkedTripId || request.status === 'scheduled') {
+        fixes.push({
+          requestId,
+          update: { status: request.status === 'cancelled' ? 'cancelled' : 'pending', linkedTripId: null },
+          remarks: linkedTripId
+            ? `Repair: unlinked from trip schedule ${linkedTripId} that no longer includes it`
+            : 'Repair: scheduled request without a trip schedule returned to pending'
+        });
+      }
+    });
+
+    console.log(`Checked ${requests.length} trip requests`);
+    console.log(`Found ${fixes.length} fixable and ${conflicts.length} conflicting links`);
+
+    for (const fix of fixes) {
+      console.log(`${DRY_RUN ? 'Would fix' : 'Fixing'} ${fix.requestId}: ${fix.remarks}`);
+      if (!DRY_RUN) {
+        await applyFix(fix.requestId, fix.update, fix.remarks, user._id);
+      }
+    }
+
+    conflicts.forEach(conflict => {
+      console.log(`Not fixed ${conflict.requestId}: listed by several active schedules (${conflict.scheduleIds.join(', ')})`);
+    });
+
+    console.log('Trip request link repair completed');
+  } catch (err) {
+    console.error('Error:', err);
+    process.exitCode = 1;
+  } finally {
+    await database.disconnect();
+  }
+}
+
+// Run the script
+main().catch(console.error);
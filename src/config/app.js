@@ -19,6 +19,9 @@ function initializeApp() {
   app.use(helmet());
   app.use(cors());
   app.use(compression());
+  // Offline location batches and fuel card statements are larger than the default body limit allows
+  app.use('/driver-locations/batch', express.json({ limit: env.LOCATION_BATCH_BODY_LIMIT }));
+  app.use('/fuel-card-imports', express.json({ limit: env.FUEL_CARD_IMPORT_BODY_LIMIT }));
   app.use(express.json());
   app.use(express.urlencoded({ extended: true }));
   
@@ -18,6 +18,111 @@ const env = {
   FIREBASE_PROJECT_ID: process.env.FIREBASE_PROJECT_ID,
   FIREBASE_CLIENT_EMAIL: process.env.FIREBASE_CLIENT_EMAIL,
   FIREBASE_PRIVATE_KEY: process.env.FIREBASE_PRIVATE_KEY,
+
+  // Background jobs
+  JOBS_ENABLED: process.env.JOBS_ENABLED !== 'false',
+  REMINDER_JOB_INTERVAL_MS: parseInt(process.env.REMINDER_JOB_INTERVAL_MS, 10) || 60 * 1000,
+  PUNCH_OUT_REMINDER_AFTER_HOURS: parseFloat(process.env.PUNCH_OUT_REMINDER_AFTER_HOURS) || 10,
+  ATTENDANCE_AUTO_CLOSE_JOB_INTERVAL_MS: parseInt(process.env.ATTENDANCE_AUTO_CLOSE_JOB_INTERVAL_MS, 10) || 15 * 60 * 1000,
+  ATTENDANCE_MAX_SHIFT_HOURS: parseFloat(process.env.ATTENDANCE_MAX_SHIFT_HOURS) || 16,
+  IDLE_ALERT_JOB_INTERVAL_MS: parseInt(process.env.IDLE_ALERT_JOB_INTERVAL_MS, 10) || 5 * 60 * 1000,
+  IDLE_ALERT_THRESHOLDS_MINUTES: (process.env.IDLE_ALERT_THRESHOLDS_MINUTES || '60,120,240')
+    .split(',')
+    .map(value => parseInt(value, 10))
+    .filter(value => value > 0)
+    .sort((a, b) => a - b),
+  RECURRING_SCHEDULE_JOB_INTERVAL_MS: parseInt(process.env.RECURRING_SCHEDULE_JOB_INTERVAL_MS, 10) || 60 * 60 * 1000,
+  RECURRING_SCHEDULE_HORIZON_DAYS: parseInt(process.env.RECURRING_SCHEDULE_HORIZON_DAYS, 10) || 14,
+
+  // Assignment suggestions
+  ASSIGNMENT_DEFAULT_TRIP_DURATION_MINUTES: parseInt(process.env.ASSIGNMENT_DEFAULT_TRIP_DURATION_MINUTES, 10) || 120,
+  ASSIGNMENT_IDLE_SATURATION_MINUTES: parseInt(process.env.ASSIGNMENT_IDLE_SATURATION_MINUTES, 10) || 240,
+  POOLING_TIME_TOLERANCE_MINUTES: parseInt(process.env.POOLING_TIME_TOLERANCE_MINUTES, 10) || 30,
+
+  // GPS trip routes
+  GPS_JITTER_METERS: parseFloat(process.env.GPS_JITTER_METERS) || 15,
+  GPS_MAX_SPEED_KMH: parseFloat(process.env.GPS_MAX_SPEED_KMH) || 180,
+  GPS_STOP_RADIUS_METERS: parseFloat(process.env.GPS_STOP_RADIUS_METERS) || 50,
+  GPS_STOP_MIN_MINUTES: parseFloat(process.env.GPS_STOP_MIN_MINUTES) || 3,
+  GPS_DISTANCE_TOLERANCE_PERCENT: parseFloat(process.env.GPS_DISTANCE_TOLERANCE_PERCENT) || 20,
+  GEOFENCE_DEFAULT_RADIUS_METERS: parseFloat(process.env.GEOFENCE_DEFAULT_RADIUS_METERS) || 150,
+
+  // Preventive maintenance plans
+  MAINTENANCE_PLAN_JOB_INTERVAL_MS: parseInt(process.env.MAINTENANCE_PLAN_JOB_INTERVAL_MS, 10) || 24 * 60 * 60 * 1000,
+  MAINTENANCE_DUE_SOON_DAYS: parseInt(process.env.MAINTENANCE_DUE_SOON_DAYS, 10) || 14,
+  MAINTENANCE_DUE_SOON_KM: parseInt(process.env.MAINTENANCE_DUE_SOON_KM, 10) || 1000,
+
+  // Vehicle downtime
+  MAINTENANCE_DEFAULT_WINDOW_HOURS: parseInt(process.env.MAINTENANCE_DEFAULT_WINDOW_HOURS, 10) || 24,
+
+  // Document compliance
+  COMPLIANCE_JOB_INTERVAL_MS: parseInt(process.env.COMPLIANCE_JOB_INTERVAL_MS, 10) || 60 * 60 * 1000,
+  COMPLIANCE_ALERT_DAYS: (process.env.COMPLIANCE_ALERT_DAYS || '30,7,1')
+    .split(',')
+    .map(value => parseInt(value, 10))
+    .filter(value => value > 0)
+    .sort((a, b) => b - a),
+
+  // Working hours
+  WORKING_HOURS_MAX_DUTY_HOURS: parseFloat(process.env.WORKING_HOURS_MAX_DUTY_HOURS) || 12,
+  WORKING_HOURS_MIN_REST_HOURS: parseFloat(process.env.WORKING_HOURS_MIN_REST_HOURS) || 10,
+  WORKING_HOURS_MAX_DRIVING_HOURS: parseFloat(process.env.WORKING_HOURS_MAX_DRIVING_HOURS) || 4.5,
+  WORKING_HOURS_MIN_BREAK_MINUTES: parseInt(process.env.WORKING_HOURS_MIN_BREAK_MINUTES, 10) || 30,
+  WORKING_HOURS_BLOCKING_RULES: (process.env.WORKING_HOURS_BLOCKING_RULES || '')
+    .split(',')
+    .map(value => value.trim())
+    .filter(Boolean),
+
+  // Fuel analytics
+  FUEL_ROLLING_WINDOW: parseInt(process.env.FUEL_ROLLING_WINDOW, 10) || 5,
+  FUEL_EFFICIENCY_DROP_PERCENT: parseFloat(process.env.FUEL_EFFICIENCY_DROP_PERCENT) || 25,
+  FUEL_MIN_INTERVAL_HOURS: parseFloat(process.env.FUEL_MIN_INTERVAL_HOURS) || 4,
+  FUEL_MIN_INTERVAL_KM: parseFloat(process.env.FUEL_MIN_INTERVAL_KM) || 30,
+
+  // Fuel card statements
+  FUEL_CARD_MATCH_WINDOW_MINUTES: parseInt(process.env.FUEL_CARD_MATCH_WINDOW_MINUTES, 10) || 120,
+  FUEL_CARD_AMOUNT_TOLERANCE: parseFloat(process.env.FUEL_CARD_AMOUNT_TOLERANCE) || 1,
+  FUEL_CARD_DATE_FORMAT: process.env.FUEL_CARD_DATE_FORMAT || 'DD/MM/YYYY HH:mm',
+  FUEL_CARD_IMPORT_BODY_LIMIT: process.env.FUEL_CARD_IMPORT_BODY_LIMIT || '10mb',
+
+  // Reverse geocoding
+  GEOCODER_PROVIDER: process.env.GEOCODER_PROVIDER || 'http',
+  GEOCODER_API_KEY: process.env.GEOCODER_API_KEY,
+  GEOCODER_HTTP_URL: process.env.GEOCODER_HTTP_URL || 'https://geocode.maps.co/reverse',
+  GEOCODER_TIMEOUT_MS: parseInt(process.env.GEOCODER_TIMEOUT_MS, 10) || 5000,
+  GEOCODER_GAZETTEER_FILE: process.env.GEOCODER_GAZETTEER_FILE,
+  GEOCODER_GAZETTEER_RADIUS_METERS: parseFloat(process.env.GEOCODER_GAZETTEER_RADIUS_METERS) || 500,
+  GEOCODE_CACHE_PRECISION: parseInt(process.env.GEOCODE_CACHE_PRECISION, 10) || 4,
+  GEOCODE_BACKFILL_JOB_INTERVAL_MS: parseInt(process.env.GEOCODE_BACKFILL_JOB_INTERVAL_MS, 10) || 10 * 60 * 1000,
+  GEOCODE_BACKFILL_BATCH_SIZE: parseInt(process.env.GEOCODE_BACKFILL_BATCH_SIZE, 10) || 100,
+
+  // Live fleet stream
+  LIVE_FLEET_HEARTBEAT_MS: parseInt(process.env.LIVE_FLEET_HEARTBEAT_MS, 10) || 25 * 1000,
+  LIVE_FLEET_TOKEN_TTL_SECONDS: parseInt(process.env.LIVE_FLEET_TOKEN_TTL_SECONDS, 10) || 60,
+
+  // Offline location batches
+  LOCATION_BATCH_MAX_POINTS: parseInt(process.env.LOCATION_BATCH_MAX_POINTS, 10) || 5000,
+  LOCATION_BATCH_MAX_AGE_HOURS: parseInt(process.env.LOCATION_BATCH_MAX_AGE_HOURS, 10) || 72,
+  LOCATION_BATCH_BODY_LIMIT: process.env.LOCATION_BATCH_BODY_LIMIT || '5mb',
+
+  // Trip tracking links
+  // Derived from JWT_SECRET when not set, the server refuses to start without either
+  TRACKING_LINK_SECRET: process.env.TRACKING_LINK_SECRET
+    || (process.env.JWT_SECRET ? `${process.env.JWT_SECRET}:trip-tracking` : null),
+  TRACKING_LINK_BASE_URL: process.env.TRACKING_LINK_BASE_URL || '/tracking',
+  TRACKING_LINK_TTL_MINUTES: parseInt(process.env.TRACKING_LINK_TTL_MINUTES, 10) || 4 * 60,
+  TRACKING_AVERAGE_SPEED_KMH: parseFloat(process.env.TRACKING_AVERAGE_SPEED_KMH) || 40,
+
+  // Location retention
+  LOCATION_RETENTION_JOB_INTERVAL_MS: parseInt(process.env.LOCATION_RETENTION_JOB_INTERVAL_MS, 10) || 24 * 60 * 60 * 1000,
+  // Only reports until LOCATION_RETENTION_DRY_RUN=false opts in to removing points
+  LOCATION_RETENTION_DRY_RUN: process.env.LOCATION_RETENTION_DRY_RUN !== 'false',
+  LOCATION_FULL_RESOLUTION_DAYS: parseInt(process.env.LOCATION_FULL_RESOLUTION_DAYS, 10) || 30,
+  LOCATION_DOWNSAMPLE_MINUTES: parseInt(process.env.LOCATION_DOWNSAMPLE_MINUTES, 10) || 15,
+  LOCATION_ARCHIVE_AFTER_DAYS: parseInt(process.env.LOCATION_ARCHIVE_AFTER_DAYS, 10) || 365,
+  LOCATION_ARCHIVE_MODE: process.env.LOCATION_ARCHIVE_MODE === 'export' ? 'export' : 'delete',
+  // Absolute path outside the app directory, deploys replace the app directory
+  LOCATION_ARCHIVE_DIR: process.env.LOCATION_ARCHIVE_DIR || null,
 };
 
 module.exports = env; 
\ No newline at end of file
@@ -0,0 +1,44 @@
+const catchAsync = require('../utils/catchAsync');
+const { complianceService, workingHoursService } = require('../services');
+
+/**
+ * Get vehicle and driver documents that expired or expire soon
+ */
+const getExpiring = catchAsync(async (req, res) => {
+  const { withinDays, subjectType } = req.query;
+  const items = await complianceService.getExpiringItems({
+    withinDays: withinDays !== undefined ? Number(withinDays) : undefined,
+    subjectType
+  });
+  res.send({ results: items });
+});
+
+/**
+ * Get the audit trail of schedules created despite expired documents
+ */
+const getOverrides = catchAsync(async (req, res) => {
+  const { vehicle, driver, page, limit } = req.query;
+  const filter = {};
+  if (vehicle) {
+    filter.vehicle = vehicle;
+  }
+  if (driver) {
+    filter.driver = driver;
+  }
+  const result = await complianceService.getOverrides(filter, { page, limit });
+  res.send(result);
+});
+
+/**
+ * Get duty and driving hours of drivers with working hour violations
+ */
+const getWorkingHours = catchAsync(async (req, res) => {
+  const report = await workingHoursService.getWorkingHoursReport(req.query);
+  res.send(report);
+});
+
+module.exports = {
+  getExpiring,
+  getOverrides,
+  getWorkingHours
+};
@@ -13,22 +13,29 @@ const getDrivers = async (req, res, next) => {
   try {
     // Extract query parameters
     const { 
-      search 
+      search,
+      status,
+      isAvailable,
+      page,
+      limit
     } = req.query;
   
     const filters = {};
     if (search) {
-      filters.$or = [
-        { 'user.name': { $regex: search, $options: 'i' } },
-        { 'user.email': { $regex: search, $options: 'i' } },
-        { 'user.phone': { $regex: search, $options: 'i' } },
-        { licenseNumber: { $regex: search, $options: 'i' } }
-      ];
+      filters.search = search;
+    }
+    if (status) {
+      filters.status = status;
+    }
+    if (isAvailable !== undefined) {
+      filters.isAvailable = isAvailable === true || isAvailable === 'true';
     }
     
     // Build options
     const options = {
-      sort: { name: 1 }
+      sort: { createdAt: 1 },
+      page,
+      limit
     };
     
     // Get drivers
@@ -95,15 +102,15 @@ const getMyProfile = async (req, res, next) => {
 const createDriver = async (req, res, next) => {
   try {
     // Create driver
-    const driver = await driverService.createDriver(req.body);
+    const driver = await driverService.createDriver(req.body, req.user._id);
     
     return res.status(201).json(successResponse(driver, 'Driver created successfully'));
   } catch (err) {
-    if (err.message.includes('already exists')) {
+    if (err.message.includes('already exists') || err.message.includes('already registered')) {
       return res.status(409).json(errorResponse(err.message, 409));
     }
     
-    if (err.message === 'User not found') {
+    if (err.message === 'User not found' || err.message === 'Vehicle not found') {
       return res.status(404).json(errorResponse(err.message, 404));
     }
     
@@ -122,11 +129,11 @@ const updateDriver = async (req, res, next) => {
     const { id } = req.params;
     
     // Update driver
-    const driver = await driverService.updateDriver(id, req.body);
+    const driver = await driverService.updateDriver(id, req.body, req.user._id);
     
     return res.status(200).json(successResponse(driver, 'Driver updated successfully'));
   } catch (err) {
-    if (err.message === 'Driver not found') {
+    if (err.message === 'Driver not found' || err.message === 'Vehicle not found') {
       return res.status(404).json(errorResponse(err.message, 404));
     }
     
@@ -150,7 +157,7 @@ const updateDriverStatus = async (req, res, next) => {
     const { status, notes } = req.body;
     
     // Update driver status
-    const driver = await driverService.updateDriverStatus(id, status, notes);
+    const driver = await driverService.updateDriverStatus(id, status, notes, req.user._id);
     
     return res.status(200).json(successResponse(driver, 'Driver status updated successfully'));
   } catch (err) {
@@ -174,7 +181,7 @@ const addDocument = async (req, res, next) => {
     const document = req.body;
     
     // Add document
-    const driver = await driverService.addDocument(id, document);
+    const driver = await driverService.addDocument(id, document, req.user);
     
     return res.status(200).json(successResponse(driver, 'Document added successfully'));
   } catch (err) {
@@ -182,6 +189,10 @@ const addDocument = async (req, res, next) => {
       return res.status(404).json(errorResponse(err.message, 404));
     }
     
+    if (err.message.startsWith('Not allowed')) {
+      return res.status(403).json(errorResponse(err.message, 403));
+    }
+    
     next(err);
   }
 };
@@ -197,7 +208,7 @@ const verifyDocument = async (req, res, next) => {
     const { driverId, documentId } = req.params;
     
     // Verify document
-    const driver = await driverService.verifyDocument(driverId, documentId);
+    const driver = await driverService.verifyDocument(driverId, documentId, req.user._id);
     
     return res.status(200).json(successResponse(driver, 'Document verified successfully'));
   } catch (err) {
@@ -220,7 +231,7 @@ const deleteDriver = async (req, res, next) => {
     const { id } = req.params;
     
     // Delete driver
-    await driverService.deleteDriver(id);
+    await driverService.deleteDriver(id, req.user._id);
     
     return res.status(200).json(successResponse(null, 'Driver deleted successfully'));
   } catch (err) {
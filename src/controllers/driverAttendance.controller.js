@@ -3,6 +3,8 @@
  * Handles driver attendance related operations like punch in, punch out, and status
  */
 const driverAttendanceService = require('../services/driverAttendance.service');
+const idleAlertService = require('../services/idleAlert.service');
+const attendanceCorrectionService = require('../services/attendanceCorrection.service');
 const catchAsync = require('../utils/catchAsync');
 
 /**
@@ -143,6 +145,91 @@ const getIdleDrivers = catchAsync(async (req, res) => {
   return res.json(idleDrivers);
 });
 
+/**
+ * Get history of idle alerts raised for drivers
+ * @route GET /api/driver-attendance/idle-alerts
+ * @access Private - Admin, Super Admin
+ */
+const getIdleAlerts = catchAsync(async (req, res) => {
+  const { driverId, startDate, endDate, page = 1, limit = 10 } = req.query;
+  const alerts = await idleAlertService.getIdleAlerts(
+    { driverId, startDate, endDate },
+    { page, limit }
+  );
+  return res.json(alerts);
+});
+
+/**
+ * Request a correction of the driver's own punches
+ * @route POST /api/driver-attendance/corrections
+ * @access Private - Driver
+ */
+const createCorrection = catchAsync(async (req, res) => {
+  const correction = await attendanceCorrectionService.createCorrection(req.user._id, req.body);
+  return res.status(201).json({
+    success: true,
+    message: 'Correction requested successfully',
+    data: correction
+  });
+});
+
+/**
+ * Get the driver's own correction requests
+ * @route GET /api/driver-attendance/corrections/me
+ * @access Private - Driver
+ */
+const getMyCorrections = catchAsync(async (req, res) => {
+  const { status, type, page = 1, limit = 10 } = req.query;
+  const filter = { driverId: req.user._id };
+  if (status) {
+    filter.status = status;
+  }
+  if (type) {
+    filter.type = type;
+  }
+  const corrections = await attendanceCorrectionService.getCorrections(filter, { page, limit });
+  return res.json(corrections);
+});
+
+/**
+ * Get correction requests of all drivers
+ * @route GET /api/driver-attendance/corrections
+ * @access Private - Admin, Super Admin
+ */
+const getCorrections = catchAsync(async (req, res) => {
+  const { driverId, status, type, page = 1, limit = 10 } = req.query;
+  const filter = {};
+  if (driverId) {
+    filter.driverId = driverId;
+  }
+  if (status) {
+    filter.status = status;
+  }
+  if (type) {
+    filter.type = type;
+  }
+  const corrections = await attendanceCorrectionService.getCorrections(filter, { page, limit });
+  return res.json(corrections);
+});
+
+/**
+ * Approve or reject a correction request
+ * @route PATCH /api/driver-attendance/corrections/:correctionId/review
+ * @access Private - Admin, Super Admin
+ */
+const reviewCorrection = catchAsync(async (req, res) => {
+  const correction = await attendanceCorrectionService.reviewCorrection(
+    req.params.correctionId,
+    req.body,
+    req.user._id
+  );
+  return res.status(200).json({
+    success: true,
+    message: `Correction ${correction.status} successfully`,
+    data: correction
+  });
+});
+
 module.exports = {
   getPunchStatus,
   punchIn,
@@ -151,5 +238,10 @@ module.exports = {
   getAllDriverAttendance,
   getAttendanceHistory,
   getDriverAttendanceHistory,
-  getIdleDrivers
+  getIdleDrivers,
+  getIdleAlerts,
+  createCorrection,
+  getMyCorrections,
+  getCorrections,
+  reviewCorrection
 }; 
\ No newline at end of file
@@ -3,6 +3,8 @@
  * Handles APIs for driver location tracking
  */
 const driverLocationService = require('../services/driverLocation.service');
+const liveFleetService = require('../services/liveFleet.service');
+const env = require('../config/env');
 const catchAsync = require('../utils/catchAsync');
 const httpStatus = require('http-status');
 const ApiError = require('../utils/ApiError');
@@ -39,6 +41,21 @@ const recordLocation = catchAsync(async (req, res) => {
   });
 });
 
+/**
+ * Record a batch of location points queued while the driver was offline
+ * @route POST /api/driver-locations/batch
+ * @access Private - Driver
+ */
+const recordLocationBatch = catchAsync(async (req, res) => {
+  const result = await driverLocationService.recordLocationBatch(req.user._id, req.body);
+
+  return res.status(httpStatus.status.OK).json({
+    success: true,
+    message: 'Location batch processed successfully',
+    data: result
+  });
+});
+
 /**
  * Get latest location for all drivers
  * @route GET /api/driver-locations/latest
@@ -91,9 +108,67 @@ const getDriverLatestLocation = catchAsync(async (req, res) => {
   });
 });
 
+/**
+ * Stream live fleet events as Server-Sent Events
+ * @route GET /api/driver-locations/live
+ */
+const streamLiveFleet = catchAsync(async (req, res) => {
+  const toList = (value) => (value ? [].concat(value).map(id => id.toString()) : null);
+  const filters = {
+    driverIds: toList(req.query.driverId),
+    vehicleIds: toList(req.query.vehicleId),
+    tripIds: toList(req.query.tripId)
+  };
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // compression buffers the body, so push every message through
+  const send = (message) => {
+    res.write(message);
+    if (res.flush) {
+      res.flush();
+    }
+  };
+
+  const unsubscribe = await liveFleetService.subscribe(req.user, filters, send);
+  send(`event: ready\ndata: ${JSON.stringify({ filters })}\n\n`);
+
+  // Keep idle connections open through proxies
+  const heartbeat = setInterval(() => send(': heartbeat\n\n'), env.LIVE_FLEET_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+/**
+ * Issue a short-lived token for opening the live stream from EventSource
+ * @route POST /api/driver-locations/live/token
+ * @access Private - Admin, Super Admin, Scheduler, Requestor
+ */
+const createLiveStreamToken = catchAsync(async (req, res) => {
+  const result = liveFleetService.createStreamToken(req.user);
+
+  return res.status(httpStatus.status.OK).json({
+    success: true,
+    message: 'Stream token created successfully',
+    data: result
+  });
+});
+
 module.exports = {
   recordLocation,
+  recordLocationBatch,
   getAllDriversLatestLocation,
   getDriverLocationHistory,
-  getDriverLatestLocation
+  getDriverLatestLocation,
+  streamLiveFleet,
+  createLiveStreamToken
 }; 
\ No newline at end of file
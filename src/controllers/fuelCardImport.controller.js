@@ -0,0 +1,49 @@
+const httpStatus = require('http-status');
+const catchAsync = require('../utils/catchAsync');
+const { fuelCardImportService } = require('../services');
+
+/**
+ * Import and reconcile a fuel card statement
+ * @route POST /fuel-card-imports
+ */
+const importStatement = catchAsync(async (req, res) => {
+  const report = await fuelCardImportService.importStatement(req.body, req.user);
+  res.status(httpStatus.status.CREATED).send(report);
+});
+
+/**
+ * Get imported fuel card statements
+ * @route GET /fuel-card-imports
+ */
+const getImports = catchAsync(async (req, res) => {
+  const result = await fuelCardImportService.getImports({}, {
+    page: req.query.page,
+    limit: req.query.limit
+  });
+  res.send(result);
+});
+
+/**
+ * Get the reconciliation report of a fuel card statement
+ * @route GET /fuel-card-imports/:id
+ */
+const getImportReport = catchAsync(async (req, res) => {
+  const report = await fuelCardImportService.getImportReport(req.params.id);
+  res.send(report);
+});
+
+/**
+ * Create fueling records for unmatched statement lines
+ * @route POST /fuel-card-imports/:id/create-records
+ */
+const createMissingRecords = catchAsync(async (req, res) => {
+  const result = await fuelCardImportService.createMissingRecords(req.params.id, req.body, req.user);
+  res.status(httpStatus.status.CREATED).send(result);
+});
+
+module.exports = {
+  importStatement,
+  getImports,
+  getImportReport,
+  createMissingRecords
+};
@@ -3,6 +3,7 @@
  * Handles vehicle fueling record related operations
  */
 const fuelingRecordService = require('../services/fuelingRecord.service');
+const fuelAnalyticsService = require('../services/fuelAnalytics.service');
 const catchAsync = require('../utils/catchAsync');
 
 /**
@@ -173,7 +174,7 @@ const updateFuelingRecord = catchAsync(async (req, res) => {
   const { id } = req.params;
   const updateData = { ...req.body, userRole: req.user.role };
   
-  const updatedRecord = await fuelingRecordService.updateFuelingRecord(id, updateData, req.user._id);
+  const updatedRecord = await fuelingRecordService.updateFuelingRecord(id, updateData, req.user);
   
   return res.json({
     success: true,
@@ -206,6 +207,22 @@ const deleteFuelingRecord = catchAsync(async (req, res) => {
   });
 });
 
+/**
+ * Get fuel efficiency and anomalies by vehicle and driver
+ * @route GET /api/fueling-records/analytics
+ * @access Private - Admin, Super Admin, Cost Analyst
+ */
+const getFuelAnalytics = catchAsync(async (req, res) => {
+  const { vehicleId, driverId, startDate, endDate } = req.query;
+
+  const analytics = await fuelAnalyticsService.getFuelAnalytics({ vehicleId, driverId, startDate, endDate });
+
+  return res.json({
+    success: true,
+    data: analytics
+  });
+});
+
 /**
  * Get fueling history for a driver
  * @route GET /api/fueling-records/driver-history
@@ -269,5 +286,6 @@ module.exports = {
   getFuelingRecordById,
   updateFuelingRecord,
   deleteFuelingRecord,
-  getDriverFuelingHistory
+  getDriverFuelingHistory,
+  getFuelAnalytics
 }; 
\ No newline at end of file
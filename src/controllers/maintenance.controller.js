@@ -1,13 +1,12 @@
 const {status} = require('http-status');
 const catchAsync = require('../utils/catchAsync');
 const { maintenanceService } = require('../services');
-const ApiError = require('../utils/ApiError');
 
 /**
- * Create a new maintenance record
+ * Create a new maintenance request
  */
 const createMaintenance = catchAsync(async (req, res) => {
-  const maintenance = await maintenanceService.createMaintenance(req.body, req.user._id);
+  const maintenance = await maintenanceService.createMaintenance(req.body, req.user);
   res.status(status.CREATED).send(maintenance);
 });
 
@@ -15,10 +14,23 @@ const createMaintenance = catchAsync(async (req, res) => {
  * Get maintenance record by id
  */
 const getMaintenance = catchAsync(async (req, res) => {
-  const maintenance = await maintenanceService.getMaintenanceById(req.params.maintenanceId);
+  const maintenance = await maintenanceService.getMaintenanceForUser(req.params.maintenanceId, req.user);
   res.send(maintenance);
 });
 
+/**
+ * Get maintenance requested by the current user
+ */
+const getMyMaintenance = catchAsync(async (req, res) => {
+  const { page, limit, status: statusFilter } = req.query;
+  const filter = {};
+  if (statusFilter) {
+    filter.status = Array.isArray(statusFilter) ? { $in: statusFilter } : statusFilter;
+  }
+  const result = await maintenanceService.getUserMaintenance(req.user._id, filter, { page, limit });
+  res.send(result);
+});
+
 /**
  * Get all maintenance records with pagination
  */
@@ -46,23 +58,19 @@ const updateMaintenance = catchAsync(async (req, res) => {
   const maintenance = await maintenanceService.updateMaintenance(
     req.params.maintenanceId,
     req.body,
-    req.user._id
+    req.user
   );
   res.send(maintenance);
 });
 
 /**
- * Update maintenance status
+ * Move maintenance to another status
  */
 const updateMaintenanceStatus = catchAsync(async (req, res) => {
-  if (!req.body.status) {
-    throw new ApiError(status.BAD_REQUEST, 'Status is required');
-  }
-  
   const maintenance = await maintenanceService.updateMaintenanceStatus(
     req.params.maintenanceId,
-    req.body.status,
-    req.user._id
+    req.body,
+    req.user
   );
   res.send(maintenance);
 });
@@ -71,13 +79,9 @@ const updateMaintenanceStatus = catchAsync(async (req, res) => {
  * Add document to maintenance record
  */
 const addMaintenanceDocument = catchAsync(async (req, res) => {
-  if (!req.body.document) {
-    throw new ApiError(status.BAD_REQUEST, 'Document data is required');
-  }
-  
   const maintenance = await maintenanceService.addMaintenanceDocument(
     req.params.maintenanceId,
-    req.body.document,
+    req.body,
     req.user._id
   );
   res.send(maintenance);
@@ -103,6 +107,7 @@ const queryMaintenance = catchAsync(async (req, res) => {
 module.exports = {
   createMaintenance,
   getMaintenance,
+  getMyMaintenance,
   getAllMaintenance,
   getMaintenanceByVehicle,
   updateMaintenance,
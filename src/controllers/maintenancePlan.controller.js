@@ -0,0 +1,68 @@
+const { status } = require('http-status');
+const catchAsync = require('../utils/catchAsync');
+const { maintenancePlanService } = require('../services');
+
+/**
+ * Create a maintenance plan
+ */
+const createPlan = catchAsync(async (req, res) => {
+  const plan = await maintenancePlanService.createPlan(req.body, req.user._id);
+  res.status(status.CREATED).send(plan);
+});
+
+/**
+ * Get maintenance plans
+ */
+const getPlans = catchAsync(async (req, res) => {
+  const { vehicle, vehicleType, page, limit } = req.query;
+  const filter = {};
+  if (vehicle) {
+    filter.vehicle = vehicle;
+  }
+  if (vehicleType) {
+    filter.vehicleType = vehicleType;
+  }
+  const result = await maintenancePlanService.getPlans(filter, { page, limit });
+  res.send(result);
+});
+
+/**
+ * Get plans that are due or coming due
+ */
+const getDueSoon = catchAsync(async (req, res) => {
+  const dueSoon = await maintenancePlanService.getDueSoon(req.query);
+  res.send(dueSoon);
+});
+
+/**
+ * Get a maintenance plan with each vehicle's progress
+ */
+const getPlan = catchAsync(async (req, res) => {
+  const plan = await maintenancePlanService.getPlanById(req.params.planId);
+  res.send(plan);
+});
+
+/**
+ * Update a maintenance plan
+ */
+const updatePlan = catchAsync(async (req, res) => {
+  const plan = await maintenancePlanService.updatePlan(req.params.planId, req.body, req.user._id);
+  res.send(plan);
+});
+
+/**
+ * Deactivate a maintenance plan
+ */
+const deletePlan = catchAsync(async (req, res) => {
+  await maintenancePlanService.deletePlan(req.params.planId, req.user._id);
+  res.status(status.NO_CONTENT).send();
+});
+
+module.exports = {
+  createPlan,
+  getPlans,
+  getDueSoon,
+  getPlan,
+  updatePlan,
+  deletePlan
+};
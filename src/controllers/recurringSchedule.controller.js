@@ -0,0 +1,104 @@
+const httpStatus = require('http-status');
+const catchAsync = require('../utils/catchAsync');
+const { recurringScheduleService, tripScheduleService } = require('../services');
+
+/**
+ * Get all recurring schedules
+ * @route GET /recurring-schedules
+ */
+const getRecurringSchedules = catchAsync(async (req, res) => {
+  const filter = {};
+
+  if (req.query.driverId) {
+    filter.driverId = req.query.driverId;
+  }
+
+  if (req.query.vehicleId) {
+    filter.vehicleId = req.query.vehicleId;
+  }
+
+  const options = {
+    sortBy: req.query.sortBy,
+    limit: req.query.limit,
+    page: req.query.page,
+  };
+
+  const result = await recurringScheduleService.getRecurringSchedules(filter, options);
+  res.send(result);
+});
+
+/**
+ * Get recurring schedule by id
+ * @route GET /recurring-schedules/:id
+ */
+const getRecurringSchedule = catchAsync(async (req, res) => {
+  const recurringSchedule = await recurringScheduleService.getRecurringScheduleById(req.params.id);
+  res.send(recurringSchedule);
+});
+
+/**
+ * Get trip schedules generated from a recurring schedule
+ * @route GET /recurring-schedules/:id/occurrences
+ */
+const getOccurrences = catchAsync(async (req, res) => {
+  await recurringScheduleService.getRecurringScheduleById(req.params.id);
+
+  const filter = { recurringScheduleId: req.params.id };
+  if (req.query.status) {
+    filter.status = Array.isArray(req.query.status) ? { $in: req.query.status } : req.query.status;
+  }
+
+  const options = {
+    limit: req.query.limit,
+    page: req.query.page,
+  };
+
+  const result = await tripScheduleService.getSchedules(filter, options, req.user.role);
+  res.send(result);
+});
+
+/**
+ * Create a recurring schedule and generate its upcoming trip schedules
+ * @route POST /recurring-schedules
+ */
+const createRecurringSchedule = catchAsync(async (req, res) => {
+  const result = await recurringScheduleService.createRecurringSchedule(req.body, req.user._id);
+  res.status(httpStatus.status.CREATED).send(result);
+});
+
+/**
+ * Update a recurring schedule for all future occurrences
+ * @route PUT /recurring-schedules/:id
+ */
+const updateRecurringSchedule = catchAsync(async (req, res) => {
+  const result = await recurringScheduleService.updateRecurringSchedule(req.params.id, req.body, req.user._id);
+  res.send(result);
+});
+
+/**
+ * Generate upcoming trip schedules for a recurring schedule
+ * @route POST /recurring-schedules/:id/generate
+ */
+const generateOccurrences = catchAsync(async (req, res) => {
+  const result = await recurringScheduleService.regenerateOccurrences(req.params.id);
+  res.send(result);
+});
+
+/**
+ * Delete a recurring schedule
+ * @route DELETE /recurring-schedules/:id
+ */
+const deleteRecurringSchedule = catchAsync(async (req, res) => {
+  await recurringScheduleService.deleteRecurringSchedule(req.params.id, req.user._id);
+  res.status(httpStatus.status.NO_CONTENT).send();
+});
+
+module.exports = {
+  getRecurringSchedules,
+  getRecurringSchedule,
+  getOccurrences,
+  createRecurringSchedule,
+  updateRecurringSchedule,
+  generateOccurrences,
+  deleteRecurringSchedule,
+};
@@ -0,0 +1,143 @@
+const { status } = require('http-status');
+const catchAsync = require('../utils/catchAsync');
+const { rosterService } = require('../services');
+
+/**
+ * Create a driver roster
+ */
+const createRoster = catchAsync(async (req, res) => {
+  const roster = await rosterService.createRoster(req.body, req.user._id);
+  res.status(status.CREATED).send(roster);
+});
+
+/**
+ * Get driver rosters
+ */
+const getRosters = catchAsync(async (req, res) => {
+  const { driverId, activeOn, sortBy, page, limit } = req.query;
+  const filter = {};
+  if (driverId) {
+    filter.driverId = driverId;
+  }
+  if (activeOn) {
+    filter.activeOn = activeOn;
+  }
+  const result = await rosterService.getRosters(filter, { sortBy, page, limit });
+  res.send(result);
+});
+
+/**
+ * Get a driver roster
+ */
+const getRoster = catchAsync(async (req, res) => {
+  const roster = await rosterService.getRosterById(req.params.rosterId);
+  res.send(roster);
+});
+
+/**
+ * Update a driver roster
+ */
+const updateRoster = catchAsync(async (req, res) => {
+  const roster = await rosterService.updateRoster(req.params.rosterId, req.body, req.user._id);
+  res.send(roster);
+});
+
+/**
+ * Delete a driver roster
+ */
+const deleteRoster = catchAsync(async (req, res) => {
+  await rosterService.deleteRoster(req.params.rosterId, req.user._id);
+  res.status(status.NO_CONTENT).send();
+});
+
+/**
+ * Add a shift change, day off, leave or sick days
+ */
+const createException = catchAsync(async (req, res) => {
+  const exception = await rosterService.createException(req.body, req.user._id);
+  res.status(status.CREATED).send(exception);
+});
+
+/**
+ * Get roster exceptions
+ */
+const getExceptions = catchAsync(async (req, res) => {
+  const { driverId, type, from, to, sortBy, page, limit } = req.query;
+  const filter = { from, to };
+  if (driverId) {
+    filter.driverId = driverId;
+  }
+  if (type) {
+    filter.type = type;
+  }
+  const result = await rosterService.getExceptions(filter, { sortBy, page, limit });
+  res.send(result);
+});
+
+/**
+ * Delete a roster exception
+ */
+const deleteException = catchAsync(async (req, res) => {
+  await rosterService.deleteException(req.params.exceptionId, req.user._id);
+  res.status(status.NO_CONTENT).send();
+});
+
+/**
+ * Add a public holiday
+ */
+const createHoliday = catchAsync(async (req, res) => {
+  const holiday = await rosterService.createHoliday(req.body, req.user._id);
+  res.status(status.CREATED).send(holiday);
+});
+
+/**
+ * Get public holidays
+ */
+const getHolidays = catchAsync(async (req, res) => {
+  const holidays = await rosterService.getHolidays(req.query);
+  res.send(holidays);
+});
+
+/**
+ * Delete a public holiday
+ */
+const deleteHoliday = catchAsync(async (req, res) => {
+  await rosterService.deleteHoliday(req.params.holidayId);
+  res.status(status.NO_CONTENT).send();
+});
+
+/**
+ * Get the roster calendar, drivers only get their own
+ */
+const getCalendar = catchAsync(async (req, res) => {
+  const query = { ...req.query };
+  if (req.user.role === 'driver') {
+    query.driverId = req.user._id;
+  }
+  const calendar = await rosterService.getCalendar(query);
+  res.send(calendar);
+});
+
+/**
+ * Get rostered shifts against attendance
+ */
+const getAttendanceReport = catchAsync(async (req, res) => {
+  const report = await rosterService.getAttendanceReport(req.query);
+  res.send(report);
+});
+
+module.exports = {
+  createRoster,
+  getRosters,
+  getRoster,
+  updateRoster,
+  deleteRoster,
+  createException,
+  getExceptions,
+  deleteException,
+  createHoliday,
+  getHolidays,
+  deleteHoliday,
+  getCalendar,
+  getAttendanceReport
+};
@@ -19,39 +19,13 @@ const getTrips = async (req, res, next) => {
       search 
     } = req.query;
     
-    // Build filters
-    const filters = {};
-    
-    if (status) {
-      filters.status = status;
-    }
-    
-    // Date range filters
-    if (startDate || endDate) {
-      filters.scheduledStartTime = {};
-      
-      if (startDate) {
-        filters.scheduledStartTime.$gte = new Date(startDate);
-      }
-      
-      if (endDate) {
-        filters.scheduledStartTime.$lte = new Date(endDate);
-      }
-    }
-    
-    // Search implementation
-    if (search) {
-      filters.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { purpose: { $regex: search, $options: 'i' } }
-      ];
-    }
+    // Build filters, mapped onto trip schedules by the service
+    const filters = { status, startDate, endDate, search };
     
     // Build options
     const options = {
       page: parseInt(page, 10),
-      limit: parseInt(limit, 10),
-      sort: { scheduledStartTime: -1 }
+      limit: parseInt(limit, 10)
     };
     
     // Get trips
@@ -76,7 +50,11 @@ const getTrip = async (req, res, next) => {
     // Get trip
     const trip = await tripService.getTripById(id);
     
-    if (!trip) {
+    // Drivers only see their own trips
+    const isOtherDriversTrip = trip && req.user.role === 'driver'
+      && (!trip.driver || trip.driver.id.toString() !== req.user._id.toString());
+    
+    if (!trip || isOtherDriversTrip) {
       return res.status(404).json(errorResponse('Trip not found', 404));
     }
     
@@ -100,7 +78,8 @@ const getTripsByDriver = async (req, res, next) => {
     // Build options
     const options = {
       page: parseInt(page, 10),
-      limit: parseInt(limit, 10)
+      limit: parseInt(limit, 10),
+      status
     };
     
     // Get trips
@@ -126,7 +105,8 @@ const getTripsByVehicle = async (req, res, next) => {
     // Build options
     const options = {
       page: parseInt(page, 10),
-      limit: parseInt(limit, 10)
+      limit: parseInt(limit, 10),
+      status
     };
     
     // Get trips
@@ -146,23 +126,17 @@ const getTripsByVehicle = async (req, res, next) => {
  */
 const getMyTrips = async (req, res, next) => {
   try {
-    // Get driver ID from user context
-    const { driverId } = req.user;
-    
-    if (!driverId) {
-      return res.status(400).json(errorResponse('You are not registered as a driver', 400));
-    }
-    
     const { page = 1, limit = 10, status } = req.query;
     
     // Build options
     const options = {
       page: parseInt(page, 10),
-      limit: parseInt(limit, 10)
+      limit: parseInt(limit, 10),
+      status
     };
     
-    // Get trips
-    const result = await tripService.getTripsByDriver(driverId, options);
+    // Trips are assigned to the driver's user
+    const result = await tripService.getTripsByDriver(req.user._id, options);
     
     return res.status(200).json(successResponse(result));
   } catch (err) {
@@ -186,14 +160,14 @@ const createTrip = async (req, res, next) => {
     
     return res.status(201).json(successResponse(trip, 'Trip created successfully'));
   } catch (err) {
-    if (err.message.includes('scheduling conflict')) {
-      return res.status(409).json(errorResponse(err.message, 409));
-    }
-    
     if (err.message.includes('not found') || err.message.includes('inactive')) {
       return res.status(404).json(errorResponse(err.message, 404));
     }
     
+    if (err.message.includes('is currently')) {
+      return res.status(400).json(errorResponse(err.message, 400));
+    }
+    
     next(err);
   }
 };
@@ -209,19 +183,15 @@ const updateTrip = async (req, res, next) => {
     const { id } = req.params;
     
     // Update trip
-    const trip = await tripService.updateTrip(id, req.body);
+    const trip = await tripService.updateTrip(id, req.body, req.user._id);
     
     return res.status(200).json(successResponse(trip, 'Trip updated successfully'));
   } catch (err) {
-    if (err.message.includes('Trip not found')) {
+    if (err.message.includes('not found') || err.message.includes('inactive')) {
       return res.status(404).json(errorResponse(err.message, 404));
     }
     
-    if (err.message.includes('scheduling conflict')) {
-      return res.status(409).json(errorResponse(err.message, 409));
-    }
-    
-    if (err.message.includes('Cannot update')) {
+    if (err.message.includes('Cannot update') || err.message.includes('is currently')) {
       return res.status(400).json(errorResponse(err.message, 400));
     }
     
@@ -241,7 +211,7 @@ const updateTripStatus = async (req, res, next) => {
     const { status, ...statusData } = req.body;
     
     // Update trip status
-    const trip = await tripService.updateTripStatus(id, status, statusData);
+    const trip = await tripService.updateTripStatus(id, status, statusData, req.user);
     
     return res.status(200).json(successResponse(trip, `Trip status updated to ${status}`));
   } catch (err) {
@@ -249,6 +219,10 @@ const updateTripStatus = async (req, res, next) => {
       return res.status(404).json(errorResponse(err.message, 404));
     }
     
+    if (err.message.includes('drivers can only')) {
+      return res.status(403).json(errorResponse(err.message, 403));
+    }
+    
     if (err.message.includes('Cannot change trip status')) {
       return res.status(400).json(errorResponse(err.message, 400));
     }
@@ -268,7 +242,7 @@ const addCheckpoint = async (req, res, next) => {
     const { id } = req.params;
     
     // Add checkpoint
-    const trip = await tripService.addCheckpoint(id, req.body);
+    const trip = await tripService.addCheckpoint(id, req.body, req.user);
     
     return res.status(200).json(successResponse(trip, 'Checkpoint added successfully'));
   } catch (err) {
@@ -276,10 +250,6 @@ const addCheckpoint = async (req, res, next) => {
       return res.status(404).json(errorResponse(err.message, 404));
     }
     
-    if (err.message.includes('Cannot add checkpoints')) {
-      return res.status(400).json(errorResponse(err.message, 400));
-    }
-    
     next(err);
   }
 };
@@ -296,18 +266,10 @@ const updateCheckpointStatus = async (req, res, next) => {
     const { status, notes } = req.body;
     
     // Update checkpoint status
-    const trip = await tripService.updateCheckpointStatus(tripId, checkpointId, status, notes);
+    const trip = await tripService.updateCheckpointStatus(tripId, checkpointId, status, notes, req.user);
     
     return res.status(200).json(successResponse(trip, 'Checkpoint status updated successfully'));
   } catch (err) {
-    if (err.message.includes('not found')) {
-      return res.status(404).json(errorResponse(err.message, 404));
-    }
-    
-    if (err.message.includes('Cannot update checkpoints')) {
-      return res.status(400).json(errorResponse(err.message, 400));
-    }
-    
     next(err);
   }
 };
@@ -323,7 +285,7 @@ const deleteTrip = async (req, res, next) => {
     const { id } = req.params;
     
     // Delete trip
-    await tripService.deleteTrip(id);
+    await tripService.deleteTrip(id, req.user._id);
     
     return res.status(200).json(successResponse(null, 'Trip deleted successfully'));
   } catch (err) {
@@ -1,8 +1,9 @@
 const {status} = require('http-status');
 const catchAsync = require('../utils/catchAsync');
-const { tripRequestService } = require('../services');
+const { tripRequestService, assignmentService, tripPoolingService, tripScheduleService } = require('../services');
 const ApiError = require('../utils/ApiError');
 const { successResponse } = require('../common/responses/response.utils');
+const { sendNotificationsToRoles, sendNotificationsToIds, formatTripScheduleNotification } = require('../utils/notifcationHelper');
 
 /**
  * Get all trip requests with filtering and pagination
@@ -101,10 +102,66 @@ const deleteTripRequest = catchAsync(async (req, res) => {
   res.status(status.NO_CONTENT).send();
 });
 
+/**
+ * Suggest ranked driver and vehicle pairs for a pending trip request
+ * @route POST /trip-requests/:id/suggest-assignment
+ */
+const suggestAssignment = catchAsync(async (req, res) => {
+  const result = await assignmentService.suggestAssignment(req.params.id, req.body);
+  res.send(result);
+});
+
+/**
+ * Propose pools of pending trip requests that can share one vehicle
+ * @route GET /trip-requests/pools
+ */
+const getPools = catchAsync(async (req, res) => {
+  const { dateFrom, dateTo, maxPoolSize } = req.query;
+  const result = await tripPoolingService.proposePools({ dateFrom, dateTo, maxPoolSize });
+  res.send(result);
+});
+
+/**
+ * Create a trip schedule from an accepted pool of trip requests
+ * @route POST /trip-requests/pools
+ */
+const createPoolSchedule = catchAsync(async (req, res) => {
+  const tripSchedule = await tripPoolingService.createScheduleFromPool(req.body, req.user._id);
+
+  tripScheduleService.getScheduleById(tripSchedule._id).then(tripScheduleData => {
+    // Notify all schedulers-admins-super-admins
+    sendNotificationsToRoles(['scheduler', 'admin', 'super-admin'], ['receiveTripScheduledNotification'], 'New Trip Schedule', formatTripScheduleNotification(tripScheduleData), {
+      tripScheduleId: tripSchedule._id.toString()
+    }, [req.user._id]).catch(error => {
+      console.error('Send notification error:', error);
+    });
+
+    // Notify requested person(s)
+    const requestedPersonIds = tripScheduleData.destinations
+      .filter(dest => dest.createdBy)
+      .map(dest => dest.createdBy.id.toString());
+
+    if (requestedPersonIds.length > 0) {
+      sendNotificationsToIds(requestedPersonIds, [], 'Your Request is Scheduled', formatTripScheduleNotification(tripScheduleData), {
+        tripScheduleId: tripSchedule._id.toString()
+      }).catch(error => {
+        console.error('Send notification error:', error);
+      });
+    }
+  }).catch(error => {
+    console.error('Error getting trip schedule data:', error);
+  });
+
+  res.status(status.CREATED).send(tripSchedule);
+});
+
 module.exports = {
   getTripRequests,
   getTripRequest,
   createTripRequest,
   updateTripRequest,
   deleteTripRequest,
+  suggestAssignment,
+  getPools,
+  createPoolSchedule,
 }; 
\ No newline at end of file
@@ -1,8 +1,9 @@
 const httpStatus = require('http-status');
 const catchAsync = require('../utils/catchAsync');
-const { tripScheduleService, tripRequestService } = require('../services');
+const { tripScheduleService, tripRouteService } = require('../services');
 const ApiError = require('../utils/ApiError');
 const { sendNotificationsToRoles, formatTripScheduleNotification, sendNotificationsToIds } = require('../utils/notifcationHelper');
+const { createTripCancelledRequestorNotification, createTripCancelledDriverNotification } = require('../notificationTemplates/trips');
 /**
  * Get all trip schedules with filtering and pagination
  * @route GET /schedules
@@ -25,6 +26,14 @@ const getSchedules = catchAsync(async (req, res) => {
   if (req.query.status) {
     filter.status = req.query.status;
   }
+
+  if (req.query.isDistanceFlagged !== undefined) {
+    filter.isDistanceFlagged = req.query.isDistanceFlagged;
+  }
+
+  if (req.query.isOffRoster !== undefined) {
+    filter.isOffRoster = req.query.isOffRoster;
+  }
   
   // Add date range filter for trip start time
   if (req.query.dateFrom || req.query.dateTo) {
@@ -75,21 +84,23 @@ const getSchedule = catchAsync(async (req, res) => {
   res.send(tripSchedule);
 });
 
+/**
+ * Get the GPS route of a trip schedule as GeoJSON
+ * @route GET /schedules/:id/route
+ */
+const getScheduleRoute = catchAsync(async (req, res) => {
+  const route = await tripRouteService.getTripRoute(req.params.id);
+  res.send(route);
+});
+
 /**
  * Create a new trip schedule
  * @route POST /schedules
  */
 const createSchedule = catchAsync(async (req, res) => {
   try {
-    // Create schedule
+    // Create schedule; linked trip requests are marked as scheduled in the same transaction
     const tripSchedule = await tripScheduleService.createSchedule(req.body, req.user._id);
-    
-    // Update trip requests to mark them as scheduled
-    for (const destination of req.body.destinations) {
-      if (destination.requestId) {
-        await tripRequestService.updateRequestLinkStatus(destination.requestId, tripSchedule.id);
-      }
-    }
 
     tripScheduleService.getScheduleById(tripSchedule.id).then(tripScheduleData => {
 
@@ -170,72 +181,71 @@ const updateSchedule = catchAsync(async (req, res) => {
   res.send(tripSchedule);
 });
 
+/**
+ * Notify staff, requestors of the affected requests and the driver that a schedule was called off
+ * @param {Object} scheduleData - Formatted schedule, fetched before the change
+ * @param {Object[]} affectedRequests - Trip requests unlinked from the schedule
+ * @param {Object} cancellation - { title, reason, requestPolicy }
+ * @param {ObjectId} userId - User who cancelled or deleted the schedule
+ */
+const notifyScheduleCancellation = (scheduleData, affectedRequests, { title, reason, requestPolicy }, userId) => {
+  const data = {
+    tripScheduleId: scheduleData.id.toString(),
+    reason,
+    requestPolicy
+  };
+
+  // Notify all schedulers-admins-super-admins
+  sendNotificationsToRoles(['scheduler', 'admin', 'super-admin'], ['receiveTripScheduleCancelledNotification'], title, formatTripScheduleNotification(scheduleData), data, [userId]).catch(error => {
+    console.error('Send notification error:', error);
+  });
+
+  // Notify requested person(s)
+  const requestedPersonIds = [...new Set(affectedRequests
+    .filter(request => request.createdBy)
+    .map(request => request.createdBy.toString()))];
+
+  if (requestedPersonIds.length > 0) {
+    sendNotificationsToIds(requestedPersonIds, [], 'Your Scheduled Trip is Cancelled', createTripCancelledRequestorNotification(scheduleData, reason, requestPolicy), data).catch(error => {
+      console.error('Send notification error:', error);
+    });
+  }
+
+  // Notify assigned driver
+  if (scheduleData.driver) {
+    sendNotificationsToIds([scheduleData.driver.id.toString()], [], 'Trip Cancelled', createTripCancelledDriverNotification(scheduleData, reason), data).catch(error => {
+      console.error('Send notification error:', error);
+    });
+  }
+};
+
 /**
  * Delete trip schedule by id
  * @route DELETE /schedules/:id 
  */
 const deleteSchedule = catchAsync(async (req, res) => {
-  const schedule = await tripScheduleService.getScheduleById(req.params.id, false);
-  
-  // Unlink all trip requests
-  if (schedule && schedule.destinations) {
-    for (const destination of schedule.destinations) {
-      if (destination.requestId._id) {
-        await tripRequestService.updateRequestLinkStatus(destination.requestId._id, null);
-      }
-    }
-  }
-  
-  await tripScheduleService.deleteSchedule(req.params.id, req.user._id);
+  // Fetch before deleting, a deleted schedule can no longer be read
+  const scheduleData = await tripScheduleService.getScheduleById(req.params.id);
+  const { reason, requestPolicy } = req.body;
+
+  const { affectedRequests } = await tripScheduleService.deleteSchedule(req.params.id, req.user._id, { reason, requestPolicy });
+
+  notifyScheduleCancellation(scheduleData, affectedRequests, { title: 'Trip Deleted', reason, requestPolicy }, req.user._id);
+
   res.status(httpStatus.status.NO_CONTENT).send();
 });
 
 /**
  * Cancel trip schedule by id
- * @route DELETE /schedules/:id/cancel 
+ * @route DELETE /schedules/:id/cancel
  */
 const cancelSchedule = catchAsync(async (req, res) => {
-  const schedule = await tripScheduleService.getScheduleById(req.params.id, false);
-  
-  // Unlink all trip requests
-  if (schedule && schedule.destinations) {
-    for (const destination of schedule.destinations) {
-      if (destination.requestId._id) {
-        await tripRequestService.updateRequestLinkStatus(destination.requestId._id, null);
-      }
-    }
-  }
-  
-  await tripScheduleService.cancelSchedule(req.params.id, req.user._id);
-
-  tripScheduleService.getScheduleById(req.params.id).then(cancelledSchedule => {
-
-  // Notify all schedulers-admins-super-admins
-  sendNotificationsToRoles(['scheduler', 'admin', 'super-admin'], ['receiveTripScheduledNotification'], 'Trip Cancelled', formatTripScheduleNotification(cancelledSchedule), {
-    tripScheduleId: cancelledSchedule.id.toString()
-  }).catch(error => {
-    console.error('Send notification error:', error);
-  },[req.user._id]);
+  const scheduleData = await tripScheduleService.getScheduleById(req.params.id);
+  const { reason, requestPolicy } = req.body;
 
-  // Collect all requesters IDs
-  let requestedPersonIds = [];
-  cancelledSchedule.destinations.forEach(dest => {
-    if (dest.createdBy) {
-      requestedPersonIds.push(dest.createdBy.id.toString());
-    }
-  });
+  const { affectedRequests } = await tripScheduleService.cancelSchedule(req.params.id, req.user._id, { reason, requestPolicy });
 
-  // Notify requested person(s)
-  if (requestedPersonIds.length > 0) {
-    sendNotificationsToIds(requestedPersonIds, [], 'Your Scheduled Trip is Cancelled', formatTripScheduleNotification(cancelledSchedule), {
-      tripScheduleId: cancelledSchedule.id.toString()
-    }).catch(error => {
-      console.error('Send notification error:', error);
-    });
-  }
-  }).catch(error => {
-    console.error('Error getting trip schedule data:', error);
-  });
+  notifyScheduleCancellation(scheduleData, affectedRequests, { title: 'Trip Cancelled', reason, requestPolicy }, req.user._id);
 
   res.status(httpStatus.status.NO_CONTENT).send();
 });
@@ -325,13 +335,13 @@ const startTrip = catchAsync(async (req, res) => {
 });
 
 /**
- * Complete a trip
+ * Complete a trip, with the driver's post-trip condition report
  * @route PATCH /api/trip-schedules/:tripId/complete
  * @access Private - Driver
  */
 const completeTrip = catchAsync(async (req, res) => {
   const { tripId } = req.params;
-  const { odometer, notes, coordinates } = req.body;
+  const { odometer, notes, coordinates, fuelConsumption, maintenanceRequired, maintenanceNotes } = req.body;
   
   if (!odometer) {
     throw new ApiError(httpStatus.status.BAD_REQUEST, 'Odometer reading is required');
@@ -340,7 +350,10 @@ const completeTrip = catchAsync(async (req, res) => {
   const trip = await tripScheduleService.completeTrip(tripId, req.user._id, {
     odometer,
     notes,
-    coordinates
+    coordinates,
+    fuelConsumption,
+    maintenanceRequired,
+    maintenanceNotes
   });
   
   return res.status(httpStatus.status.OK).json({
@@ -350,9 +363,28 @@ const completeTrip = catchAsync(async (req, res) => {
   });
 });
 
+/**
+ * Add a checkpoint to a destination
+ * @route POST /schedules/:id/destinations/:destinationId/checkpoints
+ */
+const addCheckpoint = catchAsync(async (req, res) => {
+  const schedule = await tripScheduleService.addCheckpoint(req.params.id, req.params.destinationId, req.body, req.user);
+  res.status(httpStatus.status.CREATED).send(schedule);
+});
+
+/**
+ * Update the status of a checkpoint
+ * @route PATCH /schedules/:id/checkpoints/:checkpointId
+ */
+const updateCheckpointStatus = catchAsync(async (req, res) => {
+  const schedule = await tripScheduleService.updateCheckpointStatus(req.params.id, req.params.checkpointId, req.body, req.user);
+  res.send(schedule);
+});
+
 module.exports = {
   getSchedules,
   getSchedule,
+  getScheduleRoute,
   createSchedule,
   updateSchedule,
   deleteSchedule,
@@ -361,5 +393,7 @@ module.exports = {
   getDriverMyTrips,
   getDriverMyUpcomingTrips,
   startTrip,
-  completeTrip
+  completeTrip,
+  addCheckpoint,
+  updateCheckpointStatus
 }; 
\ No newline at end of file
@@ -0,0 +1,39 @@
+const httpStatus = require('http-status');
+const catchAsync = require('../utils/catchAsync');
+const { tripTrackingService } = require('../services');
+
+/**
+ * Create a shareable tracking link for an in-progress trip
+ * @route POST /schedules/:id/tracking-links
+ */
+const createTrackingLink = catchAsync(async (req, res) => {
+  const link = await tripTrackingService.createTrackingLink(req.params.id, req.user, {
+    expiresInMinutes: req.body.expiresInMinutes
+  });
+  res.status(httpStatus.status.CREATED).send(link);
+});
+
+/**
+ * Revoke a tracking link
+ * @route DELETE /schedules/:id/tracking-links/:linkId
+ */
+const revokeTrackingLink = catchAsync(async (req, res) => {
+  await tripTrackingService.revokeTrackingLink(req.params.id, req.params.linkId, req.user);
+  res.status(httpStatus.status.NO_CONTENT).send();
+});
+
+/**
+ * Public read-only view of a tracked trip
+ * @route GET /tracking/:token
+ */
+const getTrackingView = catchAsync(async (req, res) => {
+  const view = await tripTrackingService.getTrackingView(req.params.token);
+  res.set('Cache-Control', 'no-store');
+  res.send(view);
+});
+
+module.exports = {
+  createTrackingLink,
+  revokeTrackingLink,
+  getTrackingView
+};
@@ -1,4 +1,5 @@
 const vehicleService = require('../services/vehicle.service');
+const vehicleDowntimeService = require('../services/vehicleDowntime.service');
 const { successResponse, errorResponse } = require('../common/responses/response.utils');
 
 /**
@@ -131,10 +132,10 @@ const updateVehicle = async (req, res, next) => {
 const updateVehicleStatus = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, notes } = req.body;
     
     // Update vehicle status
-    const vehicle = await vehicleService.updateVehicleStatus(id, status);
+    const vehicle = await vehicleService.updateVehicleStatus(id, status, { notes, userId: req.user._id });
     
     return res.status(200).json(successResponse(vehicle, 'Vehicle status updated successfully'));
   } catch (err) {
@@ -220,6 +221,43 @@ const deleteVehicle = async (req, res, next) => {
   }
 };
 
+/**
+ * Get availability percentage and downtime of vehicles for a month
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getAvailabilityReport = async (req, res, next) => {
+  try {
+    const { month, vehicleId } = req.query;
+
+    const report = await vehicleDowntimeService.getAvailabilityReport({ month, vehicleId });
+
+    return res.status(200).json(successResponse(report));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Get the downtime ledger of a vehicle
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getVehicleDowntime = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { from, to } = req.query;
+
+    const downtime = await vehicleDowntimeService.getVehicleDowntime(id, { from, to });
+
+    return res.status(200).json(successResponse(downtime));
+  } catch (err) {
+    next(err);
+  }
+};
+
 module.exports = {
   getVehicles,
   getVehicle,
@@ -228,5 +266,7 @@ module.exports = {
   updateVehicleStatus,
   assignDriver,
   removeDriver,
-  deleteVehicle
+  deleteVehicle,
+  getAvailabilityReport,
+  getVehicleDowntime
 }; 
\ No newline at end of file
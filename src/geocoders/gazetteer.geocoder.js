@@ -0,0 +1,51 @@
+/**
+ * Gazetteer Geocoder
+ * Names a point after the nearest known place, without any network calls
+ */
+const fs = require('fs');
+const { haversineDistanceKm, isValidCoordinates } = require('../utils/geo');
+const env = require('../config/env');
+
+/**
+ * Load named places from the gazetteer file
+ * Each entry is { name, coordinates: [longitude, latitude], radiusMeters? }
+ * @returns {Object[]}
+ */
+const loadPlaces = () => {
+  if (!env.GEOCODER_GAZETTEER_FILE) {
+    return [];
+  }
+
+  const places = JSON.parse(fs.readFileSync(env.GEOCODER_GAZETTEER_FILE, 'utf8'));
+  return places.filter(place => place.name && isValidCoordinates(place.coordinates));
+};
+
+/**
+ * Create the gazetteer provider
+ * @returns {{name: string, reverse: Function}}
+ */
+const createGazetteerGeocoder = () => {
+  const places = loadPlaces();
+
+  return {
+    name: 'gazetteer',
+
+    /**
+     * @param {number[]} coordinates - [longitude, latitude]
+     * @returns {Promise<string|null>} Name of the nearest place within its radius
+     */
+    reverse: async (coordinates) => {
+      let nearest = null;
+      places.forEach(place => {
+        const distanceMeters = haversineDistanceKm(place.coordinates, coordinates) * 1000;
+        const radiusMeters = place.radiusMeters || env.GEOCODER_GAZETTEER_RADIUS_METERS;
+        if (distanceMeters <= radiusMeters && (!nearest || distanceMeters < nearest.distanceMeters)) {
+          nearest = { name: place.name, distanceMeters };
+        }
+      });
+      return nearest ? nearest.name : null;
+    }
+  };
+};
+
+module.exports = createGazetteerGeocoder;
@@ -0,0 +1,34 @@
+/**
+ * HTTP Geocoder
+ * Reverse geocodes through a geocode.maps.co compatible API
+ */
+const env = require('../config/env');
+
+/**
+ * Create the HTTP provider
+ * @returns {{name: string, reverse: Function}}
+ */
+const createHttpGeocoder = () => ({
+  name: 'http',
+
+  /**
+   * @param {number[]} coordinates - [longitude, latitude]
+   * @returns {Promise<string|null>} Place name
+   */
+  reverse: async ([lon, lat]) => {
+    const url = new URL(env.GEOCODER_HTTP_URL);
+    url.searchParams.set('lat', lat);
+    url.searchParams.set('lon', lon);
+    url.searchParams.set('api_key', env.GEOCODER_API_KEY);
+
+    const response = await fetch(url, { signal: AbortSignal.timeout(env.GEOCODER_TIMEOUT_MS) });
+    if (!response.ok) {
+      throw new Error(`Geocoder responded with ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.display_name || null;
+  }
+});
+
+module.exports = createHttpGeocoder;
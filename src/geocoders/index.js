@@ -0,0 +1,43 @@
+/**
+ * Geocoder providers
+ * The provider is selected with GEOCODER_PROVIDER
+ */
+const createHttpGeocoder = require('./http.geocoder');
+const createGazetteerGeocoder = require('./gazetteer.geocoder');
+const createNoopGeocoder = require('./noop.geocoder');
+const env = require('../config/env');
+
+const providers = {
+  http: createHttpGeocoder,
+  gazetteer: createGazetteerGeocoder,
+  none: createNoopGeocoder
+};
+
+let geocoder = null;
+
+/**
+ * Get the configured geocoder, created on first use
+ * @returns {{name: string, reverse: Function}}
+ */
+const getGeocoder = () => {
+  if (geocoder) {
+    return geocoder;
+  }
+
+  let providerName = env.GEOCODER_PROVIDER;
+  if (!providers[providerName]) {
+    console.warn(`Unknown geocoder provider "${providerName}", locations will not be named`);
+    providerName = 'none';
+  }
+  if (providerName === 'http' && !env.GEOCODER_API_KEY) {
+    console.warn('GEOCODER_API_KEY is not set, locations will not be named');
+    providerName = 'none';
+  }
+
+  geocoder = providers[providerName]();
+  return geocoder;
+};
+
+module.exports = {
+  getGeocoder
+};
@@ -0,0 +1,10 @@
+/**
+ * No-op Geocoder
+ * Leaves locations unnamed, for environments without geocoding
+ */
+const createNoopGeocoder = () => ({
+  name: 'none',
+  reverse: async () => null
+});
+
+module.exports = createNoopGeocoder;
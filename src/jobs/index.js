@@ -0,0 +1,62 @@
+/**
+ * Background Jobs
+ * Registers and starts all periodic jobs
+ */
+const jobRunner = require('./jobRunner');
+const reminderService = require('../services/reminder.service');
+const idleAlertService = require('../services/idleAlert.service');
+const recurringScheduleService = require('../services/recurringSchedule.service');
+const geocodingService = require('../services/geocoding.service');
+const locationRetentionService = require('../services/locationRetention.service');
+const maintenancePlanService = require('../services/maintenancePlan.service');
+const complianceService = require('../services/compliance.service');
+const attendanceCorrectionService = require('../services/attendanceCorrection.service');
+const env = require('../config/env');
+
+/**
+ * Register all background jobs with the runner
+ */
+const registerJobs = () => {
+  jobRunner.register('upcoming-trip-reminders', env.REMINDER_JOB_INTERVAL_MS, () => reminderService.sendUpcomingTripReminders());
+  jobRunner.register('punch-out-reminders', env.REMINDER_JOB_INTERVAL_MS, () => reminderService.sendPunchOutReminders());
+  jobRunner.register('idle-driver-alerts', env.IDLE_ALERT_JOB_INTERVAL_MS, () => idleAlertService.evaluateIdleDrivers());
+  jobRunner.register('recurring-schedule-generation', env.RECURRING_SCHEDULE_JOB_INTERVAL_MS, () => recurringScheduleService.generateUpcomingOccurrences());
+  jobRunner.register('location-geocode-backfill', env.GEOCODE_BACKFILL_JOB_INTERVAL_MS, () => geocodingService.backfillLocations());
+  const archiveDirError = locationRetentionService.getArchiveDirError();
+  if (archiveDirError && !env.LOCATION_RETENTION_DRY_RUN) {
+    console.warn(`Location retention job disabled: ${archiveDirError}`);
+  } else {
+    jobRunner.register('location-retention', env.LOCATION_RETENTION_JOB_INTERVAL_MS, async () => {
+      const report = await locationRetentionService.applyRetention();
+      console.log(`Location retention${report.dryRun ? ' (dry run)' : ''}: ${report.downsampled.removed} points downsampled, ${report.archived.count} points archived`);
+    });
+  }
+  jobRunner.register('maintenance-plan-evaluation', env.MAINTENANCE_PLAN_JOB_INTERVAL_MS, () => maintenancePlanService.evaluateAllVehicles());
+  jobRunner.register('document-expiry-alerts', env.COMPLIANCE_JOB_INTERVAL_MS, () => complianceService.sendExpiryAlerts());
+  jobRunner.register('attendance-auto-close', env.ATTENDANCE_AUTO_CLOSE_JOB_INTERVAL_MS, () => attendanceCorrectionService.closeOpenPunches());
+};
+
+/**
+ * Start background jobs unless disabled through the environment
+ */
+const startJobs = () => {
+  if (!env.JOBS_ENABLED) {
+    console.log('Background jobs are disabled');
+    return;
+  }
+
+  registerJobs();
+  jobRunner.start();
+};
+
+/**
+ * Stop all background jobs
+ */
+const stopJobs = () => {
+  jobRunner.stop();
+};
+
+module.exports = {
+  startJobs,
+  stopJobs
+};
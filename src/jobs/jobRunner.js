@@ -0,0 +1,111 @@
+/**
+ * Job Runner
+ * Minimal in-process scheduler for periodic background jobs
+ */
+class JobRunner {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  /**
+   * Register a periodic job
+   * @param {string} name - Unique job name
+   * @param {number} intervalMs - Interval between runs in milliseconds
+   * @param {Function} handler - Async function executed on every run
+   * @param {Object} [options] - Job options
+   * @param {boolean} [options.runOnStart=true] - Run once immediately when started
+   */
+  register(name, intervalMs, handler, options = {}) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job "${name}" is already registered`);
+    }
+
+    this.jobs.set(name, {
+      name,
+      intervalMs,
+      handler,
+      runOnStart: options.runOnStart !== false,
+      timer: null,
+      isRunning: false,
+      lastRunAt: null,
+      lastError: null
+    });
+  }
+
+  /**
+   * Run a job once, skipping the run if the previous one is still in progress
+   * @param {string} name - Job name
+   * @returns {Promise<void>}
+   */
+  async run(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Job "${name}" is not registered`);
+    }
+
+    if (job.isRunning) {
+      return;
+    }
+
+    job.isRunning = true;
+    try {
+      await job.handler();
+      job.lastError = null;
+    } catch (error) {
+      job.lastError = error.message;
+      console.error(`Job "${name}" failed:`, error);
+    } finally {
+      job.isRunning = false;
+      job.lastRunAt = new Date();
+    }
+  }
+
+  /**
+   * Start all registered jobs
+   */
+  start() {
+    this.jobs.forEach(job => {
+      if (job.timer) {
+        return;
+      }
+
+      job.timer = setInterval(() => this.run(job.name), job.intervalMs);
+      // Don't keep the process alive just for background jobs
+      job.timer.unref();
+
+      if (job.runOnStart) {
+        this.run(job.name);
+      }
+    });
+
+    console.log(`Background jobs started: ${Array.from(this.jobs.keys()).join(', ')}`);
+  }
+
+  /**
+   * Stop all running jobs
+   */
+  stop() {
+    this.jobs.forEach(job => {
+      if (job.timer) {
+        clearInterval(job.timer);
+        job.timer = null;
+      }
+    });
+  }
+
+  /**
+   * Get the status of all registered jobs
+   * @returns {Array<Object>} Job status list
+   */
+  getStatus() {
+    return Array.from(this.jobs.values()).map(job => ({
+      name: job.name,
+      intervalMs: job.intervalMs,
+      isRunning: job.isRunning,
+      lastRunAt: job.lastRunAt,
+      lastError: job.lastError
+    }));
+  }
+}
+
+module.exports = new JobRunner();
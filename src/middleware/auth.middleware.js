@@ -2,6 +2,7 @@ const jwt = require('jsonwebtoken');
 const { errorResponse } = require('../common/responses/response.utils');
 const env = require('../config/env');
 const User = require('../models/user.model');
+const liveFleetService = require('../services/liveFleet.service');
 
 /**
  * Verify JWT token middleware
@@ -24,8 +25,11 @@ const verifyToken = async (req, res, next) => {
     // Remove Bearer prefix if present
     const tokenValue = token.startsWith('Bearer ') ? token.slice(7) : token;
     
-    // Verify token
+    // Verify token, scoped tokens such as stream tokens don't authenticate other requests
     const decoded = jwt.verify(tokenValue, env.JWT_SECRET);
+    if (decoded.scope) {
+      throw new Error('Scoped token');
+    }
     
     // Check if user exists in database
     const user = await User.findOne({ 
@@ -54,6 +58,46 @@ const verifyToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Authenticate the live stream with a ?token= stream token when no header is sent
+ * For clients such as EventSource that cannot set headers. Login tokens are not accepted
+ * in the URL, where they would end up in proxy and access logs.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const verifyStreamToken = async (req, res, next) => {
+  if (req.headers['x-access-token'] || req.headers['authorization'] || !req.query.token) {
+    return verifyToken(req, res, next);
+  }
+
+  const userId = liveFleetService.getStreamTokenUserId(req.query.token);
+  if (!userId) {
+    return res.status(401).json(
+      errorResponse('Invalid or expired stream token', 401)
+    );
+  }
+
+  try {
+    const user = await User.findOne({
+      _id: userId,
+      isActive: true,
+      deletedAt: null
+    });
+
+    if (!user) {
+      return res.status(401).json(
+        errorResponse('User not found or inactive', 401)
+      );
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Role-based authorization middleware
  * @param {Array} roles - Array of allowed roles
@@ -81,5 +125,6 @@ const authorize = (roles = []) => {
 
 module.exports = {
   verifyToken,
+  verifyStreamToken,
   authorize
 }; 
\ No newline at end of file
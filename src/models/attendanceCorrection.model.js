@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+/**
+ * Attendance Correction schema
+ * A driver's request to fix a punch, and the audit trail of the change once approved.
+ * Open punches closed by the system are recorded as approved auto_close corrections.
+ * @private
+ */
+const attendanceCorrectionSchema = mongoose.Schema(
+  {
+    driverId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Attendance record of the punch, set on approval for missed punch-ins
+    attendanceId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'DriverAttendance',
+      default: null
+    },
+    // missed_punch_in adds a punch, the others change an existing one
+    type: {
+      type: String,
+      enum: ['missed_punch_in', 'missed_punch_out', 'wrong_time', 'auto_close'],
+      required: true
+    },
+    // Position of the punch in the attendance record when requested
+    punchIndex: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    // Requested times, unset times are left as they are
+    inTime: {
+      type: Date,
+      default: null
+    },
+    outTime: {
+      type: Date,
+      default: null
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 500
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending'
+    },
+    // Punch and day total before the correction was applied
+    original: {
+      inTime: { type: Date, default: null },
+      outTime: { type: Date, default: null },
+      duration: { type: Number, default: null },
+      totalHours: { type: Number, default: null }
+    },
+    reviewedBy: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    },
+    reviewNotes: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'attendanceCorrections'
+  }
+);
+
+attendanceCorrectionSchema.index({ driverId: 1, createdAt: -1 });
+attendanceCorrectionSchema.index({ status: 1, createdAt: -1 });
+attendanceCorrectionSchema.index({ attendanceId: 1 });
+
+// Add plugins
+attendanceCorrectionSchema.plugin(toJSON);
+attendanceCorrectionSchema.plugin(paginate);
+
+/**
+ * @typedef AttendanceCorrection
+ */
+const AttendanceCorrection = mongoose.model('AttendanceCorrection', attendanceCorrectionSchema);
+
+module.exports = AttendanceCorrection;
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+/**
+ * Compliance Override schema
+ * Audit trail of trip schedules created for a vehicle or driver with expired mandatory documents
+ * @private
+ */
+const complianceOverrideSchema = mongoose.Schema(
+  {
+    tripSchedule: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'TripSchedule',
+      required: true
+    },
+    vehicle: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'Vehicle',
+      required: true
+    },
+    driver: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Expired items that would have blocked the schedule
+    items: [
+      {
+        _id: false,
+        subjectType: {
+          type: String,
+          enum: ['vehicle', 'driver'],
+          required: true
+        },
+        key: {
+          type: String,
+          required: true
+        },
+        label: {
+          type: String,
+          required: true
+        },
+        expiresAt: {
+          type: Date,
+          required: true
+        }
+      }
+    ],
+    reason: {
+      type: String,
+      trim: true,
+      required: true,
+      maxlength: 500
+    },
+    overriddenBy: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'complianceOverrides'
+  }
+);
+
+// Add indexes for common queries
+complianceOverrideSchema.index({ createdAt: -1 });
+complianceOverrideSchema.index({ vehicle: 1, createdAt: -1 });
+complianceOverrideSchema.index({ driver: 1, createdAt: -1 });
+
+// Add plugins
+complianceOverrideSchema.plugin(toJSON);
+complianceOverrideSchema.plugin(paginate);
+
+/**
+ * @typedef ComplianceOverride
+ */
+const ComplianceOverride = mongoose.model('ComplianceOverride', complianceOverrideSchema);
+
+module.exports = ComplianceOverride;
@@ -30,6 +30,11 @@ const driverLocationSchema = mongoose.Schema(
     location: {
       type: String
     },
+    // Reverse geocoding lookups made for this point, named or not
+    geocodeAttempts: {
+      type: Number,
+      default: 0
+    },
     timestamp: {
       type: Date,
       default: Date.now,
@@ -45,6 +50,19 @@ const driverLocationSchema = mongoose.Schema(
       enum: ['trip', 'attendance', 'background'],
       default: 'background'
     },
+    // Client sequence number of points uploaded in offline batches, unique per device
+    sequence: {
+      type: Number
+    },
+    deviceId: {
+      type: String,
+      default: null
+    },
+    // Set by the retention job on points kept after downsampling
+    isDownsampled: {
+      type: Boolean,
+      default: false
+    },
     isActive: {
       type: Boolean,
       default: true
@@ -59,7 +77,13 @@ const driverLocationSchema = mongoose.Schema(
 // Add indexes for common queries
 driverLocationSchema.index({ driverId: 1, timestamp: -1 });
 driverLocationSchema.index({ timestamp: -1 });
+// Trip breadcrumbs for route rebuilding
+driverLocationSchema.index({ tripId: 1, timestamp: 1 });
 driverLocationSchema.index({ geometry: '2dsphere' });
+driverLocationSchema.index(
+  { driverId: 1, deviceId: 1, sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $type: 'number' } } }
+);
 
 // Add plugins
 driverLocationSchema.plugin(toJSON);
@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+const DRIVER_STATUSES = ['active', 'inactive', 'on_leave', 'suspended'];
+
+/**
+ * Driver document schema
+ */
+const documentSchema = mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['license', 'id_card', 'insurance', 'medical', 'background_check', 'other'],
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  verified: {
+    type: Boolean,
+    default: false
+  },
+  verifiedBy: {
+    type: mongoose.SchemaTypes.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+  uploadedBy: {
+    type: mongoose.SchemaTypes.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * Driver Profile schema
+ * Licence, employment and documents of a driver user
+ * @private
+ */
+const driverProfileSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    licenseNumber: {
+      type: String,
+      trim: true
+    },
+    licenseType: {
+      type: String,
+      enum: ['A', 'B', 'C', 'D', 'E', 'Commercial']
+    },
+    licenseExpiry: {
+      type: Date,
+      default: null
+    },
+    status: {
+      type: String,
+      enum: DRIVER_STATUSES,
+      default: 'active'
+    },
+    // Employment history, one entry per status change
+    statusHistory: [
+      {
+        from: {
+          type: String,
+          enum: DRIVER_STATUSES,
+          default: null
+        },
+        to: {
+          type: String,
+          enum: DRIVER_STATUSES,
+          required: true
+        },
+        changedBy: {
+          type: mongoose.SchemaTypes.ObjectId,
+          ref: 'User',
+          default: null
+        },
+        changedAt: {
+          type: Date,
+          default: Date.now
+        },
+        notes: {
+          type: String,
+          trim: true,
+          maxlength: 500
+        }
+      }
+    ],
+    vehicle: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'Vehicle',
+      default: null
+    },
+    isAvailable: {
+      type: Boolean,
+      default: true
+    },
+    documents: {
+      type: [documentSchema],
+      default: []
+    },
+    // Depot the driver starts and ends shifts at, coordinates as [longitude, latitude]
+    homeDepot: {
+      name: {
+        type: String,
+        trim: true,
+        maxlength: 100
+      },
+      address: {
+        type: String,
+        trim: true,
+        maxlength: 300
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined,
+        validate: {
+          validator: value => !value || value.length === 2,
+          message: 'Coordinates must be [longitude, latitude]'
+        }
+      }
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    createdBy: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    updatedBy: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    deletedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'driverProfiles'
+  }
+);
+
+// One profile per user, soft deleted profiles excepted
+driverProfileSchema.index({ user: 1, deletedAt: 1 }, { unique: true });
+driverProfileSchema.index({ licenseNumber: 1 });
+driverProfileSchema.index({ status: 1 });
+driverProfileSchema.index({ licenseExpiry: 1 });
+driverProfileSchema.index({ 'documents.expiresAt': 1 });
+
+// Add plugins
+driverProfileSchema.plugin(toJSON);
+driverProfileSchema.plugin(paginate);
+
+/**
+ * @typedef DriverProfile
+ */
+const DriverProfile = mongoose.model('DriverProfile', driverProfileSchema);
+
+module.exports = DriverProfile;
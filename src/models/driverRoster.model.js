@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+const TIME_OF_DAY_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Planned shift on a day of the week.
+ * Times are local times of day in the roster timezone, a shift ending at or before its start runs past midnight.
+ * @private
+ */
+const weeklyShiftSchema = mongoose.Schema(
+  {
+    // 0 = Sunday ... 6 = Saturday
+    dayOfWeek: {
+      type: Number,
+      min: 0,
+      max: 6,
+      required: true
+    },
+    startTime: {
+      type: String,
+      required: true,
+      match: TIME_OF_DAY_REGEX
+    },
+    endTime: {
+      type: String,
+      required: true,
+      match: TIME_OF_DAY_REGEX
+    }
+  },
+  { _id: false }
+);
+
+/**
+ * Driver Roster schema
+ * Weekly shift pattern of a driver for a period, see RosterException for changes on single dates
+ * @private
+ */
+const driverRosterSchema = mongoose.Schema(
+  {
+    driverId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    weeklyShifts: {
+      type: [weeklyShiftSchema],
+      default: []
+    },
+    // Date-only, first and last day the pattern applies, open ended without effectiveTo
+    effectiveFrom: {
+      type: Date,
+      required: true
+    },
+    effectiveTo: {
+      type: Date,
+      default: null
+    },
+    timezone: {
+      type: String,
+      default: 'Asia/Dubai'
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    createdBy: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    updatedBy: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'driverRosters'
+  }
+);
+
+driverRosterSchema.index({ driverId: 1, effectiveFrom: 1 });
+driverRosterSchema.index({ isActive: 1, deletedAt: 1 });
+
+// Add plugins
+driverRosterSchema.plugin(toJSON);
+driverRosterSchema.plugin(paginate);
+
+/**
+ * @typedef DriverRoster
+ */
+const DriverRoster = mongoose.model('DriverRoster', driverRosterSchema);
+
+module.exports = DriverRoster;
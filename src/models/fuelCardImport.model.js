@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+/**
+ * Fuel Card Import schema
+ * One imported fuel card statement, its lines are staged as fuel card transactions
+ * @private
+ */
+const fuelCardImportSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      trim: true,
+      required: true
+    },
+    // Statement column of each transaction field, as used for this import
+    columnMapping: {
+      type: Object,
+      required: true
+    },
+    dateFormat: {
+      type: String,
+      required: true
+    },
+    stats: {
+      total: { type: Number, default: 0 },
+      matched: { type: Number, default: 0 },
+      unmatched: { type: Number, default: 0 },
+      duplicate: { type: Number, default: 0 },
+      invalid: { type: Number, default: 0 },
+      created: { type: Number, default: 0 }
+    },
+    importedBy: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'fuelCardImports'
+  }
+);
+
+// Add plugins
+fuelCardImportSchema.plugin(toJSON);
+fuelCardImportSchema.plugin(paginate);
+
+/**
+ * @typedef FuelCardImport
+ */
+const FuelCardImport = mongoose.model('FuelCardImport', fuelCardImportSchema);
+
+module.exports = FuelCardImport;
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+/**
+ * Fuel Card Transaction schema
+ * A staged fuel card statement line and its reconciliation against fueling records
+ * @private
+ */
+const fuelCardTransactionSchema = mongoose.Schema(
+  {
+    importId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'FuelCardImport',
+      required: true
+    },
+    lineNumber: {
+      type: Number,
+      required: true
+    },
+    // Statement line as read, by column name
+    raw: {
+      type: Object,
+      default: {}
+    },
+    cardNumber: {
+      type: String,
+      default: null
+    },
+    reference: {
+      type: String,
+      default: null
+    },
+    plate: {
+      type: String,
+      default: null
+    },
+    vehicleId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'Vehicle',
+      default: null
+    },
+    transactionAt: {
+      type: Date,
+      default: null
+    },
+    // Cost in Dirhams
+    amount: {
+      type: Number,
+      default: null
+    },
+    // Litres
+    volume: {
+      type: Number,
+      default: null
+    },
+    odometer: {
+      type: Number,
+      default: null
+    },
+    station: {
+      type: String,
+      default: null
+    },
+    // Identifies the same card transaction across statements
+    fingerprint: {
+      type: String,
+      default: null
+    },
+    status: {
+      type: String,
+      enum: ['matched', 'unmatched', 'duplicate', 'invalid', 'created'],
+      required: true
+    },
+    // Why the line is invalid or could not be matched
+    reason: {
+      type: String,
+      default: null
+    },
+    fuelingRecordId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'FuelingRecord',
+      default: null
+    },
+    duplicateOf: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'FuelCardTransaction',
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'fuelCardTransactions'
+  }
+);
+
+fuelCardTransactionSchema.index({ importId: 1, status: 1, lineNumber: 1 });
+fuelCardTransactionSchema.index({ fingerprint: 1 });
+fuelCardTransactionSchema.index({ fuelingRecordId: 1 });
+
+// Add plugins
+fuelCardTransactionSchema.plugin(toJSON);
+fuelCardTransactionSchema.plugin(paginate);
+
+/**
+ * @typedef FuelCardTransaction
+ */
+const FuelCardTransaction = mongoose.model('FuelCardTransaction', fuelCardTransactionSchema);
+
+module.exports = FuelCardTransaction;
@@ -15,11 +15,23 @@ const fuelingRecordSchema = new mongoose.Schema({
     ref: 'Vehicle',
     required: true
   },
+  // Cost in Dirhams
   amount: {
     type: Number,
     required: true,
     min: 0
   },
+  // Litres filled
+  volume: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  pricePerLitre: {
+    type: Number,
+    min: 0,
+    default: null
+  },
   odometer: {
     type: Number,
     required: true,
@@ -39,6 +51,22 @@ const fuelingRecordSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Recomputed from the vehicle's fueling history by the fuel analytics service
+  distance: {
+    type: Number,
+    default: null
+  },
+  efficiency: {
+    type: Number,
+    default: null
+  },
+  anomalies: {
+    type: [{
+      type: String,
+      enum: ['efficiency_drop', 'too_frequent', 'odometer_backwards', 'over_capacity']
+    }],
+    default: []
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -61,6 +89,7 @@ const fuelingRecordSchema = new mongoose.Schema({
 fuelingRecordSchema.index({ vehicleId: 1, fueledAt: -1 });
 fuelingRecordSchema.index({ fueledBy: 1 });
 fuelingRecordSchema.index({ isActive: 1 });
+fuelingRecordSchema.index({ anomalies: 1 });
 
 // Add plugins
 fuelingRecordSchema.plugin(toJSON);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const { toJSON } = require('./plugins');
+
+/**
+ * Geocode Cache schema
+ * Place names by rounded coordinates, so nearby points share one provider lookup
+ * @private
+ */
+const geocodeCacheSchema = mongoose.Schema(
+  {
+    // Rounded "longitude,latitude"
+    key: {
+      type: String,
+      required: true
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: true
+    },
+    location: {
+      type: String,
+      default: null
+    },
+    provider: {
+      type: String,
+      required: true
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'geocodeCache'
+  }
+);
+
+geocodeCacheSchema.index({ key: 1, provider: 1 }, { unique: true });
+// Let names refresh as places change
+geocodeCacheSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// Add plugins
+geocodeCacheSchema.plugin(toJSON);
+
+/**
+ * @typedef GeocodeCache
+ */
+const GeocodeCache = mongoose.model('GeocodeCache', geocodeCacheSchema);
+
+module.exports = GeocodeCache;
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+/**
+ * Idle Alert schema
+ * One document per idle spell and escalation level that admins were alerted about
+ * @private
+ */
+const idleAlertSchema = mongoose.Schema(
+  {
+    driverId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    idleFrom: {
+      type: Date,
+      required: true
+    },
+    level: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    thresholdMinutes: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    idleMinutes: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    punchInTime: {
+      type: Date,
+      default: null
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'idleAlerts'
+  }
+);
+
+// A spell alerts once per escalation level, even with several instances running
+idleAlertSchema.index({ driverId: 1, idleFrom: 1, level: 1 }, { unique: true });
+idleAlertSchema.index({ createdAt: -1 });
+
+// Add plugins
+idleAlertSchema.plugin(toJSON);
+idleAlertSchema.plugin(paginate);
+
+/**
+ * @typedef IdleAlert
+ */
+const IdleAlert = mongoose.model('IdleAlert', idleAlertSchema);
+
+module.exports = IdleAlert;
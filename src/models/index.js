@@ -9,16 +9,28 @@ const { UserNotificationSettings } = require('./userNotificationSettings.model')
 const TripPurpose = require('./tripPurpose.model');
 const User = require('./user.model');
 const Vehicle = require('./vehicle.model');
-const Trip = require('./trip.model');
 const TripRequestHistory = require('./tripRequestHistory.model');
 const DriverAttendance = require('./driverAttendance.model');
 const FuelingRecord = require('./fuelingRecord.model');
-const MaintenanceRecord = require('./maintenanceRecord.model');
+const NotificationDispatch = require('./notificationDispatch.model');
+const IdleAlert = require('./idleAlert.model');
+const RecurringSchedule = require('./recurringSchedule.model');
+const GeocodeCache = require('./geocodeCache.model');
+const TripTrackingLink = require('./tripTrackingLink.model');
+const FuelCardImport = require('./fuelCardImport.model');
+const FuelCardTransaction = require('./fuelCardTransaction.model');
+const MaintenancePlan = require('./maintenancePlan.model');
+const VehicleDowntime = require('./vehicleDowntime.model');
+const ComplianceOverride = require('./complianceOverride.model');
+const DriverProfile = require('./driverProfile.model');
+const DriverRoster = require('./driverRoster.model');
+const RosterException = require('./rosterException.model');
+const PublicHoliday = require('./publicHoliday.model');
+const AttendanceCorrection = require('./attendanceCorrection.model');
 
 module.exports = {
   User,
   Vehicle,
-  Trip,
   Maintenance,
   TripRequest,
   TripSchedule,
@@ -28,5 +40,19 @@ module.exports = {
   TripRequestHistory,
   DriverAttendance,
   FuelingRecord,
-  MaintenanceRecord
+  NotificationDispatch,
+  IdleAlert,
+  RecurringSchedule,
+  GeocodeCache,
+  TripTrackingLink,
+  FuelCardImport,
+  FuelCardTransaction,
+  MaintenancePlan,
+  VehicleDowntime,
+  ComplianceOverride,
+  DriverProfile,
+  DriverRoster,
+  RosterException,
+  PublicHoliday,
+  AttendanceCorrection
 };
\ No newline at end of file
@@ -14,7 +14,7 @@ const maintenanceSchema = mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ['preventive', 'corrective', 'predictive', 'scheduled', 'emergency'],
+      enum: ['preventive', 'corrective', 'predictive', 'scheduled', 'emergency', 'other'],
       required: true
     },
     title: {
@@ -29,15 +29,14 @@ const maintenanceSchema = mongoose.Schema(
       trim: true,
       maxlength: 500
     },
+    // Assigned when the maintenance is scheduled, requests usually come without one
     servicedBy: {
       type: {
         type: String,
-        enum: ['internal', 'external'],
-        required: true
+        enum: ['internal', 'external']
       },
       name: {
         type: String,
-        required: true,
         trim: true
       },
       contact: {
@@ -49,6 +48,10 @@ const maintenanceSchema = mongoose.Schema(
         min: 0
       }
     },
+    serviceLocation: {
+      type: String,
+      trim: true
+    },
     odometer: {
       type: Number,
       min: 0
@@ -84,6 +87,10 @@ const maintenanceSchema = mongoose.Schema(
     scheduledDate: {
       type: Date
     },
+    // End of the window the vehicle is booked for the service
+    scheduledEndDate: {
+      type: Date
+    },
     startDate: {
       type: Date
     },
@@ -94,11 +101,61 @@ const maintenanceSchema = mongoose.Schema(
       type: Number,
       min: 0
     },
+    // requested -> approved/rejected -> scheduled -> in-service -> completed, see maintenance.service
     status: {
       type: String,
-      enum: ['pending', 'in-progress', 'completed', 'cancelled'],
-      default: 'pending'
+      enum: ['requested', 'approved', 'rejected', 'scheduled', 'in-service', 'completed', 'cancelled'],
+      default: 'requested'
+    },
+    requestedBy: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reviewedBy: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
     },
+    completedBy: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    // Audit trail, one entry per status transition
+    statusHistory: [
+      {
+        from: {
+          type: String,
+          default: null
+        },
+        to: {
+          type: String,
+          required: true
+        },
+        changedBy: {
+          type: mongoose.SchemaTypes.ObjectId,
+          ref: 'User',
+          default: null
+        },
+        changedAt: {
+          type: Date,
+          default: Date.now
+        },
+        notes: {
+          type: String,
+          trim: true,
+          maxlength: 500
+        }
+      }
+    ],
     priority: {
       type: String,
       enum: ['low', 'medium', 'high', 'critical'],
@@ -147,14 +204,26 @@ const maintenanceSchema = mongoose.Schema(
         type: [Number],
         validate: {
           validator: function(arr) {
-            return arr.length === 2 && 
+            // Empty when no location was given
+            return arr.length === 0 || (arr.length === 2 && 
               arr[0] >= -180 && arr[0] <= 180 && 
-              arr[1] >= -90 && arr[1] <= 90;
+              arr[1] >= -90 && arr[1] <= 90);
           },
           message: 'Coordinates must be valid [longitude, latitude]'
         }
       }
     },
+    // Preventive plan the maintenance was created from
+    plan: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'MaintenancePlan',
+      default: null
+    },
+    // Maintenance record this was migrated from, see scripts/migrateMaintenanceRecords.js
+    legacyRecordId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      default: undefined
+    },
     createdBy: {
       type: mongoose.SchemaTypes.ObjectId,
       ref: 'User',
@@ -177,6 +246,8 @@ maintenanceSchema.index({ status: 1 });
 maintenanceSchema.index({ priority: 1 });
 maintenanceSchema.index({ scheduledDate: 1 });
 maintenanceSchema.index({ createdAt: 1 });
+maintenanceSchema.index({ requestedBy: 1, status: 1 });
+maintenanceSchema.index({ legacyRecordId: 1 }, { unique: true, sparse: true });
 
 // Add text index for search
 maintenanceSchema.index(
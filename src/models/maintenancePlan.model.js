@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+/**
+ * Maintenance Plan schema
+ * A recurring preventive service for a vehicle type or a single vehicle,
+ * due every intervalKm kilometres or intervalMonths months, whichever comes first
+ * @private
+ */
+const maintenancePlanSchema = mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      minlength: 3,
+      maxlength: 100
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    // Either every vehicle of a type, or one vehicle. A vehicle's own plan replaces
+    // the type plan with the same title
+    vehicleType: {
+      type: String,
+      enum: ['car', 'truck', 'van', null],
+      default: null
+    },
+    vehicle: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'Vehicle',
+      default: null
+    },
+    intervalKm: {
+      type: Number,
+      min: 1,
+      default: null
+    },
+    intervalMonths: {
+      type: Number,
+      min: 1,
+      default: null
+    },
+    priority: {
+      type: String,
+      enum: ['low', 'medium', 'high', 'critical'],
+      default: 'medium'
+    },
+    servicedBy: {
+      type: {
+        type: String,
+        enum: ['internal', 'external'],
+        default: 'internal'
+      },
+      name: {
+        type: String,
+        trim: true,
+        default: 'To be assigned'
+      },
+      contact: {
+        type: String,
+        trim: true
+      }
+    },
+    // Where each vehicle is in the plan's cycle
+    progress: [
+      {
+        vehicle: {
+          type: mongoose.SchemaTypes.ObjectId,
+          ref: 'Vehicle',
+          required: true
+        },
+        // Odometer and date the current cycle is counted from
+        baselineOdometer: {
+          type: Number,
+          default: 0
+        },
+        baselineDate: {
+          type: Date,
+          required: true
+        },
+        // Pending maintenance created when the plan came due, until it is completed or cancelled
+        openMaintenance: {
+          type: mongoose.SchemaTypes.ObjectId,
+          ref: 'Maintenance',
+          default: null
+        },
+        lastTriggeredAt: {
+          type: Date,
+          default: null
+        }
+      }
+    ],
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    createdBy: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    updatedBy: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'maintenancePlans'
+  }
+);
+
+maintenancePlanSchema.index({ isActive: 1, vehicleType: 1 });
+maintenancePlanSchema.index({ isActive: 1, vehicle: 1 });
+maintenancePlanSchema.index({ 'progress.openMaintenance': 1 });
+
+// Add plugins
+maintenancePlanSchema.plugin(toJSON);
+maintenancePlanSchema.plugin(paginate);
+
+/**
+ * @typedef MaintenancePlan
+ */
+const MaintenancePlan = mongoose.model('MaintenancePlan', maintenancePlanSchema);
+
+module.exports = MaintenancePlan;
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+/**
+ * Notification Dispatch schema
+ * Records notifications sent by background jobs so that a restart or a
+ * second server instance never sends the same notification twice.
+ * @private
+ */
+const notificationDispatchSchema = mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true
+    },
+    type: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    recipients: {
+      type: [mongoose.Schema.Types.ObjectId],
+      ref: 'User',
+      default: []
+    },
+    referenceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'notificationDispatches'
+  }
+);
+
+// Add indexes for common queries
+notificationDispatchSchema.index({ type: 1, createdAt: -1 });
+notificationDispatchSchema.index({ referenceId: 1 });
+notificationDispatchSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Add plugins
+notificationDispatchSchema.plugin(toJSON);
+notificationDispatchSchema.plugin(paginate);
+
+/**
+ * @typedef NotificationDispatch
+ */
+const NotificationDispatch = mongoose.model('NotificationDispatch', notificationDispatchSchema);
+
+module.exports = NotificationDispatch;
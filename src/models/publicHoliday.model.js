@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+/**
+ * Public Holiday schema
+ * Rostered drivers have no planned shifts on a holiday unless a roster exception gives them one
+ * @private
+ */
+const publicHolidaySchema = mongoose.Schema(
+  {
+    // Date-only
+    date: {
+      type: Date,
+      required: true
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    createdBy: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'publicHolidays'
+  }
+);
+
+// One active holiday per date
+publicHolidaySchema.index(
+  { date: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+// Add plugins
+publicHolidaySchema.plugin(toJSON);
+publicHolidaySchema.plugin(paginate);
+
+/**
+ * @typedef PublicHoliday
+ */
+const PublicHoliday = mongoose.model('PublicHoliday', publicHolidaySchema);
+
+module.exports = PublicHoliday;
@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+const TIME_OF_DAY_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Destination template for each generated occurrence.
+ * Times are local times of day in the series timezone.
+ * @private
+ */
+const recurringDestinationSchema = mongoose.Schema(
+  {
+    startTime: {
+      type: String,
+      required: true,
+      match: TIME_OF_DAY_REGEX
+    },
+    arrivalTime: {
+      type: String,
+      match: TIME_OF_DAY_REGEX,
+      default: null
+    },
+    tripPurposeTime: {
+      type: Number
+    },
+    purposeId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'TripPurpose',
+      default: null
+    },
+    destination: {
+      type: String,
+      default: null
+    }
+  },
+  { _id: true }
+);
+
+/**
+ * Recurrence rule, modelled after RRULE (FREQ, INTERVAL, BYDAY, UNTIL, EXDATE)
+ * @private
+ */
+const recurrenceSchema = mongoose.Schema(
+  {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly'],
+      required: true
+    },
+    interval: {
+      type: Number,
+      min: 1,
+      default: 1
+    },
+    // 0 = Sunday ... 6 = Saturday, only used for weekly rules
+    daysOfWeek: {
+      type: [Number],
+      default: []
+    },
+    startDate: {
+      type: Date,
+      required: true
+    },
+    endDate: {
+      type: Date,
+      default: null
+    },
+    exceptionDates: {
+      type: [Date],
+      default: []
+    }
+  },
+  { _id: false }
+);
+
+/**
+ * Occurrence that could not be generated because of a conflict
+ * @private
+ */
+const occurrenceConflictSchema = mongoose.Schema(
+  {
+    occurrenceDate: {
+      type: Date,
+      required: true
+    },
+    conflict: {
+      type: String,
+      // documents and working-hours are occurrences refused by the compliance and working hour checks
+      enum: ['vehicle', 'driver', 'vehicle-driver', 'resource', 'documents', 'working-hours'],
+      required: true
+    },
+    message: {
+      type: String,
+      default: null
+    },
+    conflictingScheduleIds: [{
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'TripSchedule'
+    }],
+    detectedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { _id: false }
+);
+
+/**
+ * Recurring Schedule schema
+ * Template from which concrete trip schedules are generated ahead of time
+ * @private
+ */
+const recurringScheduleSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    driverId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    vehicleId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'Vehicle',
+      required: true
+    },
+    destinations: {
+      type: [recurringDestinationSchema],
+      required: true,
+      validate: {
+        validator: function(v) {
+          return v && v.length > 0;
+        },
+        message: 'At least one destination is required'
+      }
+    },
+    recurrence: {
+      type: recurrenceSchema,
+      required: true
+    },
+    timezone: {
+      type: String,
+      default: 'Asia/Dubai'
+    },
+    generatedUntil: {
+      type: Date,
+      default: null
+    },
+    conflicts: {
+      type: [occurrenceConflictSchema],
+      default: []
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    createdBy: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    updatedBy: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'recurringSchedules'
+  }
+);
+
+// Add indexes for common queries
+recurringScheduleSchema.index({ isActive: 1, deletedAt: 1 });
+recurringScheduleSchema.index({ driverId: 1 });
+recurringScheduleSchema.index({ vehicleId: 1 });
+
+// Add plugins
+recurringScheduleSchema.plugin(toJSON);
+recurringScheduleSchema.plugin(paginate);
+
+/**
+ * @typedef RecurringSchedule
+ */
+const RecurringSchedule = mongoose.model('RecurringSchedule', recurringScheduleSchema);
+
+module.exports = RecurringSchedule;
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+const TIME_OF_DAY_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Roster Exception schema
+ * Changes a driver's roster on a range of dates:
+ * shift replaces the planned shifts, day_off removes them, leave and sick mark the driver absent
+ * @private
+ */
+const rosterExceptionSchema = mongoose.Schema(
+  {
+    driverId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    type: {
+      type: String,
+      enum: ['shift', 'day_off', 'leave', 'sick'],
+      required: true
+    },
+    // Date-only, both days included
+    startDate: {
+      type: Date,
+      required: true
+    },
+    endDate: {
+      type: Date,
+      required: true
+    },
+    // Shifts worked on each date instead of the roster, only for type shift
+    shifts: [
+      {
+        _id: false,
+        startTime: {
+          type: String,
+          required: true,
+          match: TIME_OF_DAY_REGEX
+        },
+        endTime: {
+          type: String,
+          required: true,
+          match: TIME_OF_DAY_REGEX
+        }
+      }
+    ],
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    createdBy: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    deletedBy: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'rosterExceptions'
+  }
+);
+
+rosterExceptionSchema.index({ driverId: 1, startDate: 1, endDate: 1 });
+
+// Add plugins
+rosterExceptionSchema.plugin(toJSON);
+rosterExceptionSchema.plugin(paginate);
+
+/**
+ * @typedef RosterException
+ */
+const RosterException = mongoose.model('RosterException', rosterExceptionSchema);
+
+module.exports = RosterException;
@@ -1,6 +1,46 @@
 const mongoose = require('mongoose');
 const { toJSON, paginate } = require('./plugins');
 
+/**
+ * Checkpoint on the way to a destination
+ * @private
+ */
+const checkpointSchema = mongoose.Schema(
+  {
+    address: {
+      type: String,
+      trim: true,
+      default: null
+    },
+    // [longitude, latitude]
+    coordinates: {
+      type: [Number],
+      default: undefined
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'reached', 'skipped'],
+      default: 'pending'
+    },
+    // When the checkpoint was reached or skipped
+    timestamp: {
+      type: Date,
+      default: null
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    updatedBy: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  { _id: true }
+);
+
 /**
  * Destination Schema for nested documents in trip schedule
  * @private
@@ -39,6 +79,28 @@ const destinationSchema = mongoose.Schema(
     destinationAddedAt: {
       type: Date,
       default: null
+    },
+    // Geofence used to detect arrival, [longitude, latitude]
+    coordinates: {
+      type: [Number],
+      default: undefined
+    },
+    geofenceRadius: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    actualArrivalTime: {
+      type: Date,
+      default: null
+    },
+    actualDepartureTime: {
+      type: Date,
+      default: null
+    },
+    checkpoints: {
+      type: [checkpointSchema],
+      default: []
     }
   },
   { _id: true }
@@ -81,6 +143,22 @@ const tripScheduleSchema = mongoose.Schema(
     tripApproxArrivalTime: {
       type: Date
     },
+    // Optional label, set for trips created through the trips API
+    title: {
+      type: String,
+      trim: true,
+      maxlength: 100
+    },
+    // Where the trip starts when it isn't the depot
+    startLocation: {
+      address: { type: String, trim: true },
+      coordinates: { type: [Number], default: undefined }
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 1000
+    },
     isActive: {
       type: Boolean,
       default: true
@@ -108,6 +186,16 @@ const tripScheduleSchema = mongoose.Schema(
       type: Date,
       default: null
     },
+    cancellationReason: {
+      type: String,
+      trim: true,
+      default: null
+    },
+    deletionReason: {
+      type: String,
+      trim: true,
+      default: null
+    },
     startOdometer: {
       type: Number,
       min: 0
@@ -125,6 +213,81 @@ const tripScheduleSchema = mongoose.Schema(
     },
     actualEndTime: {
       type: Date
+    },
+    // Metrics from the DriverLocation breadcrumbs, computed when the trip is completed
+    gpsSummary: {
+      distance: { type: Number, default: null },
+      movingMinutes: { type: Number, default: null },
+      stoppedMinutes: { type: Number, default: null },
+      stopCount: { type: Number, default: null },
+      pointCount: { type: Number, default: null },
+      computedAt: { type: Date, default: null }
+    },
+    // GPS and odometer distance differ by more than the tolerance
+    isDistanceFlagged: {
+      type: Boolean,
+      default: false
+    },
+    // Forced through while the driver was on leave, on a holiday or off shift
+    isOffRoster: {
+      type: Boolean,
+      default: false
+    },
+    // Working hour limits the trip goes over, for rules that warn instead of blocking
+    workingHoursWarnings: [
+      {
+        _id: false,
+        rule: {
+          type: String,
+          enum: ['duty', 'rest', 'driving']
+        },
+        date: String,
+        start: Date,
+        end: Date,
+        hours: Number,
+        limitHours: Number
+      }
+    ],
+    // Post-trip condition report, given by the driver when completing the trip
+    fuelConsumption: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    maintenanceRequired: {
+      type: Boolean,
+      default: false
+    },
+    maintenanceNotes: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    // Maintenance request raised from the report
+    maintenanceRequestId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'Maintenance',
+      default: null
+    },
+    // Trip document this schedule was migrated from, see scripts/migrateTrips.js
+    legacyTripId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      default: null
+    },
+    recurringScheduleId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'RecurringSchedule',
+      default: null
+    },
+    // Local date of the occurrence within its recurring series
+    occurrenceDate: {
+      type: Date,
+      default: null
+    },
+    // Set when a single occurrence was edited, so series edits leave it alone
+    isRecurrenceException: {
+      type: Boolean,
+      default: false
     }
   },
   {
@@ -139,6 +302,16 @@ tripScheduleSchema.index({ vehicleId: 1 });
 tripScheduleSchema.index({ isActive: 1 });
 tripScheduleSchema.index({ deletedAt: 1 });
 tripScheduleSchema.index({ 'destinations.tripStartTime': 1 });
+// One active occurrence per series and date, even when generation runs on several instances
+tripScheduleSchema.index(
+  { recurringScheduleId: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { recurringScheduleId: { $type: 'objectId' }, isActive: true } }
+);
+
+tripScheduleSchema.index(
+  { legacyTripId: 1 },
+  { unique: true, partialFilterExpression: { legacyTripId: { $type: 'objectId' } } }
+);
 
 // Add plugins
 tripScheduleSchema.plugin(toJSON);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+/**
+ * Trip Tracking Link schema
+ * A shareable, expiring link to the live view of an in-progress trip
+ * @private
+ */
+const tripTrackingLinkSchema = mongoose.Schema(
+  {
+    tripScheduleId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'TripSchedule',
+      required: true
+    },
+    // Requestor the link was created for, null when shared by staff
+    createdFor: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    revokedBy: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    // Why the link stopped working: revoked, or the trip completed or was cancelled
+    revokedReason: {
+      type: String,
+      enum: ['revoked', 'completed', 'cancelled', null],
+      default: null
+    },
+    lastViewedAt: {
+      type: Date,
+      default: null
+    },
+    createdBy: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'tripTrackingLinks'
+  }
+);
+
+tripTrackingLinkSchema.index({ tripScheduleId: 1, revokedAt: 1 });
+
+// Add plugins
+tripTrackingLinkSchema.plugin(toJSON);
+tripTrackingLinkSchema.plugin(paginate);
+
+/**
+ * @typedef TripTrackingLink
+ */
+const TripTrackingLink = mongoose.model('TripTrackingLink', tripTrackingLinkSchema);
+
+module.exports = TripTrackingLink;
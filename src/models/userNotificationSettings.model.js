@@ -16,7 +16,10 @@ const adminNotificationSchema = {
   receiveTripRequestCancelledNotification: true,
   receiveFuelingRecordCreatedNotification: true,
   receiveFuelingRecordUpdatedNotification: true,
-  receiveFuelingRecordDeletedNotification: true
+  receiveFuelingRecordDeletedNotification: true,
+  receiveMaintenanceDueNotification: true,
+  receiveDocumentExpiryNotification: true,
+  receiveAttendanceCorrectionNotification: true
 };
 
 const requestorNotificationSchema = {
@@ -30,6 +33,8 @@ const driverNotificationSchema = {
   receiveReminderForUpcomingTrip: true,
   reminderForUpcomingTripTime: 10,
   receiveReminderForPunchOut: true,
+  receiveDocumentExpiryReminder: true,
+  receiveAttendanceCorrectionUpdate: true,
 };
 
 /**
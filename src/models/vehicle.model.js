@@ -35,6 +35,16 @@ const vehicleSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Litres
+  fuelTankCapacity: {
+    type: Number,
+    min: 1
+  },
+  // Rolling km per litre over the last fuelings, kept by the fuel analytics service
+  fuelEfficiency: {
+    type: Number,
+    default: null
+  },
   odometer: {
     type: Number,
     default: 0
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+/**
+ * Vehicle Downtime schema
+ * Ledger of periods a vehicle was out of service, open while endedAt is null
+ * @private
+ */
+const vehicleDowntimeSchema = mongoose.Schema(
+  {
+    vehicle: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'Vehicle',
+      required: true
+    },
+    reason: {
+      type: String,
+      trim: true,
+      required: true,
+      maxlength: 200
+    },
+    // Maintenance that took the vehicle out of service, null for manual status changes
+    maintenance: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'Maintenance',
+      default: null
+    },
+    startedAt: {
+      type: Date,
+      required: true
+    },
+    endedAt: {
+      type: Date,
+      default: null
+    },
+    startedBy: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    endedBy: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'vehicleDowntimes'
+  }
+);
+
+vehicleDowntimeSchema.index({ vehicle: 1, startedAt: -1 });
+vehicleDowntimeSchema.index({ vehicle: 1, endedAt: 1 });
+// One ledger entry per maintenance
+vehicleDowntimeSchema.index(
+  { maintenance: 1 },
+  { unique: true, partialFilterExpression: { maintenance: { $type: 'objectId' } } }
+);
+
+vehicleDowntimeSchema.plugin(toJSON);
+vehicleDowntimeSchema.plugin(paginate);
+
+/**
+ * @typedef VehicleDowntime
+ */
+const VehicleDowntime = mongoose.model('VehicleDowntime', vehicleDowntimeSchema);
+
+module.exports = VehicleDowntime;
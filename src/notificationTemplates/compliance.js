@@ -0,0 +1,25 @@
+const { convertUTCToDubaiTime } = require('../common/helpers/time_helper');
+
+const createDocumentExpiryNotification = (item, daysLeft) => {
+  const expiryDate = convertUTCToDubaiTime(item.expiresAt).toLocaleString('en-US', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric'
+  });
+  const lines = [`• ${item.label} of ${item.subjectName}`];
+  if (daysLeft <= 0) {
+    lines.push(`• Expired on ${expiryDate}`);
+  } else {
+    lines.push(`• Expires on ${expiryDate}, in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`);
+  }
+  if (item.mandatory) {
+    lines.push(daysLeft <= 0
+      ? '• New trips can not be scheduled until it is renewed'
+      : '• New trips will be blocked once it expires');
+  }
+  return lines.join('\n');
+};
+
+module.exports = {
+  createDocumentExpiryNotification
+};
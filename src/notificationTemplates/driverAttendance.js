@@ -0,0 +1,62 @@
+const { formatDuration, convertUTCToDubaiTime } = require('../common/helpers/time_helper');
+
+const CORRECTION_TYPE_LABELS = {
+  missed_punch_in: 'Missed punch',
+  missed_punch_out: 'Missed punch-out',
+  wrong_time: 'Wrong punch time',
+  auto_close: 'Automatic punch-out'
+};
+
+const formatPunchTime = (date) => convertUTCToDubaiTime(date).toLocaleString('en-US', {
+  day: 'numeric',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit',
+  hour12: false,
+  timeZone: 'Asia/Dubai'
+});
+
+const formatCorrectionTimes = (correction) => {
+  const times = [];
+  if (correction.inTime) {
+    times.push(`in ${formatPunchTime(correction.inTime)}`);
+  }
+  if (correction.outTime) {
+    times.push(`out ${formatPunchTime(correction.outTime)}`);
+  }
+  return times.join(', ');
+};
+
+const createPunchOutReminderNotification = (punchInTime, now = new Date()) => {
+  const minutesSincePunchIn = Math.floor((now - new Date(punchInTime)) / (1000 * 60));
+  return `• You have been punched in for ${formatDuration(minutesSincePunchIn)}\n• Please punch out if your shift has ended`;
+};
+
+const createDriverIdleNotification = (driver, idleMinutes, level) => {
+  const escalation = level > 1 ? ` (escalation ${level})` : '';
+  return `• ${driver.name} has been idle for ${formatDuration(idleMinutes)}${escalation}\n• Phone: ${driver.phone || '-'}`;
+};
+
+const createAttendanceCorrectionRequestedNotification = (driver, correction) => {
+  return `• ${driver.name} requested a correction: ${CORRECTION_TYPE_LABELS[correction.type]}\n• ${formatCorrectionTimes(correction)}\n• Reason: ${correction.reason}`;
+};
+
+const createAttendanceCorrectionReviewedNotification = (correction) => {
+  const lines = [`• Your ${CORRECTION_TYPE_LABELS[correction.type].toLowerCase()} correction was ${correction.status}`, `• ${formatCorrectionTimes(correction)}`];
+  if (correction.reviewNotes) {
+    lines.push(`• Notes: ${correction.reviewNotes}`);
+  }
+  return lines.join('\n');
+};
+
+const createPunchAutoClosedNotification = (inTime, outTime) => {
+  return `• Your punch-in at ${formatPunchTime(inTime)} was still open and has been closed at ${formatPunchTime(outTime)}\n• Request a correction if you finished at another time`;
+};
+
+module.exports = {
+  createPunchOutReminderNotification,
+  createDriverIdleNotification,
+  createAttendanceCorrectionRequestedNotification,
+  createAttendanceCorrectionReviewedNotification,
+  createPunchAutoClosedNotification
+};
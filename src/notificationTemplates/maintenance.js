@@ -0,0 +1,22 @@
+const { convertUTCToDubaiTime } = require('../common/helpers/time_helper');
+
+const createMaintenanceDueNotification = (vehicle, plan, planStatus) => {
+  const lines = [`• ${plan.title} is due for ${vehicle.name}${vehicle.licensePlate ? ` (${vehicle.licensePlate})` : ''}`];
+  if (planStatus.nextDueOdometer !== null) {
+    lines.push(`• Due at ${planStatus.nextDueOdometer} km, odometer is ${vehicle.odometer || 0} km`);
+  }
+  if (planStatus.nextDueDate) {
+    const dueDate = convertUTCToDubaiTime(planStatus.nextDueDate).toLocaleString('en-US', {
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric'
+    });
+    lines.push(`• Due on ${dueDate}`);
+  }
+  lines.push('• A maintenance request is waiting for approval');
+  return lines.join('\n');
+};
+
+module.exports = {
+  createMaintenanceDueNotification
+};
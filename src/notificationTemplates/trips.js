@@ -1,4 +1,4 @@
-const { formatDuration } = require('../common/helpers/time_helper');
+const { formatDuration, convertUTCToDubaiTime } = require('../common/helpers/time_helper');
 const createTripStartedNotification = (trip) => {
   const tripData = typeof trip === 'string' ? JSON.parse(trip) : trip;
   const destinations = tripData.destinations.map(d => d.destinations.map(dest => dest.destination)).flat().join(' - ');
@@ -12,8 +12,84 @@ const createTripEndedNotification = (trip) => {
   return `• Vehicle: ${tripData.vehicle.name}\n• Destinations: ${destinations}\n• Distance: ${tripData.actualTrip.distanceTraveled}km (${formatDuration(duration)})`;
 };
 
+const createUpcomingTripReminderNotification = (trip, minutesToStart) => {
+  const tripData = typeof trip === 'string' ? JSON.parse(trip) : trip;
+  const destinations = tripData.destinations
+    .map(d => d.destinations ? d.destinations.map(dest => dest.destination) : [d.destination])
+    .flat()
+    .filter(Boolean)
+    .join(' - ');
+  const startTime = convertUTCToDubaiTime(tripData.tripStartTime).toLocaleString('en-US', {
+    hour: 'numeric',
+    minute: 'numeric',
+    hour12: true
+  });
+  return `• Starts in ${formatDuration(minutesToStart)} (${startTime})\n• Vehicle: ${tripData.vehicle ? tripData.vehicle.name : '-'}\n• Destinations: ${destinations}`;
+};
+
+const getTripSummary = (tripData) => {
+  const destinations = tripData.destinations
+    .map(d => d.destinations ? d.destinations.map(dest => dest.destination) : [d.destination])
+    .flat()
+    .filter(Boolean)
+    .join(' - ');
+  const startTime = tripData.tripStartTime ? convertUTCToDubaiTime(tripData.tripStartTime).toLocaleString('en-US', {
+    day: 'numeric',
+    month: 'long',
+    hour: 'numeric',
+    minute: 'numeric',
+    hour12: true
+  }) : '-';
+  return { destinations, startTime };
+};
+
+const createTripCancelledRequestorNotification = (trip, reason, requestPolicy) => {
+  const tripData = typeof trip === 'string' ? JSON.parse(trip) : trip;
+  const { destinations, startTime } = getTripSummary(tripData);
+  const requestStatus = requestPolicy === 'cancelled'
+    ? 'Your request has been cancelled'
+    : 'Your request is pending and will be scheduled again';
+  return `• ${startTime} - ${destinations}
+• Reason: ${reason}
+• ${requestStatus}`;
+};
+
+const createTripCancelledDriverNotification = (trip, reason) => {
+  const tripData = typeof trip === 'string' ? JSON.parse(trip) : trip;
+  const { destinations, startTime } = getTripSummary(tripData);
+  return `• ${startTime} - ${tripData.vehicle ? tripData.vehicle.name : '-'}
+• Destinations: ${destinations}
+• Reason: ${reason}`;
+};
+
+const createDriverArrivedNotification = (trip, destination, arrivedAt, plannedArrivalTime) => {
+  const tripData = typeof trip === 'string' ? JSON.parse(trip) : trip;
+  const formatTime = (time) => convertUTCToDubaiTime(time).toLocaleString('en-US', {
+    hour: 'numeric',
+    minute: 'numeric',
+    hour12: true
+  });
+  const planned = plannedArrivalTime ? ` (planned ${formatTime(plannedArrivalTime)})` : '';
+  return `• Driver: ${tripData.driver ? tripData.driver.name : '-'} - ${tripData.vehicle ? tripData.vehicle.name : '-'}\n• Destination: ${destination || '-'}\n• Arrived at ${formatTime(arrivedAt)}${planned}`;
+};
+
+const createTripStartedRequestorNotification = (trip, trackingExpiresAt) => {
+  const tripData = typeof trip === 'string' ? JSON.parse(trip) : trip;
+  const expiresAt = convertUTCToDubaiTime(trackingExpiresAt).toLocaleString('en-US', {
+    hour: 'numeric',
+    minute: 'numeric',
+    hour12: true
+  });
+  return `• Driver: ${tripData.driver ? tripData.driver.name : '-'} - ${tripData.vehicle ? tripData.vehicle.name : '-'}\n• Track your trip live until ${expiresAt}`;
+};
+
   
   module.exports = {
     createTripStartedNotification,
-    createTripEndedNotification
+    createTripEndedNotification,
+    createUpcomingTripReminderNotification,
+    createTripCancelledRequestorNotification,
+    createTripCancelledDriverNotification,
+    createDriverArrivedNotification,
+    createTripStartedRequestorNotification
   };
\ No newline at end of file
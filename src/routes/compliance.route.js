@@ -0,0 +1,118 @@
+const express = require('express');
+const { validateQuery } = require('../middleware/validate.middleware');
+const { verifyToken, authorize } = require('../middleware/auth.middleware');
+const complianceController = require('../controllers/compliance.controller');
+const { getExpiring, getOverrides, getWorkingHours } = require('../validators/compliance.validator');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(verifyToken);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Compliance
+ *   description: Expiry tracking of vehicle and driver documents, and driver working hour limits
+ */
+
+/**
+ * @swagger
+ * /compliance/expiring:
+ *   get:
+ *     summary: Get documents that expired or expire soon
+ *     description: Lists vehicle registration and insurance, driver licences and uploaded driver documents that expired or expire within the given days, soonest first. Mandatory items block new trip schedules once expired.
+ *     tags: [Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: withinDays
+ *         schema:
+ *           type: integer
+ *         description: Defaults to the earliest COMPLIANCE_ALERT_DAYS threshold
+ *       - in: query
+ *         name: subjectType
+ *         schema:
+ *           type: string
+ *           enum: [vehicle, driver]
+ *     responses:
+ *       200:
+ *         description: Expired and expiring documents
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/expiring', authorize(['admin', 'super-admin', 'scheduler']), validateQuery(getExpiring), complianceController.getExpiring);
+
+/**
+ * @swagger
+ * /compliance/overrides:
+ *   get:
+ *     summary: Get the compliance override audit trail
+ *     description: Trip schedules an admin created for a vehicle or driver with expired mandatory documents, with the expired items and the reason given. Newest first.
+ *     tags: [Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: vehicle
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: driver
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Compliance overrides
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/overrides', authorize(['admin', 'super-admin']), validateQuery(getOverrides), complianceController.getOverrides);
+
+/**
+ * @swagger
+ * /compliance/working-hours:
+ *   get:
+ *     summary: Get working hours and limit violations of drivers
+ *     description: Duty hours from attendance punches and trips, driving hours from trips, and each day over the duty limit, short rest between duty days and stretch of driving without a break, in Dubai time. Planned trips count with their scheduled times. At most 62 days.
+ *     tags: [Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: driverId
+ *         schema:
+ *           type: string
+ *         description: Driver user ID, otherwise every active driver
+ *     responses:
+ *       200:
+ *         description: Limits and hours with violations per driver
+ *       400:
+ *         description: Invalid range
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/working-hours', authorize(['admin', 'super-admin', 'scheduler']), validateQuery(getWorkingHours), complianceController.getWorkingHours);
+
+module.exports = router;
@@ -21,6 +21,7 @@ router.use(verifyToken);
  * /drivers:
  *   get:
  *     summary: Get all drivers
+ *     description: Lists driver profiles with their user and vehicle. Every driver user has a profile, its user is the driverId used by schedules. Without limit all drivers are returned.
  *     tags: [Drivers]
  *     security:
  *       - bearerAuth: []
@@ -117,7 +118,7 @@ router.get('/schedules', authorize(['driver']), driverController.getDriverSchedu
  *         required: true
  *         schema:
  *           type: string
- *         description: Driver ID
+ *         description: Driver profile ID
  *     responses:
  *       200:
  *         description: Driver details
@@ -151,6 +152,7 @@ router.get('/profile/me', authorize(['driver']), driverController.getMyProfile);
  * /drivers:
  *   post:
  *     summary: Create new driver
+ *     description: Fills in the empty profile a driver user gets when created or given the driver role
  *     tags: [Drivers]
  *     security:
  *       - bearerAuth: []
@@ -166,7 +168,7 @@ router.get('/profile/me', authorize(['driver']), driverController.getMyProfile);
  *       400:
  *         description: Invalid data
  *       409:
- *         description: Driver profile already exists for this user or license already registered
+ *         description: Driver profile with a licence already exists for this user or license already registered
  *       401:
  *         description: Unauthorized
  *       403:
@@ -188,7 +190,7 @@ router.post('/', authorize(['admin', 'super-admin']), validateRequest(createDriv
  *         required: true
  *         schema:
  *           type: string
- *         description: Driver ID
+ *         description: Driver profile ID
  *     requestBody:
  *       required: true
  *       content:
@@ -216,6 +218,7 @@ router.put('/:id', authorize(['admin', 'super-admin']), validateParams(driverIdP
  * /drivers/{id}/status:
  *   put:
  *     summary: Update driver status
+ *     description: Employment status changes are recorded in the profile's statusHistory.
  *     tags: [Drivers]
  *     security:
  *       - bearerAuth: []
@@ -225,7 +228,7 @@ router.put('/:id', authorize(['admin', 'super-admin']), validateParams(driverIdP
  *         required: true
  *         schema:
  *           type: string
- *         description: Driver ID
+ *         description: Driver profile ID
  *     requestBody:
  *       required: true
  *       content:
@@ -268,7 +271,7 @@ router.put('/:id/status', authorize(['admin', 'super-admin']), validateParams(dr
  *         required: true
  *         schema:
  *           type: string
- *         description: Driver ID
+ *         description: Driver profile ID
  *     requestBody:
  *       required: true
  *       content:
@@ -281,9 +284,15 @@ router.put('/:id/status', authorize(['admin', 'super-admin']), validateParams(dr
  *             properties:
  *               type:
  *                 type: string
- *                 enum: [license, id_card, insurance, medical, background_check]
+ *                 enum: [license, id_card, insurance, medical, background_check, other]
+ *               name:
+ *                 type: string
  *               url:
  *                 type: string
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Expiry date, tracked by the compliance alerts
  *               verified:
  *                 type: boolean
  *     responses:
@@ -296,7 +305,7 @@ router.put('/:id/status', authorize(['admin', 'super-admin']), validateParams(dr
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - insufficient permissions
+ *         description: Forbidden - insufficient permissions, or a driver adding documents for another driver
  */
 router.post('/:id/documents', authorize(['admin', 'super-admin', 'driver']), validateParams(driverIdParamSchema), validateRequest(addDocumentSchema), driverController.addDocument);
 
@@ -314,7 +323,7 @@ router.post('/:id/documents', authorize(['admin', 'super-admin', 'driver']), val
  *         required: true
  *         schema:
  *           type: string
- *         description: Driver ID
+ *         description: Driver profile ID
  *       - in: path
  *         name: documentId
  *         required: true
@@ -347,7 +356,7 @@ router.put('/:driverId/documents/:documentId/verify', authorize(['admin', 'super
  *         required: true
  *         schema:
  *           type: string
- *         description: Driver ID
+ *         description: Driver profile ID
  *     responses:
  *       200:
  *         description: Driver deleted successfully
@@ -4,9 +4,17 @@
  */
 const express = require('express');
 const { verifyToken, authorize } = require('../middleware/auth.middleware');
-const { validateRequest, validateParams } = require('../middleware/validate.middleware');
+const { validateRequest, validateParams, validateQuery } = require('../middleware/validate.middleware');
 const driverAttendanceController = require('../controllers/driverAttendance.controller');
-const { driverIdParamSchema, dateRangeSchema } = require('../validators/driverAttendance.validator');
+const {
+  driverIdParamSchema,
+  dateRangeSchema,
+  idleAlertQuerySchema,
+  createCorrectionSchema,
+  reviewCorrectionSchema,
+  correctionIdParamSchema,
+  correctionQuerySchema
+} = require('../validators/driverAttendance.validator');
 
 const router = express.Router();
 
@@ -347,4 +355,293 @@ router.get('/idle-drivers',
   driverAttendanceController.getIdleDrivers
 );
 
+/**
+ * @swagger
+ * /driver-attendance/idle-alerts:
+ *   get:
+ *     summary: Get history of idle alerts raised for drivers
+ *     description: Alerts are raised by a background job once per idle spell for each threshold in IDLE_ALERT_THRESHOLDS_MINUTES
+ *     tags: [Driver Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: driverId
+ *         schema:
+ *           type: string
+ *         description: Filter by driver ID
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only alerts raised on or after this date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only alerts raised on or before this date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of records per page
+ *     responses:
+ *       200:
+ *         description: Paginated list of idle alerts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       driver:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           phone:
+ *                             type: string
+ *                       idleFrom:
+ *                         type: string
+ *                         format: date-time
+ *                       punchInTime:
+ *                         type: string
+ *                         format: date-time
+ *                       level:
+ *                         type: number
+ *                         description: Escalation level, 1 for the first threshold
+ *                         example: 2
+ *                       thresholdMinutes:
+ *                         type: number
+ *                         example: 120
+ *                       idleMinutes:
+ *                         type: number
+ *                         example: 125
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: number
+ *                     limit:
+ *                       type: number
+ *                     totalResults:
+ *                       type: number
+ *                     totalPages:
+ *                       type: number
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ */
+router.get('/idle-alerts',
+  authorize(['admin', 'super-admin']),
+  validateQuery(idleAlertQuerySchema),
+  driverAttendanceController.getIdleAlerts
+);
+
+/**
+ * @swagger
+ * /driver-attendance/corrections:
+ *   post:
+ *     summary: Request a correction of the driver's punches
+ *     description: missed_punch_in adds a punch with both times, missed_punch_out closes an open punch and wrong_time changes the times of a punch. Punches are only changed once an admin approves the request, and a punch can have one pending request at a time.
+ *     tags: [Driver Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - reason
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [missed_punch_in, missed_punch_out, wrong_time]
+ *               attendanceId:
+ *                 type: string
+ *                 description: Attendance record of the punch, not used for missed_punch_in
+ *               punchIndex:
+ *                 type: integer
+ *                 description: Position of the punch in the record, not used for missed_punch_in
+ *               inTime:
+ *                 type: string
+ *                 format: date-time
+ *               outTime:
+ *                 type: string
+ *                 format: date-time
+ *               reason:
+ *                 type: string
+ *                 example: Phone battery was dead at the end of the shift
+ *     responses:
+ *       201:
+ *         description: Correction requested
+ *       400:
+ *         description: Invalid input or times
+ *       404:
+ *         description: Attendance record or punch not found
+ *       409:
+ *         description: A correction of this punch is already pending
+ *   get:
+ *     summary: Get correction requests of all drivers
+ *     tags: [Driver Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: driverId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [missed_punch_in, missed_punch_out, wrong_time, auto_close]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Paginated list of correction requests with the punch values they replaced
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ */
+router.post('/corrections',
+  authorize(['driver']),
+  validateRequest(createCorrectionSchema),
+  driverAttendanceController.createCorrection
+);
+router.get('/corrections',
+  authorize(['admin', 'super-admin']),
+  validateQuery(correctionQuerySchema),
+  driverAttendanceController.getCorrections
+);
+
+/**
+ * @swagger
+ * /driver-attendance/corrections/me:
+ *   get:
+ *     summary: Get the driver's own correction requests
+ *     description: Includes punches closed automatically after ATTENDANCE_MAX_SHIFT_HOURS as auto_close corrections
+ *     tags: [Driver Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [missed_punch_in, missed_punch_out, wrong_time, auto_close]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Paginated list of correction requests
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/corrections/me',
+  authorize(['driver']),
+  validateQuery(correctionQuerySchema),
+  driverAttendanceController.getMyCorrections
+);
+
+/**
+ * @swagger
+ * /driver-attendance/corrections/{correctionId}/review:
+ *   patch:
+ *     summary: Approve or reject a correction request
+ *     description: Approving changes the punch, works out the punch duration and day total again and keeps the replaced values on the correction. The driver is notified either way.
+ *     tags: [Driver Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: correctionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [approved, rejected]
+ *               reviewNotes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Correction reviewed
+ *       400:
+ *         description: Correction already reviewed, or the corrected punch overlaps another punch
+ *       404:
+ *         description: Correction not found
+ *       409:
+ *         description: The punch has changed since the correction was requested
+ */
+router.patch('/corrections/:correctionId/review',
+  authorize(['admin', 'super-admin']),
+  validateParams(correctionIdParamSchema),
+  validateRequest(reviewCorrectionSchema),
+  driverAttendanceController.reviewCorrection
+);
+
 module.exports = router; 
\ No newline at end of file
@@ -3,14 +3,90 @@
  * Defines routes for driver location tracking and retrieval
  */
 const express = require('express');
-const { verifyToken, authorize } = require('../middleware/auth.middleware');
+const { verifyToken, verifyStreamToken, authorize } = require('../middleware/auth.middleware');
+const { validateRequest, validateQuery } = require('../middleware/validate.middleware');
 const driverLocationController = require('../controllers/driverLocation.controller');
+const driverLocationValidation = require('../validators/driverLocation.validator');
 
 const router = express.Router();
 
+/**
+ * @swagger
+ * /driver-locations/live:
+ *   get:
+ *     summary: Stream live fleet events
+ *     description: Server-Sent Events stream of driver locations (`location`), trip status changes (`trip`) and punches (`punch`). Admins, super admins and schedulers receive all events, requestors only trip and location events of trips serving their own requests. EventSource clients that can't send headers pass a stream token from `POST /driver-locations/live/token` as the `token` query parameter, login tokens are not accepted there.
+ *     tags: [Driver Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         description: Stream token, when the login token can't be sent as a header
+ *       - in: query
+ *         name: driverId
+ *         schema:
+ *           type: string
+ *         description: Only events of these drivers (comma-separated)
+ *       - in: query
+ *         name: vehicleId
+ *         schema:
+ *           type: string
+ *         description: Only events of these vehicles (comma-separated)
+ *       - in: query
+ *         name: tripId
+ *         schema:
+ *           type: string
+ *         description: Only events of these trips (comma-separated)
+ *     responses:
+ *       "200":
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+// The live stream is opened by EventSource, which can only pass a token in the URL
+router.get(
+  '/live',
+  verifyStreamToken,
+  authorize(['admin', 'super-admin', 'scheduler', 'requestor']),
+  validateQuery(driverLocationValidation.liveFleet),
+  driverLocationController.streamLiveFleet
+);
+
 // Protect all routes with authentication
 router.use(verifyToken);
 
+/**
+ * @swagger
+ * /driver-locations/live/token:
+ *   post:
+ *     summary: Get a live stream token
+ *     description: Short-lived token that only opens `GET /driver-locations/live`, for EventSource clients that have to pass it in the URL. It must be used within LIVE_FLEET_TOKEN_TTL_SECONDS, an open stream stays open after it expires. Get a new one to reconnect.
+ *     tags: [Driver Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       "200":
+ *         description: Stream token and its lifetime in seconds
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post(
+  '/live/token',
+  authorize(['admin', 'super-admin', 'scheduler', 'requestor']),
+  driverLocationController.createLiveStreamToken
+);
+
 // Record driver location - drivers can record their own, admins can record for any
 router.post(
   '/',
@@ -18,6 +94,68 @@ router.post(
   driverLocationController.recordLocation
 );
 
+/**
+ * @swagger
+ * /driver-locations/batch:
+ *   post:
+ *     summary: Upload queued location points
+ *     description: Records location points a driver's device queued while offline. Points are deduplicated by device sequence number, stored in timestamp order, and rejected when in the future, too old or implying an implausible speed. The driver's last location only moves forward.
+ *     tags: [Driver Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - points
+ *             properties:
+ *               deviceId:
+ *                 type: string
+ *               points:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - coordinates
+ *                     - timestamp
+ *                     - sequence
+ *                   properties:
+ *                     coordinates:
+ *                       type: array
+ *                       items:
+ *                         type: number
+ *                       description: [longitude, latitude]
+ *                     timestamp:
+ *                       type: string
+ *                       format: date-time
+ *                     sequence:
+ *                       type: integer
+ *                     tripId:
+ *                       type: string
+ *                     source:
+ *                       type: string
+ *                       enum: [trip, attendance, background]
+ *     responses:
+ *       "200":
+ *         description: Counts of accepted, duplicate and rejected points
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post(
+  '/batch',
+  authorize(['driver']),
+  validateRequest(driverLocationValidation.recordLocationBatch),
+  driverLocationController.recordLocationBatch
+);
+
+
 // Get latest location for all drivers - admin only
 router.get(
   '/latest',
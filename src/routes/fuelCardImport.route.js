@@ -0,0 +1,189 @@
+const express = require('express');
+const { verifyToken, authorize } = require('../middleware/auth.middleware');
+const { validateRequest, validateParams, validateQuery } = require('../middleware/validate.middleware');
+const fuelCardImportController = require('../controllers/fuelCardImport.controller');
+const fuelCardImportValidation = require('../validators/fuelCardImport.validator');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(verifyToken);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Fuel Card Imports
+ *   description: Fuel card statement import and reconciliation
+ */
+
+/**
+ * @swagger
+ * /fuel-card-imports:
+ *   post:
+ *     summary: Import a fuel card statement
+ *     description: Stages every line of a CSV statement and matches it to a fueling record of the same vehicle plate within the configured time window and amount tolerance. Lines already imported from an earlier statement are marked as duplicates and lines that can't be read as invalid.
+ *     tags: [Fuel Card Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - csv
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: ADNOC card - March 2025
+ *               csv:
+ *                 type: string
+ *                 description: Statement CSV, with a header row
+ *               columnMapping:
+ *                 type: object
+ *                 description: Statement column of each field, defaults to Date, Vehicle Plate, Amount, Quantity, Odometer, Card Number, Station and Transaction ID
+ *                 properties:
+ *                   transactionAt:
+ *                     type: string
+ *                   plate:
+ *                     type: string
+ *                   amount:
+ *                     type: string
+ *                   volume:
+ *                     type: string
+ *                   odometer:
+ *                     type: string
+ *                   cardNumber:
+ *                     type: string
+ *                   station:
+ *                     type: string
+ *                   reference:
+ *                     type: string
+ *               dateFormat:
+ *                 type: string
+ *                 example: DD/MM/YYYY HH:mm
+ *               delimiter:
+ *                 type: string
+ *                 enum: [",", ";", "\t", "|"]
+ *     responses:
+ *       "201":
+ *         description: Reconciliation report with matched, unmatched, duplicate and invalid lines
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *   get:
+ *     summary: Get imported fuel card statements
+ *     tags: [Fuel Card Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       "200":
+ *         description: OK
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post(
+  '/',
+  authorize(['admin', 'super-admin']),
+  validateRequest(fuelCardImportValidation.importStatement),
+  fuelCardImportController.importStatement
+);
+
+router.get(
+  '/',
+  authorize(['admin', 'super-admin', 'cost-analyst']),
+  validateQuery(fuelCardImportValidation.getImports),
+  fuelCardImportController.getImports
+);
+
+/**
+ * @swagger
+ * /fuel-card-imports/{id}:
+ *   get:
+ *     summary: Get the reconciliation report of a fuel card statement
+ *     tags: [Fuel Card Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: Import with its matched, unmatched, duplicate, invalid and created lines
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get(
+  '/:id',
+  authorize(['admin', 'super-admin', 'cost-analyst']),
+  validateParams(fuelCardImportValidation.getImport),
+  fuelCardImportController.getImportReport
+);
+
+/**
+ * @swagger
+ * /fuel-card-imports/{id}/create-records:
+ *   post:
+ *     summary: Create fueling records for unmatched statement lines
+ *     description: Creates a fueling record for each unmatched line, or only the given lines, of a known vehicle with an odometer reading. The vehicle's assigned driver is recorded as having fueled, or the admin when it has none.
+ *     tags: [Fuel Card Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               transactionIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       "201":
+ *         description: Created records and skipped lines with the reason
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post(
+  '/:id/create-records',
+  authorize(['admin', 'super-admin']),
+  validateParams(fuelCardImportValidation.createMissingRecords),
+  validateRequest(fuelCardImportValidation.createMissingRecords),
+  fuelCardImportController.createMissingRecords
+);
+
+module.exports = router;
@@ -4,14 +4,15 @@
  */
 const express = require('express');
 const { verifyToken, authorize } = require('../middleware/auth.middleware');
-const { validateRequest, validateParams } = require('../middleware/validate.middleware');
+const { validateRequest, validateParams, validateQuery } = require('../middleware/validate.middleware');
 const fuelingRecordController = require('../controllers/fuelingRecord.controller');
 const {
   createFuelingRecordSchema,
   updateFuelingRecordSchema,
   idParamSchema,
   vehicleIdParamSchema,
-  queryParamsSchema
+  queryParamsSchema,
+  analyticsQuerySchema
 } = require('../validators/fuelingRecord.validator');
 
 const router = express.Router();
@@ -45,10 +46,16 @@ router.use(verifyToken);
  *                 example: "60d21b4667d0d8992e610c85"
  *               amount:
  *                 type: number
+ *                 description: Cost in Dirhams
+ *                 example: 120.5
+ *               volume:
+ *                 type: number
+ *                 description: Litres filled
  *                 example: 45.5
- *               cost:
+ *               pricePerLitre:
  *                 type: number
- *                 example: 250.75
+ *                 description: Derived from amount and volume when omitted
+ *                 example: 2.65
  *               odometer:
  *                 type: number
  *                 example: 15780
@@ -134,6 +141,52 @@ router.get('/',
   fuelingRecordController.getAllFuelingRecords
 );
 
+/**
+ * @swagger
+ * /fueling-records/analytics:
+ *   get:
+ *     summary: Get fuel efficiency and anomalies by vehicle and driver
+ *     description: Efficiency is km per litre, computed from the odometer distance since the previous fueling and the litres filled. Fuelings are flagged for efficiency drops against the vehicle's rolling efficiency, fuelings too close together, odometer readings going backwards and volumes above the vehicle's tank capacity.
+ *     tags: [Fueling Records]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: vehicleId
+ *         schema:
+ *           type: string
+ *         description: Only fuelings of this vehicle
+ *       - in: query
+ *         name: driverId
+ *         schema:
+ *           type: string
+ *         description: Only fuelings by this driver
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Filter by start date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Filter by end date
+ *     responses:
+ *       200:
+ *         description: Totals, efficiency and anomaly counts by vehicle and by driver, and the flagged fuelings
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ */
+router.get('/analytics',
+  authorize(['admin', 'super-admin', 'cost-analyst']),
+  validateQuery(analyticsQuerySchema),
+  fuelingRecordController.getFuelAnalytics
+);
+
 /**
  * @swagger
  * /fueling-records/my-records:
@@ -284,10 +337,16 @@ router.get('/:id',
  *             properties:
  *               amount:
  *                 type: number
+ *                 description: Cost in Dirhams
+ *                 example: 120.5
+ *               volume:
+ *                 type: number
+ *                 description: Litres filled
  *                 example: 45.5
- *               cost:
+ *               pricePerLitre:
  *                 type: number
- *                 example: 250.75
+ *                 description: Derived from amount and volume when omitted
+ *                 example: 2.65
  *               odometer:
  *                 type: number
  *                 example: 15780
@@ -1,5 +1,5 @@
 const express = require('express');
-const { validateRequest, validateParams } = require('../middleware/validate.middleware');
+const { validateRequest, validateParams, validateQuery } = require('../middleware/validate.middleware');
 const { verifyToken, authorize } = require('../middleware/auth.middleware');
 const maintenanceController = require('../controllers/maintenance.controller');
 const {
@@ -9,6 +9,7 @@ const {
   addDocument,
   getById,
   getByVehicle,
+  getMyRequests,
   deleteMaintenance
 } = require('../validators/maintenance.validator');
 
@@ -62,13 +63,13 @@ router.get('/', authorize(['admin', 'super-admin', 'manager']), maintenanceContr
  *         name: type
  *         schema:
  *           type: string
- *           enum: [preventive, corrective, predictive, scheduled, emergency]
+ *           enum: [preventive, corrective, predictive, scheduled, emergency, other]
  *         description: Filter by maintenance type
  *       - in: query
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, in-progress, completed, cancelled]
+ *           enum: [requested, approved, rejected, scheduled, in-service, completed, cancelled]
  *         description: Filter by status
  *       - in: query
  *         name: priority
@@ -94,6 +95,36 @@ router.get('/', authorize(['admin', 'super-admin', 'manager']), maintenanceContr
  */
 router.get('/query', authorize(['admin', 'super-admin', 'manager']), maintenanceController.queryMaintenance);
 
+/**
+ * @swagger
+ * /maintenance/my-requests:
+ *   get:
+ *     summary: Get maintenance requested by the current user
+ *     tags: [Maintenance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Status or comma separated statuses
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of the user's maintenance requests
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/my-requests', validateQuery(getMyRequests), maintenanceController.getMyMaintenance);
+
 /**
  * @swagger
  * /maintenance/{maintenanceId}:
@@ -111,13 +142,15 @@ router.get('/query', authorize(['admin', 'super-admin', 'manager']), maintenance
  *         description: Maintenance ID
  *     responses:
  *       200:
- *         description: Maintenance record details
+ *         description: Maintenance record details with its status history
  *       404:
  *         description: Maintenance record not found
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Drivers can only see their own requests
  */
-router.get('/:maintenanceId', authorize(['admin', 'super-admin', 'manager']), validateParams(getById), maintenanceController.getMaintenance);
+router.get('/:maintenanceId', authorize(['admin', 'super-admin', 'manager', 'driver']), validateParams(getById), maintenanceController.getMaintenance);
 
 /**
  * @swagger
@@ -156,7 +189,8 @@ router.get('/vehicle/:vehicleId', authorize(['admin', 'super-admin', 'manager'])
  * @swagger
  * /maintenance:
  *   post:
- *     summary: Create new maintenance record
+ *     summary: Request maintenance
+ *     description: Every maintenance starts as requested and moves through the status endpoint.
  *     tags: [Maintenance]
  *     security:
  *       - bearerAuth: []
@@ -168,7 +202,7 @@ router.get('/vehicle/:vehicleId', authorize(['admin', 'super-admin', 'manager'])
  *             $ref: '#/components/schemas/CreateMaintenance'
  *     responses:
  *       201:
- *         description: Maintenance record created successfully
+ *         description: Maintenance requested successfully
  *       400:
  *         description: Invalid data
  *       401:
@@ -176,13 +210,14 @@ router.get('/vehicle/:vehicleId', authorize(['admin', 'super-admin', 'manager'])
  *       403:
  *         description: Forbidden - insufficient permissions
  */
-router.post('/', authorize(['admin', 'super-admin', 'manager']), validateRequest(createMaintenance), maintenanceController.createMaintenance);
+router.post('/', authorize(['admin', 'super-admin', 'manager', 'driver']), validateRequest(createMaintenance), maintenanceController.createMaintenance);
 
 /**
  * @swagger
  * /maintenance/{maintenanceId}:
  *   put:
  *     summary: Update maintenance record
+ *     description: Does not change the status. Drivers can update their own requests until they are reviewed.
  *     tags: [Maintenance]
  *     security:
  *       - bearerAuth: []
@@ -211,13 +246,18 @@ router.post('/', authorize(['admin', 'super-admin', 'manager']), validateRequest
  *       403:
  *         description: Forbidden - insufficient permissions
  */
-router.put('/:maintenanceId', authorize(['admin', 'super-admin', 'manager']), validateParams(getById), validateRequest(updateMaintenance), maintenanceController.updateMaintenance);
+router.put('/:maintenanceId', authorize(['admin', 'super-admin', 'manager', 'driver']), validateParams(getById), validateRequest(updateMaintenance), maintenanceController.updateMaintenance);
 
 /**
  * @swagger
  * /maintenance/{maintenanceId}/status:
  *   patch:
- *     summary: Update maintenance status
+ *     summary: Move maintenance to another status
+ *     description: |
+ *       requested -> approved or rejected -> scheduled -> in-service -> completed.
+ *       Requested, approved and scheduled maintenance can be cancelled, and scheduled maintenance can be rescheduled.
+ *       Each transition is recorded in statusHistory. Drivers can only cancel their own requests before review.
+ *       Going in service sets the vehicle to maintenance and opens a downtime, completing restores it.
  *     tags: [Maintenance]
  *     security:
  *       - bearerAuth: []
@@ -239,22 +279,38 @@ router.put('/:maintenanceId', authorize(['admin', 'super-admin', 'manager']), va
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [pending, in-progress, completed, cancelled]
+ *                 enum: [approved, rejected, scheduled, in-service, completed, cancelled]
  *               notes:
  *                 type: string
+ *               scheduledDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Required to schedule unless already set
+ *               scheduledEndDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: End of the service window, the vehicle can't be booked in it. Defaults to MAINTENANCE_DEFAULT_WINDOW_HOURS after the scheduled date
+ *               odometer:
+ *                 type: number
+ *                 description: Odometer reading on completion
+ *               cost:
+ *                 type: number
+ *                 description: Final cost on completion
  *     responses:
  *       200:
  *         description: Maintenance status updated successfully
  *       400:
- *         description: Invalid data
+ *         description: Invalid data or transition not allowed from the current status
  *       404:
  *         description: Maintenance record not found
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden - insufficient permissions
+ *       409:
+ *         description: The status was changed meanwhile
  */
-router.patch('/:maintenanceId/status', authorize(['admin', 'super-admin', 'manager']), validateParams(getById), validateRequest(updateStatus), maintenanceController.updateMaintenanceStatus);
+router.patch('/:maintenanceId/status', authorize(['admin', 'super-admin', 'manager', 'driver']), validateParams(getById), validateRequest(updateStatus), maintenanceController.updateMaintenanceStatus);
 
 /**
  * @swagger
@@ -278,23 +334,18 @@ router.patch('/:maintenanceId/status', authorize(['admin', 'super-admin', 'manag
  *           schema:
  *             type: object
  *             required:
- *               - document
+ *               - name
+ *               - type
+ *               - url
  *             properties:
- *               document:
- *                 type: object
- *                 required:
- *                   - name
- *                   - type
- *                   - url
- *                 properties:
- *                   name:
- *                     type: string
- *                   type:
- *                     type: string
- *                   url:
- *                     type: string
- *                   size:
- *                     type: number
+ *               name:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *               url:
+ *                 type: string
+ *               size:
+ *                 type: number
  *     responses:
  *       200:
  *         description: Document added successfully
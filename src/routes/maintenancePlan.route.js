@@ -0,0 +1,218 @@
+const express = require('express');
+const { validateRequest, validateParams, validateQuery } = require('../middleware/validate.middleware');
+const { verifyToken, authorize } = require('../middleware/auth.middleware');
+const maintenancePlanController = require('../controllers/maintenancePlan.controller');
+const {
+  createPlan,
+  updatePlan,
+  getPlan,
+  getPlans,
+  getDueSoon
+} = require('../validators/maintenancePlan.validator');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(verifyToken);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Maintenance Plans
+ *   description: Preventive maintenance plans with odometer and time triggers
+ */
+
+/**
+ * @swagger
+ * /maintenance-plans:
+ *   post:
+ *     summary: Create a maintenance plan
+ *     description: A plan applies to every vehicle of a type or to one vehicle, and comes due every intervalKm kilometres or intervalMonths months, whichever comes first. A vehicle's own plan replaces the plan for its type with the same title.
+ *     tags: [Maintenance Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: Oil change
+ *               description:
+ *                 type: string
+ *               vehicleType:
+ *                 type: string
+ *                 enum: [car, truck, van]
+ *               vehicle:
+ *                 type: string
+ *               intervalKm:
+ *                 type: integer
+ *                 example: 10000
+ *               intervalMonths:
+ *                 type: integer
+ *                 example: 6
+ *               priority:
+ *                 type: string
+ *                 enum: [low, medium, high, critical]
+ *               servicedBy:
+ *                 type: object
+ *                 properties:
+ *                   type:
+ *                     type: string
+ *                     enum: [internal, external]
+ *                   name:
+ *                     type: string
+ *                   contact:
+ *                     type: string
+ *     responses:
+ *       201:
+ *         description: Maintenance plan created
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *   get:
+ *     summary: Get maintenance plans
+ *     tags: [Maintenance Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: vehicle
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: vehicleType
+ *         schema:
+ *           type: string
+ *           enum: [car, truck, van]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of maintenance plans
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/', authorize(['admin', 'super-admin']), validateRequest(createPlan), maintenancePlanController.createPlan);
+router.get('/', authorize(['admin', 'super-admin']), validateQuery(getPlans), maintenancePlanController.getPlans);
+
+/**
+ * @swagger
+ * /maintenance-plans/due-soon:
+ *   get:
+ *     summary: Get plans that are due or coming due
+ *     description: Lists each vehicle and plan that is due, or due within the given days or kilometres, with the remaining distance and time and the pending maintenance created for it. Most urgent first.
+ *     tags: [Maintenance Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: vehicleId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: withinDays
+ *         schema:
+ *           type: integer
+ *         description: Defaults to MAINTENANCE_DUE_SOON_DAYS
+ *       - in: query
+ *         name: withinKm
+ *         schema:
+ *           type: integer
+ *         description: Defaults to MAINTENANCE_DUE_SOON_KM
+ *     responses:
+ *       200:
+ *         description: Due and due soon plans
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/due-soon', authorize(['admin', 'super-admin']), validateQuery(getDueSoon), maintenancePlanController.getDueSoon);
+
+/**
+ * @swagger
+ * /maintenance-plans/{planId}:
+ *   get:
+ *     summary: Get a maintenance plan with each vehicle's progress
+ *     tags: [Maintenance Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Maintenance plan
+ *       404:
+ *         description: Maintenance plan not found
+ *   patch:
+ *     summary: Update a maintenance plan
+ *     tags: [Maintenance Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               intervalKm:
+ *                 type: integer
+ *               intervalMonths:
+ *                 type: integer
+ *               priority:
+ *                 type: string
+ *                 enum: [low, medium, high, critical]
+ *     responses:
+ *       200:
+ *         description: Maintenance plan updated
+ *       404:
+ *         description: Maintenance plan not found
+ *   delete:
+ *     summary: Deactivate a maintenance plan
+ *     description: Pending maintenance already created by the plan is kept.
+ *     tags: [Maintenance Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Maintenance plan deactivated
+ *       404:
+ *         description: Maintenance plan not found
+ */
+router.get('/:planId', authorize(['admin', 'super-admin']), validateParams(getPlan), maintenancePlanController.getPlan);
+router.patch('/:planId', authorize(['admin', 'super-admin']), validateParams(updatePlan), validateRequest(updatePlan), maintenancePlanController.updatePlan);
+router.delete('/:planId', authorize(['admin', 'super-admin']), validateParams(getPlan), maintenancePlanController.deletePlan);
+
+module.exports = router;
@@ -0,0 +1,390 @@
+const express = require('express');
+const { validateRequest, validateParams, validateQuery } = require('../middleware/validate.middleware');
+const recurringScheduleController = require('../controllers/recurringSchedule.controller');
+const recurringScheduleValidation = require('../validators/recurringSchedule.validator');
+const { verifyToken, authorize } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(verifyToken);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Recurring Schedules
+ *   description: Recurring trip schedule templates (daily/weekly shuttles)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RecurringScheduleInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Staff shuttle - morning
+ *         driverId:
+ *           type: string
+ *         vehicleId:
+ *           type: string
+ *         destinations:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               startTime:
+ *                 type: string
+ *                 description: Local start time (HH:mm)
+ *                 example: "07:30"
+ *               arrivalTime:
+ *                 type: string
+ *                 description: Local approximate arrival time (HH:mm)
+ *                 example: "08:15"
+ *               tripPurposeTime:
+ *                 type: integer
+ *               purposeId:
+ *                 type: string
+ *               destination:
+ *                 type: string
+ *         recurrence:
+ *           type: object
+ *           properties:
+ *             frequency:
+ *               type: string
+ *               enum: [daily, weekly]
+ *             interval:
+ *               type: integer
+ *               description: Repeat every N days or weeks
+ *               default: 1
+ *             daysOfWeek:
+ *               type: array
+ *               description: Weekdays for weekly rules (0 = Sunday ... 6 = Saturday)
+ *               items:
+ *                 type: integer
+ *               example: [1, 2, 3, 4, 5]
+ *             startDate:
+ *               type: string
+ *               format: date
+ *             endDate:
+ *               type: string
+ *               format: date
+ *             exceptionDates:
+ *               type: array
+ *               description: Dates on which no trip is generated
+ *               items:
+ *                 type: string
+ *                 format: date
+ *         timezone:
+ *           type: string
+ *           default: Asia/Dubai
+ *     RecurringScheduleGeneration:
+ *       type: object
+ *       properties:
+ *         created:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               occurrenceDate:
+ *                 type: string
+ *                 format: date
+ *               tripStartTime:
+ *                 type: string
+ *                 format: date-time
+ *         conflicts:
+ *           type: array
+ *           description: Occurrences skipped because the driver or vehicle is already booked, has expired mandatory documents or would exceed a blocking working hour limit
+ *           items:
+ *             type: object
+ *             properties:
+ *               occurrenceDate:
+ *                 type: string
+ *                 format: date
+ *               conflict:
+ *                 type: string
+ *                 enum: [vehicle, driver, vehicle-driver, resource, documents, working-hours]
+ *               message:
+ *                 type: string
+ *               conflictingSchedules:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/TripSchedule'
+ *               expiredDocuments:
+ *                 type: array
+ *                 description: Only for documents conflicts
+ *                 items:
+ *                   type: object
+ *               workingHoursViolations:
+ *                 type: array
+ *                 description: Only for working-hours conflicts
+ *                 items:
+ *                   type: object
+ */
+
+/**
+ * @swagger
+ * /recurring-schedules:
+ *   get:
+ *     summary: Get all recurring schedules
+ *     tags: [Recurring Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: driverId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: vehicleId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       "200":
+ *         description: OK
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/', authorize(['scheduler', 'admin', 'super-admin']), validateQuery(recurringScheduleValidation.getRecurringSchedules), recurringScheduleController.getRecurringSchedules);
+
+/**
+ * @swagger
+ * /recurring-schedules/{id}:
+ *   get:
+ *     summary: Get a recurring schedule
+ *     description: Includes occurrences that could not be generated because of conflicts.
+ *     tags: [Recurring Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: OK
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id', authorize(['scheduler', 'admin', 'super-admin']), validateParams(recurringScheduleValidation.getRecurringSchedule), recurringScheduleController.getRecurringSchedule);
+
+/**
+ * @swagger
+ * /recurring-schedules/{id}/occurrences:
+ *   get:
+ *     summary: Get trip schedules generated from a recurring schedule
+ *     description: Edit a single occurrence through PUT /schedules/{id}; it is then left untouched by later series edits.
+ *     tags: [Recurring Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       "200":
+ *         description: OK
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get(
+  '/:id/occurrences',
+  authorize(['scheduler', 'admin', 'super-admin']),
+  validateParams(recurringScheduleValidation.getOccurrences),
+  validateQuery(recurringScheduleValidation.getOccurrences),
+  recurringScheduleController.getOccurrences
+);
+
+/**
+ * @swagger
+ * /recurring-schedules:
+ *   post:
+ *     summary: Create a recurring schedule
+ *     description: Creates the series and generates its trip schedules for the configured horizon. Conflicting occurrences are skipped and reported instead of failing the series.
+ *     tags: [Recurring Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RecurringScheduleInput'
+ *     responses:
+ *       "201":
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recurringSchedule:
+ *                   type: object
+ *                 generation:
+ *                   $ref: '#/components/schemas/RecurringScheduleGeneration'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/', authorize(['scheduler', 'admin', 'super-admin']), validateRequest(recurringScheduleValidation.createRecurringSchedule), recurringScheduleController.createRecurringSchedule);
+
+/**
+ * @swagger
+ * /recurring-schedules/{id}:
+ *   put:
+ *     summary: Update all future occurrences of a recurring schedule
+ *     description: Generated occurrences starting from effectiveFrom (default now) are replaced. Individually edited occurrences are kept.
+ *     tags: [Recurring Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/RecurringScheduleInput'
+ *               - type: object
+ *                 properties:
+ *                   effectiveFrom:
+ *                     type: string
+ *                     format: date-time
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recurringSchedule:
+ *                   type: object
+ *                 replacedCount:
+ *                   type: integer
+ *                 generation:
+ *                   $ref: '#/components/schemas/RecurringScheduleGeneration'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.put(
+  '/:id',
+  authorize(['scheduler', 'admin', 'super-admin']),
+  validateParams(recurringScheduleValidation.updateRecurringSchedule),
+  validateRequest(recurringScheduleValidation.updateRecurringSchedule),
+  recurringScheduleController.updateRecurringSchedule
+);
+
+/**
+ * @swagger
+ * /recurring-schedules/{id}/generate:
+ *   post:
+ *     summary: Generate upcoming occurrences now
+ *     description: Retries occurrences that previously conflicted without waiting for the background job.
+ *     tags: [Recurring Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RecurringScheduleGeneration'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/:id/generate', authorize(['scheduler', 'admin', 'super-admin']), validateParams(recurringScheduleValidation.getRecurringSchedule), recurringScheduleController.generateOccurrences);
+
+/**
+ * @swagger
+ * /recurring-schedules/{id}:
+ *   delete:
+ *     summary: Delete a recurring schedule
+ *     description: Also removes its upcoming generated occurrences. Individually edited occurrences are kept.
+ *     tags: [Recurring Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "204":
+ *         description: No content
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.delete('/:id', authorize(['scheduler', 'admin', 'super-admin']), validateParams(recurringScheduleValidation.deleteRecurringSchedule), recurringScheduleController.deleteRecurringSchedule);
+
+module.exports = router;
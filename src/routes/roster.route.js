@@ -0,0 +1,443 @@
+const express = require('express');
+const { validateRequest, validateParams, validateQuery } = require('../middleware/validate.middleware');
+const { verifyToken, authorize } = require('../middleware/auth.middleware');
+const rosterController = require('../controllers/roster.controller');
+const {
+  createRoster,
+  updateRoster,
+  getRoster,
+  getRosters,
+  createException,
+  getExceptions,
+  deleteException,
+  createHoliday,
+  getHolidays,
+  deleteHoliday,
+  getCalendar,
+  getAttendanceReport
+} = require('../validators/roster.validator');
+
+const router = express.Router();
+
+const MANAGER_ROLES = ['scheduler', 'admin', 'super-admin'];
+
+// All routes require authentication
+router.use(verifyToken);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Driver Rosters
+ *   description: Planned driver shifts, leave and public holidays, checked when trips are scheduled
+ */
+
+/**
+ * @swagger
+ * /rosters/calendar:
+ *   get:
+ *     summary: Get the roster calendar
+ *     description: Planned shifts of each active driver and date, with leave, sick days and public holidays. Drivers only get their own calendar. At most 62 days.
+ *     tags: [Driver Rosters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: driverId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Planned days per driver
+ *       400:
+ *         description: Invalid range
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/calendar', authorize([...MANAGER_ROLES, 'driver']), validateQuery(getCalendar), rosterController.getCalendar);
+
+/**
+ * @swagger
+ * /rosters/attendance-report:
+ *   get:
+ *     summary: Get rostered shifts against attendance
+ *     description: Planned, worked and in-shift hours of each day from the attendance punches, with late starts, early finishes and absences. Without driverId every driver rostered in the range is reported. Days after today are left out, at most 62 days.
+ *     tags: [Driver Rosters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: driverId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Attendance per driver and day
+ *       400:
+ *         description: Invalid range
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/attendance-report', authorize(['admin', 'super-admin']), validateQuery(getAttendanceReport), rosterController.getAttendanceReport);
+
+/**
+ * @swagger
+ * /rosters/exceptions:
+ *   post:
+ *     summary: Add a roster exception
+ *     description: shift replaces the planned shifts on the dates, day_off removes them, leave and sick mark the driver absent. Leave and sick days come before every other plan, and the latest shift change or day off of a date wins.
+ *     tags: [Driver Rosters]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - driverId
+ *               - type
+ *               - startDate
+ *               - endDate
+ *             properties:
+ *               driverId:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [shift, day_off, leave, sick]
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               shifts:
+ *                 type: array
+ *                 description: Only for type shift
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     startTime:
+ *                       type: string
+ *                       example: "06:00"
+ *                     endTime:
+ *                       type: string
+ *                       example: "14:00"
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Roster exception created
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Driver not found
+ *   get:
+ *     summary: Get roster exceptions
+ *     tags: [Driver Rosters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: driverId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [shift, day_off, leave, sick]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of roster exceptions
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/exceptions', authorize(MANAGER_ROLES), validateRequest(createException), rosterController.createException);
+router.get('/exceptions', authorize(MANAGER_ROLES), validateQuery(getExceptions), rosterController.getExceptions);
+
+/**
+ * @swagger
+ * /rosters/exceptions/{exceptionId}:
+ *   delete:
+ *     summary: Delete a roster exception
+ *     tags: [Driver Rosters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: exceptionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Roster exception deleted
+ *       404:
+ *         description: Roster exception not found
+ */
+router.delete('/exceptions/:exceptionId', authorize(MANAGER_ROLES), validateParams(deleteException), rosterController.deleteException);
+
+/**
+ * @swagger
+ * /rosters/holidays:
+ *   post:
+ *     summary: Add a public holiday
+ *     description: Rostered drivers have no planned shifts on a public holiday unless a shift change gives them one
+ *     tags: [Driver Rosters]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - date
+ *               - name
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               name:
+ *                 type: string
+ *                 example: National Day
+ *     responses:
+ *       201:
+ *         description: Public holiday created
+ *       409:
+ *         description: A public holiday already exists on this date
+ *   get:
+ *     summary: Get public holidays
+ *     tags: [Driver Rosters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Public holidays sorted by date
+ */
+router.post('/holidays', authorize(['admin', 'super-admin']), validateRequest(createHoliday), rosterController.createHoliday);
+router.get('/holidays', authorize([...MANAGER_ROLES, 'driver']), validateQuery(getHolidays), rosterController.getHolidays);
+
+/**
+ * @swagger
+ * /rosters/holidays/{holidayId}:
+ *   delete:
+ *     summary: Delete a public holiday
+ *     tags: [Driver Rosters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: holidayId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Public holiday deleted
+ *       404:
+ *         description: Public holiday not found
+ */
+router.delete('/holidays/:holidayId', authorize(['admin', 'super-admin']), validateParams(deleteHoliday), rosterController.deleteHoliday);
+
+/**
+ * @swagger
+ * /rosters:
+ *   post:
+ *     summary: Create a driver roster
+ *     description: Weekly shift pattern of a driver from effectiveFrom, until effectiveTo when given. A driver can have one roster at a time. Times are in the roster timezone, and a shift ending at or before its start runs past midnight.
+ *     tags: [Driver Rosters]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - driverId
+ *               - weeklyShifts
+ *               - effectiveFrom
+ *             properties:
+ *               driverId:
+ *                 type: string
+ *               weeklyShifts:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     dayOfWeek:
+ *                       type: integer
+ *                       description: 0 = Sunday ... 6 = Saturday
+ *                     startTime:
+ *                       type: string
+ *                       example: "08:00"
+ *                     endTime:
+ *                       type: string
+ *                       example: "17:00"
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date
+ *               effectiveTo:
+ *                 type: string
+ *                 format: date
+ *               timezone:
+ *                 type: string
+ *                 example: Asia/Dubai
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Roster created
+ *       404:
+ *         description: Driver not found
+ *       409:
+ *         description: Driver already has a roster in this period
+ *   get:
+ *     summary: Get driver rosters
+ *     tags: [Driver Rosters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: driverId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: activeOn
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only rosters that apply on this date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of rosters
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/', authorize(MANAGER_ROLES), validateRequest(createRoster), rosterController.createRoster);
+router.get('/', authorize(MANAGER_ROLES), validateQuery(getRosters), rosterController.getRosters);
+
+/**
+ * @swagger
+ * /rosters/{rosterId}:
+ *   get:
+ *     summary: Get a driver roster
+ *     tags: [Driver Rosters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: rosterId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Roster
+ *       404:
+ *         description: Roster not found
+ *   patch:
+ *     summary: Update a driver roster
+ *     tags: [Driver Rosters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: rosterId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Roster updated
+ *       404:
+ *         description: Roster not found
+ *       409:
+ *         description: Driver already has a roster in this period
+ *   delete:
+ *     summary: Delete a driver roster
+ *     tags: [Driver Rosters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: rosterId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Roster deleted
+ *       404:
+ *         description: Roster not found
+ */
+router.get('/:rosterId', authorize(MANAGER_ROLES), validateParams(getRoster), rosterController.getRoster);
+router.patch('/:rosterId', authorize(MANAGER_ROLES), validateParams(updateRoster), validateRequest(updateRoster), rosterController.updateRoster);
+router.delete('/:rosterId', authorize(MANAGER_ROLES), validateParams(getRoster), rosterController.deleteRoster);
+
+module.exports = router;
@@ -19,6 +19,13 @@ const router = express.Router();
 // All routes require authentication
 router.use(verifyToken);
 
+/**
+ * @swagger
+ * tags:
+ *   name: Trips
+ *   description: Legacy trips API, kept for compatibility on top of trip schedules. Trip IDs are trip schedule IDs and the driver is the driver's user ID. New clients should use /schedules.
+ */
+
 /**
  * @swagger
  * /trips:
@@ -69,6 +76,34 @@ router.use(verifyToken);
  */
 router.get('/', authorize(['admin', 'super-admin']), tripController.getTrips);
 
+/**
+ * @swagger
+ * /trips/my-trips:
+ *   get:
+ *     summary: Get trips assigned to the authenticated driver
+ *     description: Trip schedules of the driver's user.
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: List of trips for the driver
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/my-trips', authorize(['driver']), tripController.getMyTrips);
+
 /**
  * @swagger
  * /trips/{id}:
@@ -160,33 +195,6 @@ router.get('/driver/:driverId', authorize(['admin', 'super-admin']), validatePar
  */
 router.get('/vehicle/:vehicleId', authorize(['admin', 'super-admin']), validateParams(vehicleIdParamSchema), tripController.getTripsByVehicle);
 
-/**
- * @swagger
- * /trips/my-trips:
- *   get:
- *     summary: Get trips assigned to the authenticated driver
- *     tags: [Trips]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *         description: Page number
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *         description: Number of items per page
- *     responses:
- *       200:
- *         description: List of trips for the driver
- *       401:
- *         description: Unauthorized
- */
-router.get('/my-trips', authorize(['driver']), tripController.getMyTrips);
-
 /**
  * @swagger
  * /trips:
@@ -283,12 +291,22 @@ router.put('/:id', authorize(['admin', 'super-admin']), validateParams(tripIdPar
  *                 type: number
  *               duration:
  *                 type: number
+ *               odometer:
+ *                 type: number
+ *                 description: Odometer reading, required to complete unless distance and the start odometer are known
+ *               coordinates:
+ *                 type: array
+ *                 items:
+ *                   type: number
  *               fuelConsumption:
  *                 type: number
  *               maintenanceRequired:
  *                 type: boolean
  *               maintenanceNotes:
  *                 type: string
+ *               reason:
+ *                 type: string
+ *                 description: Cancellation reason
  *     responses:
  *       200:
  *         description: Trip status updated successfully
@@ -327,6 +345,9 @@ router.put('/:id/status', authorize(['admin', 'super-admin', 'driver']), validat
  *             required:
  *               - location
  *             properties:
+ *               destinationId:
+ *                 type: string
+ *                 description: Destination the checkpoint is on the way to, the last destination when not given
  *               location:
  *                 type: object
  *                 required:
@@ -87,6 +87,146 @@ router.use(verifyToken);
  */
 router.get('/', authorize(['requestor','scheduler','cost-analyst','admin', 'super-admin']), validateQuery(tripRequestValidation.getTripRequests), tripRequestController.getTripRequests);
 
+/**
+ * @swagger
+ * /trip-requests/pools:
+ *   get:
+ *     summary: Propose pools of pending trip requests
+ *     description: |
+ *       Groups pending requests in the date window that can share one vehicle: their time windows overlap
+ *       (timeType, the whole day for any, or dateTime within POOLING_TIME_TOLERANCE_MINUTES), they share a purpose or destination,
+ *       and at least one active vehicle matches every requiredVehicle and seats everyone.
+ *     tags: [Trip Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dateFrom
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: dateTo
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: maxPoolSize
+ *         schema:
+ *           type: integer
+ *           default: 4
+ *         description: Maximum requests per pool
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 pendingRequests:
+ *                   type: integer
+ *                 pooledRequests:
+ *                   type: integer
+ *                 pools:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       requestIds:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       requests:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                       totalPeople:
+ *                         type: integer
+ *                       window:
+ *                         type: object
+ *                         properties:
+ *                           start:
+ *                             type: string
+ *                             format: date-time
+ *                           end:
+ *                             type: string
+ *                             format: date-time
+ *                       sharedPurposes:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                       sharedDestinations:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       candidateVehicles:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *   post:
+ *     summary: Create a trip schedule from a pool
+ *     description: Creates one trip schedule with a leg per request and marks the requests as scheduled.
+ *     tags: [Trip Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [requestIds, driverId, vehicleId, tripStartTime]
+ *             properties:
+ *               requestIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               driverId:
+ *                 type: string
+ *               vehicleId:
+ *                 type: string
+ *               tripStartTime:
+ *                 type: string
+ *                 format: date-time
+ *               tripApproxArrivalTime:
+ *                 type: string
+ *                 format: date-time
+ *               isForceSchedule:
+ *                 type: boolean
+ *               complianceOverride:
+ *                 type: object
+ *                 description: Admin reason to schedule despite expired mandatory documents
+ *                 properties:
+ *                   reason:
+ *                     type: string
+ *     responses:
+ *       "201":
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TripSchedule'
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "409":
+ *         description: Driver or vehicle conflict, expired mandatory documents, or a request was scheduled meanwhile
+ */
+router.get('/pools', authorize(['scheduler', 'admin', 'super-admin']), validateQuery(tripRequestValidation.getPools), tripRequestController.getPools);
+router.post('/pools', authorize(['scheduler', 'admin', 'super-admin']), validateRequest(tripRequestValidation.createPoolSchedule), tripRequestController.createPoolSchedule);
+
 /**
  * @swagger
  * /trip-requests/{id}:
@@ -223,6 +363,90 @@ router.put('/:id',
  */
 router.delete('/:id', authorize(['requestor','scheduler','admin', 'super-admin']), validateParams(tripRequestValidation.deleteTripRequest), tripRequestController.deleteTripRequest);
 
+/**
+ * @swagger
+ * /trip-requests/{id}/suggest-assignment:
+ *   post:
+ *     summary: Suggest drivers and vehicles for a pending trip request
+ *     description: |
+ *       Returns ranked (driver, vehicle) pairs. Vehicles must match requiredVehicle, seat noOfPeople and be active;
+ *       drivers and vehicles must be free according to the schedule availability check, and for trips today the
+ *       driver must be punched in. Each suggestion explains its score from distance to the first destination
+ *       (when the map link has coordinates), the driver's workload that day and current idle time.
+ *     tags: [Trip Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip request ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               estimatedDurationMinutes:
+ *                 type: integer
+ *                 description: Trip length used for availability checks (default ASSIGNMENT_DEFAULT_TRIP_DURATION_MINUTES)
+ *                 example: 90
+ *               limit:
+ *                 type: integer
+ *                 description: Maximum number of suggestions
+ *                 default: 5
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 requestId:
+ *                   type: string
+ *                 window:
+ *                   type: object
+ *                 attendanceRequired:
+ *                   type: boolean
+ *                 candidateDrivers:
+ *                   type: integer
+ *                 candidateVehicles:
+ *                   type: integer
+ *                 suggestions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       driver:
+ *                         type: object
+ *                       vehicle:
+ *                         type: object
+ *                       score:
+ *                         type: number
+ *                         example: 0.742
+ *                       explanation:
+ *                         type: object
+ *                         description: Score, weight and reason for distance, workload, idle and vehicleFit
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/:id/suggest-assignment',
+  authorize(['scheduler', 'admin', 'super-admin']),
+  validateParams(tripRequestValidation.suggestAssignment),
+  validateRequest(tripRequestValidation.suggestAssignment),
+  tripRequestController.suggestAssignment
+);
+
 // Get trip request history
 router.get('/:id/history', authorize(['requestor','scheduler','cost-analyst','admin', 'super-admin']), validateParams(tripRequestValidation.getTripRequest), tripRequestHistoryController.getTripRequestHistory);
 
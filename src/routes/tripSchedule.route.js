@@ -1,7 +1,9 @@
 const express = require('express');
 const { validateRequest, validateParams, validateQuery } = require('../middleware/validate.middleware');
 const tripScheduleController = require('../controllers/tripSchedule.controller');
+const tripTrackingController = require('../controllers/tripTracking.controller');
 const tripScheduleValidation = require('../validators/tripSchedule.validator');
+const tripTrackingValidation = require('../validators/tripTracking.validator');
 const { verifyToken, authorize } = require('../middleware/auth.middleware');
 
 const router = express.Router();
@@ -49,6 +51,16 @@ router.use(verifyToken);
  *           format: date
  *         description: Filter by date to (YYYY-MM-DD)
  *       - in: query
+ *         name: isDistanceFlagged
+ *         schema:
+ *           type: boolean
+ *         description: Filter trips whose GPS and odometer distance disagree
+ *       - in: query
+ *         name: isOffRoster
+ *         schema:
+ *           type: boolean
+ *         description: Filter trips forced through while the driver was on leave, on a holiday or off shift
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -122,12 +134,154 @@ router.get('/', authorize(['scheduler','admin', 'super-admin']), validateQuery(t
  */
 router.get('/:id', authorize(['scheduler','admin', 'super-admin']), validateParams(tripScheduleValidation.getSchedule), tripScheduleController.getSchedule);
 
+/**
+ * @swagger
+ * /schedules/{id}/route:
+ *   get:
+ *     summary: Get the GPS route of a trip schedule
+ *     description: Rebuild the driven route from the driver's trip breadcrumbs after removing jitter and bad fixes. Returns a GeoJSON FeatureCollection with the path, start, end and stop points, and the GPS distance, moving and stopped time and odometer comparison as properties.
+ *     tags: [Trip Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip schedule ID
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/geo+json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 type:
+ *                   type: string
+ *                   example: FeatureCollection
+ *                 features:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 properties:
+ *                   type: object
+ *                   properties:
+ *                     gpsDistance:
+ *                       type: number
+ *                     odometerDistance:
+ *                       type: number
+ *                     movingMinutes:
+ *                       type: integer
+ *                     stoppedMinutes:
+ *                       type: integer
+ *                     stopCount:
+ *                       type: integer
+ *                     isDistanceMismatch:
+ *                       type: boolean
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id/route', authorize(['scheduler','admin', 'super-admin']), validateParams(tripScheduleValidation.getScheduleRoute), tripScheduleController.getScheduleRoute);
+
+/**
+ * @swagger
+ * /schedules/{id}/tracking-links:
+ *   post:
+ *     summary: Create a trip tracking link
+ *     description: Create a signed, expiring public link to the live view of an in-progress trip. Requestors can only share trips serving their own requests.
+ *     tags: [Trip Tracking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip schedule ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiresInMinutes:
+ *                 type: integer
+ *                 minimum: 5
+ *                 maximum: 1440
+ *     responses:
+ *       "201":
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: string
+ *                 token:
+ *                   type: string
+ *                 url:
+ *                   type: string
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/:id/tracking-links', authorize(['requestor', 'scheduler', 'admin', 'super-admin']), validateParams(tripTrackingValidation.createTrackingLink), validateRequest(tripTrackingValidation.createTrackingLink), tripTrackingController.createTrackingLink);
+
+/**
+ * @swagger
+ * /schedules/{id}/tracking-links/{linkId}:
+ *   delete:
+ *     summary: Revoke a trip tracking link
+ *     tags: [Trip Tracking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip schedule ID
+ *       - in: path
+ *         name: linkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Tracking link ID
+ *     responses:
+ *       "204":
+ *         description: No content
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.delete('/:id/tracking-links/:linkId', authorize(['requestor', 'scheduler', 'admin', 'super-admin']), validateParams(tripTrackingValidation.revokeTrackingLink), tripTrackingController.revokeTrackingLink);
+
 /**
  * @swagger
  * /schedules:
  *   post:
  *     summary: Create a trip schedule
- *     description: Create a new trip schedule.
+ *     description: Create a new trip schedule. The vehicle's registration and insurance and the driver's licence must be valid until the trip ends, unless an admin gives a complianceOverride reason, which is recorded in the compliance audit trail.
  *     tags: [Trip Schedules]
  *     security:
  *       - bearerAuth: []
@@ -150,6 +304,8 @@ router.get('/:id', authorize(['scheduler','admin', 'super-admin']), validatePara
  *         $ref: '#/components/responses/Unauthorized'
  *       "403":
  *         $ref: '#/components/responses/Forbidden'
+ *       "409":
+ *         description: Driver or vehicle conflict, or expired mandatory documents
  */
 router.post('/', authorize(['scheduler','admin', 'super-admin']), validateRequest(tripScheduleValidation.createSchedule), tripScheduleController.createSchedule);
 
@@ -199,10 +355,10 @@ router.put('/:id',
 );
 /**
  * @swagger
- * /schedules/{id}:
+ * /schedules/{id}/cancel:
  *   delete:
- *     summary: Delete a trip schedule
- *     description: Delete a trip schedule by ID.
+ *     summary: Cancel a trip schedule
+ *     description: Cancel a trip schedule by ID. Linked trip requests are returned to pending or cancelled and their requestors and the driver are notified.
  *     tags: [Trip Schedules]
  *     security:
  *       - bearerAuth: []
@@ -213,9 +369,27 @@ router.put('/:id',
  *         schema:
  *           type: string
  *         description: Trip schedule ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               requestPolicy:
+ *                 type: string
+ *                 enum: [pending, cancelled]
+ *                 default: pending
+ *                 description: Status linked trip requests are returned to
  *     responses:
  *       "204":
  *         description: No content
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
  *       "401":
  *         $ref: '#/components/responses/Unauthorized'
  *       "403":
@@ -223,14 +397,14 @@ router.put('/:id',
  *       "404":
  *         $ref: '#/components/responses/NotFound'
  */
-router.delete('/:id/cancel', authorize(['scheduler','admin', 'super-admin']), validateParams(tripScheduleValidation.cancelSchedule), tripScheduleController.cancelSchedule);
+router.delete('/:id/cancel', authorize(['scheduler','admin', 'super-admin']), validateParams(tripScheduleValidation.cancelSchedule), validateRequest(tripScheduleValidation.cancelSchedule), tripScheduleController.cancelSchedule);
 
 /**
  * @swagger
  * /schedules/{id}:
  *   delete:
  *     summary: Delete a trip schedule
- *     description: Delete a trip schedule by ID.
+ *     description: Delete a scheduled or cancelled trip schedule by ID. Linked trip requests are returned to pending or cancelled and their requestors and the driver are notified. Trips in progress or completed cannot be deleted.
  *     tags: [Trip Schedules]
  *     security:
  *       - bearerAuth: []
@@ -241,9 +415,27 @@ router.delete('/:id/cancel', authorize(['scheduler','admin', 'super-admin']), va
  *         schema:
  *           type: string
  *         description: Trip schedule ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               requestPolicy:
+ *                 type: string
+ *                 enum: [pending, cancelled]
+ *                 default: pending
+ *                 description: Status linked trip requests are returned to
  *     responses:
  *       "204":
  *         description: No content
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
  *       "401":
  *         $ref: '#/components/responses/Unauthorized'
  *       "403":
@@ -251,7 +443,7 @@ router.delete('/:id/cancel', authorize(['scheduler','admin', 'super-admin']), va
  *       "404":
  *         $ref: '#/components/responses/NotFound'
  */
-router.delete('/:id', authorize(['scheduler','admin', 'super-admin']), validateParams(tripScheduleValidation.deleteSchedule), tripScheduleController.deleteSchedule);
+router.delete('/:id', authorize(['scheduler','admin', 'super-admin']), validateParams(tripScheduleValidation.deleteSchedule), validateRequest(tripScheduleValidation.deleteSchedule), tripScheduleController.deleteSchedule);
 
 /**
  * @swagger
@@ -282,6 +474,22 @@ router.delete('/:id', authorize(['scheduler','admin', 'super-admin']), validateP
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/TripSchedule'
+ *                 conflictingMaintenance:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 rosterConflicts:
+ *                   type: array
+ *                   description: Leave, sick days, public holidays or times outside the planned shifts of a rostered driver
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                         enum: [leave, sick, holiday, off_shift]
+ *                       date:
+ *                         type: string
+ *                         format: date
  *       "400":
  *         $ref: '#/components/responses/BadRequest'
  *       "401":
@@ -311,9 +519,167 @@ router
   .route('/:tripId/start')
   .patch(authorize(['driver']), tripScheduleController.startTrip);
 
-// Complete a trip
+/**
+ * @swagger
+ * /schedules/{tripId}/complete:
+ *   patch:
+ *     summary: Complete a trip
+ *     description: The driver completes their in-progress trip with the end odometer and a post-trip condition report. Reporting maintenanceRequired raises a corrective maintenance request for the vehicle.
+ *     tags: [Trip Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip schedule ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - odometer
+ *             properties:
+ *               odometer:
+ *                 type: number
+ *               notes:
+ *                 type: string
+ *               coordinates:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *                 description: "[longitude, latitude]"
+ *               fuelConsumption:
+ *                 type: number
+ *                 description: Fuel used in litres
+ *               maintenanceRequired:
+ *                 type: boolean
+ *               maintenanceNotes:
+ *                 type: string
+ *                 description: Required when maintenanceRequired is true
+ *     responses:
+ *       "200":
+ *         description: Trip completed
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
 router
   .route('/:tripId/complete')
-  .patch(authorize(['driver']), tripScheduleController.completeTrip);
+  .patch(authorize(['driver']), validateParams(tripScheduleValidation.completeTrip), validateRequest(tripScheduleValidation.completeTrip), tripScheduleController.completeTrip);
+
+/**
+ * @swagger
+ * /schedules/{id}/destinations/{destinationId}/checkpoints:
+ *   post:
+ *     summary: Add a checkpoint on the way to a destination
+ *     description: Checkpoints can be added while the trip is scheduled or in progress. Drivers can only add checkpoints to their own trips.
+ *     tags: [Trip Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip schedule ID
+ *       - in: path
+ *         name: destinationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Destination ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Either address or coordinates is required
+ *             properties:
+ *               address:
+ *                 type: string
+ *               coordinates:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *                 description: "[longitude, latitude]"
+ *               status:
+ *                 type: string
+ *                 enum: [pending, reached, skipped]
+ *                 default: pending
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       "201":
+ *         description: Checkpoint added, returns the schedule
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/:id/destinations/:destinationId/checkpoints', authorize(['scheduler', 'admin', 'super-admin', 'driver']), validateParams(tripScheduleValidation.addCheckpoint), validateRequest(tripScheduleValidation.addCheckpoint), tripScheduleController.addCheckpoint);
+
+/**
+ * @swagger
+ * /schedules/{id}/checkpoints/{checkpointId}:
+ *   patch:
+ *     summary: Update checkpoint status
+ *     description: Marks a checkpoint of an in-progress trip as reached, skipped or pending. Drivers can only update their own trips.
+ *     tags: [Trip Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip schedule ID
+ *       - in: path
+ *         name: checkpointId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Checkpoint ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [pending, reached, skipped]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       "200":
+ *         description: Checkpoint updated, returns the schedule
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.patch('/:id/checkpoints/:checkpointId', authorize(['scheduler', 'admin', 'super-admin', 'driver']), validateParams(tripScheduleValidation.updateCheckpointStatus), validateRequest(tripScheduleValidation.updateCheckpointStatus), tripScheduleController.updateCheckpointStatus);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,34 @@
+const express = require('express');
+const { validateParams } = require('../middleware/validate.middleware');
+const tripTrackingController = require('../controllers/tripTracking.controller');
+const tripTrackingValidation = require('../validators/tripTracking.validator');
+
+const router = express.Router();
+
+// Public, the signed token in the URL is the only credential
+
+/**
+ * @swagger
+ * /tracking/{token}:
+ *   get:
+ *     summary: View a tracked trip
+ *     description: Read-only live view of an in-progress trip for holders of a tracking link. Returns the driver's latest location, the destinations not yet reached and their ETAs. Links stop working when they expire, are revoked, or the trip is completed or cancelled.
+ *     tags: [Trip Tracking]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Tracking token
+ *     responses:
+ *       "200":
+ *         description: OK
+ *       "401":
+ *         description: Invalid or expired token
+ *       "410":
+ *         description: Link revoked or trip no longer in progress
+ */
+router.get('/:token', validateParams(tripTrackingValidation.getTrackingView), tripTrackingController.getTrackingView);
+
+module.exports = router;
@@ -1,5 +1,5 @@
 const express = require('express');
-const { validateRequest, validateParams } = require('../middleware/validate.middleware');
+const { validateRequest, validateParams, validateQuery } = require('../middleware/validate.middleware');
 const { verifyToken, authorize } = require('../middleware/auth.middleware');
 const vehicleController = require('../controllers/vehicle.controller');
 const {
@@ -7,6 +7,8 @@ const {
   updateVehicleSchema,
   updateVehicleStatusSchema,
   assignDriverSchema,
+  availabilityQuerySchema,
+  downtimeQuerySchema,
   vehicleIdParamSchema
 } = require('../validators/vehicle.validator');
 
@@ -59,6 +61,39 @@ router.use(verifyToken);
  */
 router.get('/', vehicleController.getVehicles);
 
+/**
+ * @swagger
+ * /vehicles/availability:
+ *   get:
+ *     summary: Get vehicle availability for a month
+ *     description: Availability is the share of the month, in Dubai time, a vehicle was not in the downtime ledger. The current month counts up to now.
+ *     tags: [Vehicles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: month
+ *         schema:
+ *           type: string
+ *           example: "2025-05"
+ *         description: Month in YYYY-MM format (default current month)
+ *       - in: query
+ *         name: vehicleId
+ *         schema:
+ *           type: string
+ *         description: Only this vehicle
+ *     responses:
+ *       200:
+ *         description: Availability percentage, downtime hours and downtime count per vehicle
+ *       400:
+ *         description: Invalid or future month
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ */
+router.get('/availability', authorize(['admin', 'super-admin', 'scheduler', 'cost-analyst']), validateQuery(availabilityQuerySchema), vehicleController.getAvailabilityReport);
+
 /**
  * @swagger
  * /vehicles/{id}:
@@ -84,6 +119,46 @@ router.get('/', vehicleController.getVehicles);
  */
 router.get('/:id', validateParams(vehicleIdParamSchema), vehicleController.getVehicle);
 
+/**
+ * @swagger
+ * /vehicles/{id}/downtime:
+ *   get:
+ *     summary: Get the downtime ledger of a vehicle
+ *     description: Periods the vehicle was out of service with their reason and linked maintenance. Open downtime has no endedAt.
+ *     tags: [Vehicles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Vehicle ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only downtime still running after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only downtime started before this date
+ *     responses:
+ *       200:
+ *         description: Downtime entries, newest first
+ *       404:
+ *         description: Vehicle not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ */
+router.get('/:id/downtime', authorize(['admin', 'super-admin', 'scheduler', 'cost-analyst']), validateParams(vehicleIdParamSchema), validateQuery(downtimeQuerySchema), vehicleController.getVehicleDowntime);
+
 /**
  * @swagger
  * /vehicles:
@@ -178,6 +253,7 @@ router.put('/:id', authorize(['admin', 'super-admin']), validateParams(vehicleId
  *                 enum: [active, maintenance, retired]
  *               notes:
  *                 type: string
+ *                 description: Recorded as the downtime reason when moving to maintenance
  *     responses:
  *       200:
  *         description: Vehicle status updated successfully
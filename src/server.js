@@ -1,8 +1,15 @@
 // Load environment variables first
-require('./config/env');
+const env = require('./config/env');
+
+// Tracking links would be signed with a guessable secret
+if (!env.TRACKING_LINK_SECRET) {
+  console.error('TRACKING_LINK_SECRET or JWT_SECRET must be set');
+  process.exit(1);
+}
 
 const { initializeApp, applyRoutes } = require('./config/app');
 const database = require('./config/database');
+const { startJobs } = require('./jobs');
 
 // Import route modules
 const authRoutes = require('./routes/auth.route');
@@ -13,21 +20,33 @@ const tripRoutes = require('./routes/trip.route');
 const maintenanceRoutes = require('./routes/maintenance.route');
 const tripRequestRoutes = require('./routes/tripRequest.route');
 const tripScheduleRoutes = require('./routes/tripSchedule.route');
+const recurringScheduleRoutes = require('./routes/recurringSchedule.route');
 const tripPurposeRoutes = require('./routes/tripPurpose.route');
 const dashboardRoutes = require('./routes/dashboard.route');
 const notificationRoutes = require('./routes/notification.route');
 const userNotificationRoutes = require('./routes/userNotification.route');
 const driverAttendanceRoutes = require('./routes/driverAttendance.route');
 const fuelingRecordRoutes = require('./routes/fuelingRecord.route');
-const maintenanceRecordRoutes = require('./routes/maintenanceRecord.route');
 const driverLocationRoutes = require('./routes/driverLocation.route');
+const tripTrackingRoutes = require('./routes/tripTracking.route');
+const fuelCardImportRoutes = require('./routes/fuelCardImport.route');
+const maintenancePlanRoutes = require('./routes/maintenancePlan.route');
+const complianceRoutes = require('./routes/compliance.route');
+const rosterRoutes = require('./routes/roster.route');
 
 // Initialize Express application
 const app = initializeApp();
 
 // Connect to database
 database.connect()
-  .then(() => console.log('Database connected successfully'))
+  .then(() => {
+    console.log('Database connected successfully');
+
+    // Start background jobs once the database is available
+    if (process.env.NODE_ENV !== 'test') {
+      startJobs();
+    }
+  })
   .catch(err => {
     console.error('Database connection error:', err);
     process.exit(1);
@@ -43,14 +62,19 @@ const routes = {
   'maintenance': maintenanceRoutes,
   'trip-requests': tripRequestRoutes,
   'schedules': tripScheduleRoutes,
+  'recurring-schedules': recurringScheduleRoutes,
   'trip-purposes': tripPurposeRoutes,
   'dashboard': dashboardRoutes,
   'notifications': notificationRoutes,
   'notification-settings': userNotificationRoutes,
   'driver-attendance': driverAttendanceRoutes,
   'fueling-records': fuelingRecordRoutes,
-  'maintenance-records': maintenanceRecordRoutes,
-  'driver-locations': driverLocationRoutes
+  'fuel-card-imports': fuelCardImportRoutes,
+  'maintenance-plans': maintenancePlanRoutes,
+  'compliance': complianceRoutes,
+  'rosters': rosterRoutes,
+  'driver-locations': driverLocationRoutes,
+  'tracking': tripTrackingRoutes
 };
 
 // Apply routes to application
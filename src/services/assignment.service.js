@@ -0,0 +1,353 @@
+/**
+ * Assignment Service
+ * Suggests driver and vehicle pairs for pending trip requests
+ */
+const { status } = require('http-status');
+const moment = require('moment-timezone');
+const mongoose = require('mongoose');
+const { TripRequest, TripSchedule, User, Vehicle, DriverAttendance } = require('../models');
+const ApiError = require('../utils/ApiError');
+const tripScheduleService = require('./tripSchedule.service');
+const driverAttendanceService = require('./driverAttendance.service');
+const { haversineDistanceKm, isValidCoordinates, parseMapLinkCoordinates } = require('../utils/geo');
+const env = require('../config/env');
+
+const VEHICLE_TYPE_REQUIREMENTS = {
+  'Any Car': 'car',
+  'Any Van': 'van',
+  'Any Truck': 'truck'
+};
+
+// Relative weight of each score component; missing components are left out
+const SCORE_WEIGHTS = {
+  distance: 0.4,
+  workload: 0.35,
+  idle: 0.25
+};
+
+/**
+ * Build the vehicle filter for a request's requiredVehicle list
+ * @param {Array} requiredVehicle - Vehicle types ("Any Van") and/or vehicle IDs
+ * @returns {Object} Mongo filter
+ */
+const getRequiredVehicleFilter = (requiredVehicle = []) => {
+  const types = [];
+  const ids = [];
+
+  requiredVehicle.forEach(item => {
+    if (VEHICLE_TYPE_REQUIREMENTS[item]) {
+      types.push(VEHICLE_TYPE_REQUIREMENTS[item]);
+    } else if (mongoose.Types.ObjectId.isValid(item)) {
+      ids.push(item._id || item);
+    }
+  });
+
+  const conditions = [];
+  if (types.length > 0) {
+    conditions.push({ type: { $in: types } });
+  }
+  if (ids.length > 0) {
+    conditions.push({ _id: { $in: ids } });
+  }
+
+  return conditions.length > 0 ? { $or: conditions } : {};
+};
+
+/**
+ * Check whether a vehicle satisfies a request's requiredVehicle list
+ * @param {Object} vehicle
+ * @param {Array} requiredVehicle - Vehicle types ("Any Van") and/or vehicle IDs
+ * @returns {boolean}
+ */
+const vehicleMatchesRequirement = (vehicle, requiredVehicle = []) => {
+  return requiredVehicle.some(item => {
+    if (VEHICLE_TYPE_REQUIREMENTS[item]) {
+      return vehicle.type === VEHICLE_TYPE_REQUIREMENTS[item];
+    }
+    return item.toString() === vehicle._id.toString();
+  });
+};
+
+/**
+ * Find active vehicles that satisfy the request's vehicle and capacity requirements
+ * @param {Object} tripRequest
+ * @param {Date} startTime
+ * @param {Date} endTime
+ * @returns {Promise<Object[]>} Available vehicles
+ */
+const getCandidateVehicles = async (tripRequest, startTime, endTime) => {
+  const vehicles = await Vehicle.find({
+    ...getRequiredVehicleFilter(tripRequest.requiredVehicle),
+    status: 'active',
+    isActive: true,
+    deletedAt: null,
+    capacity: { $gte: tripRequest.noOfPeople }
+  }).lean();
+
+  const available = [];
+  for (const vehicle of vehicles) {
+    // Passing no driver restricts the check to the vehicle's own bookings
+    const { isAvailable } = await tripScheduleService.checkAvailability(vehicle._id, null, startTime, endTime);
+    if (isAvailable) {
+      available.push(vehicle);
+    }
+  }
+
+  return available;
+};
+
+/**
+ * Find active drivers without conflicting trips, with their attendance state
+ * @param {Date} startTime
+ * @param {Date} endTime
+ * @param {boolean} requirePunchedIn - Only keep drivers who are currently punched in
+ * @returns {Promise<Object[]>} Available drivers
+ */
+const getCandidateDrivers = async (startTime, endTime, requirePunchedIn) => {
+  const drivers = await User.find({
+    role: 'driver',
+    isActive: true,
+    deletedAt: null
+  }, { name: 1, phone: 1, lastLocation: 1 }).lean();
+
+  const punchedIn = await DriverAttendance.find({
+    driverId: { $in: drivers.map(driver => driver._id) },
+    status: 'punched-in',
+    isActive: true,
+    'punches.outTime': null
+  }, { driverId: 1 }).lean();
+  const punchedInIds = new Set(punchedIn.map(attendance => attendance.driverId.toString()));
+
+  const available = [];
+  for (const driver of drivers) {
+    const isPunchedIn = punchedInIds.has(driver._id.toString());
+    if (requirePunchedIn && !isPunchedIn) {
+      continue;
+    }
+
+    // Passing no vehicle restricts the check to the driver's own bookings
+    const { isAvailable } = await tripScheduleService.checkAvailability(null, driver._id, startTime, endTime);
+    if (isAvailable) {
+      available.push({ ...driver, isPunchedIn });
+    }
+  }
+
+  return available;
+};
+
+/**
+ * Get each driver's trips on the request's day
+ * @param {ObjectId[]} driverIds
+ * @param {Date} dayStart
+ * @param {Date} dayEnd
+ * @returns {Promise<Map<string, {tripCount: number, scheduledMinutes: number}>>}
+ */
+const getDailyWorkload = async (driverIds, dayStart, dayEnd) => {
+  const trips = await TripSchedule.find({
+    driverId: { $in: driverIds },
+    status: { $ne: 'cancelled' },
+    isActive: true,
+    deletedAt: null,
+    tripStartTime: { $gte: dayStart, $lte: dayEnd }
+  }, { driverId: 1, tripStartTime: 1, tripApproxArrivalTime: 1 }).lean();
+
+  const workload = new Map();
+  trips.forEach(trip => {
+    const driverId = trip.driverId.toString();
+    const entry = workload.get(driverId) || { tripCount: 0, scheduledMinutes: 0 };
+    entry.tripCount++;
+    if (trip.tripApproxArrivalTime) {
+      entry.scheduledMinutes += Math.max(0, Math.round((trip.tripApproxArrivalTime - trip.tripStartTime) / 60000));
+    }
+    workload.set(driverId, entry);
+  });
+
+  return workload;
+};
+
+/**
+ * Score a driver for a request and explain each component
+ * @param {Object} driver - Candidate driver
+ * @param {Object} context - Target coordinates, workload and idle data
+ * @returns {{score: number, breakdown: Object}}
+ */
+const scoreDriver = (driver, { targetCoordinates, workload, idleMinutesByDriver, isSameDay }) => {
+  const driverId = driver._id.toString();
+  const breakdown = {};
+
+  const driverCoordinates = driver.lastLocation?.coordinates;
+  if (targetCoordinates && isValidCoordinates(driverCoordinates)) {
+    const distanceKm = haversineDistanceKm(driverCoordinates, targetCoordinates);
+    breakdown.distance = {
+      distanceKm: Math.round(distanceKm * 10) / 10,
+      lastLocationAt: driver.lastLocation.timestamp || null,
+      score: 1 / (1 + distanceKm / 10),
+      reason: `${distanceKm.toFixed(1)} km from the first destination at last known location`
+    };
+  } else {
+    breakdown.distance = {
+      distanceKm: null,
+      score: null,
+      reason: targetCoordinates ? 'Driver has no known location' : 'Request has no destination coordinates'
+    };
+  }
+
+  const { tripCount, scheduledMinutes } = workload.get(driverId) || { tripCount: 0, scheduledMinutes: 0 };
+  breakdown.workload = {
+    tripCount,
+    scheduledMinutes,
+    score: 1 / (1 + tripCount),
+    reason: `${tripCount} trip(s) already scheduled that day`
+  };
+
+  const idleMinutes = idleMinutesByDriver.get(driverId);
+  if (isSameDay && idleMinutes !== undefined) {
+    breakdown.idle = {
+      idleMinutes,
+      score: Math.min(idleMinutes / env.ASSIGNMENT_IDLE_SATURATION_MINUTES, 1),
+      reason: `Idle for ${idleMinutes} minutes`
+    };
+  } else {
+    breakdown.idle = {
+      idleMinutes: null,
+      score: null,
+      reason: isSameDay ? 'Driver is not idle' : 'Idle time only applies to trips today'
+    };
+  }
+
+  let weightedScore = 0;
+  let totalWeight = 0;
+  Object.entries(SCORE_WEIGHTS).forEach(([component, weight]) => {
+    if (breakdown[component].score !== null) {
+      breakdown[component].weight = weight;
+      weightedScore += breakdown[component].score * weight;
+      totalWeight += weight;
+    }
+  });
+
+  return {
+    score: totalWeight > 0 ? weightedScore / totalWeight : 0,
+    breakdown
+  };
+};
+
+/**
+ * Score how well a vehicle fits a request and driver
+ * @param {Object} vehicle
+ * @param {Object} driver
+ * @param {number} noOfPeople
+ * @returns {{score: number, capacity: number, isAssignedDriver: boolean, reason: string}}
+ */
+const scoreVehicle = (vehicle, driver, noOfPeople) => {
+  // Prefer the smallest vehicle that fits, so larger ones stay free
+  const occupancy = noOfPeople > 0 ? Math.min(noOfPeople / vehicle.capacity, 1) : 0;
+  const isAssignedDriver = !!vehicle.assignedDriver && vehicle.assignedDriver.toString() === driver._id.toString();
+  const score = Math.min(occupancy * 0.8 + (isAssignedDriver ? 0.2 : 0), 1);
+
+  return {
+    score,
+    capacity: vehicle.capacity,
+    isAssignedDriver,
+    reason: `${noOfPeople}/${vehicle.capacity} seats used${isAssignedDriver ? ', driver\'s assigned vehicle' : ''}`
+  };
+};
+
+/**
+ * Suggest ranked driver and vehicle pairs for a pending trip request
+ * @param {ObjectId} requestId - Trip request ID
+ * @param {Object} options
+ * @param {number} [options.estimatedDurationMinutes] - Trip length used for availability checks
+ * @param {number} [options.limit] - Maximum number of suggestions
+ * @returns {Promise<Object>} Ranked suggestions with score explanations
+ */
+const suggestAssignment = async (requestId, options = {}) => {
+  const tripRequest = await TripRequest.findOne({ _id: requestId, deletedAt: null }).lean();
+  if (!tripRequest) {
+    throw new ApiError(status.NOT_FOUND, 'Trip request not found');
+  }
+  if (tripRequest.status !== 'pending') {
+    throw new ApiError(status.BAD_REQUEST, `Trip request is ${tripRequest.status}, only pending requests can be assigned`);
+  }
+
+  const estimatedDurationMinutes = options.estimatedDurationMinutes || env.ASSIGNMENT_DEFAULT_TRIP_DURATION_MINUTES;
+  const limit = options.limit || 5;
+  const startTime = new Date(tripRequest.dateTime);
+  const endTime = moment(startTime).add(estimatedDurationMinutes, 'minutes').toDate();
+
+  const requestDay = moment(startTime).tz('Asia/Dubai');
+  const isSameDay = requestDay.isSame(moment().tz('Asia/Dubai'), 'day');
+
+  // Attendance only tells us something about trips later today
+  const [vehicles, drivers] = await Promise.all([
+    getCandidateVehicles(tripRequest, startTime, endTime),
+    getCandidateDrivers(startTime, endTime, isSameDay)
+  ]);
+
+  const workload = await getDailyWorkload(
+    drivers.map(driver => driver._id),
+    requestDay.clone().startOf('day').toDate(),
+    requestDay.clone().endOf('day').toDate()
+  );
+
+  const idleMinutesByDriver = new Map();
+  if (isSameDay) {
+    const { idleDrivers } = await driverAttendanceService.getIdleDrivers();
+    idleDrivers.forEach(idleDriver => {
+      idleMinutesByDriver.set(idleDriver.driverId.toString(), idleDriver.idleTimeInMinutes);
+    });
+  }
+
+  const targetCoordinates = tripRequest.destinations
+    .map(dest => parseMapLinkCoordinates(dest.mapLink))
+    .find(coordinates => coordinates) || null;
+
+  const suggestions = [];
+  drivers.forEach(driver => {
+    const driverScore = scoreDriver(driver, { targetCoordinates, workload, idleMinutesByDriver, isSameDay });
+
+    vehicles.forEach(vehicle => {
+      const vehicleFit = scoreVehicle(vehicle, driver, tripRequest.noOfPeople);
+      suggestions.push({
+        driver: {
+          id: driver._id,
+          name: driver.name,
+          phone: driver.phone,
+          isPunchedIn: driver.isPunchedIn
+        },
+        vehicle: {
+          id: vehicle._id,
+          name: vehicle.name,
+          type: vehicle.type,
+          licensePlate: vehicle.licensePlate,
+          capacity: vehicle.capacity
+        },
+        score: Math.round((driverScore.score * 0.8 + vehicleFit.score * 0.2) * 1000) / 1000,
+        explanation: {
+          ...driverScore.breakdown,
+          vehicleFit
+        }
+      });
+    });
+  });
+
+  suggestions.sort((a, b) => b.score - a.score);
+
+  return {
+    requestId: tripRequest._id,
+    window: {
+      startTime,
+      endTime,
+      estimatedDurationMinutes
+    },
+    attendanceRequired: isSameDay,
+    candidateDrivers: drivers.length,
+    candidateVehicles: vehicles.length,
+    suggestions: suggestions.slice(0, limit)
+  };
+};
+
+module.exports = {
+  getRequiredVehicleFilter,
+  vehicleMatchesRequirement,
+  suggestAssignment
+};
@@ -0,0 +1,363 @@
+/**
+ * Attendance Correction Service
+ * Driver requests to fix their punches, admin review that patches the attendance record,
+ * and closing of punches left open longer than a shift can last
+ */
+const { status } = require('http-status');
+const { AttendanceCorrection, DriverAttendance, User } = require('../models');
+const ApiError = require('../utils/ApiError');
+const { sendNotificationsToRoles, sendNotificationsToIds } = require('../utils/notifcationHelper');
+const {
+  createAttendanceCorrectionRequestedNotification,
+  createAttendanceCorrectionReviewedNotification,
+  createPunchAutoClosedNotification
+} = require('../notificationTemplates/driverAttendance');
+const env = require('../config/env');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Get the attendance date of a time, the server midnight punch-ins are recorded under
+ * @param {Date} time
+ * @returns {Date}
+ */
+const getAttendanceDate = (time) => {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+/**
+ * Sort the punches of an attendance record and work out each punch's duration, the day's
+ * total hours and the punch status again, as punch-out does
+ * @param {DriverAttendance} attendance
+ */
+const recalculateAttendance = (attendance) => {
+  const punches = attendance.punches
+    .map(punch => (punch.toObject ? punch.toObject() : punch))
+    .sort((a, b) => a.inTime - b.inTime)
+    .map(punch => ({
+      ...punch,
+      duration: punch.outTime ? (punch.outTime - punch.inTime) / HOUR_MS : null
+    }));
+
+  attendance.punches = punches;
+  attendance.totalHours = punches.reduce((total, punch) => total + (punch.duration || 0), 0);
+  attendance.status = punches.length === 0
+    ? 'not-punched-in'
+    : punches[punches.length - 1].outTime ? 'punched-out' : 'punched-in';
+  attendance.updatedAt = new Date();
+};
+
+/**
+ * Check that a punch doesn't overlap the other punches of its record
+ * @param {Object[]} punches - Other punches
+ * @param {Date} inTime
+ * @param {Date|null} outTime
+ */
+const checkOverlap = (punches, inTime, outTime) => {
+  const end = outTime ? outTime.getTime() : Infinity;
+  const overlapping = punches.some(punch => {
+    const punchEnd = punch.outTime ? punch.outTime.getTime() : Infinity;
+    return punch.inTime.getTime() < end && inTime.getTime() < punchEnd;
+  });
+  if (overlapping) {
+    throw new ApiError(status.BAD_REQUEST, 'The punch overlaps another punch of the day');
+  }
+};
+
+/**
+ * Find the punch a correction is about. Punches are matched on their punch-in time as the
+ * index can move once punches are added.
+ * @param {DriverAttendance} attendance
+ * @param {Date} inTime - Punch-in time when the correction was requested
+ * @returns {Object|undefined}
+ */
+const findPunch = (attendance, inTime) => {
+  return attendance.punches.find(punch => punch.inTime.getTime() === new Date(inTime).getTime());
+};
+
+/**
+ * Request a correction of the driver's own attendance
+ * @param {ObjectId} driverId
+ * @param {Object} correctionBody
+ * @param {string} correctionBody.type - missed_punch_in, missed_punch_out or wrong_time
+ * @param {ObjectId} [correctionBody.attendanceId] - Record of the punch to change
+ * @param {number} [correctionBody.punchIndex] - Punch to change
+ * @param {Date} [correctionBody.inTime]
+ * @param {Date} [correctionBody.outTime]
+ * @param {string} correctionBody.reason
+ * @param {Date} [now]
+ * @returns {Promise<AttendanceCorrection>}
+ */
+const createCorrection = async (driverId, correctionBody, now = new Date()) => {
+  const { type, attendanceId, punchIndex, inTime, outTime, reason } = correctionBody;
+
+  if ((inTime && inTime > now) || (outTime && outTime > now)) {
+    throw new ApiError(status.BAD_REQUEST, 'Punch times can not be in the future');
+  }
+
+  const correction = { driverId, type, reason, inTime: inTime || null, outTime: outTime || null };
+
+  if (type === 'missed_punch_in') {
+    if (outTime <= inTime) {
+      throw new ApiError(status.BAD_REQUEST, 'The punch-out must be after the punch-in');
+    }
+  } else {
+    const attendance = await DriverAttendance.findOne({ _id: attendanceId, driverId, isActive: true });
+    if (!attendance) {
+      throw new ApiError(status.NOT_FOUND, 'Attendance record not found');
+    }
+    const punch = attendance.punches[punchIndex];
+    if (!punch) {
+      throw new ApiError(status.NOT_FOUND, 'Punch not found');
+    }
+    if (type === 'missed_punch_out' && punch.outTime) {
+      throw new ApiError(status.BAD_REQUEST, 'The punch already has a punch-out, request a wrong time correction instead');
+    }
+    if ((outTime || punch.outTime) && (outTime || punch.outTime) <= (inTime || punch.inTime)) {
+      throw new ApiError(status.BAD_REQUEST, 'The punch-out must be after the punch-in');
+    }
+
+    const pending = await AttendanceCorrection.exists({
+      attendanceId,
+      'original.inTime': punch.inTime,
+      status: 'pending'
+    });
+    if (pending) {
+      throw new ApiError(status.CONFLICT, 'A correction of this punch is already pending');
+    }
+
+    Object.assign(correction, {
+      attendanceId,
+      punchIndex,
+      original: {
+        inTime: punch.inTime,
+        outTime: punch.outTime,
+        duration: punch.duration,
+        totalHours: attendance.totalHours
+      }
+    });
+  }
+
+  const created = await AttendanceCorrection.create(correction);
+
+  const driver = await User.findById(driverId, 'name').lean();
+  sendNotificationsToRoles(
+    ['admin', 'super-admin'],
+    ['receiveAttendanceCorrectionNotification'],
+    'Attendance Correction Requested',
+    createAttendanceCorrectionRequestedNotification(driver || { name: 'A driver' }, created),
+    {
+      type: 'attendance_correction_requested',
+      correctionId: created._id.toString(),
+      driverId: driverId.toString()
+    }
+  ).catch(error => {
+    console.error('Send notification error:', error);
+  });
+
+  return created;
+};
+
+/**
+ * Get attendance corrections
+ * @param {Object} filter - { driverId, status, type }
+ * @param {Object} options - Pagination options
+ * @returns {Promise<Object>}
+ */
+const getCorrections = async (filter = {}, options = {}) => {
+  return AttendanceCorrection.paginate(filter, {
+    sortBy: options.sortBy || 'createdAt:desc',
+    limit: parseInt(options.limit || 10, 10),
+    page: parseInt(options.page || 1, 10),
+    populate: [
+      { path: 'driverId', select: 'name phone' },
+      { path: 'reviewedBy', select: 'name email' }
+    ]
+  });
+};
+
+/**
+ * Patch the attendance record with an approved correction, keeping the values it replaces
+ * @param {AttendanceCorrection} correction
+ * @returns {Promise<DriverAttendance>}
+ */
+const applyCorrection = async (correction) => {
+  let attendance;
+
+  if (correction.type === 'missed_punch_in') {
+    const date = getAttendanceDate(correction.inTime);
+    attendance = await DriverAttendance.findOne({ driverId: correction.driverId, date, isActive: true });
+    if (!attendance) {
+      attendance = new DriverAttendance({
+        driverId: correction.driverId,
+        date,
+        punches: [],
+        isActive: true,
+        createdAt: new Date()
+      });
+    }
+
+    checkOverlap(attendance.punches, correction.inTime, correction.outTime);
+    correction.original = { inTime: null, outTime: null, duration: null, totalHours: attendance.totalHours || 0 };
+    attendance.punches.push({ inTime: correction.inTime, outTime: correction.outTime });
+  } else {
+    attendance = await DriverAttendance.findOne({ _id: correction.attendanceId, isActive: true });
+    const punch = attendance && findPunch(attendance, correction.original.inTime);
+    if (!punch) {
+      throw new ApiError(status.CONFLICT, 'The punch has changed since the correction was requested');
+    }
+
+    const inTime = correction.inTime || punch.inTime;
+    const outTime = correction.outTime || punch.outTime;
+    if (outTime && outTime <= inTime) {
+      throw new ApiError(status.BAD_REQUEST, 'The punch-out must be after the punch-in');
+    }
+    checkOverlap(attendance.punches.filter(other => other !== punch), inTime, outTime);
+
+    correction.original = {
+      inTime: punch.inTime,
+      outTime: punch.outTime,
+      duration: punch.duration,
+      totalHours: attendance.totalHours
+    };
+    punch.inTime = inTime;
+    punch.outTime = outTime;
+  }
+
+  recalculateAttendance(attendance);
+  await attendance.save();
+  correction.attendanceId = attendance._id;
+  return attendance;
+};
+
+/**
+ * Approve or reject a pending correction. Approving patches the attendance record.
+ * @param {ObjectId} correctionId
+ * @param {Object} review
+ * @param {string} review.status - approved or rejected
+ * @param {string} [review.reviewNotes]
+ * @param {ObjectId} reviewerId
+ * @returns {Promise<AttendanceCorrection>}
+ */
+const reviewCorrection = async (correctionId, { status: reviewStatus, reviewNotes }, reviewerId) => {
+  // Claim the correction, so a concurrent review doesn't apply it twice
+  const correction = await AttendanceCorrection.findOneAndUpdate(
+    { _id: correctionId, status: 'pending' },
+    { $set: { status: reviewStatus, reviewNotes, reviewedBy: reviewerId, reviewedAt: new Date() } },
+    { new: true }
+  );
+  if (!correction) {
+    const existing = await AttendanceCorrection.findById(correctionId, 'status').lean();
+    if (!existing) {
+      throw new ApiError(status.NOT_FOUND, 'Attendance correction not found');
+    }
+    throw new ApiError(status.BAD_REQUEST, `Attendance correction is already ${existing.status}`);
+  }
+
+  if (reviewStatus === 'approved') {
+    try {
+      await applyCorrection(correction);
+      await correction.save();
+    } catch (error) {
+      await AttendanceCorrection.updateOne(
+        { _id: correction._id },
+        { $set: { status: 'pending', reviewNotes: null, reviewedBy: null, reviewedAt: null } }
+      );
+      throw error;
+    }
+  }
+
+  sendNotificationsToIds(
+    [correction.driverId.toString()],
+    ['receiveAttendanceCorrectionUpdate'],
+    `Attendance Correction ${reviewStatus === 'approved' ? 'Approved' : 'Rejected'}`,
+    createAttendanceCorrectionReviewedNotification(correction),
+    {
+      type: 'attendance_correction_reviewed',
+      correctionId: correction._id.toString(),
+      status: reviewStatus
+    }
+  ).catch(error => {
+    console.error('Send notification error:', error);
+  });
+
+  return correction;
+};
+
+/**
+ * Close punches left open for longer than ATTENDANCE_MAX_SHIFT_HOURS at the end of that shift length.
+ * Each closed punch is recorded as an approved auto_close correction, and the driver is told so
+ * they can request the real punch-out time.
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of punches closed
+ */
+const closeOpenPunches = async (now = new Date()) => {
+  const maxShiftMs = env.ATTENDANCE_MAX_SHIFT_HOURS * HOUR_MS;
+  const cutoff = new Date(now.getTime() - maxShiftMs);
+
+  const attendances = await DriverAttendance.find({
+    isActive: true,
+    punches: { $elemMatch: { outTime: null, inTime: { $lte: cutoff } } }
+  });
+
+  let closedCount = 0;
+
+  for (const attendance of attendances) {
+    const punchIndex = attendance.punches.findIndex(punch => !punch.outTime && punch.inTime <= cutoff);
+    if (punchIndex === -1) {
+      continue;
+    }
+    const punch = attendance.punches[punchIndex];
+    const outTime = new Date(punch.inTime.getTime() + maxShiftMs);
+
+    try {
+      const original = {
+        inTime: punch.inTime,
+        outTime: null,
+        duration: punch.duration,
+        totalHours: attendance.totalHours
+      };
+      punch.outTime = outTime;
+      recalculateAttendance(attendance);
+      await attendance.save();
+
+      await AttendanceCorrection.create({
+        driverId: attendance.driverId,
+        attendanceId: attendance._id,
+        type: 'auto_close',
+        punchIndex,
+        outTime,
+        reason: `Punch open for more than ${env.ATTENDANCE_MAX_SHIFT_HOURS} hours`,
+        status: 'approved',
+        original,
+        reviewedAt: now
+      });
+      closedCount++;
+
+      await sendNotificationsToIds(
+        [attendance.driverId.toString()],
+        ['receiveAttendanceCorrectionUpdate'],
+        'Punch Closed Automatically',
+        createPunchAutoClosedNotification(original.inTime, outTime),
+        {
+          type: 'punch_auto_closed',
+          attendanceId: attendance._id.toString()
+        }
+      );
+    } catch (error) {
+      console.error('Auto-close punch error:', error);
+    }
+  }
+
+  return closedCount;
+};
+
+module.exports = {
+  recalculateAttendance,
+  createCorrection,
+  getCorrections,
+  reviewCorrection,
+  closeOpenPunches
+};
@@ -0,0 +1,310 @@
+/**
+ * Compliance Service
+ * Tracks expiry of vehicle and driver documents, alerts ahead of it and blocks scheduling once
+ * mandatory documents have expired
+ */
+const { status } = require('http-status');
+const { Vehicle, User, DriverProfile, ComplianceOverride } = require('../models');
+const ApiError = require('../utils/ApiError');
+const { sendNotificationsToRoles, sendNotificationsToIds } = require('../utils/notifcationHelper');
+const { createDocumentExpiryNotification } = require('../notificationTemplates/compliance');
+const { dispatchOnce } = require('./notificationDispatch.service');
+const env = require('../config/env');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DOCUMENT_LABELS = {
+  license: 'Licence document',
+  id_card: 'ID card',
+  insurance: 'Insurance document',
+  medical: 'Medical certificate',
+  background_check: 'Background check',
+  other: 'Document'
+};
+
+// Driver document types that block scheduling once expired
+const MANDATORY_DOCUMENT_TYPES = ['license'];
+
+const OVERRIDE_ROLES = ['admin', 'super-admin'];
+
+/**
+ * Get the tracked items of a vehicle
+ * @param {Vehicle} vehicle
+ * @returns {Object[]} Items with an expiry date
+ */
+const getVehicleItems = (vehicle) => {
+  const subject = {
+    subjectType: 'vehicle',
+    subjectId: vehicle._id,
+    subjectName: vehicle.licensePlate ? `${vehicle.name} (${vehicle.licensePlate})` : vehicle.name
+  };
+
+  return [
+    { ...subject, key: 'registration', label: 'Registration', expiresAt: vehicle.registrationExpiry, mandatory: true },
+    { ...subject, key: 'insurance', label: 'Insurance', expiresAt: vehicle.insuranceExpiry, mandatory: true }
+  ].filter(item => item.expiresAt);
+};
+
+/**
+ * Get the tracked items of a driver. An uploaded document replaces older documents of its
+ * type, so only the latest expiry of each type counts. Documents of type other are each tracked.
+ * @param {DriverProfile} profile - Profile with its user populated
+ * @returns {Object[]} Items with an expiry date, for the driver's user
+ */
+const getDriverItems = (profile) => {
+  const subject = {
+    subjectType: 'driver',
+    subjectId: profile.user._id,
+    subjectName: profile.user.name
+  };
+
+  const items = [];
+  if (profile.licenseExpiry) {
+    items.push({ ...subject, key: 'license', label: 'Driving licence', expiresAt: profile.licenseExpiry, mandatory: true });
+  }
+
+  const latestByType = new Map();
+  (profile.documents || [])
+    .filter(document => document.expiresAt)
+    .forEach(document => {
+      if (document.type === 'other') {
+        latestByType.set(`other:${document._id}`, document);
+        return;
+      }
+      const latest = latestByType.get(document.type);
+      if (!latest || document.expiresAt > latest.expiresAt) {
+        latestByType.set(document.type, document);
+      }
+    });
+
+  latestByType.forEach(document => {
+    items.push({
+      ...subject,
+      key: `document:${document._id}`,
+      label: document.name || DOCUMENT_LABELS[document.type],
+      expiresAt: document.expiresAt,
+      mandatory: MANDATORY_DOCUMENT_TYPES.includes(document.type),
+      documentId: document._id,
+      documentType: document.type
+    });
+  });
+
+  return items;
+};
+
+/**
+ * Whole days until an expiry date, zero or less once it has passed
+ * @param {Date} expiresAt
+ * @param {Date} [now]
+ * @returns {number}
+ */
+const getDaysLeft = (expiresAt, now = new Date()) => Math.ceil((expiresAt - now) / DAY_MS);
+
+/**
+ * Get vehicle and driver items that expired or expire within a number of days
+ * @param {Object} [query]
+ * @param {number} [query.withinDays] - Defaults to the earliest alert threshold
+ * @param {string} [query.subjectType] - vehicle or driver
+ * @param {Date} [now]
+ * @returns {Promise<Object[]>} Items sorted by expiry date
+ */
+const getExpiringItems = async ({ withinDays = env.COMPLIANCE_ALERT_DAYS[0] || 30, subjectType } = {}, now = new Date()) => {
+  const horizon = new Date(now.getTime() + withinDays * DAY_MS);
+  const items = [];
+
+  if (!subjectType || subjectType === 'vehicle') {
+    const vehicles = await Vehicle.find({
+      deletedAt: null,
+      isActive: true,
+      status: { $ne: 'retired' },
+      $or: [{ registrationExpiry: { $lte: horizon } }, { insuranceExpiry: { $lte: horizon } }]
+    }, 'name licensePlate registrationExpiry insuranceExpiry').lean();
+    vehicles.forEach(vehicle => items.push(...getVehicleItems(vehicle)));
+  }
+
+  if (!subjectType || subjectType === 'driver') {
+    const profiles = await DriverProfile.find({
+      deletedAt: null,
+      isActive: true,
+      $or: [{ licenseExpiry: { $lte: horizon } }, { 'documents.expiresAt': { $lte: horizon } }]
+    }, 'user licenseExpiry documents').populate('user', 'name').lean();
+    profiles
+      .filter(profile => profile.user)
+      .forEach(profile => items.push(...getDriverItems(profile)));
+  }
+
+  return items
+    .filter(item => item.expiresAt <= horizon)
+    .map(item => {
+      const daysLeft = getDaysLeft(item.expiresAt, now);
+      return { ...item, daysLeft, status: item.expiresAt <= now ? 'expired' : 'expiring' };
+    })
+    .sort((a, b) => a.expiresAt - b.expiresAt);
+};
+
+/**
+ * Get mandatory items of a vehicle and driver that are expired at a point in time
+ * @param {ObjectId} vehicleId
+ * @param {ObjectId} driverId - Driver user ID
+ * @param {Date} [at] - Time the documents must still be valid at
+ * @returns {Promise<Object[]>} Expired mandatory items
+ */
+const getBlockingItems = async (vehicleId, driverId, at = new Date()) => {
+  const [vehicle, profile] = await Promise.all([
+    vehicleId ? Vehicle.findById(vehicleId, 'name licensePlate registrationExpiry insuranceExpiry').lean() : null,
+    driverId
+      ? DriverProfile.findOne({ user: driverId, deletedAt: null }, 'user licenseExpiry documents').populate('user', 'name').lean()
+      : null
+  ]);
+
+  const items = [
+    ...(vehicle ? getVehicleItems(vehicle) : []),
+    ...(profile && profile.user ? getDriverItems(profile) : [])
+  ];
+
+  return items.filter(item => item.mandatory && item.expiresAt <= at);
+};
+
+/**
+ * Check a new trip schedule against expired mandatory documents.
+ * Admins can schedule anyway by giving a reason, which is recorded by recordOverride.
+ * @param {Object} schedule
+ * @param {ObjectId} schedule.vehicleId
+ * @param {ObjectId} schedule.driverId
+ * @param {Date} schedule.validUntil - Time the documents must still be valid at
+ * @param {Object} [schedule.override] - { reason }
+ * @param {ObjectId} userId - User creating the schedule
+ * @returns {Promise<Object[]>} Expired items being overridden, empty when nothing blocks
+ */
+const checkScheduleCompliance = async ({ vehicleId, driverId, validUntil, override }, userId) => {
+  const blockingItems = await getBlockingItems(vehicleId, driverId, new Date(Math.max(validUntil, Date.now())));
+  if (blockingItems.length === 0) {
+    return [];
+  }
+
+  const expiredDocuments = blockingItems.map(item => ({
+    subjectType: item.subjectType,
+    subjectId: item.subjectId,
+    subjectName: item.subjectName,
+    key: item.key,
+    label: item.label,
+    expiresAt: item.expiresAt
+  }));
+
+  if (!override) {
+    throw new ApiError(status.CONFLICT, 'Vehicle or driver has expired mandatory documents', { expiredDocuments });
+  }
+
+  const user = await User.findById(userId, 'role').lean();
+  if (!user || !OVERRIDE_ROLES.includes(user.role)) {
+    throw new ApiError(status.FORBIDDEN, 'Only admins can override expired documents', { expiredDocuments });
+  }
+
+  return expiredDocuments;
+};
+
+/**
+ * Record an admin override of expired documents in the audit trail
+ * @param {TripSchedule} schedule - Schedule created despite the expired documents
+ * @param {Object[]} items - Expired items from checkScheduleCompliance
+ * @param {string} reason
+ * @param {ObjectId} userId
+ * @param {ClientSession} [session]
+ * @returns {Promise<ComplianceOverride>}
+ */
+const recordOverride = async (schedule, items, reason, userId, session = null) => {
+  const [override] = await ComplianceOverride.create([{
+    tripSchedule: schedule._id,
+    vehicle: schedule.vehicleId,
+    driver: schedule.driverId,
+    items,
+    reason,
+    overriddenBy: userId
+  }], { session });
+  return override;
+};
+
+/**
+ * Get the override audit trail
+ * @param {Object} filter - vehicle, driver
+ * @param {Object} options - page, limit
+ * @returns {Promise<QueryResult>}
+ */
+const getOverrides = async (filter = {}, options = {}) => {
+  return ComplianceOverride.paginate(filter, {
+    sortBy: 'createdAt:desc',
+    limit: parseInt(options.limit || 10, 10),
+    page: parseInt(options.page || 1, 10),
+    populate: [
+      { path: 'vehicle', select: 'name licensePlate' },
+      { path: 'driver', select: 'name phone' },
+      { path: 'overriddenBy', select: 'name email' },
+      { path: 'tripSchedule', select: 'tripStartTime status' }
+    ]
+  });
+};
+
+/**
+ * Alert admins, and drivers about their own documents, when items come within an alert threshold
+ * and once they expire. Each threshold is sent once per expiry date, so a renewed document gets
+ * fresh alerts.
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of alerts sent
+ */
+const sendExpiryAlerts = async (now = new Date()) => {
+  const thresholds = env.COMPLIANCE_ALERT_DAYS;
+  if (thresholds.length === 0) {
+    return 0;
+  }
+
+  const items = await getExpiringItems({ withinDays: thresholds[0] }, now);
+  let sentCount = 0;
+
+  for (const item of items) {
+    // Only the closest threshold reached is sent, so a late run doesn't send every threshold it skipped
+    const threshold = item.daysLeft <= 0 ? 0 : Math.min(...thresholds.filter(days => item.daysLeft <= days));
+    const key = `document-expiry:${item.subjectType}:${item.subjectId}:${item.key}:${item.expiresAt.toISOString()}:${threshold}`;
+
+    const title = item.daysLeft <= 0 ? `Document Expired: ${item.label}` : `Document Expiring: ${item.label}`;
+    const message = createDocumentExpiryNotification(item, item.daysLeft);
+    const data = {
+      type: 'document_expiry',
+      subjectType: item.subjectType,
+      subjectId: item.subjectId.toString(),
+      item: item.key,
+      daysLeft: String(item.daysLeft)
+    };
+
+    try {
+      const sent = await dispatchOnce(key, {
+        type: 'document-expiry',
+        referenceId: item.subjectId,
+        data: { item: item.key, threshold }
+      }, async () => {
+        await sendNotificationsToRoles(['admin', 'super-admin'], ['receiveDocumentExpiryNotification'], title, message, data);
+        if (item.subjectType === 'driver') {
+          await sendNotificationsToIds([item.subjectId.toString()], ['receiveDocumentExpiryReminder'], title, message, data);
+        }
+      });
+
+      if (sent) {
+        sentCount++;
+      }
+    } catch (error) {
+      console.error('Send document expiry alert error:', error);
+    }
+  }
+
+  return sentCount;
+};
+
+module.exports = {
+  getVehicleItems,
+  getDriverItems,
+  getExpiringItems,
+  getBlockingItems,
+  checkScheduleCompliance,
+  recordOverride,
+  getOverrides,
+  sendExpiryAlerts
+};
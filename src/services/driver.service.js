@@ -1,107 +1,229 @@
-const Vehicle = require('../models/vehicle.model');
-const User = require('../models/user.model');
+const { Vehicle, User, DriverProfile } = require('../models');
+
+const populateProfile = (query) => query
+  .populate('user', 'name email phone role profilePicture')
+  .populate('vehicle', 'name model licensePlate type year color');
+
+/**
+ * Escape a search term for use in a regular expression
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Check that no other driver has a licence number
+ * @param {string} licenseNumber
+ * @param {ObjectId} [excludeId] - Profile to leave out
+ */
+const checkLicenseNumber = async (licenseNumber, excludeId = null) => {
+  const filter = { licenseNumber, deletedAt: null };
+  if (excludeId) {
+    filter._id = { $ne: excludeId };
+  }
+  const licenseCheck = await DriverProfile.findOne(filter, '_id');
+  if (licenseCheck) {
+    throw new Error('License number is already registered with another driver');
+  }
+};
+
+/**
+ * Point a vehicle at its driver, releasing the driver's previous vehicle
+ * @param {ObjectId} userId - Driver user ID
+ * @param {ObjectId|null} previousVehicleId
+ * @param {ObjectId|null} vehicleId
+ */
+const assignVehicle = async (userId, previousVehicleId, vehicleId) => {
+  if (previousVehicleId) {
+    await Vehicle.updateOne(
+      { _id: previousVehicleId, assignedDriver: userId },
+      { assignedDriver: null, updatedAt: new Date() }
+    );
+  }
+
+  if (vehicleId) {
+    const vehicle = await Vehicle.findOne({ _id: vehicleId, deletedAt: null }, 'assignedDriver');
+    if (!vehicle) {
+      throw new Error('Vehicle not found');
+    }
+
+    // The vehicle's previous driver no longer has it
+    if (vehicle.assignedDriver && vehicle.assignedDriver.toString() !== userId.toString()) {
+      await DriverProfile.updateOne({ user: vehicle.assignedDriver, vehicle: vehicleId, deletedAt: null }, { vehicle: null });
+    }
+
+    vehicle.assignedDriver = userId;
+    vehicle.updatedAt = new Date();
+    await vehicle.save();
+  }
+};
+
+/**
+ * Follow a vehicle's driver assignment made from the vehicle side on the driver profiles
+ * @param {ObjectId} vehicleId
+ * @param {ObjectId|null} previousDriverId - User ID of the driver the vehicle had
+ * @param {ObjectId|null} driverId - User ID of the driver the vehicle has now
+ */
+const syncProfileVehicle = async (vehicleId, previousDriverId, driverId) => {
+  if (previousDriverId && (!driverId || previousDriverId.toString() !== driverId.toString())) {
+    await DriverProfile.updateOne({ user: previousDriverId, vehicle: vehicleId, deletedAt: null }, { vehicle: null });
+  }
+  if (driverId) {
+    await DriverProfile.updateOne({ user: driverId, deletedAt: null }, { vehicle: vehicleId });
+  }
+};
 
 /**
  * Get all drivers with optional filters and pagination
  * @param {Object} filters - Query filters
+ * @param {string} [filters.search] - Name, email, phone or licence number
+ * @param {string} [filters.status]
+ * @param {boolean} [filters.isAvailable]
  * @param {Object} options - Query options (pagination, sorting)
  * @returns {Promise<Object>} Drivers with pagination info
  */
 const getDrivers = async (filters = {}, options = {}) => {
-  
-  const queryOptions = { ...options };
-  
+  const { search, ...profileFilters } = filters;
+
   // Add default filter for active and non-deleted drivers
   const queryFilters = {
-    ...filters,
-    role: 'driver',
+    ...profileFilters,
     isActive: true,
     deletedAt: null
   };
-  
+
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    const users = await User.find({
+      role: 'driver',
+      deletedAt: null,
+      $or: [{ name: pattern }, { email: pattern }, { phone: pattern }]
+    }, '_id').lean();
+    queryFilters.$or = [
+      { user: { $in: users.map(user => user._id) } },
+      { licenseNumber: pattern }
+    ];
+  }
+
+  const page = parseInt(options.page || 1, 10);
+  const limit = options.limit ? parseInt(options.limit, 10) : null;
+
   // Build the query
-  const driverQuery = User.find(queryFilters)
-    .sort(queryOptions.sort);
-  
+  const driverQuery = populateProfile(DriverProfile.find(queryFilters).sort(options.sort));
+  if (limit) {
+    driverQuery.skip((page - 1) * limit).limit(limit);
+  }
+
   // Execute the query
-  const drivers = await driverQuery;
-  const total = await User.countDocuments(queryFilters);
-  
+  const [drivers, total] = await Promise.all([driverQuery, DriverProfile.countDocuments(queryFilters)]);
+
   return {
     drivers,
     pagination: {
       total,
-      page: queryOptions.page,
-      limit: queryOptions.limit,
-      pages: Math.ceil(total / queryOptions.limit)
+      page,
+      limit: limit || total,
+      pages: limit ? Math.ceil(total / limit) : 1
     }
   };
 };
 
 /**
  * Get driver by ID
- * @param {string} id - User ID
- * @returns {Promise<Object>} User object
+ * @param {string} id - Driver profile ID
+ * @returns {Promise<DriverProfile>}
  */
 const getDriverById = async (id) => {
-  return await User.findOne({ _id: id, isActive: true, deletedAt: null })
-    .populate('user', 'name email phone role')
-    .populate('vehicle', 'model licensePlate type year color');
+  return populateProfile(DriverProfile.findOne({ _id: id, isActive: true, deletedAt: null }));
 };
 
 /**
  * Get driver by user ID
  * @param {string} userId - User ID
- * @returns {Promise<Object>} User object
+ * @returns {Promise<DriverProfile>}
  */
 const getDriverByUserId = async (userId) => {
-  return await User.findOne({ user: userId, isActive: true, deletedAt: null })
-    .populate('user', 'name email phone role')
-    .populate('vehicle', 'model licensePlate type year color');
+  return populateProfile(DriverProfile.findOne({ user: userId, isActive: true, deletedAt: null }));
 };
 
 /**
- * Create new driver
- * @param {Object} driverData - User data
- * @returns {Promise<Object>} Created driver
+ * Create a profile for a driver user that has none, as done when driver users are created
+ * @param {ObjectId} userId - User ID
+ * @param {ObjectId} [createdBy]
+ * @returns {Promise<DriverProfile|null>} Created profile, null when the user already has one
  */
-const createDriver = async (driverData) => {
+const ensureDriverProfile = async (userId, createdBy = null) => {
+  const existing = await DriverProfile.exists({ user: userId, deletedAt: null });
+  if (existing) {
+    return null;
+  }
+
+  const vehicle = await Vehicle.findOne({ assignedDriver: userId, deletedAt: null }, '_id').lean();
+  try {
+    return await DriverProfile.create({
+      user: userId,
+      vehicle: vehicle ? vehicle._id : null,
+      statusHistory: [{ from: null, to: 'active', changedBy: createdBy, notes: 'Driver profile created' }],
+      createdBy
+    });
+  } catch (error) {
+    // Created by a concurrent call
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Create new driver. The empty profile a driver user gets when created is filled in instead,
+ * a profile that already has a licence number can't be created again.
+ * @param {Object} driverData - Driver profile data
+ * @param {ObjectId} [createdBy] - User creating the driver
+ * @returns {Promise<DriverProfile>} Created driver
+ */
+const createDriver = async (driverData, createdBy = null) => {
   // Check if user exists
-  const user = await User.findById(driverData.user);
+  const user = await User.findOne({ _id: driverData.user, deletedAt: null });
   if (!user) {
     throw new Error('User not found');
   }
 
   // Check if driver already exists for this user
-  const existingDriver = await User.findOne({ 
-    user: driverData.user,
-    deletedAt: null
-  });
-
-  if (existingDriver) {
-    throw new Error('User profile already exists for this user');
+  const existingDriver = await DriverProfile.findOne({ user: driverData.user, deletedAt: null });
+  if (existingDriver && existingDriver.licenseNumber) {
+    throw new Error('Driver profile already exists for this user');
   }
 
   // Check if license number is already in use
-  const licenseCheck = await User.findOne({ 
-    licenseNumber: driverData.licenseNumber,
-    deletedAt: null
-  });
+  await checkLicenseNumber(driverData.licenseNumber, existingDriver ? existingDriver._id : null);
 
-  if (licenseCheck) {
-    throw new Error('License number is already registered with another driver');
+  // If vehicle is assigned, update vehicle's driver
+  const previousVehicle = existingDriver && existingDriver.vehicle ? existingDriver.vehicle.toString() : null;
+  if (driverData.vehicle && driverData.vehicle.toString() !== previousVehicle) {
+    await assignVehicle(user._id, previousVehicle, driverData.vehicle);
   }
 
-  // Create new driver
-  const driver = new User(driverData);
-  await driver.save();
-
-  // If vehicle is assigned, update vehicle's driver
-  if (driverData.vehicle) {
-    await Vehicle.findByIdAndUpdate(
-      driverData.vehicle, 
-      { driver: driver._id, updatedAt: new Date() }
-    );
+  const status = driverData.status || 'active';
+  let driver;
+  if (existingDriver) {
+    // Fill in the empty profile created with the driver user
+    const previousStatus = existingDriver.status;
+    Object.keys(driverData).forEach(key => {
+      existingDriver[key] = driverData[key];
+    });
+    existingDriver.status = status;
+    existingDriver.statusHistory.push({ from: previousStatus, to: status, changedBy: createdBy, notes: 'Driver details added' });
+    existingDriver.updatedBy = createdBy;
+    driver = await existingDriver.save();
+  } else {
+    driver = await DriverProfile.create({
+      ...driverData,
+      status,
+      statusHistory: [{ from: null, to: status, changedBy: createdBy, notes: 'Driver profile created' }],
+      createdBy,
+      updatedBy: createdBy
+    });
   }
 
   // Update user's role if not already a driver
@@ -111,52 +233,32 @@ const createDriver = async (driverData) => {
     await user.save();
   }
 
-  return driver;
+  return getDriverById(driver._id);
 };
 
 /**
  * Update driver
- * @param {string} id - User ID
+ * @param {string} id - Driver profile ID
  * @param {Object} updateData - Data to update
- * @returns {Promise<Object>} Updated driver
+ * @param {ObjectId} [updatedBy] - User updating the driver
+ * @returns {Promise<DriverProfile>} Updated driver
  */
-const updateDriver = async (id, updateData) => {
+const updateDriver = async (id, updateData, updatedBy = null) => {
   // Check if driver exists
-  const driver = await User.findOne({ _id: id, isActive: true, deletedAt: null });
+  const driver = await DriverProfile.findOne({ _id: id, isActive: true, deletedAt: null });
   if (!driver) {
-    throw new Error('User not found');
+    throw new Error('Driver not found');
   }
 
   // Check if license number is unique if being updated
   if (updateData.licenseNumber && updateData.licenseNumber !== driver.licenseNumber) {
-    const licenseCheck = await User.findOne({ 
-      licenseNumber: updateData.licenseNumber,
-      _id: { $ne: id },
-      deletedAt: null
-    });
-
-    if (licenseCheck) {
-      throw new Error('License number is already registered with another driver');
-    }
+    await checkLicenseNumber(updateData.licenseNumber, driver._id);
   }
 
   // Handle vehicle assignment changes
-  if (updateData.vehicle !== undefined && updateData.vehicle !== driver.vehicle) {
-    // If previous vehicle exists, remove driver assignment
-    if (driver.vehicle) {
-      await Vehicle.findByIdAndUpdate(
-        driver.vehicle,
-        { driver: null, updatedAt: new Date() }
-      );
-    }
-
-    // If new vehicle is assigned, update it
-    if (updateData.vehicle) {
-      await Vehicle.findByIdAndUpdate(
-        updateData.vehicle,
-        { driver: id, updatedAt: new Date() }
-      );
-    }
+  const previousVehicle = driver.vehicle ? driver.vehicle.toString() : null;
+  if (updateData.vehicle !== undefined && (updateData.vehicle || null) !== previousVehicle) {
+    await assignVehicle(driver.user, previousVehicle, updateData.vehicle);
   }
 
   // Update driver
@@ -164,76 +266,91 @@ const updateDriver = async (id, updateData) => {
     driver[key] = updateData[key];
   });
 
-  driver.updatedAt = new Date();
+  driver.updatedBy = updatedBy;
   await driver.save();
 
-  return driver;
+  return getDriverById(driver._id);
 };
 
 /**
  * Update driver status
- * @param {string} id - User ID
+ * @param {string} id - Driver profile ID
  * @param {string} status - New status
  * @param {string} notes - Status change notes
- * @returns {Promise<Object>} Updated driver
+ * @param {ObjectId} [changedBy] - User changing the status
+ * @returns {Promise<DriverProfile>} Updated driver
  */
-const updateDriverStatus = async (id, status, notes = '') => {
+const updateDriverStatus = async (id, status, notes = '', changedBy = null) => {
   // Check if driver exists
-  const driver = await User.findOne({ _id: id, isActive: true, deletedAt: null });
+  const driver = await DriverProfile.findOne({ _id: id, isActive: true, deletedAt: null });
   if (!driver) {
-    throw new Error('User not found');
+    throw new Error('Driver not found');
+  }
+
+  if (driver.status !== status) {
+    driver.statusHistory.push({ from: driver.status, to: status, changedBy, changedAt: new Date(), notes });
+    driver.status = status;
   }
 
-  // Update status
-  driver.status = status;
-  
   // Add notes if provided
   if (notes) {
     driver.notes = notes;
   }
-  
-  driver.updatedAt = new Date();
+
+  driver.updatedBy = changedBy;
   await driver.save();
 
-  return driver;
+  return getDriverById(driver._id);
 };
 
 /**
  * Add document to driver
- * @param {string} id - User ID
+ * @param {string} id - Driver profile ID
  * @param {Object} document - Document data
- * @returns {Promise<Object>} Updated driver
+ * @param {Object} user - User adding the document, drivers can only add to their own profile
+ * @returns {Promise<DriverProfile>} Updated driver
  */
-const addDocument = async (id, document) => {
+const addDocument = async (id, document, user) => {
   // Check if driver exists
-  const driver = await User.findOne({ _id: id, isActive: true, deletedAt: null });
+  const driver = await DriverProfile.findOne({ _id: id, isActive: true, deletedAt: null });
   if (!driver) {
-    throw new Error('User not found');
+    throw new Error('Driver not found');
+  }
+
+  const isDriver = user.role === 'driver';
+  if (isDriver && driver.user.toString() !== user._id.toString()) {
+    throw new Error('Not allowed to add documents for another driver');
   }
 
-  // Add document
+  // Documents uploaded by drivers are verified by an admin
+  const verified = !isDriver && Boolean(document.verified);
   driver.documents.push({
     ...document,
+    verified,
+    verifiedBy: verified ? user._id : null,
+    verifiedAt: verified ? new Date() : null,
+    uploadedBy: user._id,
     uploadedAt: new Date()
   });
-  
-  driver.updatedAt = new Date();
+
+  driver.updatedBy = user._id;
   await driver.save();
 
-  return driver;
+  return getDriverById(driver._id);
 };
 
 /**
  * Verify document
- * @param {string} driverId - User ID
+ * @param {string} driverId - Driver profile ID
  * @param {string} documentId - Document ID
- * @returns {Promise<Object>} Updated driver
+ * @param {ObjectId} [verifiedBy] - User verifying the document
+ * @returns {Promise<DriverProfile>} Updated driver
  */
-const verifyDocument = async (driverId, documentId) => {
+const verifyDocument = async (driverId, documentId, verifiedBy = null) => {
   // Check if driver exists
-  const driver = await User.findOne({ _id: driverId, isActive: true, deletedAt: null });
+  const driver = await DriverProfile.findOne({ _id: driverId, isActive: true, deletedAt: null });
   if (!driver) {
-    throw new Error('User not found');
+    throw new Error('Driver not found');
   }
 
   // Find document
@@ -244,36 +361,37 @@ const verifyDocument = async (driverId, documentId) => {
 
   // Update document
   document.verified = true;
-  driver.updatedAt = new Date();
+  document.verifiedBy = verifiedBy;
+  document.verifiedAt = new Date();
+  driver.updatedBy = verifiedBy;
   await driver.save();
 
-  return driver;
+  return getDriverById(driver._id);
 };
 
 /**
  * Delete driver (soft delete)
- * @param {string} id - User ID
- * @returns {Promise<Object>} Deleted driver
+ * @param {string} id - Driver profile ID
+ * @param {ObjectId} [deletedBy] - User deleting the driver
+ * @returns {Promise<DriverProfile>} Deleted driver
  */
-const deleteDriver = async (id) => {
+const deleteDriver = async (id, deletedBy = null) => {
   // Check if driver exists
-  const driver = await User.findOne({ _id: id, isActive: true, deletedAt: null });
+  const driver = await DriverProfile.findOne({ _id: id, isActive: true, deletedAt: null });
   if (!driver) {
-    throw new Error('User not found');
+    throw new Error('Driver not found');
   }
 
   // If driver has vehicle, update vehicle's driver reference
   if (driver.vehicle) {
-    await Vehicle.findByIdAndUpdate(
-      driver.vehicle,
-      { driver: null, updatedAt: new Date() }
-    );
+    await assignVehicle(driver.user, driver.vehicle, null);
+    driver.vehicle = null;
   }
 
   // Soft delete
   driver.isActive = false;
   driver.deletedAt = new Date();
-  driver.updatedAt = new Date();
+  driver.updatedBy = deletedBy;
   await driver.save();
 
   return driver;
@@ -283,10 +401,12 @@ module.exports = {
   getDrivers,
   getDriverById,
   getDriverByUserId,
+  ensureDriverProfile,
+  syncProfileVehicle,
   createDriver,
   updateDriver,
   updateDriverStatus,
   addDocument,
   verifyDocument,
   deleteDriver
-}; 
\ No newline at end of file
+};
@@ -9,6 +9,7 @@ const notificationService = require('../common/services/notification.service');
 const { sendNotificationsToRoles, formatDriverPunchInNotification, formatDriverPunchOutNotification } = require('../utils/notifcationHelper');
 const TripSchedule = require('../models/tripSchedule.model');
 const DriverLocation = require('./driverLocation.service');
+const liveFleetService = require('./liveFleet.service');
 
 class DriverAttendanceService {
   /**
@@ -185,6 +186,12 @@ class DriverAttendanceService {
       }
     }
 
+    liveFleetService.publishPunch({
+      driverId,
+      punchType: 'in',
+      coordinates: punchData.coordinates
+    });
+
     // Notify all schedulers-admins-super-admins
     sendNotificationsToRoles(['admin', 'super-admin'], ['receiveDriverPunchIn'], `Driver Punch IN`, formatDriverPunchInNotification(driver.name), {
       driverId: driverId.toString(),
@@ -307,6 +314,12 @@ class DriverAttendanceService {
       }
     }
 
+    liveFleetService.publishPunch({
+      driverId,
+      punchType: 'out',
+      coordinates: punchData.coordinates
+    });
+
     // Notify all schedulers-admins-super-admins
     sendNotificationsToRoles(['admin', 'super-admin'], ['receiveDriverPunchOut'], `Driver Punch OUT`, await formatDriverPunchOutNotification(attendance, driverId, driver.name), {
       type: 'driver_punch_out',
@@ -6,6 +6,11 @@ const DriverLocation = require('../models/driverLocation.model');
 const User = require('../models/user.model');
 const ApiError = require('../utils/ApiError');
 const httpStatus = require('http-status');
+const geofenceService = require('./geofence.service');
+const geocodingService = require('./geocoding.service');
+const liveFleetService = require('./liveFleet.service');
+const { isValidCoordinates, separateGpsJumps } = require('../utils/geo');
+const env = require('../config/env');
 
 /**
  * Record a new driver location
@@ -24,24 +29,12 @@ const recordLocation = async (locationData) => {
     throw new ApiError(httpStatus.NOT_FOUND, 'Driver not found');
   }
 
-  // Get location name from coordinates
-  let locationName = '';
-  try {
-    const [lat, lon] = locationData.coordinates;
-    const response = await fetch(`https://geocode.maps.co/reverse?lat=${lat}&lon=${lon}&api_key=6809ed9fcf275838027534nhwa2ca00`);
-    const data = await response.json();
-    locationName = data.display_name;
-  } catch (error) {
-    console.error('Error getting location name:', error);
-  }
-  
   // Create location entry
   const locationEntry = await DriverLocation.create({
     driverId: locationData.driverId,
     geometry: { type: "Point", coordinates: locationData.coordinates },
     tripId: locationData.tripId || null,
-    source: locationData.source || 'background',
-    location: locationName
+    source: locationData.source || 'background'
   });
 
   // Update user's last location
@@ -49,15 +42,187 @@ const recordLocation = async (locationData) => {
     lastLocation: {
       type: "Point",
       coordinates: locationData.coordinates,
-      location: locationName,
+      location: null,
       timestamp: new Date()
     }
   });
-  
+
+  liveFleetService.publishLocation({
+    driverId: locationData.driverId,
+    coordinates: locationData.coordinates,
+    tripId: locationEntry.tripId,
+    source: locationEntry.source,
+    timestamp: locationEntry.timestamp
+  });
+
+  // Name the point in the background, the ping doesn't wait for the geocoder
+  geocodingService.geocodeLocation(locationEntry).catch(error => {
+    console.error('Error getting location name:', error.message);
+  });
+
+  // Stamp arrival and departure on the active trip's destinations
+  try {
+    await geofenceService.evaluateLocation({
+      driverId: locationData.driverId,
+      coordinates: locationData.coordinates,
+      timestamp: locationEntry.timestamp,
+      tripId: locationData.tripId
+    });
+  } catch (error) {
+    console.error('Error evaluating trip geofences:', error);
+  }
   
   return locationEntry;
 };
 
+/**
+ * Record a batch of queued, client-timestamped location points
+ * Points are deduplicated by device sequence, ordered by time and dropped when they
+ * are in the future, too old or imply an impossible speed
+ * @param {ObjectId} driverId
+ * @param {Object} batch
+ * @param {string} [batch.deviceId] - Device the sequence numbers belong to
+ * @param {Object[]} batch.points - { coordinates, timestamp, sequence, tripId, source }
+ * @returns {Promise<Object>} Counts of accepted, duplicate and rejected points
+ */
+const recordLocationBatch = async (driverId, { deviceId = null, points }) => {
+  const driver = await User.findOne({
+    _id: driverId,
+    role: 'driver',
+    isActive: true
+  });
+
+  if (!driver) {
+    throw new ApiError(httpStatus.status.NOT_FOUND, 'Driver not found');
+  }
+
+  const now = Date.now();
+  const oldestAllowed = now - env.LOCATION_BATCH_MAX_AGE_HOURS * 60 * 60 * 1000;
+  const rejected = [];
+  const reject = (point, reason) => rejected.push({ sequence: point.sequence, reason });
+
+  // Drop repeats within the batch, then points already stored from an earlier upload
+  const bySequence = new Map();
+  points.forEach(point => {
+    if (!bySequence.has(point.sequence)) {
+      bySequence.set(point.sequence, point);
+    }
+  });
+  let duplicates = points.length - bySequence.size;
+
+  const storedSequences = await DriverLocation.distinct('sequence', {
+    driverId,
+    deviceId,
+    sequence: { $in: Array.from(bySequence.keys()) }
+  });
+  storedSequences.forEach(sequence => bySequence.delete(sequence));
+  duplicates += storedSequences.length;
+
+  const candidates = Array.from(bySequence.values())
+    .map(point => ({ ...point, timestamp: new Date(point.timestamp) }))
+    .filter(point => {
+      if (!isValidCoordinates(point.coordinates)) {
+        reject(point, 'invalid_coordinates');
+        return false;
+      }
+      if (point.timestamp.getTime() > now + 2 * 60 * 1000) {
+        reject(point, 'future_timestamp');
+        return false;
+      }
+      if (point.timestamp.getTime() < oldestAllowed) {
+        reject(point, 'too_old');
+        return false;
+      }
+      return true;
+    })
+    .sort((a, b) => a.timestamp - b.timestamp || a.sequence - b.sequence);
+
+  // Check speed against the last stored point before the batch, then point to point.
+  // A run of points that agree with each other outvotes a bad stored point.
+  let anchor = null;
+  if (candidates.length > 0) {
+    const before = await DriverLocation.findOne(
+      { driverId, timestamp: { $lte: candidates[0].timestamp } },
+      'geometry timestamp'
+    ).sort({ timestamp: -1 }).lean();
+    anchor = before ? { coordinates: before.geometry.coordinates, timestamp: before.timestamp } : null;
+  }
+
+  const { kept: accepted, jumps } = separateGpsJumps(candidates, env.GPS_MAX_SPEED_KMH, anchor);
+  jumps.forEach(point => reject(point, 'implausible_speed'));
+
+  if (accepted.length > 0) {
+    try {
+      await DriverLocation.insertMany(accepted.map(point => ({
+        driverId,
+        geometry: { type: 'Point', coordinates: point.coordinates },
+        timestamp: point.timestamp,
+        tripId: point.tripId || null,
+        source: point.source || 'background',
+        sequence: point.sequence,
+        deviceId
+      })), { ordered: false });
+    } catch (error) {
+      // A concurrent upload of the same points is not an error
+      if (error.code !== 11000 && !(error.writeErrors && error.writeErrors.every(writeError => writeError.code === 11000))) {
+        throw error;
+      }
+      duplicates += error.writeErrors ? error.writeErrors.length : 0;
+    }
+  }
+
+  // Only move the driver's last location forward
+  let lastLocationUpdated = false;
+  const newest = accepted[accepted.length - 1];
+  if (newest) {
+    const result = await User.updateOne(
+      {
+        _id: driverId,
+        $or: [
+          { 'lastLocation.timestamp': { $lt: newest.timestamp } },
+          { 'lastLocation.timestamp': null }
+        ]
+      },
+      {
+        $set: {
+          lastLocation: {
+            type: 'Point',
+            coordinates: newest.coordinates,
+            location: null,
+            timestamp: newest.timestamp
+          }
+        }
+      }
+    );
+    lastLocationUpdated = result.modifiedCount > 0;
+
+    if (lastLocationUpdated) {
+      liveFleetService.publishLocation({
+        driverId,
+        coordinates: newest.coordinates,
+        tripId: newest.tripId,
+        source: newest.source || 'background',
+        timestamp: newest.timestamp
+      });
+    }
+  }
+
+  // Stamp arrivals the driver made while offline
+  try {
+    await geofenceService.evaluateLocations({ driverId, points: accepted });
+  } catch (error) {
+    console.error('Error evaluating trip geofences:', error);
+  }
+
+  return {
+    received: points.length,
+    accepted: accepted.length,
+    duplicates,
+    rejected,
+    lastLocationUpdated
+  };
+};
+
 /**
  * Get the latest location for all drivers
  * @returns {Promise<Array>} Latest driver locations with driver info
@@ -225,6 +390,7 @@ const getDriverLatestLocation = async (driverId) => {
 
 module.exports = {
   recordLocation,
+  recordLocationBatch,
   getAllDriversLatestLocation,
   getDriverLocationHistory,
   getDriverLatestLocation
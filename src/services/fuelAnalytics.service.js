@@ -0,0 +1,236 @@
+/**
+ * Fuel Analytics Service
+ * Fuel efficiency and anomaly flags computed from each vehicle's full fueling history
+ */
+const mongoose = require('mongoose');
+const { FuelingRecord, Vehicle, User } = require('../models');
+const env = require('../config/env');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Fill in volume or price per litre from the cost and whichever of them is known
+ * @param {Object} quantities - { amount, volume, pricePerLitre }
+ * @returns {{volume: number|null, pricePerLitre: number|null}}
+ */
+const resolveFuelQuantities = ({ amount, volume, pricePerLitre }) => {
+  if (volume > 0) {
+    return { volume, pricePerLitre: round(amount / volume, 3) };
+  }
+  if (pricePerLitre > 0) {
+    return { volume: round(amount / pricePerLitre), pricePerLitre };
+  }
+  return { volume: volume ?? null, pricePerLitre: pricePerLitre ?? null };
+};
+
+/**
+ * Analyse a vehicle's fuelings in order
+ * Efficiency uses the full-tank method: the litres of a fueling replace the fuel used
+ * since the previous one
+ * @param {Object[]} records - Active fueling records, oldest first
+ * @param {Object} vehicle
+ * @returns {{records: Object[], fuelEfficiency: number|null}} Per record { _id, distance, efficiency, anomalies }
+ */
+const analyseFuelings = (records, vehicle) => {
+  const results = [];
+  const intervals = [];
+
+  records.forEach((record, index) => {
+    const previous = records[index - 1];
+    const anomalies = [];
+    let distance = null;
+    let efficiency = null;
+
+    if (vehicle.fuelTankCapacity && record.volume > vehicle.fuelTankCapacity) {
+      anomalies.push('over_capacity');
+    }
+
+    if (previous) {
+      distance = record.odometer - previous.odometer;
+
+      if (distance < 0) {
+        anomalies.push('odometer_backwards');
+        distance = null;
+      } else if (record.fueledAt - previous.fueledAt < env.FUEL_MIN_INTERVAL_HOURS * HOUR_MS
+        || distance < env.FUEL_MIN_INTERVAL_KM) {
+        anomalies.push('too_frequent');
+      }
+
+      if (distance !== null && distance > 0 && record.volume > 0) {
+        efficiency = round(distance / record.volume);
+
+        // Compare against the rolling efficiency before this fueling
+        const baseline = intervals.slice(-env.FUEL_ROLLING_WINDOW);
+        if (baseline.length > 0) {
+          const baselineEfficiency = baseline.reduce((sum, i) => sum + i.distance, 0)
+            / baseline.reduce((sum, i) => sum + i.volume, 0);
+          if (efficiency < baselineEfficiency * (1 - env.FUEL_EFFICIENCY_DROP_PERCENT / 100)) {
+            anomalies.push('efficiency_drop');
+          }
+        }
+
+        intervals.push({ distance, volume: record.volume });
+      }
+    }
+
+    results.push({ _id: record._id, distance, efficiency, anomalies });
+  });
+
+  const window = intervals.slice(-env.FUEL_ROLLING_WINDOW);
+  const windowVolume = window.reduce((sum, i) => sum + i.volume, 0);
+
+  return {
+    records: results,
+    fuelEfficiency: windowVolume > 0 ? round(window.reduce((sum, i) => sum + i.distance, 0) / windowVolume) : null
+  };
+};
+
+/**
+ * Recompute efficiency and anomalies of every fueling of a vehicle, and its fueling summary
+ * Called after any fueling record is created, edited or deleted
+ * @param {ObjectId} vehicleId
+ * @returns {Promise<Object>} { fuelEfficiency, anomalyCount }
+ */
+const recomputeVehicleFuelStats = async (vehicleId) => {
+  const vehicle = await Vehicle.findById(vehicleId).lean();
+  if (!vehicle) {
+    return null;
+  }
+
+  const records = await FuelingRecord.find({ vehicleId, isActive: true })
+    .sort({ fueledAt: 1, odometer: 1 })
+    .lean();
+  const analysis = analyseFuelings(records, vehicle);
+
+  if (analysis.records.length > 0) {
+    await FuelingRecord.bulkWrite(analysis.records.map(({ _id, ...stats }) => ({
+      updateOne: { filter: { _id }, update: { $set: stats } }
+    })));
+  }
+
+  const latest = records[records.length - 1];
+  await Vehicle.updateOne({ _id: vehicleId }, {
+    $set: {
+      fuelEfficiency: analysis.fuelEfficiency,
+      lastFuelingOdometer: latest ? latest.odometer : null,
+      lastFuelingAmount: latest ? latest.amount : null,
+      lastFuelingDate: latest ? latest.fueledAt : null,
+      updatedAt: new Date()
+    }
+  });
+
+  return {
+    fuelEfficiency: analysis.fuelEfficiency,
+    anomalyCount: analysis.records.filter(record => record.anomalies.length > 0).length
+  };
+};
+
+/**
+ * Sum fuelings grouped by a field
+ * @param {Object} match
+ * @param {string} field - vehicleId or fueledBy
+ * @param {string} from - Collection of the grouped documents
+ * @returns {Promise<Object[]>}
+ */
+const groupFuelings = (match, field, from) => FuelingRecord.aggregate([
+  { $match: match },
+  {
+    $group: {
+      _id: `$${field}`,
+      fuelings: { $sum: 1 },
+      totalCost: { $sum: '$amount' },
+      totalVolume: { $sum: { $ifNull: ['$volume', 0] } },
+      // Only intervals with a known efficiency count towards it
+      measuredDistance: { $sum: { $cond: [{ $ne: ['$efficiency', null] }, '$distance', 0] } },
+      measuredVolume: { $sum: { $cond: [{ $ne: ['$efficiency', null] }, '$volume', 0] } },
+      anomalies: { $push: '$anomalies' },
+      anomalousFuelings: { $sum: { $cond: [{ $gt: [{ $size: { $ifNull: ['$anomalies', []] } }, 0] }, 1, 0] } }
+    }
+  },
+  { $lookup: { from, localField: '_id', foreignField: '_id', as: 'info' } },
+  { $sort: { totalCost: -1 } }
+]);
+
+/**
+ * Format a fueling group for the report
+ * @param {Object} group
+ * @returns {Object}
+ */
+const formatGroup = (group) => {
+  const anomalyCounts = group.anomalies.flat().reduce((counts, type) => ({
+    ...counts,
+    [type]: (counts[type] || 0) + 1
+  }), {});
+
+  return {
+    id: group._id,
+    name: group.info[0] ? group.info[0].name : null,
+    fuelings: group.fuelings,
+    totalCost: round(group.totalCost),
+    totalVolume: round(group.totalVolume),
+    averagePricePerLitre: group.totalVolume > 0 ? round(group.totalCost / group.totalVolume, 3) : null,
+    efficiency: group.measuredVolume > 0 ? round(group.measuredDistance / group.measuredVolume) : null,
+    anomalousFuelings: group.anomalousFuelings,
+    anomalyCounts
+  };
+};
+
+/**
+ * Get the fuel analytics report by vehicle and by driver
+ * @param {Object} filters - { vehicleId, driverId, startDate, endDate }
+ * @returns {Promise<Object>} { byVehicle, byDriver, anomalies }
+ */
+const getFuelAnalytics = async ({ vehicleId, driverId, startDate, endDate } = {}) => {
+  const match = { isActive: true };
+  if (vehicleId) {
+    match.vehicleId = new mongoose.Types.ObjectId(vehicleId);
+  }
+  if (driverId) {
+    match.fueledBy = new mongoose.Types.ObjectId(driverId);
+  }
+  if (startDate || endDate) {
+    match.fueledAt = {};
+    if (startDate) {
+      match.fueledAt.$gte = new Date(startDate);
+    }
+    if (endDate) {
+      match.fueledAt.$lte = new Date(endDate);
+    }
+  }
+
+  const [byVehicle, byDriver, anomalies] = await Promise.all([
+    groupFuelings(match, 'vehicleId', Vehicle.collection.name),
+    groupFuelings(match, 'fueledBy', User.collection.name),
+    FuelingRecord.find({ ...match, 'anomalies.0': { $exists: true } })
+      .sort({ fueledAt: -1 })
+      .populate('vehicleId', 'name licensePlate')
+      .populate('fueledBy', 'name')
+      .lean()
+  ]);
+
+  return {
+    byVehicle: byVehicle.map(formatGroup),
+    byDriver: byDriver.map(formatGroup),
+    anomalies: anomalies.map(record => ({
+      id: record._id,
+      vehicle: record.vehicleId,
+      fueledBy: record.fueledBy,
+      fueledAt: record.fueledAt,
+      odometer: record.odometer,
+      amount: record.amount,
+      volume: record.volume,
+      distance: record.distance,
+      efficiency: record.efficiency,
+      anomalies: record.anomalies
+    }))
+  };
+};
+
+module.exports = {
+  resolveFuelQuantities,
+  analyseFuelings,
+  recomputeVehicleFuelStats,
+  getFuelAnalytics
+};
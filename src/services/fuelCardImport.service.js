@@ -0,0 +1,399 @@
+/**
+ * Fuel Card Import Service
+ * Stages fuel card statement lines and reconciles them against fueling records
+ */
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const { status } = require('http-status');
+const { FuelCardImport, FuelCardTransaction, FuelingRecord, Vehicle } = require('../models');
+const ApiError = require('../utils/ApiError');
+const { parseCsv } = require('../utils/csv');
+const { resolveFuelQuantities, recomputeVehicleFuelStats } = require('./fuelAnalytics.service');
+const { applyFuelingOdometer } = require('./fuelingRecord.service');
+const env = require('../config/env');
+
+// Statement column read for each transaction field, unless the import maps it differently
+const DEFAULT_COLUMN_MAPPING = {
+  transactionAt: 'Date',
+  plate: 'Vehicle Plate',
+  amount: 'Amount',
+  volume: 'Quantity',
+  odometer: 'Odometer',
+  cardNumber: 'Card Number',
+  station: 'Station',
+  reference: 'Transaction ID'
+};
+
+const REQUIRED_FIELDS = ['transactionAt', 'plate', 'amount'];
+
+const STATUSES = ['matched', 'unmatched', 'duplicate', 'invalid', 'created'];
+
+/**
+ * Normalize a licence plate for comparison
+ * @param {string} plate
+ * @returns {string}
+ */
+const normalizePlate = (plate) => (plate || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Parse a statement number, ignoring thousands separators and currency text
+ * @param {string} value
+ * @returns {number|null}
+ */
+const parseNumber = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+  const number = parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Read a statement line into transaction fields
+ * @param {Object} raw - Line by column name
+ * @param {Object} columnMapping
+ * @param {string} dateFormat - Statement times are Dubai local time
+ * @returns {{fields: Object, reason: string|null}}
+ */
+const readLine = (raw, columnMapping, dateFormat) => {
+  const value = (field) => {
+    const column = columnMapping[field];
+    return column && raw[column] !== undefined ? raw[column].trim() : '';
+  };
+
+  const transactionAt = moment.tz(value('transactionAt'), [dateFormat, moment.ISO_8601], true, 'Asia/Dubai');
+  const fields = {
+    plate: value('plate') || null,
+    transactionAt: transactionAt.isValid() ? transactionAt.toDate() : null,
+    amount: parseNumber(value('amount')),
+    volume: parseNumber(value('volume')),
+    odometer: parseNumber(value('odometer')),
+    cardNumber: value('cardNumber') || null,
+    station: value('station') || null,
+    reference: value('reference') || null
+  };
+
+  let reason = null;
+  if (!fields.plate) {
+    reason = 'Missing vehicle plate';
+  } else if (!fields.transactionAt) {
+    reason = `Unreadable date, expected ${dateFormat}`;
+  } else if (fields.amount === null || fields.amount < 0) {
+    reason = 'Missing or negative amount';
+  }
+
+  return { fields, reason };
+};
+
+/**
+ * Identify a card transaction, so the same line in another statement is recognised
+ * @param {Object} fields
+ * @returns {string}
+ */
+const getFingerprint = (fields) => {
+  const key = fields.reference
+    ? `ref|${fields.cardNumber || ''}|${fields.reference}`
+    : `line|${fields.cardNumber || ''}|${normalizePlate(fields.plate)}|${fields.transactionAt.toISOString()}|${fields.amount}`;
+  return crypto.createHash('sha1').update(key).digest('hex');
+};
+
+/**
+ * Match statement lines to fueling records of the same vehicle, close in time and amount
+ * Each fueling record is matched at most once, to the line closest in time
+ * @param {Object[]} lines - Lines with vehicleId, transactionAt and amount
+ * @returns {Promise<void>} Sets fuelingRecordId on matched lines
+ */
+const matchLines = async (lines) => {
+  if (lines.length === 0) {
+    return;
+  }
+
+  const windowMs = env.FUEL_CARD_MATCH_WINDOW_MINUTES * 60 * 1000;
+  const times = lines.map(line => line.transactionAt.getTime());
+  const records = await FuelingRecord.find({
+    vehicleId: { $in: [...new Set(lines.map(line => line.vehicleId.toString()))] },
+    isActive: true,
+    fueledAt: { $gte: new Date(Math.min(...times) - windowMs), $lte: new Date(Math.max(...times) + windowMs) }
+  }, 'vehicleId fueledAt amount').lean();
+
+  // Records reconciled by an earlier statement are taken
+  const taken = new Set((await FuelCardTransaction.distinct('fuelingRecordId', {
+    fuelingRecordId: { $in: records.map(record => record._id) }
+  })).map(id => id.toString()));
+
+  const pairs = [];
+  lines.forEach(line => {
+    records.forEach(record => {
+      const timeDiff = Math.abs(record.fueledAt - line.transactionAt);
+      if (record.vehicleId.toString() === line.vehicleId.toString()
+        && timeDiff <= windowMs
+        && Math.abs(record.amount - line.amount) <= env.FUEL_CARD_AMOUNT_TOLERANCE) {
+        pairs.push({ line, record, timeDiff });
+      }
+    });
+  });
+
+  pairs.sort((a, b) => a.timeDiff - b.timeDiff).forEach(({ line, record }) => {
+    if (!line.fuelingRecordId && !taken.has(record._id.toString())) {
+      line.fuelingRecordId = record._id;
+      taken.add(record._id.toString());
+    }
+  });
+};
+
+/**
+ * Count an import's lines by status
+ * @param {ObjectId} importId
+ * @returns {Promise<Object>}
+ */
+const countLines = async (importId) => {
+  const counts = await FuelCardTransaction.aggregate([
+    { $match: { importId } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  const stats = STATUSES.reduce((result, lineStatus) => ({ ...result, [lineStatus]: 0 }), {});
+  counts.forEach(count => {
+    stats[count._id] = count.count;
+  });
+  stats.total = STATUSES.reduce((sum, lineStatus) => sum + stats[lineStatus], 0);
+  return stats;
+};
+
+/**
+ * Import a fuel card statement into staging and reconcile it
+ * @param {Object} statement
+ * @param {string} statement.name - Statement name, e.g. card provider and month
+ * @param {string} statement.csv - Statement CSV with a header row
+ * @param {Object} [statement.columnMapping] - Statement column per field, merged over the defaults
+ * @param {string} [statement.dateFormat] - moment format of the date column
+ * @param {string} [statement.delimiter]
+ * @param {Object} user - User importing
+ * @returns {Promise<Object>} Reconciliation report
+ */
+const importStatement = async ({ name, csv, columnMapping = {}, dateFormat = env.FUEL_CARD_DATE_FORMAT, delimiter = ',' }, user) => {
+  const mapping = { ...DEFAULT_COLUMN_MAPPING, ...columnMapping };
+  const [header, ...rows] = parseCsv(csv, { delimiter });
+  if (!header || rows.length === 0) {
+    throw new ApiError(status.BAD_REQUEST, 'The statement has no lines');
+  }
+
+  const columns = header.map(column => column.trim());
+  const missing = REQUIRED_FIELDS.filter(field => !columns.includes(mapping[field]));
+  if (missing.length > 0) {
+    throw new ApiError(status.BAD_REQUEST, `Statement columns not found: ${missing.map(field => mapping[field]).join(', ')}`);
+  }
+
+  const vehicles = await Vehicle.find({ isActive: true, licensePlate: { $nin: [null, ''] } }, 'licensePlate').lean();
+  const vehiclesByPlate = new Map(vehicles.map(vehicle => [normalizePlate(vehicle.licensePlate), vehicle._id]));
+
+  const lines = rows.map((row, index) => {
+    const raw = columns.reduce((result, column, i) => ({ ...result, [column]: row[i] !== undefined ? row[i] : '' }), {});
+    const { fields, reason } = readLine(raw, mapping, dateFormat);
+
+    return {
+      lineNumber: index + 2,
+      raw,
+      ...fields,
+      vehicleId: fields.plate ? vehiclesByPlate.get(normalizePlate(fields.plate)) || null : null,
+      fingerprint: reason ? null : getFingerprint(fields),
+      status: reason ? 'invalid' : null,
+      reason,
+      fuelingRecordId: null,
+      duplicateOf: null
+    };
+  });
+
+  // Lines already imported from an earlier statement, or repeated in this one
+  const fingerprints = lines.filter(line => line.fingerprint).map(line => line.fingerprint);
+  const earlier = await FuelCardTransaction.find(
+    { fingerprint: { $in: fingerprints }, status: { $ne: 'duplicate' } },
+    'fingerprint'
+  ).lean();
+  const seen = new Map(earlier.map(line => [line.fingerprint, line._id]));
+  const firstInStatement = new Set();
+
+  lines.filter(line => !line.status).forEach(line => {
+    if (seen.has(line.fingerprint)) {
+      line.status = 'duplicate';
+      line.duplicateOf = seen.get(line.fingerprint);
+      line.reason = 'Already imported';
+    } else if (firstInStatement.has(line.fingerprint)) {
+      line.status = 'duplicate';
+      line.reason = 'Repeated in this statement';
+    } else {
+      firstInStatement.add(line.fingerprint);
+    }
+  });
+
+  const candidates = lines.filter(line => !line.status);
+  candidates.filter(line => !line.vehicleId).forEach(line => {
+    line.status = 'unmatched';
+    line.reason = 'No vehicle with this plate';
+  });
+
+  await matchLines(candidates.filter(line => line.vehicleId));
+  candidates.filter(line => !line.status).forEach(line => {
+    line.status = line.fuelingRecordId ? 'matched' : 'unmatched';
+    line.reason = line.fuelingRecordId ? null : 'No fueling record within the time window and amount tolerance';
+  });
+
+  const statementImport = await FuelCardImport.create({
+    name,
+    columnMapping: mapping,
+    dateFormat,
+    importedBy: user._id
+  });
+  await FuelCardTransaction.insertMany(lines.map(line => ({ ...line, importId: statementImport._id })));
+
+  // Repeats within the statement point at the line they repeat
+  const firstLines = await FuelCardTransaction.find(
+    { importId: statementImport._id, status: { $ne: 'duplicate' }, fingerprint: { $ne: null } },
+    'fingerprint'
+  ).lean();
+  const firstByFingerprint = new Map(firstLines.map(line => [line.fingerprint, line._id]));
+  const repeats = lines.filter(line => line.status === 'duplicate' && !line.duplicateOf);
+  if (repeats.length > 0) {
+    await FuelCardTransaction.bulkWrite(repeats.map(line => ({
+      updateOne: {
+        filter: { importId: statementImport._id, lineNumber: line.lineNumber },
+        update: { $set: { duplicateOf: firstByFingerprint.get(line.fingerprint) } }
+      }
+    })));
+  }
+
+  statementImport.stats = await countLines(statementImport._id);
+  await statementImport.save();
+
+  return getImportReport(statementImport._id);
+};
+
+/**
+ * Get the imported statements
+ * @param {Object} filter
+ * @param {Object} options - Pagination options
+ * @returns {Promise<Object>}
+ */
+const getImports = async (filter = {}, options = {}) => {
+  return FuelCardImport.paginate(filter, {
+    sortBy: options.sortBy || 'createdAt:desc',
+    limit: parseInt(options.limit || 10, 10),
+    page: parseInt(options.page || 1, 10),
+    populate: [{ path: 'importedBy', select: 'name' }]
+  });
+};
+
+/**
+ * Get the reconciliation report of an import: its lines grouped by status
+ * @param {ObjectId} importId
+ * @returns {Promise<Object>}
+ */
+const getImportReport = async (importId) => {
+  const statementImport = await FuelCardImport.findById(importId).populate('importedBy', 'name');
+  if (!statementImport) {
+    throw new ApiError(status.NOT_FOUND, 'Fuel card import not found');
+  }
+
+  const lines = await FuelCardTransaction.find({ importId })
+    .sort({ lineNumber: 1 })
+    .populate('vehicleId', 'name licensePlate')
+    .populate('fuelingRecordId', 'fueledAt amount volume odometer');
+
+  return {
+    import: statementImport,
+    ...STATUSES.reduce((report, lineStatus) => ({
+      ...report,
+      [lineStatus]: lines.filter(line => line.status === lineStatus)
+    }), {})
+  };
+};
+
+/**
+ * Create fueling records for unmatched lines of an import
+ * @param {ObjectId} importId
+ * @param {Object} [options]
+ * @param {ObjectId[]} [options.transactionIds] - Only these lines, all unmatched lines by default
+ * @param {Object} user - Admin creating the records
+ * @returns {Promise<Object>} { created, skipped }
+ */
+const createMissingRecords = async (importId, { transactionIds } = {}, user) => {
+  const statementImport = await FuelCardImport.findById(importId);
+  if (!statementImport) {
+    throw new ApiError(status.NOT_FOUND, 'Fuel card import not found');
+  }
+
+  const filter = { importId, status: 'unmatched' };
+  if (transactionIds && transactionIds.length > 0) {
+    filter._id = { $in: transactionIds };
+  }
+  const lines = await FuelCardTransaction.find(filter).sort({ lineNumber: 1 });
+
+  const vehicles = await Vehicle.find({ _id: { $in: lines.map(line => line.vehicleId).filter(Boolean) } }, 'assignedDriver').lean();
+  const vehiclesById = new Map(vehicles.map(vehicle => [vehicle._id.toString(), vehicle]));
+
+  const created = [];
+  const skipped = [];
+
+  for (const line of lines) {
+    const vehicle = line.vehicleId && vehiclesById.get(line.vehicleId.toString());
+    if (!vehicle) {
+      skipped.push({ id: line._id, lineNumber: line.lineNumber, reason: 'No vehicle with this plate' });
+      continue;
+    }
+    if (line.odometer === null) {
+      skipped.push({ id: line._id, lineNumber: line.lineNumber, reason: 'The line has no odometer reading' });
+      continue;
+    }
+
+    // Claim the line, so a concurrent request doesn't create the same record
+    const claimed = await FuelCardTransaction.updateOne({ _id: line._id, status: 'unmatched' }, { $set: { status: 'created' } });
+    if (claimed.modifiedCount === 0) {
+      continue;
+    }
+
+    try {
+      const record = await FuelingRecord.create({
+        vehicleId: line.vehicleId,
+        amount: line.amount,
+        ...resolveFuelQuantities({ amount: line.amount, volume: line.volume }),
+        odometer: line.odometer,
+        fueledBy: vehicle.assignedDriver || user._id,
+        fueledAt: line.transactionAt,
+        notes: [`Created from fuel card statement ${statementImport.name}, line ${line.lineNumber}`, line.station]
+          .filter(Boolean)
+          .join(' - ')
+      });
+
+      await FuelCardTransaction.updateOne({ _id: line._id }, { $set: { fuelingRecordId: record._id, reason: null } });
+      created.push({ id: line._id, lineNumber: line.lineNumber, fuelingRecordId: record._id });
+    } catch (error) {
+      await FuelCardTransaction.updateOne({ _id: line._id }, { $set: { status: 'unmatched' } });
+      throw error;
+    }
+  }
+
+  // Highest reading per vehicle, for the same odometer and maintenance plan updates as a fueling entered by hand
+  const odometerByVehicle = new Map();
+  created.forEach(entry => {
+    const line = lines.find(candidate => candidate._id.equals(entry.id));
+    const vehicleId = line.vehicleId.toString();
+    odometerByVehicle.set(vehicleId, Math.max(odometerByVehicle.get(vehicleId) || 0, line.odometer));
+  });
+  for (const [vehicleId, odometer] of odometerByVehicle) {
+    await recomputeVehicleFuelStats(vehicleId);
+    await applyFuelingOdometer(vehicleId, odometer);
+  }
+
+  statementImport.stats = await countLines(statementImport._id);
+  await statementImport.save();
+
+  return { created, skipped };
+};
+
+module.exports = {
+  DEFAULT_COLUMN_MAPPING,
+  importStatement,
+  getImports,
+  getImportReport,
+  createMissingRecords
+};
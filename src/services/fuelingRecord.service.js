@@ -7,6 +7,26 @@ const ApiError = require('../utils/ApiError');
 const {status} = require('http-status');
 const { sendNotificationsToRoles } = require('../utils/notifcationHelper');
 const { createFuelingRecordNotification, updateFuelingRecordNotification, deleteFuelingRecordNotification } = require('../notificationTemplates/fuelingRecord');
+const { resolveFuelQuantities, recomputeVehicleFuelStats } = require('./fuelAnalytics.service');
+const maintenancePlanService = require('./maintenancePlan.service');
+
+/**
+ * Move the vehicle's odometer forward to a fueling reading and evaluate its maintenance plans
+ * @param {ObjectId} vehicleId
+ * @param {number} odometer
+ */
+const applyFuelingOdometer = async (vehicleId, odometer) => {
+  if (odometer) {
+    await Vehicle.updateOne(
+      { _id: vehicleId, $or: [{ odometer: { $lt: odometer } }, { odometer: null }] },
+      { odometer, updatedAt: new Date() }
+    );
+  }
+  maintenancePlanService.evaluateVehicle(vehicleId).catch(error => {
+    console.error('Error evaluating maintenance plans:', error);
+  });
+};
+
 /**
  * Create a fueling record
  * @param {Object} recordData - Fueling record data
@@ -22,28 +42,13 @@ const createFuelingRecord = async (recordData, userId) => {
   // Create fueling record
   const fuelingRecord = await FuelingRecord.create({
     ...recordData,
-    date: recordData.date || new Date()
+    ...resolveFuelQuantities(recordData)
   });
 
-  let vehicleData = {
-    lastFuelingOdometer: recordData.odometer,
-    lastFuelingAmount: recordData.amount,
-    lastFuelingDate: recordData.date || new Date(),
-    updatedAt: new Date()
-  };
-
-  // Calculate mileage if we have previous fueling data
-  if ((vehicle.lastFuelingOdometer||0) && (vehicle.lastFuelingAmount) && recordData.odometer > (vehicle.lastFuelingOdometer||0)) {
-    const mileage = (recordData.odometer - vehicle.lastFuelingOdometer) / vehicle.lastFuelingAmount;
+  await recomputeVehicleFuelStats(recordData.vehicleId);
 
-    vehicleData.mileage = mileage;
-    
-  } 
-    // If first fueling or missing data, just update fueling stats
-    await Vehicle.updateOne(
-      { _id: recordData.vehicleId },
-      vehicleData
-    );
+  // The fueling odometer reading moves the vehicle's odometer forward
+  await applyFuelingOdometer(recordData.vehicleId, recordData.odometer);
 
   const fuelingRecordData = await getFuelingRecordById(fuelingRecord._id);
   //notify all schedulers-admins-super-admins
@@ -147,35 +152,29 @@ const updateFuelingRecord = async (id, updateData, user) => {
   
   // Only allow the user who created the record to update it, unless admin
   const isAdmin = ['admin', 'super-admin'].includes(user.role);
-  const isCreator = record.createdBy?.toString() === user.id;
+  const isCreator = record.fueledBy?.toString() === user.id;
   
   if (!isAdmin && !isCreator) {
     throw new ApiError(status.FORBIDDEN, 'You are not authorized to update this record');
   }
   
-  // If odometer is being updated, check vehicle
-  if (updateData.odometer) {
-    const vehicle = await Vehicle.findOne({ _id: record.vehicleId });
-    
-    // Update vehicle's odometer if the new reading is higher
-    if (updateData.odometer > (vehicle.mileage || 0)) {
-      await Vehicle.updateOne(
-        { _id: record.vehicleId },
-        { 
-          mileage: updateData.odometer,
-          updatedAt: new Date() 
-        }
-      );
-    }
-  }
-  
-  // Update record
+  // Update record, keeping cost, volume and price per litre consistent
   Object.assign(record, updateData);
+  if (updateData.amount !== undefined || updateData.volume !== undefined || updateData.pricePerLitre !== undefined) {
+    Object.assign(record, resolveFuelQuantities({
+      amount: record.amount,
+      // A new price without a new volume means the volume follows from the cost
+      volume: updateData.pricePerLitre !== undefined && updateData.volume === undefined ? null : record.volume,
+      pricePerLitre: record.pricePerLitre
+    }));
+  }
   await record.save();
 
+  await recomputeVehicleFuelStats(record.vehicleId);
+
   const fuelingRecordData = await getFuelingRecordById(id);
   //notify all schedulers-admins-super-admins
-  sendNotificationsToRoles([ 'admin', 'super-admin'], ['receiveFuelingRecordUpdatedNotification'], `${fuelingRecordData.vehicle.name} fueled for Dh ${fuelingRecordData.recordData.amount}`, updateFuelingRecordNotification(fuelingRecordData), {
+  sendNotificationsToRoles([ 'admin', 'super-admin'], ['receiveFuelingRecordUpdatedNotification'], `${fuelingRecordData.vehicleId.name} fueled for Dh ${fuelingRecordData.amount}`, updateFuelingRecordNotification(fuelingRecordData), {
     fuelingRecordId: fuelingRecordData._id.toString()
   },[user.id]);
   
@@ -201,9 +200,15 @@ const deleteFuelingRecord = async (id, userId) => {
   record.deletedBy = userId;
   await record.save();
 
-  const fuelingRecordData = await getFuelingRecordById(id);
+  await recomputeVehicleFuelStats(record.vehicleId);
+
+  // The record is no longer active, so populate it directly
+  const fuelingRecordData = await record.populate([
+    { path: 'vehicleId', select: 'name' },
+    { path: 'fueledBy', select: 'name' }
+  ]);
   //notify all schedulers-admins-super-admins
-  sendNotificationsToRoles([ 'admin', 'super-admin'], ['receiveFuelingRecordDeletedNotification'], `${fuelingRecordData.vehicle.name} fueled for Dh ${fuelingRecordData.recordData.amount}`, deleteFuelingRecordNotification(fuelingRecordData), {
+  sendNotificationsToRoles([ 'admin', 'super-admin'], ['receiveFuelingRecordDeletedNotification'], `${fuelingRecordData.vehicleId.name} fueled for Dh ${fuelingRecordData.amount}`, deleteFuelingRecordNotification(fuelingRecordData), {
     fuelingRecordId: fuelingRecordData._id.toString()
   },[userId]);
   
@@ -259,6 +264,7 @@ const getDriverFuelingHistory = async (driverId, filter = {}, options = {}) => {
 };
 
 module.exports = {
+  applyFuelingOdometer,
   createFuelingRecord,
   getAllFuelingRecords,
   getVehicleFuelingRecords,
@@ -0,0 +1,118 @@
+/**
+ * Geocoding Service
+ * Names driver location points through the configured geocoder, with a shared cache
+ */
+const { GeocodeCache, User } = require('../models');
+const DriverLocation = require('../models/driverLocation.model');
+const { getGeocoder } = require('../geocoders');
+const { isValidCoordinates } = require('../utils/geo');
+const env = require('../config/env');
+
+// Points that still have no name after this many lookups are left alone by the backfill
+const MAX_GEOCODE_ATTEMPTS = 3;
+
+/**
+ * Round coordinates so points a few metres apart share a cache entry
+ * @param {number[]} coordinates - [longitude, latitude]
+ * @returns {string}
+ */
+const getCacheKey = (coordinates) => {
+  return coordinates.map(value => value.toFixed(env.GEOCODE_CACHE_PRECISION)).join(',');
+};
+
+/**
+ * Get the place name for coordinates, from the cache when possible
+ * @param {number[]} coordinates - [longitude, latitude]
+ * @returns {Promise<string|null>}
+ */
+const reverseGeocode = async (coordinates) => {
+  const geocoder = getGeocoder();
+  if (geocoder.name === 'none' || !isValidCoordinates(coordinates)) {
+    return null;
+  }
+
+  const key = getCacheKey(coordinates);
+  const cached = await GeocodeCache.findOne({ key, provider: geocoder.name }).lean();
+  if (cached) {
+    return cached.location;
+  }
+
+  // Provider errors are not cached, so the point is retried later
+  const location = await geocoder.reverse(coordinates);
+
+  await GeocodeCache.updateOne(
+    { key, provider: geocoder.name },
+    { $set: { coordinates, location } },
+    { upsert: true }
+  );
+
+  return location;
+};
+
+/**
+ * Name a stored location point and the driver's last location if it is still this point
+ * @param {Object} locationEntry - DriverLocation document
+ * @returns {Promise<string|null>} Place name
+ */
+const geocodeLocation = async (locationEntry) => {
+  const coordinates = locationEntry.geometry?.coordinates;
+
+  let location = null;
+  try {
+    location = await reverseGeocode(coordinates);
+  } finally {
+    const update = { $inc: { geocodeAttempts: 1 } };
+    if (location) {
+      update.$set = { location };
+    }
+    await DriverLocation.updateOne({ _id: locationEntry._id }, update);
+  }
+
+  if (location) {
+    await User.updateOne(
+      { _id: locationEntry.driverId, 'lastLocation.coordinates': coordinates },
+      { $set: { 'lastLocation.location': location } }
+    );
+  }
+
+  return location;
+};
+
+/**
+ * Name stored points that have no location yet
+ * @returns {Promise<Object>} Counts of checked and named points
+ */
+const backfillLocations = async () => {
+  if (getGeocoder().name === 'none') {
+    return { checked: 0, named: 0 };
+  }
+
+  const points = await DriverLocation.find({
+    location: { $in: [null, ''] },
+    // Older points have no attempt count yet
+    geocodeAttempts: { $not: { $gte: MAX_GEOCODE_ATTEMPTS } }
+  })
+    .sort({ timestamp: -1 })
+    .limit(env.GEOCODE_BACKFILL_BATCH_SIZE)
+    .lean();
+
+  let named = 0;
+  for (const point of points) {
+    try {
+      if (await geocodeLocation(point)) {
+        named++;
+      }
+    } catch (error) {
+      console.error(`Error geocoding location ${point._id}:`, error.message);
+    }
+  }
+
+  return { checked: points.length, named };
+};
+
+module.exports = {
+  getCacheKey,
+  reverseGeocode,
+  geocodeLocation,
+  backfillLocations
+};
@@ -0,0 +1,185 @@
+/**
+ * Geofence Service
+ * Stamps arrival and departure times on trip destinations from driver location points
+ */
+const { TripSchedule } = require('../models');
+const { haversineDistanceKm, isValidCoordinates, parseMapLinkCoordinates } = require('../utils/geo');
+const { sendNotificationsToIds } = require('../utils/notifcationHelper');
+const { createDriverArrivedNotification } = require('../notificationTemplates/trips');
+const env = require('../config/env');
+
+/**
+ * Get the geofence of a schedule destination
+ * Uses the destination's own coordinates, or the first map link of its trip request
+ * @param {Object} destination - Schedule destination with requestId populated
+ * @returns {{coordinates: number[], radiusMeters: number}|null}
+ */
+const getDestinationGeofence = (destination) => {
+  let coordinates = isValidCoordinates(destination.coordinates) ? destination.coordinates : null;
+
+  if (!coordinates && destination.requestId && destination.requestId.destinations) {
+    coordinates = destination.requestId.destinations
+      .map(dest => parseMapLinkCoordinates(dest.mapLink))
+      .find(Boolean) || null;
+  }
+
+  if (!coordinates) {
+    return null;
+  }
+
+  return {
+    coordinates,
+    radiusMeters: destination.geofenceRadius || env.GEOFENCE_DEFAULT_RADIUS_METERS
+  };
+};
+
+/**
+ * Get a readable name for a schedule destination
+ * @param {Object} destination - Schedule destination with requestId populated
+ * @returns {string}
+ */
+const getDestinationName = (destination) => {
+  if (destination.requestId && destination.requestId.destinations) {
+    return destination.requestId.destinations.map(dest => dest.destination).filter(Boolean).join(' - ');
+  }
+  return destination.destination;
+};
+
+/**
+ * Stamp a destination time once, so repeated points and concurrent uploads don't overwrite it
+ * @param {ObjectId} scheduleId
+ * @param {ObjectId} destinationId
+ * @param {string} field - actualArrivalTime or actualDepartureTime
+ * @param {Date} time
+ * @returns {Promise<boolean>} Whether this call set the time
+ */
+const stampDestination = async (scheduleId, destinationId, field, time) => {
+  const arrayFilter = { 'dest._id': destinationId, [`dest.${field}`]: null };
+  if (field === 'actualDepartureTime') {
+    arrayFilter['dest.actualArrivalTime'] = { $ne: null };
+  }
+
+  const result = await TripSchedule.updateOne(
+    { _id: scheduleId },
+    { $set: { [`destinations.$[dest].${field}`]: time } },
+    { arrayFilters: [arrayFilter] }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Notify the requestor of a destination that the driver has arrived
+ * @param {Object} trip - Trip schedule with driver, vehicle and requests populated
+ * @param {Object} destination - Schedule destination
+ * @param {Date} arrivedAt
+ */
+const notifyArrival = (trip, destination, arrivedAt) => {
+  const requestorId = destination.requestId && destination.requestId.createdBy;
+  if (!requestorId) {
+    return;
+  }
+
+  const tripData = {
+    driver: trip.driverId ? { name: trip.driverId.name } : null,
+    vehicle: trip.vehicleId ? { name: trip.vehicleId.name } : null
+  };
+
+  sendNotificationsToIds(
+    [requestorId.toString()],
+    [],
+    'Driver Arrived',
+    createDriverArrivedNotification(tripData, getDestinationName(destination), arrivedAt, destination.tripApproxArrivalTime),
+    {
+      tripScheduleId: trip._id.toString(),
+      tripRequestId: destination.requestId._id.toString()
+    }
+  ).catch(error => {
+    console.error('Send notification error:', error);
+  });
+};
+
+/**
+ * Evaluate the destination geofences of a driver's active trip against location points
+ * @param {Object} locations
+ * @param {ObjectId} locations.driverId
+ * @param {Object[]} locations.points - { coordinates: [longitude, latitude], timestamp }, oldest first
+ * @param {ObjectId} [locations.tripId] - Trip the points were recorded for
+ * @returns {Promise<Object[]>} Arrival and departure events that were stamped
+ */
+const evaluateLocations = async ({ driverId, points, tripId = null }) => {
+  const validPoints = points.filter(point => isValidCoordinates(point.coordinates));
+  if (validPoints.length === 0) {
+    return [];
+  }
+
+  const filter = {
+    driverId,
+    status: 'in progress',
+    isActive: true,
+    deletedAt: null
+  };
+  if (tripId) {
+    filter._id = tripId;
+  }
+
+  const trip = await TripSchedule.findOne(filter)
+    .populate('driverId', 'name')
+    .populate('vehicleId', 'name')
+    .populate('destinations.requestId', 'destinations createdBy')
+    .lean();
+
+  if (!trip) {
+    return [];
+  }
+
+  const events = [];
+  // Queued points from before the trip started can't mark arrivals
+  const tripPoints = validPoints.filter(point => !trip.actualStartTime || point.timestamp >= trip.actualStartTime);
+
+  for (const { coordinates, timestamp } of tripPoints) {
+    for (const destination of trip.destinations) {
+      const geofence = getDestinationGeofence(destination);
+      if (!geofence) {
+        continue;
+      }
+
+      const isInside = haversineDistanceKm(geofence.coordinates, coordinates) * 1000 <= geofence.radiusMeters;
+
+      if (isInside && !destination.actualArrivalTime) {
+        if (await stampDestination(trip._id, destination._id, 'actualArrivalTime', timestamp)) {
+          events.push({ destinationId: destination._id, type: 'arrival', time: timestamp });
+          notifyArrival(trip, destination, timestamp);
+        }
+        // Later points see the stop as reached, whoever stamped it
+        destination.actualArrivalTime = timestamp;
+      } else if (!isInside && destination.actualArrivalTime && !destination.actualDepartureTime) {
+        if (await stampDestination(trip._id, destination._id, 'actualDepartureTime', timestamp)) {
+          events.push({ destinationId: destination._id, type: 'departure', time: timestamp });
+        }
+        destination.actualDepartureTime = timestamp;
+      }
+    }
+  }
+
+  return events;
+};
+
+/**
+ * Evaluate the destination geofences of a driver's active trip against a location point
+ * @param {Object} location
+ * @param {ObjectId} location.driverId
+ * @param {number[]} location.coordinates - [longitude, latitude]
+ * @param {Date} [location.timestamp]
+ * @param {ObjectId} [location.tripId] - Trip the point was recorded for
+ * @returns {Promise<Object[]>} Arrival and departure events that were stamped
+ */
+const evaluateLocation = ({ driverId, coordinates, timestamp = new Date(), tripId = null }) => {
+  return evaluateLocations({ driverId, points: [{ coordinates, timestamp }], tripId });
+};
+
+module.exports = {
+  getDestinationGeofence,
+  evaluateLocation,
+  evaluateLocations
+};
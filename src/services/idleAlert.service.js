@@ -0,0 +1,146 @@
+/**
+ * Idle Alert Service
+ * Evaluates idle drivers and alerts admins when idle thresholds are crossed
+ */
+const { IdleAlert } = require('../models');
+const driverAttendanceService = require('./driverAttendance.service');
+const { sendNotificationsToRoles } = require('../utils/notifcationHelper');
+const { createDriverIdleNotification } = require('../notificationTemplates/driverAttendance');
+const { getPagination } = require('../utils/pagination');
+const env = require('../config/env');
+
+/**
+ * Get the escalation level reached for an idle duration
+ * @param {number} idleMinutes - Minutes the driver has been idle
+ * @param {number[]} thresholds - Ascending idle thresholds in minutes
+ * @returns {number} Escalation level (0 when no threshold is reached)
+ */
+const getEscalationLevel = (idleMinutes, thresholds = env.IDLE_ALERT_THRESHOLDS_MINUTES) => {
+  return thresholds.filter(threshold => idleMinutes >= threshold).length;
+};
+
+/**
+ * Evaluate idle drivers and alert admins once per idle spell and escalation level
+ * @returns {Promise<number>} Number of alerts raised
+ */
+const evaluateIdleDrivers = async () => {
+  const thresholds = env.IDLE_ALERT_THRESHOLDS_MINUTES;
+  if (thresholds.length === 0) {
+    return 0;
+  }
+
+  const { idleDrivers } = await driverAttendanceService.getIdleDrivers();
+  let alertCount = 0;
+
+  for (const idleDriver of idleDrivers) {
+    if (!idleDriver.idleFrom) {
+      continue;
+    }
+
+    const level = getEscalationLevel(idleDriver.idleTimeInMinutes, thresholds);
+    if (level === 0) {
+      continue;
+    }
+
+    // Only the highest level reached is recorded, so a late evaluation
+    // doesn't flood admins with every level that was skipped
+    let alert;
+    try {
+      alert = await IdleAlert.create({
+        driverId: idleDriver.driverId,
+        idleFrom: idleDriver.idleFrom,
+        level,
+        thresholdMinutes: thresholds[level - 1],
+        idleMinutes: idleDriver.idleTimeInMinutes,
+        punchInTime: idleDriver.punchInTime
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        continue;
+      }
+      console.error('Create idle alert error:', error);
+      continue;
+    }
+
+    alertCount++;
+
+    sendNotificationsToRoles(
+      ['admin', 'super-admin'],
+      ['receiveDriverIdle'],
+      `Driver Idle: ${idleDriver.name}`,
+      createDriverIdleNotification(idleDriver, idleDriver.idleTimeInMinutes, level),
+      {
+        type: 'driver_idle',
+        driverId: idleDriver.driverId,
+        idleAlertId: alert._id.toString()
+      }
+    ).catch(error => {
+      console.error('Send notification error:', error);
+    });
+  }
+
+  return alertCount;
+};
+
+/**
+ * Get idle alert history with filters and pagination
+ * @param {Object} filter - Filter criteria (driverId, startDate, endDate)
+ * @param {Object} options - Query options (page, limit)
+ * @returns {Promise<Object>} Paginated idle alerts
+ */
+const getIdleAlerts = async (filter = {}, options = {}) => {
+  const pagination = getPagination(options);
+
+  const queryFilter = { isActive: true };
+
+  if (filter.driverId) {
+    queryFilter.driverId = filter.driverId;
+  }
+
+  if (filter.startDate || filter.endDate) {
+    queryFilter.createdAt = {};
+    if (filter.startDate) {
+      queryFilter.createdAt.$gte = new Date(filter.startDate);
+    }
+    if (filter.endDate) {
+      queryFilter.createdAt.$lte = new Date(filter.endDate);
+    }
+  }
+
+  const alerts = await IdleAlert.find(queryFilter)
+    .populate('driverId', 'name phone')
+    .sort({ createdAt: -1 })
+    .skip(pagination.skip)
+    .limit(pagination.limit);
+
+  const total = await IdleAlert.countDocuments(queryFilter);
+
+  return {
+    data: alerts.map(alert => ({
+      id: alert._id,
+      driver: alert.driverId ? {
+        id: alert.driverId._id,
+        name: alert.driverId.name,
+        phone: alert.driverId.phone
+      } : null,
+      idleFrom: alert.idleFrom,
+      punchInTime: alert.punchInTime,
+      level: alert.level,
+      thresholdMinutes: alert.thresholdMinutes,
+      idleMinutes: alert.idleMinutes,
+      createdAt: alert.createdAt
+    })),
+    pagination: {
+      page: pagination.page,
+      limit: pagination.limit,
+      totalResults: total,
+      totalPages: pagination.pagination == false ? 1 : Math.ceil(total / pagination.limit)
+    }
+  };
+};
+
+module.exports = {
+  getEscalationLevel,
+  evaluateIdleDrivers,
+  getIdleAlerts
+};
@@ -10,9 +10,24 @@ module.exports = {
   maintenanceService: require('./maintenance.service'),
   tripRequestService: require('./tripRequest.service'),
   tripRequestHistoryService: require('./tripRequestHistory.service'),
+  assignmentService: require('./assignment.service'),
+  tripPoolingService: require('./tripPooling.service'),
   tripScheduleService: require('./tripSchedule.service'),
+  tripRouteService: require('./tripRoute.service'),
+  geofenceService: require('./geofence.service'),
+  geocodingService: require('./geocoding.service'),
+  tripTrackingService: require('./tripTracking.service'),
+  recurringScheduleService: require('./recurringSchedule.service'),
   notificationHistoryService: require('./notificationHistory.service'),
   notificationSettingsService: require('./notificationSettings.service'),
   dashboardService: require('./dashboard.service'),
-  tripPurposeService: require('./tripPurpose.service')
+  tripPurposeService: require('./tripPurpose.service'),
+  fuelAnalyticsService: require('./fuelAnalytics.service'),
+  fuelCardImportService: require('./fuelCardImport.service'),
+  maintenancePlanService: require('./maintenancePlan.service'),
+  vehicleDowntimeService: require('./vehicleDowntime.service'),
+  complianceService: require('./compliance.service'),
+  rosterService: require('./roster.service'),
+  workingHoursService: require('./workingHours.service'),
+  attendanceCorrectionService: require('./attendanceCorrection.service')
 }; 
\ No newline at end of file
@@ -0,0 +1,262 @@
+/**
+ * Live Fleet Service
+ * Pushes location, trip status and punch events to connected live map clients
+ */
+const jwt = require('jsonwebtoken');
+const { TripSchedule, TripRequest } = require('../models');
+const env = require('../config/env');
+
+// Roles that see every driver, trip and punch
+const FLEET_ROLES = ['admin', 'super-admin', 'scheduler'];
+
+// Stream tokens travel in the URL, so they only open the stream and expire quickly
+const STREAM_TOKEN_SCOPE = 'live-fleet';
+
+const subscribers = new Set();
+
+// In-progress trips by id, loaded when the first client connects and kept current from trip events
+let activeTrips = null;
+let activeTripsLoading = null;
+
+/**
+ * Get the users whose trip requests are linked to a trip
+ * @param {Object} trip - Trip schedule with destinations
+ * @returns {Promise<string[]>}
+ */
+const getRequestorIds = async (trip) => {
+  const requestIds = trip.destinations
+    .filter(dest => dest.requestId)
+    .map(dest => dest.requestId._id || dest.requestId);
+
+  if (requestIds.length === 0) {
+    return [];
+  }
+
+  const requests = await TripRequest.find({ _id: { $in: requestIds } }, 'createdBy').lean();
+  return [...new Set(requests.filter(request => request.createdBy).map(request => request.createdBy.toString()))];
+};
+
+/**
+ * Build the live map view of a trip
+ * @param {Object} trip - Trip schedule
+ * @returns {Promise<Object>}
+ */
+const getTripInfo = async (trip) => ({
+  tripId: trip._id.toString(),
+  driverId: trip.driverId ? (trip.driverId._id || trip.driverId).toString() : null,
+  vehicleId: trip.vehicleId ? (trip.vehicleId._id || trip.vehicleId).toString() : null,
+  requestorIds: await getRequestorIds(trip)
+});
+
+/**
+ * Load the trips currently in progress
+ * @returns {Promise<Map>}
+ */
+const loadActiveTrips = async () => {
+  const trips = await TripSchedule.find({
+    status: 'in progress',
+    isActive: true,
+    deletedAt: null
+  }, 'driverId vehicleId destinations.requestId').lean();
+
+  const loaded = new Map();
+  for (const trip of trips) {
+    const info = await getTripInfo(trip);
+    loaded.set(info.tripId, info);
+  }
+  return loaded;
+};
+
+/**
+ * Check whether a subscriber may receive an event and asked for it
+ * @param {Object} subscriber
+ * @param {Object} event
+ * @returns {boolean}
+ */
+const canReceive = (subscriber, event) => {
+  const { user, filters } = subscriber;
+
+  if (!FLEET_ROLES.includes(user.role)) {
+    // Requestors only follow trips serving their own requests
+    if (user.role !== 'requestor' || event.type === 'punch' || !event.requestorIds.includes(user._id.toString())) {
+      return false;
+    }
+  }
+
+  if (filters.driverIds && !filters.driverIds.includes(event.driverId)) {
+    return false;
+  }
+  if (filters.vehicleIds && !filters.vehicleIds.includes(event.vehicleId)) {
+    return false;
+  }
+  if (filters.tripIds && !filters.tripIds.includes(event.tripId)) {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Send an event to every subscriber allowed to see it
+ * @param {Object} event - Event with type, ids and payload
+ */
+const dispatch = (event) => {
+  const { requestorIds, ...payload } = event;
+  const message = `event: ${event.type}\ndata: ${JSON.stringify(payload)}\n\n`;
+
+  subscribers.forEach(subscriber => {
+    if (canReceive(subscriber, event)) {
+      subscriber.send(message);
+    }
+  });
+};
+
+/**
+ * Register a live map client
+ * @param {Object} user - Authenticated user
+ * @param {Object} filters - { driverIds, vehicleIds, tripIds }, each optional
+ * @param {Function} send - Writes a raw event-stream message to the client
+ * @returns {Promise<Function>} Unsubscribe function
+ */
+const subscribe = async (user, filters, send) => {
+  // Clients connecting together share one load
+  if (!activeTripsLoading) {
+    activeTripsLoading = loadActiveTrips()
+      .then((trips) => {
+        activeTrips = trips;
+        return trips;
+      })
+      .catch((error) => {
+        activeTripsLoading = null;
+        throw error;
+      });
+  }
+  await activeTripsLoading;
+
+  const subscriber = { user, filters, send };
+  subscribers.add(subscriber);
+
+  return () => {
+    subscribers.delete(subscriber);
+    if (subscribers.size === 0) {
+      activeTrips = null;
+      activeTripsLoading = null;
+    }
+  };
+};
+
+/**
+ * Publish a driver location point
+ * @param {Object} location - { driverId, coordinates, tripId, source, location, timestamp }
+ */
+const publishLocation = (location) => {
+  if (subscribers.size === 0) {
+    return;
+  }
+
+  const driverId = location.driverId.toString();
+  const trips = Array.from(activeTrips.values());
+  const trip = location.tripId
+    ? activeTrips.get(location.tripId.toString())
+    : trips.find(activeTrip => activeTrip.driverId === driverId);
+
+  dispatch({
+    type: 'location',
+    driverId,
+    vehicleId: trip ? trip.vehicleId : null,
+    tripId: trip ? trip.tripId : null,
+    requestorIds: trip ? trip.requestorIds : [],
+    coordinates: location.coordinates,
+    source: location.source,
+    location: location.location || null,
+    timestamp: location.timestamp || new Date()
+  });
+};
+
+/**
+ * Publish a trip status change
+ * @param {Object} trip - Trip schedule after the change
+ * @returns {Promise<void>}
+ */
+const publishTripStatus = async (trip) => {
+  // Without clients there is nothing to keep current. A change arriving while the trips are
+  // loading is applied once they are loaded.
+  if (!activeTripsLoading) {
+    return;
+  }
+
+  const [info, trips] = await Promise.all([getTripInfo(trip), activeTripsLoading]);
+  if (trip.status === 'in progress') {
+    trips.set(info.tripId, info);
+  } else {
+    trips.delete(info.tripId);
+  }
+
+  dispatch({
+    type: 'trip',
+    ...info,
+    status: trip.status,
+    actualStartTime: trip.actualStartTime || null,
+    actualEndTime: trip.actualEndTime || null,
+    timestamp: new Date()
+  });
+};
+
+/**
+ * Publish a driver punch in or out
+ * @param {Object} punch - { driverId, punchType, coordinates, timestamp }
+ */
+const publishPunch = (punch) => {
+  if (subscribers.size === 0) {
+    return;
+  }
+
+  dispatch({
+    type: 'punch',
+    driverId: punch.driverId.toString(),
+    vehicleId: null,
+    tripId: null,
+    requestorIds: [],
+    punchType: punch.punchType,
+    coordinates: punch.coordinates || null,
+    timestamp: punch.timestamp || new Date()
+  });
+};
+
+/**
+ * Issue a short-lived token that only opens the live stream, for EventSource clients
+ * that have to pass it in the URL instead of sending the login token
+ * @param {Object} user
+ * @returns {{token: string, expiresIn: number}}
+ */
+const createStreamToken = (user) => ({
+  token: jwt.sign(
+    { userId: user._id.toString(), scope: STREAM_TOKEN_SCOPE },
+    env.JWT_SECRET,
+    { expiresIn: env.LIVE_FLEET_TOKEN_TTL_SECONDS }
+  ),
+  expiresIn: env.LIVE_FLEET_TOKEN_TTL_SECONDS
+});
+
+/**
+ * Get the user of a stream token
+ * @param {string} token
+ * @returns {string|null} User id, null when the token is invalid, expired or not a stream token
+ */
+const getStreamTokenUserId = (token) => {
+  try {
+    const decoded = jwt.verify(token, env.JWT_SECRET);
+    return decoded.scope === STREAM_TOKEN_SCOPE ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  createStreamToken,
+  getStreamTokenUserId,
+  subscribe,
+  publishLocation,
+  publishTripStatus,
+  publishPunch
+};
@@ -0,0 +1,242 @@
+/**
+ * Location Retention Service
+ * Keeps driverLocations bounded: full resolution for recent points, downsampled older points,
+ * and deletion or export of points past the archive horizon
+ */
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
+const DriverLocation = require('../models/driverLocation.model');
+const env = require('../config/env');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WRITE_BATCH_SIZE = 1000;
+const APP_DIR = path.resolve(__dirname, '../..');
+
+// Trip start/end and punch points are recorded with these sources and are never downsampled
+const KEPT_SOURCES = ['trip', 'attendance'];
+
+/**
+ * Get the cut-off dates of the retention policy
+ * @param {Date} now
+ * @returns {{fullResolutionBefore: Date, archiveBefore: Date}}
+ */
+const getCutoffs = (now = new Date()) => ({
+  fullResolutionBefore: new Date(now.getTime() - env.LOCATION_FULL_RESOLUTION_DAYS * DAY_MS),
+  archiveBefore: new Date(now.getTime() - env.LOCATION_ARCHIVE_AFTER_DAYS * DAY_MS)
+});
+
+/**
+ * Downsample one driver's points in a time range to one per interval
+ * The first and last breadcrumb of every trip are always kept
+ * @param {ObjectId} driverId
+ * @param {Object} range - { $gte, $lt } on timestamp
+ * @param {boolean} dryRun
+ * @returns {Promise<{examined: number, kept: number, removed: number}>}
+ */
+const downsampleDriver = async (driverId, range, dryRun) => {
+  const filter = { driverId, timestamp: range, isDownsampled: { $ne: true } };
+  const intervalMs = env.LOCATION_DOWNSAMPLE_MINUTES * 60 * 1000;
+
+  // Trip ends may sit in any bucket, so find them up front
+  const tripEnds = await DriverLocation.aggregate([
+    { $match: { ...filter, tripId: { $ne: null } } },
+    { $sort: { timestamp: 1 } },
+    { $group: { _id: '$tripId', first: { $first: '$_id' }, last: { $last: '$_id' } } }
+  ]);
+  const tripEndIds = new Set(tripEnds.flatMap(trip => [trip.first.toString(), trip.last.toString()]));
+
+  const counts = { kept: 0, removed: 0 };
+  let keptIds = [];
+  let removedIds = [];
+  let lastBucket = null;
+
+  // Points already passed by the cursor can be written while it keeps reading
+  const flush = async () => {
+    if (!dryRun) {
+      if (removedIds.length > 0) {
+        await DriverLocation.deleteMany({ _id: { $in: removedIds } });
+      }
+      if (keptIds.length > 0) {
+        await DriverLocation.updateMany({ _id: { $in: keptIds } }, { $set: { isDownsampled: true } });
+      }
+    }
+    keptIds = [];
+    removedIds = [];
+  };
+
+  const cursor = DriverLocation.find(filter, '_id timestamp source').sort({ timestamp: 1 }).lean().cursor();
+  for await (const point of cursor) {
+    const bucket = Math.floor(point.timestamp.getTime() / intervalMs);
+
+    if (KEPT_SOURCES.includes(point.source) || tripEndIds.has(point._id.toString()) || bucket !== lastBucket) {
+      keptIds.push(point._id);
+      counts.kept++;
+      lastBucket = bucket;
+    } else {
+      removedIds.push(point._id);
+      counts.removed++;
+    }
+
+    if (keptIds.length + removedIds.length >= WRITE_BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  return {
+    examined: counts.kept + counts.removed,
+    ...counts
+  };
+};
+
+/**
+ * Downsample every driver's points between the archive horizon and the full resolution window
+ * @param {Object} cutoffs
+ * @param {boolean} dryRun
+ * @returns {Promise<Object>} Totals
+ */
+const downsample = async ({ fullResolutionBefore, archiveBefore }, dryRun) => {
+  const range = { $gte: archiveBefore, $lt: fullResolutionBefore };
+  const driverIds = await DriverLocation.distinct('driverId', { timestamp: range, isDownsampled: { $ne: true } });
+
+  const totals = { drivers: driverIds.length, examined: 0, kept: 0, removed: 0 };
+  for (const driverId of driverIds) {
+    const result = await downsampleDriver(driverId, range, dryRun);
+    totals.examined += result.examined;
+    totals.kept += result.kept;
+    totals.removed += result.removed;
+  }
+
+  return totals;
+};
+
+/**
+ * Check the export directory, which has to survive deploys: an absolute path outside the app directory
+ * @returns {string|null} Why the archive directory can't be used, null when it can or nothing is exported
+ */
+const getArchiveDirError = () => {
+  if (env.LOCATION_ARCHIVE_MODE !== 'export') {
+    return null;
+  }
+  const dir = env.LOCATION_ARCHIVE_DIR;
+  if (!dir) {
+    return 'LOCATION_ARCHIVE_DIR is required to export locations';
+  }
+  if (!path.isAbsolute(dir)) {
+    return 'LOCATION_ARCHIVE_DIR must be an absolute path';
+  }
+  const relative = path.relative(APP_DIR, path.resolve(dir));
+  if (!relative || (!relative.startsWith('..') && !path.isAbsolute(relative))) {
+    return 'LOCATION_ARCHIVE_DIR must be outside the app directory';
+  }
+  return null;
+};
+
+/**
+ * Export points past the archive horizon to a gzipped NDJSON file
+ * @param {Object} filter
+ * @param {Date} now
+ * @returns {Promise<string>} File path
+ */
+const exportPoints = async (filter, now) => {
+  fs.mkdirSync(env.LOCATION_ARCHIVE_DIR, { recursive: true });
+  const file = path.join(env.LOCATION_ARCHIVE_DIR, `driverLocations-${now.toISOString().replace(/[:.]/g, '-')}.ndjson.gz`);
+
+  const cursor = DriverLocation.find(filter).sort({ timestamp: 1 }).lean().cursor();
+  const lines = Readable.from((async function* () {
+    for await (const point of cursor) {
+      yield `${JSON.stringify(point)}\n`;
+    }
+  })());
+
+  await pipeline(lines, zlib.createGzip(), fs.createWriteStream(file));
+  return file;
+};
+
+/**
+ * Delete, or export then delete, points past the archive horizon
+ * @param {Object} cutoffs
+ * @param {boolean} dryRun
+ * @param {Date} now
+ * @returns {Promise<Object>} { mode, count, file }
+ */
+const archive = async ({ archiveBefore }, dryRun, now) => {
+  const filter = { timestamp: { $lt: archiveBefore } };
+  const count = await DriverLocation.countDocuments(filter);
+  const result = { mode: env.LOCATION_ARCHIVE_MODE, count, file: null };
+
+  if (dryRun || count === 0) {
+    return result;
+  }
+
+  if (env.LOCATION_ARCHIVE_MODE === 'export') {
+    result.file = await exportPoints(filter, now);
+  }
+  await DriverLocation.deleteMany(filter);
+
+  return result;
+};
+
+/**
+ * Count points by source, for the stats report
+ * @returns {Promise<Object>}
+ */
+const getCollectionStats = async () => {
+  const bySource = await DriverLocation.aggregate([
+    { $group: { _id: '$source', count: { $sum: 1 }, oldest: { $min: '$timestamp' } } }
+  ]);
+
+  return {
+    total: bySource.reduce((sum, source) => sum + source.count, 0),
+    bySource: bySource.reduce((stats, source) => ({
+      ...stats,
+      [source._id || 'unknown']: { count: source.count, oldest: source.oldest }
+    }), {})
+  };
+};
+
+/**
+ * Apply the retention policy
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only report what would change
+ * @returns {Promise<Object>} Stats report
+ */
+const applyRetention = async ({ dryRun = env.LOCATION_RETENTION_DRY_RUN } = {}) => {
+  // Nothing is removed unless exported points have somewhere to go
+  const archiveDirError = getArchiveDirError();
+  if (archiveDirError && !dryRun) {
+    throw new Error(archiveDirError);
+  }
+
+  const now = new Date();
+  const cutoffs = getCutoffs(now);
+
+  const before = await getCollectionStats();
+  const downsampled = await downsample(cutoffs, dryRun);
+  const archived = await archive(cutoffs, dryRun, now);
+  const after = dryRun ? before : await getCollectionStats();
+
+  return {
+    dryRun,
+    ranAt: now,
+    policy: {
+      fullResolutionDays: env.LOCATION_FULL_RESOLUTION_DAYS,
+      downsampleMinutes: env.LOCATION_DOWNSAMPLE_MINUTES,
+      archiveAfterDays: env.LOCATION_ARCHIVE_AFTER_DAYS,
+      archiveMode: env.LOCATION_ARCHIVE_MODE
+    },
+    cutoffs,
+    downsampled,
+    archived,
+    collection: { before, after }
+  };
+};
+
+module.exports = {
+  getCutoffs,
+  getArchiveDirError,
+  applyRetention
+};
@@ -1,21 +1,71 @@
 const { status } = require('http-status');
-const { Maintenance } = require('../models');
+const { Maintenance, Vehicle } = require('../models');
 const ApiError = require('../utils/ApiError');
 const { getPagination } = require('../utils/pagination');
+const maintenancePlanService = require('./maintenancePlan.service');
+const vehicleDowntimeService = require('./vehicleDowntime.service');
+const env = require('../config/env');
 
 /**
- * Create a maintenance record
+ * Allowed status transitions of a maintenance request
+ * rejected, completed and cancelled are final
+ */
+const STATUS_TRANSITIONS = {
+  requested: ['approved', 'rejected', 'cancelled'],
+  approved: ['scheduled', 'cancelled'],
+  scheduled: ['scheduled', 'in-service', 'cancelled'],
+  'in-service': ['completed'],
+  rejected: [],
+  completed: [],
+  cancelled: []
+};
+
+const isManager = (user) => ['admin', 'super-admin', 'manager'].includes(user.role);
+
+const isRequester = (maintenance, user) => {
+  const requestedBy = maintenance.requestedBy && (maintenance.requestedBy._id || maintenance.requestedBy);
+  return Boolean(requestedBy) && requestedBy.toString() === user._id.toString();
+};
+
+/**
+ * Move the vehicle's odometer forward to a reading taken during maintenance
+ * @param {ObjectId} vehicleId
+ * @param {number} odometer
+ */
+const updateVehicleOdometer = async (vehicleId, odometer) => {
+  if (!vehicleId || !odometer) {
+    return;
+  }
+  await Vehicle.updateOne(
+    { _id: vehicleId, $or: [{ odometer: { $lt: odometer } }, { odometer: null }] },
+    { $set: { odometer, updatedAt: new Date() } }
+  );
+};
+
+/**
+ * Create a maintenance request
  * @param {Object} maintenanceBody
- * @param {ObjectId} userId - User ID creating the record
+ * @param {Object} user - User requesting the maintenance
  * @returns {Promise<Maintenance>}
  */
-const createMaintenance = async (maintenanceBody, userId) => {
-  const maintenanceData = {
+const createMaintenance = async (maintenanceBody, user) => {
+  const vehicle = await Vehicle.findOne({ _id: maintenanceBody.vehicle, deletedAt: null });
+  if (!vehicle) {
+    throw new ApiError(status.NOT_FOUND, 'Vehicle not found');
+  }
+
+  const now = new Date();
+  const maintenance = await Maintenance.create({
     ...maintenanceBody,
-    createdBy: userId
-  };
-  
-  return Maintenance.create(maintenanceData);
+    status: 'requested',
+    requestedBy: user._id,
+    requestedAt: now,
+    statusHistory: [{ from: null, to: 'requested', changedBy: user._id, changedAt: now }],
+    createdBy: user._id
+  });
+
+  await updateVehicleOdometer(vehicle._id, maintenanceBody.odometer);
+  return maintenance;
 };
 
 /**
@@ -26,6 +76,9 @@ const createMaintenance = async (maintenanceBody, userId) => {
 const getMaintenanceById = async (id) => {
   const maintenance = await Maintenance.findById(id)
     .populate('vehicle', 'name year licensePlate')
+    .populate('requestedBy', 'name email')
+    .populate('reviewedBy', 'name email')
+    .populate('statusHistory.changedBy', 'name email')
     .populate('createdBy', 'name email')
     .populate('updatedBy', 'name email');
   
@@ -35,6 +88,20 @@ const getMaintenanceById = async (id) => {
   return maintenance;
 };
 
+/**
+ * Get maintenance record by id for a user, drivers only see their own requests
+ * @param {ObjectId} id
+ * @param {Object} user
+ * @returns {Promise<Maintenance>}
+ */
+const getMaintenanceForUser = async (id, user) => {
+  const maintenance = await getMaintenanceById(id);
+  if (user.role === 'driver' && !isRequester(maintenance, user)) {
+    throw new ApiError(status.FORBIDDEN, 'You do not have permission to access this maintenance record');
+  }
+  return maintenance;
+};
+
 /**
  * Get maintenance records by vehicle ID
  * @param {ObjectId} vehicleId
@@ -56,6 +123,26 @@ const getMaintenanceByVehicle = async (vehicleId, filter = {}, options = {}) =>
   });
 };
 
+/**
+ * Get maintenance requested by a user
+ * @param {ObjectId} userId
+ * @param {Object} filter - Filter criteria
+ * @param {Object} options - Query options
+ * @returns {Promise<QueryResult>}
+ */
+const getUserMaintenance = async (userId, filter = {}, options = {}) => {
+  const pagination = getPagination(options);
+
+  return Maintenance.paginate({ ...filter, requestedBy: userId }, {
+    ...pagination,
+    populate: [
+      { path: 'vehicle', select: 'name year licensePlate' },
+      { path: 'reviewedBy', select: 'name email' }
+    ],
+    sort: { requestedAt: -1 }
+  });
+};
+
 /**
  * Get all maintenance records with pagination
  * @param {Object} filter - Filter criteria
@@ -69,6 +156,7 @@ const getAllMaintenance = async (filter = {}, options = {}) => {
     ...pagination,
     populate: [
       { path: 'vehicle', select: 'name year licensePlate' },
+      { path: 'requestedBy', select: 'name email' },
       { path: 'createdBy', select: 'name email' },
       { path: 'updatedBy', select: 'name email' }
     ],
@@ -77,59 +165,127 @@ const getAllMaintenance = async (filter = {}, options = {}) => {
 };
 
 /**
- * Update maintenance record by id
+ * Update maintenance record by id, the status only changes through updateMaintenanceStatus
  * @param {ObjectId} maintenanceId
  * @param {Object} updateBody
- * @param {ObjectId} userId - User ID updating the record
+ * @param {Object} user - User updating the record
  * @returns {Promise<Maintenance>}
  */
-const updateMaintenance = async (maintenanceId, updateBody, userId) => {
+const updateMaintenance = async (maintenanceId, updateBody, user) => {
   const maintenance = await getMaintenanceById(maintenanceId);
+
+  // Requesters can change their request until it is reviewed
+  if (!isManager(user) && !(isRequester(maintenance, user) && maintenance.status === 'requested')) {
+    throw new ApiError(status.FORBIDDEN, 'You are not authorized to update this maintenance record');
+  }
   
   // Don't allow updating certain fields directly
   const safeUpdateBody = { ...updateBody };
-  delete safeUpdateBody.createdBy;
-  delete safeUpdateBody.createdAt;
+  ['status', 'statusHistory', 'requestedBy', 'reviewedBy', 'completedBy', 'plan', 'createdBy', 'createdAt'].forEach(field => {
+    delete safeUpdateBody[field];
+  });
   
   // Add updatedBy field
-  safeUpdateBody.updatedBy = userId;
+  safeUpdateBody.updatedBy = user._id;
   
   Object.assign(maintenance, safeUpdateBody);
   await maintenance.save();
+  await updateVehicleOdometer(maintenance.vehicle && maintenance.vehicle._id, safeUpdateBody.odometer);
   return maintenance;
 };
 
 /**
- * Update maintenance status
+ * Move a maintenance to another status, recording the transition in its history.
+ * Admins and managers make every transition, requesters can only cancel a request that is not reviewed yet.
  * @param {ObjectId} maintenanceId
- * @param {string} status
- * @param {ObjectId} userId - User ID updating the status
+ * @param {Object} transition
+ * @param {string} transition.status - New status
+ * @param {string} [transition.notes] - Notes recorded with the transition
+ * @param {Date} [transition.scheduledDate] - Service date, required to schedule unless already set
+ * @param {Date} [transition.scheduledEndDate] - End of the service window, defaults to MAINTENANCE_DEFAULT_WINDOW_HOURS after the service date
+ * @param {number} [transition.odometer] - Odometer reading on completion
+ * @param {number} [transition.cost] - Final cost on completion
+ * @param {Object} user - User changing the status
  * @returns {Promise<Maintenance>}
  */
-const updateMaintenanceStatus = async (maintenanceId, status, userId) => {
+const updateMaintenanceStatus = async (maintenanceId, transition, user) => {
   const maintenance = await getMaintenanceById(maintenanceId);
-  
-  maintenance.status = status;
-  maintenance.updatedBy = userId;
-  
-  // If status is completed, set the endDate to now if not already set
-  if (status === 'completed' && !maintenance.endDate) {
-    maintenance.endDate = new Date();
-    
-    // Calculate duration if startDate exists
+  const from = maintenance.status;
+  const to = transition.status;
+
+  if (!(STATUS_TRANSITIONS[from] || []).includes(to)) {
+    throw new ApiError(status.BAD_REQUEST, `Maintenance cannot move from ${from} to ${to}`);
+  }
+
+  const isRequesterCancelling = to === 'cancelled' && from === 'requested' && isRequester(maintenance, user);
+  if (!isManager(user) && !isRequesterCancelling) {
+    throw new ApiError(status.FORBIDDEN, `You are not authorized to move this maintenance to ${to}`);
+  }
+
+  const now = new Date();
+  const update = { status: to, updatedBy: user._id };
+
+  if (to === 'approved' || to === 'rejected') {
+    update.reviewedBy = user._id;
+    update.reviewedAt = now;
+  }
+
+  if (to === 'scheduled') {
+    update.scheduledDate = transition.scheduledDate || maintenance.scheduledDate;
+    if (!update.scheduledDate) {
+      throw new ApiError(status.BAD_REQUEST, 'A scheduled date is required to schedule maintenance');
+    }
+    // A new service date without an end moves the default window along
+    update.scheduledEndDate = transition.scheduledEndDate
+      || (!transition.scheduledDate && maintenance.scheduledEndDate)
+      || new Date(new Date(update.scheduledDate).getTime() + env.MAINTENANCE_DEFAULT_WINDOW_HOURS * 60 * 60 * 1000);
+    if (update.scheduledEndDate <= update.scheduledDate) {
+      throw new ApiError(status.BAD_REQUEST, 'The scheduled end must be after the scheduled date');
+    }
+  }
+
+  if (to === 'in-service') {
+    update.startDate = maintenance.startDate || now;
+  }
+
+  if (to === 'completed') {
+    update.endDate = maintenance.endDate || now;
+    update.completedBy = user._id;
     if (maintenance.startDate) {
-      const durationMs = maintenance.endDate - maintenance.startDate;
-      maintenance.duration = Math.round(durationMs / (1000 * 60 * 60)); // duration in hours
+      update.duration = Math.round((update.endDate - maintenance.startDate) / (1000 * 60 * 60)); // duration in hours
+    }
+    if (transition.odometer !== undefined) {
+      update.odometer = transition.odometer;
+    }
+    if (transition.cost !== undefined) {
+      update.cost = transition.cost;
     }
   }
-  
-  // If status is in-progress, set the startDate to now if not already set
-  if (status === 'in-progress' && !maintenance.startDate) {
-    maintenance.startDate = new Date();
+
+  // Only applies if nobody moved the maintenance meanwhile
+  const updated = await Maintenance.findOneAndUpdate(
+    { _id: maintenance._id, status: from },
+    {
+      $set: update,
+      $push: { statusHistory: { from, to, changedBy: user._id, changedAt: now, notes: transition.notes } }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw new ApiError(status.CONFLICT, 'Maintenance status was changed by someone else, reload and try again');
   }
-  
-  await maintenance.save();
-  return maintenance;
+
+  // The vehicle is out of service while the maintenance is in service
+  if (to === 'in-service') {
+    await vehicleDowntimeService.startMaintenanceDowntime(updated, user._id);
+  }
+  if (to === 'completed') {
+    await vehicleDowntimeService.endMaintenanceDowntime(updated, user._id);
+    await updateVehicleOdometer(updated.vehicle, updated.odometer);
+  }
+  await maintenancePlanService.closePlanMaintenance(updated);
+
+  return getMaintenanceById(updated._id);
 };
 
 /**
@@ -162,7 +318,9 @@ const addMaintenanceDocument = async (maintenanceId, document, userId) => {
  */
 const deleteMaintenance = async (maintenanceId) => {
   const maintenance = await getMaintenanceById(maintenanceId);
-  await maintenance.remove();
+  await maintenancePlanService.detachPlanMaintenance(maintenance);
+  await vehicleDowntimeService.endMaintenanceDowntime({ _id: maintenance._id, endDate: new Date() });
+  await maintenance.deleteOne();
   return maintenance;
 };
 
@@ -210,9 +368,12 @@ const queryMaintenance = async (query, options) => {
 };
 
 module.exports = {
+  STATUS_TRANSITIONS,
   createMaintenance,
   getMaintenanceById,
+  getMaintenanceForUser,
   getMaintenanceByVehicle,
+  getUserMaintenance,
   getAllMaintenance,
   updateMaintenance,
   updateMaintenanceStatus,
@@ -0,0 +1,439 @@
+/**
+ * Maintenance Plan Service
+ * Preventive maintenance plans, and the approved maintenance they create when a vehicle comes due
+ */
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const { status } = require('http-status');
+const { MaintenancePlan, Maintenance, Vehicle } = require('../models');
+const ApiError = require('../utils/ApiError');
+const { sendNotificationsToRoles } = require('../utils/notifcationHelper');
+const { createMaintenanceDueNotification } = require('../notificationTemplates/maintenance');
+const env = require('../config/env');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a maintenance plan
+ * @param {Object} planBody
+ * @param {ObjectId} userId - User creating the plan
+ * @returns {Promise<MaintenancePlan>}
+ */
+const createPlan = async (planBody, userId) => {
+  if (planBody.vehicle) {
+    const vehicle = await Vehicle.findOne({ _id: planBody.vehicle, isActive: true });
+    if (!vehicle) {
+      throw new ApiError(status.NOT_FOUND, 'Vehicle not found');
+    }
+  }
+
+  return MaintenancePlan.create({ ...planBody, createdBy: userId });
+};
+
+/**
+ * Get maintenance plans
+ * @param {Object} filter - { vehicle, vehicleType }
+ * @param {Object} options - Pagination options
+ * @returns {Promise<Object>}
+ */
+const getPlans = async (filter = {}, options = {}) => {
+  return MaintenancePlan.paginate({ ...filter, isActive: true }, {
+    sortBy: options.sortBy || 'createdAt:desc',
+    limit: parseInt(options.limit || 10, 10),
+    page: parseInt(options.page || 1, 10),
+    populate: [{ path: 'vehicle', select: 'name licensePlate' }]
+  });
+};
+
+/**
+ * Get a maintenance plan by id
+ * @param {ObjectId} planId
+ * @returns {Promise<MaintenancePlan>}
+ */
+const getPlanById = async (planId) => {
+  const plan = await MaintenancePlan.findOne({ _id: planId, isActive: true })
+    .populate('vehicle', 'name licensePlate')
+    .populate('progress.vehicle', 'name licensePlate odometer');
+  if (!plan) {
+    throw new ApiError(status.NOT_FOUND, 'Maintenance plan not found');
+  }
+  return plan;
+};
+
+/**
+ * Update a maintenance plan
+ * @param {ObjectId} planId
+ * @param {Object} updateBody
+ * @param {ObjectId} userId
+ * @returns {Promise<MaintenancePlan>}
+ */
+const updatePlan = async (planId, updateBody, userId) => {
+  const plan = await MaintenancePlan.findOne({ _id: planId, isActive: true });
+  if (!plan) {
+    throw new ApiError(status.NOT_FOUND, 'Maintenance plan not found');
+  }
+
+  Object.assign(plan, updateBody, { updatedBy: userId });
+  if (!plan.intervalKm && !plan.intervalMonths) {
+    throw new ApiError(status.BAD_REQUEST, 'A plan needs a kilometre or month interval');
+  }
+  await plan.save();
+  return plan;
+};
+
+/**
+ * Deactivate a maintenance plan, open maintenance it created stays
+ * @param {ObjectId} planId
+ * @param {ObjectId} userId
+ * @returns {Promise<MaintenancePlan>}
+ */
+const deletePlan = async (planId, userId) => {
+  const plan = await MaintenancePlan.findOne({ _id: planId, isActive: true });
+  if (!plan) {
+    throw new ApiError(status.NOT_FOUND, 'Maintenance plan not found');
+  }
+
+  plan.isActive = false;
+  plan.updatedBy = userId;
+  await plan.save();
+  return plan;
+};
+
+/**
+ * Get the active plans that apply to a vehicle
+ * A vehicle's own plan replaces the plan for its type with the same title
+ * @param {Object} vehicle
+ * @returns {Promise<MaintenancePlan[]>}
+ */
+const getVehiclePlans = async (vehicle) => {
+  const plans = await MaintenancePlan.find({
+    isActive: true,
+    $or: [
+      { vehicle: vehicle._id },
+      ...(vehicle.type ? [{ vehicle: null, vehicleType: vehicle.type }] : [])
+    ]
+  });
+
+  const ownTitles = new Set(plans.filter(plan => plan.vehicle).map(plan => plan.title.toLowerCase()));
+  return plans.filter(plan => plan.vehicle || !ownTitles.has(plan.title.toLowerCase()));
+};
+
+/**
+ * Get where a vehicle is in a plan's cycle
+ * @param {Object} plan
+ * @param {Object} progress - The vehicle's progress entry of the plan
+ * @param {Object} vehicle
+ * @param {Date} now
+ * @returns {Object} Next due odometer and date, what remains, and whether it is due
+ */
+const getPlanStatus = (plan, progress, vehicle, now = new Date()) => {
+  const nextDueOdometer = plan.intervalKm ? progress.baselineOdometer + plan.intervalKm : null;
+  const nextDueDate = plan.intervalMonths
+    ? moment(progress.baselineDate).add(plan.intervalMonths, 'months').toDate()
+    : null;
+
+  const remainingKm = nextDueOdometer !== null ? nextDueOdometer - (vehicle.odometer || 0) : null;
+  const remainingDays = nextDueDate ? Math.ceil((nextDueDate - now) / DAY_MS) : null;
+
+  return {
+    nextDueOdometer,
+    nextDueDate,
+    remainingKm,
+    remainingDays,
+    isDue: (remainingKm !== null && remainingKm <= 0) || (nextDueDate !== null && nextDueDate <= now)
+  };
+};
+
+/**
+ * Get a vehicle's progress entry of a plan, starting its first cycle from the vehicle's
+ * current odometer and last maintenance date
+ * @param {MaintenancePlan} plan
+ * @param {Object} vehicle
+ * @returns {Promise<Object>}
+ */
+const getProgress = async (plan, vehicle) => {
+  const existing = plan.progress.find(entry => entry.vehicle.toString() === vehicle._id.toString());
+  if (existing) {
+    return existing;
+  }
+
+  const progress = {
+    _id: new mongoose.Types.ObjectId(),
+    vehicle: vehicle._id,
+    baselineOdometer: vehicle.odometer || 0,
+    baselineDate: vehicle.lastMaintenanceDate || new Date(),
+    openMaintenance: null,
+    lastTriggeredAt: null
+  };
+
+  // Only the first evaluation adds the entry
+  await MaintenancePlan.updateOne(
+    { _id: plan._id, 'progress.vehicle': { $ne: vehicle._id } },
+    { $push: { progress } }
+  );
+
+  const updated = await MaintenancePlan.findById(plan._id, 'progress').lean();
+  return updated.progress.find(entry => entry.vehicle.toString() === vehicle._id.toString());
+};
+
+/**
+ * Request the maintenance of a plan that came due and notify admins to approve it
+ * @param {MaintenancePlan} plan
+ * @param {Object} vehicle
+ * @param {Object} planStatus
+ * @returns {Promise<Maintenance|null>} Null when another evaluation already created it
+ */
+const triggerPlan = async (plan, vehicle, planStatus) => {
+  const maintenanceId = new mongoose.Types.ObjectId();
+  const now = new Date();
+
+  // Claim the cycle, so concurrent evaluations create one maintenance
+  const claimed = await MaintenancePlan.updateOne(
+    { _id: plan._id },
+    { $set: { 'progress.$[entry].openMaintenance': maintenanceId, 'progress.$[entry].lastTriggeredAt': now } },
+    { arrayFilters: [{ 'entry.vehicle': vehicle._id, 'entry.openMaintenance': null }] }
+  );
+  if (claimed.modifiedCount === 0) {
+    return null;
+  }
+
+  const maintenance = await Maintenance.create({
+    _id: maintenanceId,
+    vehicle: vehicle._id,
+    type: 'preventive',
+    title: plan.title,
+    description: plan.description,
+    servicedBy: {
+      type: plan.servicedBy && plan.servicedBy.type ? plan.servicedBy.type : 'internal',
+      name: plan.servicedBy && plan.servicedBy.name ? plan.servicedBy.name : 'To be assigned',
+      contact: plan.servicedBy ? plan.servicedBy.contact : undefined
+    },
+    odometer: vehicle.odometer,
+    scheduledDate: planStatus.nextDueDate && planStatus.nextDueDate < now ? planStatus.nextDueDate : now,
+    // Waits for an admin to approve it like any other request
+    status: 'requested',
+    requestedBy: plan.createdBy,
+    requestedAt: now,
+    statusHistory: [
+      { from: null, to: 'requested', changedBy: null, changedAt: now, notes: `Due by maintenance plan ${plan.title}` }
+    ],
+    priority: plan.priority,
+    plan: plan._id,
+    createdBy: plan.createdBy
+  });
+
+  sendNotificationsToRoles(
+    ['admin', 'super-admin'],
+    ['receiveMaintenanceDueNotification'],
+    `Maintenance Due: ${vehicle.name}`,
+    createMaintenanceDueNotification(vehicle, plan, planStatus),
+    {
+      type: 'maintenance_due',
+      vehicleId: vehicle._id.toString(),
+      maintenanceId: maintenance._id.toString(),
+      maintenancePlanId: plan._id.toString()
+    }
+  ).catch(error => {
+    console.error('Send notification error:', error);
+  });
+
+  return maintenance;
+};
+
+/**
+ * Set a vehicle's next maintenance date to the earliest of its open plan maintenance
+ * and the next due dates of its plans
+ * @param {Object} vehicle
+ * @param {Object[]} entries - { plan, progress, planStatus } of each plan
+ * @returns {Promise<void>}
+ */
+const refreshNextMaintenanceDate = async (vehicle, entries) => {
+  const openIds = entries.map(entry => entry.progress.openMaintenance).filter(Boolean);
+  const open = await Maintenance.find({ _id: { $in: openIds } }, 'scheduledDate').lean();
+
+  const dates = [
+    ...open.map(maintenance => maintenance.scheduledDate),
+    ...entries.filter(entry => !entry.progress.openMaintenance).map(entry => entry.planStatus.nextDueDate)
+  ].filter(Boolean);
+
+  const nextMaintenanceDate = dates.length > 0 ? new Date(Math.min(...dates.map(date => date.getTime()))) : null;
+  await Vehicle.updateOne({ _id: vehicle._id }, { $set: { nextMaintenanceDate } });
+};
+
+/**
+ * Evaluate every plan of a vehicle, creating maintenance for plans that came due
+ * Called whenever the vehicle's odometer changes and by the daily job
+ * @param {ObjectId} vehicleId
+ * @returns {Promise<Maintenance[]>} Maintenance created
+ */
+const evaluateVehicle = async (vehicleId) => {
+  const vehicle = await Vehicle.findOne({ _id: vehicleId, isActive: true, status: { $ne: 'retired' } }).lean();
+  if (!vehicle) {
+    return [];
+  }
+
+  const plans = await getVehiclePlans(vehicle);
+  if (plans.length === 0) {
+    return [];
+  }
+
+  const created = [];
+  const entries = [];
+  for (const plan of plans) {
+    const progress = await getProgress(plan, vehicle);
+    const planStatus = getPlanStatus(plan, progress, vehicle);
+
+    if (planStatus.isDue && !progress.openMaintenance) {
+      const maintenance = await triggerPlan(plan, vehicle, planStatus);
+      if (maintenance) {
+        created.push(maintenance);
+        progress.openMaintenance = maintenance._id;
+      }
+    }
+    entries.push({ plan, progress, planStatus });
+  }
+
+  await refreshNextMaintenanceDate(vehicle, entries);
+  return created;
+};
+
+/**
+ * Evaluate the plans of every active vehicle
+ * @returns {Promise<number>} Number of maintenance entries created
+ */
+const evaluateAllVehicles = async () => {
+  const vehicles = await Vehicle.find({ isActive: true, status: { $ne: 'retired' } }, '_id').lean();
+
+  let createdCount = 0;
+  for (const vehicle of vehicles) {
+    try {
+      const created = await evaluateVehicle(vehicle._id);
+      createdCount += created.length;
+    } catch (error) {
+      console.error(`Error evaluating maintenance plans of vehicle ${vehicle._id}:`, error);
+    }
+  }
+  return createdCount;
+};
+
+/**
+ * Close the cycle of a plan maintenance that was completed or cancelled
+ * A completed service starts the next cycle from its odometer and end date. A cancelled
+ * or rejected one skips the service and starts the next cycle from now
+ * @param {Maintenance} maintenance
+ * @returns {Promise<void>}
+ */
+const closePlanMaintenance = async (maintenance) => {
+  if (!maintenance.plan || !['completed', 'cancelled', 'rejected'].includes(maintenance.status)) {
+    return;
+  }
+
+  const vehicleId = maintenance.vehicle._id || maintenance.vehicle;
+  const vehicle = await Vehicle.findById(vehicleId).lean();
+  if (!vehicle) {
+    return;
+  }
+
+  const isCompleted = maintenance.status === 'completed';
+  const servicedAt = isCompleted ? maintenance.endDate || new Date() : new Date();
+
+  await MaintenancePlan.updateOne(
+    { _id: maintenance.plan },
+    {
+      $set: {
+        'progress.$[entry].openMaintenance': null,
+        'progress.$[entry].baselineOdometer': (isCompleted && maintenance.odometer) || vehicle.odometer || 0,
+        'progress.$[entry].baselineDate': servicedAt
+      }
+    },
+    { arrayFilters: [{ 'entry.vehicle': vehicle._id, 'entry.openMaintenance': maintenance._id }] }
+  );
+
+  if (isCompleted) {
+    await Vehicle.updateOne({ _id: vehicle._id }, { $set: { lastMaintenanceDate: servicedAt } });
+  }
+
+  await evaluateVehicle(vehicle._id);
+};
+
+/**
+ * Forget a deleted plan maintenance, so the plan can create a new one while still due
+ * @param {Maintenance} maintenance
+ * @returns {Promise<void>}
+ */
+const detachPlanMaintenance = async (maintenance) => {
+  if (!maintenance.plan) {
+    return;
+  }
+
+  await MaintenancePlan.updateOne(
+    { _id: maintenance.plan },
+    { $set: { 'progress.$[entry].openMaintenance': null } },
+    { arrayFilters: [{ 'entry.openMaintenance': maintenance._id }] }
+  );
+};
+
+/**
+ * Get vehicles whose plans are overdue, due or coming due soon
+ * @param {Object} [options]
+ * @param {number} [options.withinDays] - Due within this many days
+ * @param {number} [options.withinKm] - Due within this many kilometres
+ * @param {ObjectId} [options.vehicleId]
+ * @returns {Promise<Object[]>} Soonest first
+ */
+const getDueSoon = async ({ withinDays = env.MAINTENANCE_DUE_SOON_DAYS, withinKm = env.MAINTENANCE_DUE_SOON_KM, vehicleId } = {}) => {
+  const vehicleFilter = { isActive: true, status: { $ne: 'retired' } };
+  if (vehicleId) {
+    vehicleFilter._id = vehicleId;
+  }
+  const vehicles = await Vehicle.find(vehicleFilter, 'name licensePlate type odometer lastMaintenanceDate').lean();
+
+  const now = new Date();
+  const results = [];
+  for (const vehicle of vehicles) {
+    const plans = await getVehiclePlans(vehicle);
+    for (const plan of plans) {
+      const progress = plan.progress.find(entry => entry.vehicle.toString() === vehicle._id.toString())
+        || { baselineOdometer: vehicle.odometer || 0, baselineDate: vehicle.lastMaintenanceDate || now, openMaintenance: null };
+      const planStatus = getPlanStatus(plan, progress, vehicle, now);
+
+      const isDueSoon = (planStatus.remainingKm !== null && planStatus.remainingKm <= withinKm)
+        || (planStatus.remainingDays !== null && planStatus.remainingDays <= withinDays);
+      if (!planStatus.isDue && !isDueSoon && !progress.openMaintenance) {
+        continue;
+      }
+
+      results.push({
+        vehicle: { id: vehicle._id, name: vehicle.name, licensePlate: vehicle.licensePlate, odometer: vehicle.odometer },
+        plan: { id: plan._id, title: plan.title, intervalKm: plan.intervalKm, intervalMonths: plan.intervalMonths, priority: plan.priority },
+        state: planStatus.isDue ? 'due' : 'due-soon',
+        nextDueOdometer: planStatus.nextDueOdometer,
+        nextDueDate: planStatus.nextDueDate,
+        remainingKm: planStatus.remainingKm,
+        remainingDays: planStatus.remainingDays,
+        openMaintenance: progress.openMaintenance || null
+      });
+    }
+  }
+
+  // Most overdue first, by whichever of distance and time is closer
+  const urgency = (entry) => Math.min(
+    entry.remainingDays !== null ? entry.remainingDays / Math.max(withinDays, 1) : Infinity,
+    entry.remainingKm !== null ? entry.remainingKm / Math.max(withinKm, 1) : Infinity
+  );
+  return results.sort((a, b) => urgency(a) - urgency(b));
+};
+
+module.exports = {
+  createPlan,
+  getPlans,
+  getPlanById,
+  updatePlan,
+  deletePlan,
+  getPlanStatus,
+  evaluateVehicle,
+  evaluateAllVehicles,
+  closePlanMaintenance,
+  detachPlanMaintenance,
+  getDueSoon
+};
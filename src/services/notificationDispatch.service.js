@@ -0,0 +1,73 @@
+/**
+ * Notification Dispatch Service
+ * Idempotency guard for notifications sent by background jobs
+ */
+const { NotificationDispatch } = require('../models');
+
+/**
+ * Claim a dispatch key before sending a notification.
+ * The key is unique across all instances, so only the first caller wins.
+ * @param {string} key - Unique key identifying the notification
+ * @param {Object} dispatchData - Type, recipients, referenceId, data and expiresAt
+ * @returns {Promise<boolean>} True if the key was claimed, false if it was already sent
+ */
+const claimDispatch = async (key, dispatchData = {}) => {
+  try {
+    await NotificationDispatch.create({ key, ...dispatchData });
+    return true;
+  } catch (error) {
+    // Duplicate key means another run or instance already sent it
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Release a claimed dispatch key so the notification is retried on the next run
+ * @param {string} key - Dispatch key
+ * @returns {Promise<void>}
+ */
+const releaseDispatch = async (key) => {
+  await NotificationDispatch.deleteOne({ key });
+};
+
+/**
+ * Claim a key, run the sender and release the key again if sending fails
+ * @param {string} key - Unique key identifying the notification
+ * @param {Object} dispatchData - Dispatch metadata stored with the key
+ * @param {Function} send - Async function that sends the notification
+ * @returns {Promise<boolean>} True if the notification was sent by this call
+ */
+const dispatchOnce = async (key, dispatchData, send) => {
+  const claimed = await claimDispatch(key, dispatchData);
+  if (!claimed) {
+    return false;
+  }
+
+  try {
+    await send();
+    return true;
+  } catch (error) {
+    await releaseDispatch(key);
+    throw error;
+  }
+};
+
+/**
+ * Check if a dispatch key has already been claimed
+ * @param {string} key - Dispatch key
+ * @returns {Promise<boolean>}
+ */
+const isDispatched = async (key) => {
+  const count = await NotificationDispatch.countDocuments({ key });
+  return count > 0;
+};
+
+module.exports = {
+  claimDispatch,
+  releaseDispatch,
+  dispatchOnce,
+  isDispatched
+};
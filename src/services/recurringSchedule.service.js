@@ -0,0 +1,507 @@
+const { status } = require('http-status');
+const moment = require('moment-timezone');
+const { RecurringSchedule, TripSchedule } = require('../models');
+const ApiError = require('../utils/ApiError');
+const tripScheduleService = require('./tripSchedule.service');
+const complianceService = require('./compliance.service');
+const workingHoursService = require('./workingHours.service');
+const withTransaction = require('../utils/transaction');
+const env = require('../config/env');
+
+const DATE_KEY_FORMAT = 'YYYY-MM-DD';
+
+/**
+ * Get the calendar date key of a stored date-only value
+ * @param {Date} date
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+const toDateKey = (date) => moment.utc(date).format(DATE_KEY_FORMAT);
+
+/**
+ * Work out what an availability conflict is about
+ * @param {Object[]} conflictingSchedules - Schedules returned by checkAvailability
+ * @param {ObjectId} vehicleId
+ * @param {ObjectId} driverId
+ * @param {Object[]} [conflictingMaintenance] - Maintenance returned by checkAvailability
+ * @param {Object[]} [rosterConflicts] - Roster conflicts returned by checkAvailability
+ * @returns {string} vehicle, driver, vehicle-driver or resource
+ */
+const getConflictType = (conflictingSchedules, vehicleId, driverId, conflictingMaintenance = [], rosterConflicts = []) => {
+  const vehicleConflicts = conflictingSchedules.filter(s => s.vehicleId && s.vehicleId._id.toString() === vehicleId.toString());
+  const driverConflicts = conflictingSchedules.filter(s => s.driverId && s.driverId._id.toString() === driverId.toString());
+  const hasVehicleConflict = vehicleConflicts.length > 0 || conflictingMaintenance.length > 0;
+  const hasDriverConflict = driverConflicts.length > 0 || rosterConflicts.length > 0;
+
+  if (hasVehicleConflict && hasDriverConflict) {
+    return 'vehicle-driver';
+  } else if (hasVehicleConflict) {
+    return 'vehicle';
+  } else if (hasDriverConflict) {
+    return 'driver';
+  }
+  return 'resource';
+};
+
+/**
+ * Format recurring schedule data for API responses
+ * @param {Object} series - Recurring schedule document
+ * @returns {Object} Formatted recurring schedule
+ */
+const formatRecurringSchedule = (series) => ({
+  id: series._id,
+  name: series.name,
+  driver: series.driverId && series.driverId._id ? {
+    id: series.driverId._id,
+    name: series.driverId.name,
+    phone: series.driverId.phone
+  } : { id: series.driverId },
+  vehicle: series.vehicleId && series.vehicleId._id ? {
+    id: series.vehicleId._id,
+    name: series.vehicleId.name
+  } : { id: series.vehicleId },
+  destinations: series.destinations.map(dest => ({
+    id: dest._id,
+    startTime: dest.startTime,
+    arrivalTime: dest.arrivalTime,
+    tripPurposeTime: dest.tripPurposeTime,
+    destination: dest.destination,
+    purpose: dest.purposeId && dest.purposeId._id ? {
+      id: dest.purposeId._id,
+      name: dest.purposeId.name,
+      jobCardNeeded: dest.purposeId.jobCardNeeded
+    } : dest.purposeId ? { id: dest.purposeId } : null
+  })),
+  recurrence: {
+    frequency: series.recurrence.frequency,
+    interval: series.recurrence.interval,
+    daysOfWeek: series.recurrence.daysOfWeek,
+    startDate: toDateKey(series.recurrence.startDate),
+    endDate: series.recurrence.endDate ? toDateKey(series.recurrence.endDate) : null,
+    exceptionDates: series.recurrence.exceptionDates.map(toDateKey)
+  },
+  timezone: series.timezone,
+  generatedUntil: series.generatedUntil,
+  conflicts: series.conflicts.map(conflict => ({
+    occurrenceDate: toDateKey(conflict.occurrenceDate),
+    conflict: conflict.conflict,
+    message: conflict.message,
+    conflictingScheduleIds: conflict.conflictingScheduleIds,
+    detectedAt: conflict.detectedAt
+  })),
+  createdAt: series.createdAt,
+  updatedAt: series.updatedAt
+});
+
+/**
+ * Get the occurrence dates of a series between two instants
+ * @param {Object} series - Recurring schedule document
+ * @param {Date} from - Window start
+ * @param {Date} until - Window end
+ * @returns {string[]} Occurrence date keys (YYYY-MM-DD, series timezone)
+ */
+const getOccurrenceDates = (series, from, until) => {
+  const { frequency, interval, daysOfWeek, startDate, endDate, exceptionDates } = series.recurrence;
+  const startKey = toDateKey(startDate);
+  const endKey = endDate ? toDateKey(endDate) : null;
+  const exceptions = new Set(exceptionDates.map(toDateKey));
+  const seriesStart = moment.utc(startKey);
+  const weekdays = daysOfWeek.length > 0 ? daysOfWeek : [seriesStart.day()];
+
+  const dates = [];
+  const day = moment.tz(from, series.timezone).startOf('day');
+  const last = moment.tz(until, series.timezone);
+
+  for (; !day.isAfter(last); day.add(1, 'day')) {
+    const dateKey = day.format(DATE_KEY_FORMAT);
+
+    if (dateKey < startKey || (endKey && dateKey > endKey) || exceptions.has(dateKey)) {
+      continue;
+    }
+
+    const date = moment.utc(dateKey);
+    if (frequency === 'daily') {
+      if (date.diff(seriesStart, 'days') % interval !== 0) {
+        continue;
+      }
+    } else {
+      const weeksSinceStart = date.clone().startOf('week').diff(seriesStart.clone().startOf('week'), 'weeks');
+      if (weeksSinceStart % interval !== 0 || !weekdays.includes(date.day())) {
+        continue;
+      }
+    }
+
+    dates.push(dateKey);
+  }
+
+  return dates;
+};
+
+/**
+ * Build the trip schedule body for one occurrence of a series
+ * @param {Object} series - Recurring schedule document
+ * @param {string} dateKey - Occurrence date (YYYY-MM-DD)
+ * @returns {Object} Trip schedule body
+ */
+const buildOccurrence = (series, dateKey) => {
+  const toInstant = (timeOfDay) => moment.tz(`${dateKey} ${timeOfDay}`, `${DATE_KEY_FORMAT} HH:mm`, series.timezone);
+
+  const destinations = series.destinations.map(dest => {
+    const start = toInstant(dest.startTime);
+    let arrival = dest.arrivalTime ? toInstant(dest.arrivalTime) : null;
+
+    // An arrival earlier than the start time runs past midnight
+    if (arrival && arrival.isBefore(start)) {
+      arrival = arrival.add(1, 'day');
+    }
+
+    return {
+      requestId: null,
+      tripStartTime: start.toDate(),
+      tripApproxArrivalTime: arrival ? arrival.toDate() : null,
+      tripPurposeTime: dest.tripPurposeTime,
+      purposeId: dest.purposeId,
+      destination: dest.destination,
+      destinationAddedBy: series.createdBy,
+      destinationAddedAt: new Date()
+    };
+  });
+
+  const startTimes = destinations.map(dest => dest.tripStartTime.getTime());
+  const arrivalTimes = destinations.filter(dest => dest.tripApproxArrivalTime).map(dest => dest.tripApproxArrivalTime.getTime());
+
+  return {
+    status: 'scheduled',
+    driverId: series.driverId,
+    vehicleId: series.vehicleId,
+    destinations,
+    tripStartTime: new Date(Math.min(...startTimes)),
+    tripApproxArrivalTime: arrivalTimes.length > 0 ? new Date(Math.max(...arrivalTimes)) : null,
+    createdBy: series.createdBy,
+    recurringScheduleId: series._id,
+    occurrenceDate: moment.utc(dateKey).toDate()
+  };
+};
+
+/**
+ * Run the expired document and working hour checks a scheduled trip goes through.
+ * Series have no admin to override expired documents, so both refuse the occurrence.
+ * @param {Object} occurrence - Trip schedule body from buildOccurrence
+ * @returns {Promise<Object|null>} Conflict refusing the occurrence, null when it can be created
+ */
+const checkOccurrenceLimits = async (occurrence) => {
+  try {
+    await complianceService.checkScheduleCompliance({
+      vehicleId: occurrence.vehicleId,
+      driverId: occurrence.driverId,
+      validUntil: occurrence.tripApproxArrivalTime || occurrence.tripStartTime
+    }, occurrence.createdBy);
+  } catch (error) {
+    if (error.statusCode !== status.CONFLICT) {
+      throw error;
+    }
+    return { conflict: 'documents', message: error.message, expiredDocuments: error.data.expiredDocuments };
+  }
+
+  try {
+    occurrence.workingHoursWarnings = await workingHoursService.checkWorkingHours({
+      driverId: occurrence.driverId,
+      startTime: occurrence.tripStartTime,
+      endTime: occurrence.tripApproxArrivalTime
+    });
+  } catch (error) {
+    if (error.statusCode !== status.CONFLICT) {
+      throw error;
+    }
+    return { conflict: 'working-hours', message: error.message, workingHoursViolations: error.data.workingHoursViolations };
+  }
+
+  return null;
+};
+
+/**
+ * Create trip schedules for a series up to the generation horizon.
+ * Occurrences that conflict with other schedules are skipped and reported
+ * on the series; they are retried on the next run.
+ * @param {Object} series - Recurring schedule document
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<{created: Object[], conflicts: Object[]}>}
+ */
+const generateOccurrences = async (series, now = new Date()) => {
+  const until = moment(now).add(env.RECURRING_SCHEDULE_HORIZON_DAYS, 'days').toDate();
+  const dateKeys = getOccurrenceDates(series, now, until);
+
+  const existing = await TripSchedule.find({
+    recurringScheduleId: series._id,
+    isActive: true,
+    occurrenceDate: { $in: dateKeys.map(dateKey => moment.utc(dateKey).toDate()) }
+  }, { occurrenceDate: 1 }).lean();
+  const existingKeys = new Set(existing.map(schedule => toDateKey(schedule.occurrenceDate)));
+
+  const created = [];
+  const conflicts = [];
+
+  for (const dateKey of dateKeys) {
+    if (existingKeys.has(dateKey)) {
+      continue;
+    }
+
+    const occurrence = buildOccurrence(series, dateKey);
+    if (occurrence.tripStartTime <= now) {
+      continue;
+    }
+
+    const { isAvailable, conflictingSchedules, conflictingMaintenance, rosterConflicts } = await tripScheduleService.checkAvailability(
+      occurrence.vehicleId,
+      occurrence.driverId,
+      occurrence.tripStartTime,
+      occurrence.tripApproxArrivalTime
+    );
+
+    if (!isAvailable) {
+      conflicts.push({
+        occurrenceDate: occurrence.occurrenceDate,
+        conflict: getConflictType(conflictingSchedules, occurrence.vehicleId, occurrence.driverId, conflictingMaintenance, rosterConflicts),
+        conflictingScheduleIds: conflictingSchedules.map(s => s._id),
+        conflictingSchedules,
+        rosterConflicts
+      });
+      continue;
+    }
+
+    const limitConflict = await checkOccurrenceLimits(occurrence);
+    if (limitConflict) {
+      conflicts.push({
+        occurrenceDate: occurrence.occurrenceDate,
+        conflictingScheduleIds: [],
+        conflictingSchedules: [],
+        ...limitConflict
+      });
+      continue;
+    }
+
+    try {
+      const schedule = await TripSchedule.create(occurrence);
+      created.push({ id: schedule._id, occurrenceDate: dateKey, tripStartTime: schedule.tripStartTime });
+    } catch (error) {
+      // Another instance generated the same occurrence first
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  series.conflicts = conflicts.map(({ occurrenceDate, conflict, message, conflictingScheduleIds }) => ({
+    occurrenceDate,
+    conflict,
+    message,
+    conflictingScheduleIds
+  }));
+  series.generatedUntil = until;
+  await series.save();
+
+  return {
+    created,
+    conflicts: conflicts.map(conflict => ({
+      occurrenceDate: toDateKey(conflict.occurrenceDate),
+      conflict: conflict.conflict,
+      message: conflict.message || null,
+      conflictingSchedules: conflict.conflictingSchedules,
+      ...(conflict.expiredDocuments && { expiredDocuments: conflict.expiredDocuments }),
+      ...(conflict.workingHoursViolations && { workingHoursViolations: conflict.workingHoursViolations })
+    }))
+  };
+};
+
+/**
+ * Get a recurring schedule document by id
+ * @param {ObjectId} id
+ * @returns {Promise<RecurringSchedule>}
+ */
+const getRecurringScheduleDocument = async (id) => {
+  const series = await RecurringSchedule.findOne({ _id: id, isActive: true, deletedAt: null });
+  if (!series) {
+    throw new ApiError(status.NOT_FOUND, 'Recurring schedule not found');
+  }
+  return series;
+};
+
+/**
+ * Get recurring schedules with pagination
+ * @param {Object} filter - Filter criteria
+ * @param {Object} options - Query options
+ * @returns {Promise<QueryResult>}
+ */
+const getRecurringSchedules = async (filter = {}, options = {}) => {
+  const result = await RecurringSchedule.paginate(
+    { ...filter, isActive: true, deletedAt: null },
+    {
+      ...options,
+      populate: [
+        { path: 'driverId', select: 'name phone' },
+        { path: 'vehicleId', select: 'name' },
+        { path: 'destinations.purposeId', select: 'name jobCardNeeded' }
+      ]
+    }
+  );
+
+  return {
+    ...result,
+    results: result.results.map(formatRecurringSchedule)
+  };
+};
+
+/**
+ * Get recurring schedule by id
+ * @param {ObjectId} id
+ * @returns {Promise<Object>} Formatted recurring schedule
+ */
+const getRecurringScheduleById = async (id) => {
+  const series = await RecurringSchedule.findOne({ _id: id, isActive: true, deletedAt: null })
+    .populate('driverId', 'name phone')
+    .populate('vehicleId', 'name')
+    .populate('destinations.purposeId', 'name jobCardNeeded');
+
+  if (!series) {
+    throw new ApiError(status.NOT_FOUND, 'Recurring schedule not found');
+  }
+
+  return formatRecurringSchedule(series);
+};
+
+/**
+ * Create a recurring schedule and generate its upcoming occurrences
+ * @param {Object} seriesBody
+ * @param {ObjectId} userId - User ID creating the series
+ * @returns {Promise<{recurringSchedule: Object, generation: Object}>}
+ */
+const createRecurringSchedule = async (seriesBody, userId) => {
+  const series = await RecurringSchedule.create({ ...seriesBody, createdBy: userId });
+  const generation = await generateOccurrences(series);
+
+  return {
+    recurringSchedule: formatRecurringSchedule(series),
+    generation
+  };
+};
+
+/**
+ * Update a recurring schedule for all future occurrences.
+ * Generated occurrences from effectiveFrom onward are replaced; occurrences
+ * that were edited individually keep their own details.
+ * @param {ObjectId} id
+ * @param {Object} updateBody - Series fields and optional effectiveFrom
+ * @param {ObjectId} userId - User ID updating the series
+ * @returns {Promise<{recurringSchedule: Object, generation: Object, replacedCount: number}>}
+ */
+const updateRecurringSchedule = async (id, updateBody, userId) => {
+  const series = await getRecurringScheduleDocument(id);
+  const { effectiveFrom, ...seriesUpdate } = updateBody;
+  const replaceFrom = effectiveFrom && new Date(effectiveFrom) > new Date() ? new Date(effectiveFrom) : new Date();
+
+  if (seriesUpdate.recurrence) {
+    seriesUpdate.recurrence = { ...series.recurrence.toObject(), ...seriesUpdate.recurrence };
+  }
+
+  Object.assign(series, seriesUpdate);
+  series.updatedBy = userId;
+  await series.validate();
+
+  const { modifiedCount } = await TripSchedule.updateMany({
+    recurringScheduleId: series._id,
+    isRecurrenceException: false,
+    status: 'scheduled',
+    isActive: true,
+    tripStartTime: { $gte: replaceFrom }
+  }, {
+    $set: { isActive: false, deletedAt: new Date(), deletedBy: userId }
+  });
+
+  const generation = await generateOccurrences(series);
+
+  return {
+    recurringSchedule: formatRecurringSchedule(series),
+    generation,
+    replacedCount: modifiedCount
+  };
+};
+
+/**
+ * Delete a recurring schedule (soft delete) along with its upcoming generated occurrences
+ * @param {ObjectId} id
+ * @param {ObjectId} userId - User ID deleting the series
+ * @returns {Promise<RecurringSchedule>}
+ */
+const deleteRecurringSchedule = async (id, userId) => {
+  const series = await getRecurringScheduleDocument(id);
+
+  series.isActive = false;
+  series.deletedAt = new Date();
+  series.deletedBy = userId;
+
+  // The series and its occurrences are deleted together or not at all
+  await withTransaction(async (session) => {
+    await series.save({ session });
+
+    await TripSchedule.updateMany({
+      recurringScheduleId: series._id,
+      isRecurrenceException: false,
+      status: 'scheduled',
+      isActive: true,
+      tripStartTime: { $gt: new Date() }
+    }, {
+      $set: { isActive: false, deletedAt: new Date(), deletedBy: userId }
+    }, { session });
+  });
+
+  return series;
+};
+
+/**
+ * Regenerate upcoming occurrences for a series on demand
+ * @param {ObjectId} id
+ * @returns {Promise<Object>} Generation result
+ */
+const regenerateOccurrences = async (id) => {
+  const series = await getRecurringScheduleDocument(id);
+  return generateOccurrences(series);
+};
+
+/**
+ * Generate upcoming occurrences for every active series
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<number>} Number of trip schedules created
+ */
+const generateUpcomingOccurrences = async (now = new Date()) => {
+  const seriesList = await RecurringSchedule.find({
+    isActive: true,
+    deletedAt: null,
+    $or: [
+      { 'recurrence.endDate': null },
+      { 'recurrence.endDate': { $gte: moment.utc(now).startOf('day').subtract(1, 'day').toDate() } }
+    ]
+  });
+
+  let createdCount = 0;
+
+  for (const series of seriesList) {
+    try {
+      const { created } = await generateOccurrences(series, now);
+      createdCount += created.length;
+    } catch (error) {
+      console.error(`Generate occurrences error for recurring schedule ${series._id}:`, error);
+    }
+  }
+
+  return createdCount;
+};
+
+module.exports = {
+  getOccurrenceDates,
+  getRecurringSchedules,
+  getRecurringScheduleById,
+  createRecurringSchedule,
+  updateRecurringSchedule,
+  deleteRecurringSchedule,
+  regenerateOccurrences,
+  generateUpcomingOccurrences
+};
@@ -0,0 +1,157 @@
+/**
+ * Reminder Service
+ * Sends upcoming-trip and punch-out reminders to drivers
+ */
+const { TripSchedule, DriverAttendance, UserNotificationSettings } = require('../models');
+const { driverNotificationSchema } = require('../models/userNotificationSettings.model');
+const { sendNotificationsToIds } = require('../utils/notifcationHelper');
+const { createUpcomingTripReminderNotification } = require('../notificationTemplates/trips');
+const { createPunchOutReminderNotification } = require('../notificationTemplates/driverAttendance');
+const { dispatchOnce } = require('./notificationDispatch.service');
+const tripScheduleService = require('./tripSchedule.service');
+const env = require('../config/env');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Get upcoming-trip reminder lead times for drivers who opted in
+ * @returns {Promise<Map<string, number>>} Lead time in minutes keyed by driver ID
+ */
+const getUpcomingTripLeadTimes = async () => {
+  const settingsList = await UserNotificationSettings.find({
+    isActive: true,
+    'settings.receiveNotification': true,
+    'settings.receiveReminderForUpcomingTrip': true
+  }).lean();
+
+  const leadTimes = new Map();
+  settingsList.forEach(userSettings => {
+    const leadTime = Number(userSettings.settings.reminderForUpcomingTripTime);
+    leadTimes.set(
+      userSettings.userId.toString(),
+      leadTime > 0 ? leadTime : driverNotificationSchema.reminderForUpcomingTripTime
+    );
+  });
+
+  return leadTimes;
+};
+
+/**
+ * Send reminders for scheduled trips starting within each driver's lead time
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<number>} Number of reminders sent
+ */
+const sendUpcomingTripReminders = async (now = new Date()) => {
+  const leadTimes = await getUpcomingTripLeadTimes();
+  if (leadTimes.size === 0) {
+    return 0;
+  }
+
+  const maxLeadTime = Math.max(...leadTimes.values());
+
+  const trips = await TripSchedule.find({
+    driverId: { $in: Array.from(leadTimes.keys()) },
+    status: 'scheduled',
+    isActive: true,
+    deletedAt: null,
+    tripStartTime: { $gt: now, $lte: new Date(now.getTime() + maxLeadTime * MINUTE_MS) }
+  }, { driverId: 1, tripStartTime: 1 }).lean();
+
+  let sentCount = 0;
+
+  for (const trip of trips) {
+    const driverId = trip.driverId.toString();
+    const minutesToStart = Math.ceil((trip.tripStartTime - now) / MINUTE_MS);
+
+    if (minutesToStart > leadTimes.get(driverId)) {
+      continue;
+    }
+
+    // Include the start time so a rescheduled trip gets a fresh reminder
+    const key = `upcoming-trip:${trip._id}:${trip.tripStartTime.toISOString()}`;
+
+    try {
+      const sent = await dispatchOnce(key, {
+        type: 'upcoming-trip-reminder',
+        recipients: [trip.driverId],
+        referenceId: trip._id
+      }, async () => {
+        const tripData = await tripScheduleService.getScheduleById(trip._id);
+        await sendNotificationsToIds(
+          [driverId],
+          ['receiveReminderForUpcomingTrip'],
+          'Upcoming Trip Reminder',
+          createUpcomingTripReminderNotification(tripData, minutesToStart),
+          {
+            type: 'upcoming_trip_reminder',
+            tripScheduleId: trip._id.toString()
+          }
+        );
+      });
+
+      if (sent) {
+        sentCount++;
+      }
+    } catch (error) {
+      console.error('Send upcoming trip reminder error:', error);
+    }
+  }
+
+  return sentCount;
+};
+
+/**
+ * Send punch-out reminders for open punches older than the configured shift length
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<number>} Number of reminders sent
+ */
+const sendPunchOutReminders = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - env.PUNCH_OUT_REMINDER_AFTER_HOURS * 60 * MINUTE_MS);
+
+  const attendances = await DriverAttendance.find({
+    status: 'punched-in',
+    isActive: true,
+    punches: { $elemMatch: { outTime: null, inTime: { $lte: cutoff } } }
+  }, { driverId: 1, punches: 1 }).lean();
+
+  let sentCount = 0;
+
+  for (const attendance of attendances) {
+    const openPunch = attendance.punches.find(punch => !punch.outTime);
+    if (!openPunch || openPunch.inTime > cutoff) {
+      continue;
+    }
+
+    const key = `punch-out:${attendance.driverId}:${openPunch.inTime.toISOString()}`;
+
+    try {
+      const sent = await dispatchOnce(key, {
+        type: 'punch-out-reminder',
+        recipients: [attendance.driverId],
+        referenceId: attendance._id
+      }, () => sendNotificationsToIds(
+        [attendance.driverId.toString()],
+        ['receiveReminderForPunchOut'],
+        'Punch Out Reminder',
+        createPunchOutReminderNotification(openPunch.inTime, now),
+        {
+          type: 'punch_out_reminder',
+          driverId: attendance.driverId.toString()
+        }
+      ));
+
+      if (sent) {
+        sentCount++;
+      }
+    } catch (error) {
+      console.error('Send punch out reminder error:', error);
+    }
+  }
+
+  return sentCount;
+};
+
+module.exports = {
+  sendUpcomingTripReminders,
+  sendPunchOutReminders
+};
@@ -0,0 +1,651 @@
+/**
+ * Roster Service
+ * Planned driver shifts from weekly rosters, roster exceptions and public holidays. Trips are
+ * checked against them when scheduled, and attendance punches are compared with them.
+ */
+const moment = require('moment-timezone');
+const { status } = require('http-status');
+const { DriverRoster, RosterException, PublicHoliday, DriverAttendance, User } = require('../models');
+const ApiError = require('../utils/ApiError');
+const { getCoveredMs, getOverlapMs, round } = require('../utils/timeRange');
+
+const DATE_KEY_FORMAT = 'YYYY-MM-DD';
+const DEFAULT_TIMEZONE = 'Asia/Dubai';
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Longest range of the calendar and the attendance report
+const MAX_RANGE_DAYS = 62;
+
+// Exception types that mark the driver absent, whatever else is planned
+const ABSENCE_TYPES = ['leave', 'sick'];
+
+const toDateKey = (date) => moment.utc(date).format(DATE_KEY_FORMAT);
+
+/**
+ * Get the date keys from one date to another, both included
+ * @param {string} fromKey - YYYY-MM-DD
+ * @param {string} toKey - YYYY-MM-DD
+ * @returns {string[]}
+ */
+const getDateKeys = (fromKey, toKey) => {
+  const keys = [];
+  for (const day = moment.utc(fromKey); day.format(DATE_KEY_FORMAT) <= toKey; day.add(1, 'day')) {
+    keys.push(day.format(DATE_KEY_FORMAT));
+  }
+  return keys;
+};
+
+/**
+ * Check a date range is in order and no longer than the calendar allows
+ * @param {Date} from
+ * @param {Date} to
+ */
+const checkRange = (from, to) => {
+  if (to < from) {
+    throw new ApiError(status.BAD_REQUEST, 'The end date must not be before the start date');
+  }
+  if (moment.utc(to).diff(moment.utc(from), 'days') >= MAX_RANGE_DAYS) {
+    throw new ApiError(status.BAD_REQUEST, `The range can not be longer than ${MAX_RANGE_DAYS} days`);
+  }
+};
+
+/**
+ * Get the time range of a shift on a date.
+ * A shift ending at or before its start runs past midnight into the next day.
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {Object} shift - { startTime, endTime }
+ * @param {string} timezone
+ * @param {string} source - roster or exception
+ * @returns {{start: Date, end: Date, source: string}}
+ */
+const toShiftRange = (dateKey, shift, timezone, source) => {
+  const start = moment.tz(`${dateKey} ${shift.startTime}`, `${DATE_KEY_FORMAT} HH:mm`, timezone);
+  const end = moment.tz(`${dateKey} ${shift.endTime}`, `${DATE_KEY_FORMAT} HH:mm`, timezone);
+  if (!end.isAfter(start)) {
+    end.add(1, 'day');
+  }
+  return { start: start.toDate(), end: end.toDate(), source };
+};
+
+/**
+ * Check that a user is an active driver
+ * @param {ObjectId} driverId
+ */
+const checkDriver = async (driverId) => {
+  const driver = await User.exists({ _id: driverId, role: 'driver', isActive: true, deletedAt: null });
+  if (!driver) {
+    throw new ApiError(status.NOT_FOUND, 'Driver not found');
+  }
+};
+
+/**
+ * Check that a driver has no other roster in a period
+ * @param {ObjectId} driverId
+ * @param {Date} effectiveFrom
+ * @param {Date|null} effectiveTo - Open ended when null
+ * @param {ObjectId} [excludeId] - Roster to leave out
+ */
+const checkRosterOverlap = async (driverId, effectiveFrom, effectiveTo, excludeId = null) => {
+  const filter = {
+    driverId,
+    isActive: true,
+    deletedAt: null,
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gte: effectiveFrom } }]
+  };
+  if (effectiveTo) {
+    filter.effectiveFrom = { $lte: effectiveTo };
+  }
+  if (excludeId) {
+    filter._id = { $ne: excludeId };
+  }
+
+  const overlapping = await DriverRoster.exists(filter);
+  if (overlapping) {
+    throw new ApiError(status.CONFLICT, 'Driver already has a roster in this period');
+  }
+};
+
+/**
+ * Create a driver roster
+ * @param {Object} rosterBody
+ * @param {ObjectId} userId - User creating the roster
+ * @returns {Promise<DriverRoster>}
+ */
+const createRoster = async (rosterBody, userId) => {
+  await checkDriver(rosterBody.driverId);
+  await checkRosterOverlap(rosterBody.driverId, rosterBody.effectiveFrom, rosterBody.effectiveTo || null);
+
+  const roster = await DriverRoster.create({ ...rosterBody, createdBy: userId });
+  return getRosterById(roster._id);
+};
+
+/**
+ * Get driver rosters
+ * @param {Object} filter - { driverId, activeOn }
+ * @param {Object} options - Pagination options
+ * @returns {Promise<Object>}
+ */
+const getRosters = async ({ activeOn, ...filter } = {}, options = {}) => {
+  const rosterFilter = { ...filter, isActive: true, deletedAt: null };
+  if (activeOn) {
+    rosterFilter.effectiveFrom = { $lte: activeOn };
+    rosterFilter.$or = [{ effectiveTo: null }, { effectiveTo: { $gte: activeOn } }];
+  }
+
+  return DriverRoster.paginate(rosterFilter, {
+    sortBy: options.sortBy || 'effectiveFrom:desc',
+    limit: parseInt(options.limit || 10, 10),
+    page: parseInt(options.page || 1, 10),
+    populate: [{ path: 'driverId', select: 'name phone' }]
+  });
+};
+
+/**
+ * Get a driver roster by id
+ * @param {ObjectId} rosterId
+ * @returns {Promise<DriverRoster>}
+ */
+const getRosterById = async (rosterId) => {
+  const roster = await DriverRoster.findOne({ _id: rosterId, isActive: true, deletedAt: null })
+    .populate('driverId', 'name phone');
+  if (!roster) {
+    throw new ApiError(status.NOT_FOUND, 'Roster not found');
+  }
+  return roster;
+};
+
+/**
+ * Update a driver roster
+ * @param {ObjectId} rosterId
+ * @param {Object} updateBody
+ * @param {ObjectId} userId
+ * @returns {Promise<DriverRoster>}
+ */
+const updateRoster = async (rosterId, updateBody, userId) => {
+  const roster = await DriverRoster.findOne({ _id: rosterId, isActive: true, deletedAt: null });
+  if (!roster) {
+    throw new ApiError(status.NOT_FOUND, 'Roster not found');
+  }
+
+  const effectiveFrom = updateBody.effectiveFrom || roster.effectiveFrom;
+  const effectiveTo = updateBody.effectiveTo !== undefined ? updateBody.effectiveTo : roster.effectiveTo;
+  if (effectiveTo && effectiveTo < effectiveFrom) {
+    throw new ApiError(status.BAD_REQUEST, 'The roster can not end before it starts');
+  }
+  if (updateBody.effectiveFrom || updateBody.effectiveTo !== undefined) {
+    await checkRosterOverlap(roster.driverId, effectiveFrom, effectiveTo, roster._id);
+  }
+
+  Object.assign(roster, updateBody, { updatedBy: userId });
+  await roster.save();
+  return getRosterById(roster._id);
+};
+
+/**
+ * Delete a driver roster (soft delete)
+ * @param {ObjectId} rosterId
+ * @param {ObjectId} userId
+ * @returns {Promise<DriverRoster>}
+ */
+const deleteRoster = async (rosterId, userId) => {
+  const roster = await DriverRoster.findOne({ _id: rosterId, isActive: true, deletedAt: null });
+  if (!roster) {
+    throw new ApiError(status.NOT_FOUND, 'Roster not found');
+  }
+
+  roster.isActive = false;
+  roster.deletedAt = new Date();
+  roster.updatedBy = userId;
+  await roster.save();
+  return roster;
+};
+
+/**
+ * Create a roster exception: a shift change, day off, leave or sick days
+ * @param {Object} exceptionBody
+ * @param {ObjectId} userId
+ * @returns {Promise<RosterException>}
+ */
+const createException = async (exceptionBody, userId) => {
+  await checkDriver(exceptionBody.driverId);
+  if (exceptionBody.endDate < exceptionBody.startDate) {
+    throw new ApiError(status.BAD_REQUEST, 'The end date must not be before the start date');
+  }
+
+  return RosterException.create({
+    ...exceptionBody,
+    shifts: exceptionBody.type === 'shift' ? exceptionBody.shifts : [],
+    createdBy: userId
+  });
+};
+
+/**
+ * Get roster exceptions
+ * @param {Object} filter - { driverId, type, from, to }
+ * @param {Object} options - Pagination options
+ * @returns {Promise<Object>}
+ */
+const getExceptions = async ({ from, to, ...filter } = {}, options = {}) => {
+  const exceptionFilter = { ...filter, isActive: true, deletedAt: null };
+  if (from) {
+    exceptionFilter.endDate = { $gte: from };
+  }
+  if (to) {
+    exceptionFilter.startDate = { $lte: to };
+  }
+
+  return RosterException.paginate(exceptionFilter, {
+    sortBy: options.sortBy || 'startDate:desc',
+    limit: parseInt(options.limit || 10, 10),
+    page: parseInt(options.page || 1, 10),
+    populate: [{ path: 'driverId', select: 'name phone' }]
+  });
+};
+
+/**
+ * Delete a roster exception (soft delete)
+ * @param {ObjectId} exceptionId
+ * @param {ObjectId} userId
+ * @returns {Promise<RosterException>}
+ */
+const deleteException = async (exceptionId, userId) => {
+  const exception = await RosterException.findOne({ _id: exceptionId, isActive: true, deletedAt: null });
+  if (!exception) {
+    throw new ApiError(status.NOT_FOUND, 'Roster exception not found');
+  }
+
+  exception.isActive = false;
+  exception.deletedAt = new Date();
+  exception.deletedBy = userId;
+  await exception.save();
+  return exception;
+};
+
+/**
+ * Add a public holiday
+ * @param {Object} holidayBody - { date, name }
+ * @param {ObjectId} userId
+ * @returns {Promise<PublicHoliday>}
+ */
+const createHoliday = async (holidayBody, userId) => {
+  const existing = await PublicHoliday.exists({ date: holidayBody.date, isActive: true });
+  if (existing) {
+    throw new ApiError(status.CONFLICT, 'A public holiday already exists on this date');
+  }
+
+  return PublicHoliday.create({ ...holidayBody, createdBy: userId });
+};
+
+/**
+ * Get public holidays, sorted by date
+ * @param {Object} [filter] - { from, to }
+ * @returns {Promise<PublicHoliday[]>}
+ */
+const getHolidays = async ({ from, to } = {}) => {
+  const filter = { isActive: true, deletedAt: null };
+  if (from || to) {
+    filter.date = {};
+    if (from) {
+      filter.date.$gte = from;
+    }
+    if (to) {
+      filter.date.$lte = to;
+    }
+  }
+  return PublicHoliday.find(filter).sort({ date: 1 });
+};
+
+/**
+ * Delete a public holiday (soft delete)
+ * @param {ObjectId} holidayId
+ * @returns {Promise<PublicHoliday>}
+ */
+const deleteHoliday = async (holidayId) => {
+  const holiday = await PublicHoliday.findOne({ _id: holidayId, isActive: true, deletedAt: null });
+  if (!holiday) {
+    throw new ApiError(status.NOT_FOUND, 'Public holiday not found');
+  }
+
+  holiday.isActive = false;
+  holiday.deletedAt = new Date();
+  await holiday.save();
+  return holiday;
+};
+
+/**
+ * Work out the plan of a driver on one date.
+ * Leave and sick days come first, then shift changes and days off (the latest one of a date wins),
+ * then public holidays, then the weekly roster.
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {Object[]} rosters - Driver's rosters
+ * @param {Object[]} exceptions - Driver's exceptions, oldest first
+ * @param {Map<string, string>} holidayNames - Holiday names by date key
+ * @returns {Object} { date, timezone, rostered, shifts, absence, holiday }
+ */
+const getPlannedDay = (dateKey, rosters, exceptions, holidayNames) => {
+  const covers = (start, end) => toDateKey(start) <= dateKey && (!end || dateKey <= toDateKey(end));
+
+  const roster = rosters.find(item => covers(item.effectiveFrom, item.effectiveTo));
+  const timezone = roster ? roster.timezone : DEFAULT_TIMEZONE;
+  const dayExceptions = exceptions.filter(exception => covers(exception.startDate, exception.endDate));
+  const absence = dayExceptions.find(exception => ABSENCE_TYPES.includes(exception.type));
+  const override = dayExceptions.filter(exception => !ABSENCE_TYPES.includes(exception.type)).pop();
+  const holiday = holidayNames.get(dateKey) || null;
+
+  const day = {
+    date: dateKey,
+    timezone,
+    rostered: Boolean(roster || override),
+    shifts: [],
+    absence: absence ? { type: absence.type, notes: absence.notes || null, exceptionId: absence._id } : null,
+    holiday
+  };
+
+  if (absence) {
+    return day;
+  }
+  if (override) {
+    day.shifts = override.type === 'shift'
+      ? override.shifts.map(shift => toShiftRange(dateKey, shift, timezone, 'exception'))
+      : [];
+    return day;
+  }
+  if (roster && !holiday) {
+    const dayOfWeek = moment.utc(dateKey).day();
+    day.shifts = roster.weeklyShifts
+      .filter(shift => shift.dayOfWeek === dayOfWeek)
+      .map(shift => toShiftRange(dateKey, shift, timezone, 'roster'));
+  }
+  return day;
+};
+
+/**
+ * Get the planned days of drivers
+ * @param {ObjectId[]} driverIds
+ * @param {string} fromKey - YYYY-MM-DD
+ * @param {string} toKey - YYYY-MM-DD
+ * @returns {Promise<Map<string, Object[]>>} Planned days by driver ID
+ */
+const getPlannedDays = async (driverIds, fromKey, toKey) => {
+  const from = moment.utc(fromKey).toDate();
+  const to = moment.utc(toKey).toDate();
+
+  const [rosters, exceptions, holidays] = await Promise.all([
+    DriverRoster.find({
+      driverId: { $in: driverIds },
+      isActive: true,
+      deletedAt: null,
+      effectiveFrom: { $lte: to },
+      $or: [{ effectiveTo: null }, { effectiveTo: { $gte: from } }]
+    }).lean(),
+    RosterException.find({
+      driverId: { $in: driverIds },
+      isActive: true,
+      deletedAt: null,
+      startDate: { $lte: to },
+      endDate: { $gte: from }
+    }).sort({ createdAt: 1 }).lean(),
+    PublicHoliday.find({ isActive: true, deletedAt: null, date: { $gte: from, $lte: to } }).lean()
+  ]);
+
+  const holidayNames = new Map(holidays.map(holiday => [toDateKey(holiday.date), holiday.name]));
+  const dateKeys = getDateKeys(fromKey, toKey);
+
+  const daysByDriver = new Map();
+  driverIds.forEach(driverId => {
+    const key = driverId.toString();
+    const driverRosters = rosters.filter(roster => roster.driverId.toString() === key);
+    const driverExceptions = exceptions.filter(exception => exception.driverId.toString() === key);
+    daysByDriver.set(key, dateKeys.map(dateKey => getPlannedDay(dateKey, driverRosters, driverExceptions, holidayNames)));
+  });
+  return daysByDriver;
+};
+
+/**
+ * Check whether time ranges cover a period without gaps
+ * @param {Array<{start: Date, end: Date}>} ranges
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {boolean}
+ */
+const isCovered = (ranges, start, end) => {
+  let cursor = start.getTime();
+  [...ranges].sort((a, b) => a.start - b.start).forEach(range => {
+    if (range.start.getTime() <= cursor && range.end.getTime() > cursor) {
+      cursor = range.end.getTime();
+    }
+  });
+  return cursor >= end.getTime();
+};
+
+/**
+ * Check a trip against a driver's roster.
+ * Leave and sick days always conflict. Public holidays and trips outside the planned shifts only
+ * conflict for drivers that are rostered, drivers without a roster can be scheduled any time.
+ * @param {ObjectId} driverId
+ * @param {Date} startTime
+ * @param {Date} [endTime]
+ * @returns {Promise<Object[]>} Conflicts: { type: leave|sick|holiday|off_shift, date, ... }
+ */
+const getRosterConflicts = async (driverId, startTime, endTime = null) => {
+  if (!driverId || !startTime) {
+    return [];
+  }
+
+  const start = new Date(startTime);
+  const end = new Date(Math.max(endTime ? new Date(endTime).getTime() : 0, start.getTime() + MINUTE_MS));
+
+  // One day either side covers other timezones and shifts running past midnight
+  const fromKey = moment.utc(start).subtract(1, 'day').format(DATE_KEY_FORMAT);
+  const toKey = moment.utc(end).add(1, 'day').format(DATE_KEY_FORMAT);
+  const days = (await getPlannedDays([driverId], fromKey, toKey)).get(driverId.toString());
+
+  const tripDays = days.filter(day => {
+    const dayStart = moment.tz(day.date, DATE_KEY_FORMAT, day.timezone);
+    return dayStart.toDate() < end && dayStart.add(1, 'day').toDate() > start;
+  });
+
+  const conflicts = [];
+  tripDays.forEach(day => {
+    if (day.absence) {
+      conflicts.push({ type: day.absence.type, date: day.date, notes: day.absence.notes });
+    } else if (day.holiday && day.rostered && day.shifts.length === 0) {
+      conflicts.push({ type: 'holiday', date: day.date, name: day.holiday });
+    }
+  });
+
+  const shifts = days.flatMap(day => day.shifts);
+  if (conflicts.length === 0 && tripDays.some(day => day.rostered) && !isCovered(shifts, start, end)) {
+    conflicts.push({ type: 'off_shift', date: tripDays[0].date, shifts: shifts.filter(shift => shift.end > start && shift.start < end) });
+  }
+
+  return conflicts;
+};
+
+/**
+ * Get the roster calendar of drivers
+ * @param {Object} query
+ * @param {Date} query.from - First date
+ * @param {Date} query.to - Last date
+ * @param {ObjectId} [query.driverId] - Only this driver, otherwise all active drivers
+ * @returns {Promise<Object>} Planned days per driver
+ */
+const getCalendar = async ({ from, to, driverId }) => {
+  checkRange(from, to);
+
+  const driverFilter = { role: 'driver', isActive: true, deletedAt: null };
+  if (driverId) {
+    driverFilter._id = driverId;
+  }
+  const drivers = await User.find(driverFilter, 'name phone').sort({ name: 1 }).lean();
+
+  const fromKey = toDateKey(from);
+  const toKey = toDateKey(to);
+  const daysByDriver = await getPlannedDays(drivers.map(driver => driver._id), fromKey, toKey);
+
+  return {
+    from: fromKey,
+    to: toKey,
+    drivers: drivers.map(driver => ({
+      driver: { id: driver._id, name: driver.name, phone: driver.phone },
+      days: daysByDriver.get(driver._id.toString())
+    }))
+  };
+};
+
+/**
+ * Compare a driver's planned day with the punches started on it
+ * @param {Object} day - Planned day
+ * @param {Array<{start: Date, end: Date}>} punches - Punches of the day, open punches end now
+ * @param {boolean} hasOpenPunch
+ * @param {Date} now
+ * @returns {Object}
+ */
+const getAttendanceDay = (day, punches, hasOpenPunch, now) => {
+  const plannedMs = getCoveredMs(day.shifts);
+  const workedMs = getCoveredMs(punches);
+  const firstIn = punches.length > 0 ? new Date(Math.min(...punches.map(punch => punch.start))) : null;
+  const lastOut = punches.length > 0 && !hasOpenPunch ? new Date(Math.max(...punches.map(punch => punch.end))) : null;
+  const shiftStart = day.shifts.length > 0 ? new Date(Math.min(...day.shifts.map(shift => shift.start))) : null;
+  const shiftEnd = day.shifts.length > 0 ? new Date(Math.max(...day.shifts.map(shift => shift.end))) : null;
+
+  const lateMinutes = shiftStart && firstIn && firstIn > shiftStart ? Math.round((firstIn - shiftStart) / MINUTE_MS) : 0;
+  const earlyLeaveMinutes = shiftEnd && lastOut && lastOut < shiftEnd && shiftEnd <= now
+    ? Math.round((shiftEnd - lastOut) / MINUTE_MS)
+    : 0;
+
+  let dayStatus;
+  if (day.absence) {
+    dayStatus = day.absence.type;
+  } else if (plannedMs > 0) {
+    if (workedMs > 0) {
+      dayStatus = lateMinutes > 0 ? 'late' : 'present';
+    } else {
+      dayStatus = shiftStart > now ? 'upcoming' : 'absent';
+    }
+  } else if (workedMs > 0) {
+    dayStatus = 'unplanned';
+  } else {
+    dayStatus = day.holiday ? 'holiday' : 'off';
+  }
+
+  return {
+    date: day.date,
+    status: dayStatus,
+    holiday: day.holiday,
+    shifts: day.shifts,
+    firstIn,
+    lastOut,
+    plannedHours: round(plannedMs / HOUR_MS),
+    workedHours: round(workedMs / HOUR_MS),
+    workedInShiftHours: round(getOverlapMs(punches, day.shifts) / HOUR_MS),
+    lateMinutes,
+    earlyLeaveMinutes
+  };
+};
+
+/**
+ * Report rostered shifts against attendance punches, per driver and day.
+ * Punches count on the date they started, in the roster timezone. Days after today are left out.
+ * @param {Object} query
+ * @param {Date} query.from - First date
+ * @param {Date} query.to - Last date
+ * @param {ObjectId} [query.driverId] - Only this driver, otherwise drivers with a roster in the range
+ * @param {Date} [now]
+ * @returns {Promise<Object>}
+ */
+const getAttendanceReport = async ({ from, to, driverId }, now = new Date()) => {
+  checkRange(from, to);
+
+  const fromKey = toDateKey(from);
+  const todayKey = moment.tz(now, DEFAULT_TIMEZONE).format(DATE_KEY_FORMAT);
+  const toKey = toDateKey(to) < todayKey ? toDateKey(to) : todayKey;
+  if (fromKey > todayKey) {
+    throw new ApiError(status.BAD_REQUEST, 'Attendance can not be reported for future dates');
+  }
+
+  let driverIds;
+  if (driverId) {
+    driverIds = [driverId];
+  } else {
+    driverIds = await DriverRoster.distinct('driverId', {
+      isActive: true,
+      deletedAt: null,
+      effectiveFrom: { $lte: moment.utc(toKey).toDate() },
+      $or: [{ effectiveTo: null }, { effectiveTo: { $gte: moment.utc(fromKey).toDate() } }]
+    });
+  }
+
+  const drivers = await User.find({ _id: { $in: driverIds }, deletedAt: null }, 'name phone').sort({ name: 1 }).lean();
+  const daysByDriver = await getPlannedDays(drivers.map(driver => driver._id), fromKey, toKey);
+
+  // Attendance dates are server midnights, a day either side catches every punch started in the range
+  const attendance = await DriverAttendance.find({
+    driverId: { $in: drivers.map(driver => driver._id) },
+    isActive: true,
+    date: {
+      $gte: moment.utc(fromKey).subtract(1, 'day').toDate(),
+      $lte: moment.utc(toKey).add(2, 'day').toDate()
+    }
+  }, 'driverId punches').lean();
+
+  const punchesByDriver = new Map();
+  attendance.forEach(record => {
+    const key = record.driverId.toString();
+    punchesByDriver.set(key, [...(punchesByDriver.get(key) || []), ...record.punches]);
+  });
+
+  const results = drivers.map(driver => {
+    const driverPunches = punchesByDriver.get(driver._id.toString()) || [];
+    const days = daysByDriver.get(driver._id.toString()).map(day => {
+      const dayPunches = driverPunches.filter(punch => moment.tz(punch.inTime, day.timezone).format(DATE_KEY_FORMAT) === day.date);
+      const ranges = dayPunches.map(punch => ({ start: punch.inTime, end: punch.outTime || now }));
+      return getAttendanceDay(day, ranges, dayPunches.some(punch => !punch.outTime), now);
+    });
+
+    const countDays = (...statuses) => days.filter(day => statuses.includes(day.status)).length;
+    const attendedDays = countDays('present', 'late');
+    const dueDays = attendedDays + countDays('absent');
+
+    return {
+      driver: { id: driver._id, name: driver.name, phone: driver.phone },
+      summary: {
+        plannedHours: round(days.reduce((total, day) => total + day.plannedHours, 0)),
+        workedHours: round(days.reduce((total, day) => total + day.workedHours, 0)),
+        workedInShiftHours: round(days.reduce((total, day) => total + day.workedInShiftHours, 0)),
+        presentDays: attendedDays,
+        lateDays: countDays('late'),
+        absentDays: countDays('absent'),
+        leaveDays: countDays('leave'),
+        sickDays: countDays('sick'),
+        unplannedDays: countDays('unplanned'),
+        attendancePercent: dueDays > 0 ? round((attendedDays / dueDays) * 100) : null
+      },
+      days
+    };
+  });
+
+  return {
+    from: fromKey,
+    to: toKey,
+    drivers: results
+  };
+};
+
+module.exports = {
+  createRoster,
+  getRosters,
+  getRosterById,
+  updateRoster,
+  deleteRoster,
+  createException,
+  getExceptions,
+  deleteException,
+  createHoliday,
+  getHolidays,
+  deleteHoliday,
+  getRosterConflicts,
+  getCalendar,
+  getAttendanceReport
+};
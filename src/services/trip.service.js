@@ -1,609 +1,479 @@
-const Trip = require('../models/trip.model');
-const User = require('../models/user.model');
-const Vehicle = require('../models/vehicle.model');
+/**
+ * Trip Service
+ * Compatibility layer keeping the legacy /trips API working on top of trip schedules.
+ * Trips are read and written as TripSchedule documents and returned in the legacy trip shape.
+ */
+const { TripSchedule, User, Vehicle, DriverProfile } = require('../models');
+const tripScheduleService = require('./tripSchedule.service');
+
+// Legacy trip statuses and their schedule status
+const STATUS_TO_SCHEDULE = {
+  scheduled: 'scheduled',
+  in_progress: 'in progress',
+  completed: 'completed',
+  cancelled: 'cancelled'
+};
+
+const STATUS_FROM_SCHEDULE = Object.fromEntries(
+  Object.entries(STATUS_TO_SCHEDULE).map(([tripStatus, scheduleStatus]) => [scheduleStatus, tripStatus])
+);
+
+const VALID_TRANSITIONS = {
+  scheduled: ['in_progress', 'cancelled'],
+  in_progress: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+const API_REASON = 'through the trips API';
 
 /**
- * Get all trips with optional filters and pagination
- * @param {Object} filters - Query filters
- * @param {Object} options - Query options (pagination, sorting)
- * @returns {Promise<Object>} Trips with pagination info
+ * Escape a search term for use in a regular expression
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Convert a schedule location to a legacy GeoJSON location
+ * @param {Object} location - address and coordinates
+ * @returns {Object|null}
+ */
+const toGeoLocation = (location) => {
+  if (!location || (!location.address && !(location.coordinates && location.coordinates.length))) {
+    return null;
+  }
+  return {
+    type: 'Point',
+    coordinates: location.coordinates && location.coordinates.length ? location.coordinates : null,
+    address: location.address || null
+  };
+};
+
+/**
+ * Convert a legacy GeoJSON location to a schedule location
+ * @param {Object} location
+ * @returns {Object}
+ */
+const fromGeoLocation = (location) => ({
+  address: location.address || undefined,
+  coordinates: location.coordinates
+});
+
+/**
+ * Convert a legacy checkpoint to a schedule checkpoint
+ * @param {Object} checkpoint
+ * @returns {Object}
  */
-const getTrips = async (filters = {}, options = {}) => {
-  const defaultOptions = {
-    page: 1,
-    limit: 10,
-    sort: { scheduledStartTime: -1 }
+const fromLegacyCheckpoint = (checkpoint) => ({
+  ...fromGeoLocation(checkpoint.location),
+  status: checkpoint.status || 'pending',
+  notes: checkpoint.notes
+});
+
+/**
+ * Format a schedule in the legacy trip shape
+ * @param {TripSchedule} schedule - Schedule with driver, vehicle and creator populated
+ * @returns {Object}
+ */
+const formatTrip = (schedule) => {
+  const destinations = schedule.destinations || [];
+  const lastDestination = destinations[destinations.length - 1];
+
+  return {
+    id: schedule._id,
+    name: schedule.title || destinations.map(dest => dest.destination).filter(Boolean).join(', ') || null,
+    driver: schedule.driverId && schedule.driverId._id ? {
+      id: schedule.driverId._id,
+      name: schedule.driverId.name,
+      email: schedule.driverId.email,
+      phone: schedule.driverId.phone
+    } : schedule.driverId,
+    vehicle: schedule.vehicleId && schedule.vehicleId._id ? {
+      id: schedule.vehicleId._id,
+      name: schedule.vehicleId.name,
+      licensePlate: schedule.vehicleId.licensePlate
+    } : schedule.vehicleId,
+    startLocation: toGeoLocation(schedule.startLocation),
+    endLocation: lastDestination
+      ? toGeoLocation({ address: lastDestination.destination, coordinates: lastDestination.coordinates })
+      : null,
+    checkpoints: destinations.flatMap(dest => (dest.checkpoints || []).map(checkpoint => ({
+      id: checkpoint._id,
+      destinationId: dest._id,
+      location: toGeoLocation(checkpoint),
+      status: checkpoint.status,
+      timestamp: checkpoint.timestamp,
+      notes: checkpoint.notes || null
+    }))),
+    scheduledStartTime: schedule.tripStartTime,
+    scheduledEndTime: schedule.tripApproxArrivalTime,
+    actualStartTime: schedule.actualStartTime || null,
+    actualEndTime: schedule.actualEndTime || null,
+    status: STATUS_FROM_SCHEDULE[schedule.status],
+    distance: schedule.distanceTraveled ?? null,
+    duration: schedule.actualStartTime && schedule.actualEndTime
+      ? Math.round((schedule.actualEndTime - schedule.actualStartTime) / 60000)
+      : null,
+    notes: schedule.notes || null,
+    fuelConsumption: schedule.fuelConsumption ?? null,
+    maintenanceRequired: schedule.maintenanceRequired || false,
+    maintenanceNotes: schedule.maintenanceNotes || null,
+    createdBy: schedule.createdBy && schedule.createdBy._id ? {
+      id: schedule.createdBy._id,
+      name: schedule.createdBy.name,
+      email: schedule.createdBy.email
+    } : schedule.createdBy,
+    createdAt: schedule.createdAt,
+    updatedAt: schedule.updatedAt
   };
-  
-  const queryOptions = { ...defaultOptions, ...options };
-  const skip = (queryOptions.page - 1) * queryOptions.limit;
-  
-  // Add default filter for active and non-deleted trips
+};
+
+const populateTrip = (query) => query
+  .populate('driverId', 'name email phone')
+  .populate('vehicleId', 'name licensePlate')
+  .populate('createdBy', 'name email');
+
+/**
+ * Find schedules in the legacy trip shape with pagination
+ * @param {Object} filter - TripSchedule filter
+ * @param {Object} options - page, limit
+ * @returns {Promise<Object>} Trips with pagination info
+ */
+const findTrips = async (filter, options = {}) => {
+  const page = parseInt(options.page || 1, 10);
+  const limit = parseInt(options.limit || 10, 10);
+
   const queryFilters = {
-    ...filters,
+    ...filter,
     isActive: true,
     deletedAt: null
   };
-  
-  // Build the query
-  const tripQuery = Trip.find(queryFilters)
-    .populate('driver', '_id licenseNumber')
-    .populate({
-      path: 'driver',
-      populate: {
-        path: 'user',
-        select: 'name email phone'
-      }
-    })
-    .populate('vehicle', 'name licensePlate')
-    .populate('createdBy', 'name email')
-    .sort(queryOptions.sort)
-    .skip(skip)
-    .limit(queryOptions.limit);
-  
-  // Execute the query
-  const trips = await tripQuery;
-  const total = await Trip.countDocuments(queryFilters);
-  
+
+  const [schedules, total] = await Promise.all([
+    populateTrip(TripSchedule.find(queryFilters))
+      .sort({ tripStartTime: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    TripSchedule.countDocuments(queryFilters)
+  ]);
+
   return {
-    trips,
+    trips: schedules.map(formatTrip),
     pagination: {
       total,
-      page: queryOptions.page,
-      limit: queryOptions.limit,
-      pages: Math.ceil(total / queryOptions.limit)
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
     }
   };
 };
 
+/**
+ * Get all trips with optional filters and pagination
+ * @param {Object} filters
+ * @param {string} [filters.status] - Legacy trip status
+ * @param {Date} [filters.startDate] - Earliest scheduled start
+ * @param {Date} [filters.endDate] - Latest scheduled start
+ * @param {string} [filters.search] - Trip name, notes or destination
+ * @param {Object} options - page, limit
+ * @returns {Promise<Object>} Trips with pagination info
+ */
+const getTrips = async ({ status, startDate, endDate, search } = {}, options = {}) => {
+  const filter = {};
+
+  if (status) {
+    filter.status = STATUS_TO_SCHEDULE[status] || status;
+  }
+
+  if (startDate || endDate) {
+    filter.tripStartTime = {};
+    if (startDate) {
+      filter.tripStartTime.$gte = new Date(startDate);
+    }
+    if (endDate) {
+      filter.tripStartTime.$lte = new Date(endDate);
+    }
+  }
+
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    filter.$or = [
+      { title: pattern },
+      { notes: pattern },
+      { 'destinations.destination': pattern }
+    ];
+  }
+
+  return findTrips(filter, options);
+};
+
 /**
  * Get trip by ID
- * @param {string} id - Trip ID
- * @returns {Promise<Object>} Trip details
+ * @param {string} id - Trip schedule ID
+ * @returns {Promise<Object|null>} Trip details
  */
 const getTripById = async (id) => {
-  return await Trip.findOne({ _id: id, isActive: true, deletedAt: null })
-    .populate('driver', '_id licenseNumber')
-    .populate({
-      path: 'driver',
-      populate: {
-        path: 'user',
-        select: 'name email phone'
-      }
-    })
-    .populate('vehicle', 'name licensePlate')
-    .populate('createdBy', 'name email');
+  const schedule = await populateTrip(TripSchedule.findOne({ _id: id, isActive: true, deletedAt: null }));
+  return schedule ? formatTrip(schedule) : null;
 };
 
 /**
  * Get trips for a specific driver
- * @param {string} driverId - Driver ID
- * @param {Object} options - Query options
- * @returns {Promise<Array>} List of trips
+ * @param {string} driverId - Driver user ID
+ * @param {Object} options - page, limit, status
+ * @returns {Promise<Object>} Trips with pagination info
  */
 const getTripsByDriver = async (driverId, options = {}) => {
-  const defaultOptions = {
-    page: 1,
-    limit: 10,
-    sort: { scheduledStartTime: -1 }
-  };
-  
-  const queryOptions = { ...defaultOptions, ...options };
-  const skip = (queryOptions.page - 1) * queryOptions.limit;
-  
-  // Build the query
-  const trips = await Trip.find({
-    driver: driverId, 
-    isActive: true,
-    deletedAt: null
-  })
-    .populate('vehicle', 'name licensePlate')
-    .populate('createdBy', 'name email')
-    .sort(queryOptions.sort)
-    .skip(skip)
-    .limit(queryOptions.limit);
-  
-  const total = await Trip.countDocuments({
-    driver: driverId, 
-    isActive: true,
-    deletedAt: null
-  });
-  
-  return {
-    trips,
-    pagination: {
-      total,
-      page: queryOptions.page,
-      limit: queryOptions.limit,
-      pages: Math.ceil(total / queryOptions.limit)
-    }
-  };
+  const filter = { driverId };
+  if (options.status) {
+    filter.status = STATUS_TO_SCHEDULE[options.status] || options.status;
+  }
+  return findTrips(filter, options);
 };
 
 /**
  * Get trips for a specific vehicle
  * @param {string} vehicleId - Vehicle ID
- * @param {Object} options - Query options
- * @returns {Promise<Array>} List of trips
+ * @param {Object} options - page, limit, status
+ * @returns {Promise<Object>} Trips with pagination info
  */
 const getTripsByVehicle = async (vehicleId, options = {}) => {
-  const defaultOptions = {
-    page: 1,
-    limit: 10,
-    sort: { scheduledStartTime: -1 }
-  };
-  
-  const queryOptions = { ...defaultOptions, ...options };
-  const skip = (queryOptions.page - 1) * queryOptions.limit;
-  
-  // Build the query
-  const trips = await Trip.find({
-    vehicle: vehicleId, 
-    isActive: true,
-    deletedAt: null
-  })
-    .populate('driver', '_id licenseNumber')
-    .populate({
-      path: 'driver',
-      populate: {
-        path: 'user',
-        select: 'name email phone'
-      }
-    })
-    .populate('createdBy', 'name email')
-    .sort(queryOptions.sort)
-    .skip(skip)
-    .limit(queryOptions.limit);
-  
-  const total = await Trip.countDocuments({
-    vehicle: vehicleId, 
-    isActive: true,
-    deletedAt: null
-  });
-  
-  return {
-    trips,
-    pagination: {
-      total,
-      page: queryOptions.page,
-      limit: queryOptions.limit,
-      pages: Math.ceil(total / queryOptions.limit)
+  const filter = { vehicleId };
+  if (options.status) {
+    filter.status = STATUS_TO_SCHEDULE[options.status] || options.status;
+  }
+  return findTrips(filter, options);
+};
+
+/**
+ * Check that a driver and vehicle can be given trips
+ * @param {string} [driverId] - Driver user ID
+ * @param {string} [vehicleId]
+ */
+const checkDriverAndVehicle = async (driverId, vehicleId) => {
+  if (driverId) {
+    const driver = await User.findOne({ _id: driverId, role: 'driver', isActive: true, deletedAt: null }, '_id');
+    if (!driver) {
+      throw new Error('Driver not found or inactive');
     }
-  };
+
+    const profile = await DriverProfile.findOne({ user: driverId, deletedAt: null }, 'status');
+    if (profile && profile.status !== 'active') {
+      throw new Error(`Driver is currently ${profile.status}`);
+    }
+  }
+
+  if (vehicleId) {
+    const vehicle = await Vehicle.findOne({ _id: vehicleId, isActive: true, deletedAt: null }, 'status');
+    if (!vehicle) {
+      throw new Error('Vehicle not found or inactive');
+    }
+
+    if (vehicle.status !== 'active') {
+      throw new Error(`Vehicle is currently ${vehicle.status}`);
+    }
+  }
 };
 
 /**
- * Create new trip
- * @param {Object} tripData - Trip data
+ * Join a legacy purpose and notes into schedule notes
+ * @param {Object} tripData
+ * @returns {string|undefined}
+ */
+const toScheduleNotes = ({ purpose, notes }) => [purpose, notes].filter(Boolean).join('\n') || undefined;
+
+/**
+ * Create new trip as a single destination schedule
+ * @param {Object} tripData - Legacy trip data
  * @param {string} userId - User ID of creator
  * @returns {Promise<Object>} Created trip
  */
 const createTrip = async (tripData, userId) => {
-  // Check if driver exists and is active
-  const driver = await User.findOne({ 
-    _id: tripData.driver, 
-    role: 'driver',
-    isActive: true, 
-    deletedAt: null 
-  });
-  
-  if (!driver) {
-    throw new Error('Driver not found or inactive');
-  }
-  
-  if (driver.status !== 'active') {
-    throw new Error(`Driver is currently ${driver.status}`);
-  }
-  
-  // Check if vehicle exists and is active
-  const vehicle = await Vehicle.findOne({ 
-    _id: tripData.vehicle, 
-    isActive: true, 
-    deletedAt: null 
-  });
-  
-  if (!vehicle) {
-    throw new Error('Vehicle not found or inactive');
-  }
-  
-  if (vehicle.status !== 'active') {
-    throw new Error(`Vehicle is currently ${vehicle.status}`);
-  }
-  
-  // Check if user exists
-  const user = await User.findOne({ 
-    _id: userId, 
-    isActive: true, 
-    deletedAt: null 
-  });
-  
-  if (!user) {
-    throw new Error('User not found or inactive');
-  }
-  
-  // Check for scheduling conflicts for driver
-  const driverConflict = await Trip.findOne({
-    driver: tripData.driver,
-    status: { $in: ['scheduled', 'in_progress'] },
-    $or: [
-      {
-        scheduledStartTime: { $lte: tripData.scheduledStartTime },
-        scheduledEndTime: { $gte: tripData.scheduledStartTime }
-      },
-      {
-        scheduledStartTime: { $lte: tripData.scheduledEndTime },
-        scheduledEndTime: { $gte: tripData.scheduledEndTime }
-      },
-      {
-        scheduledStartTime: { $gte: tripData.scheduledStartTime },
-        scheduledEndTime: { $lte: tripData.scheduledEndTime }
-      }
-    ],
-    isActive: true,
-    deletedAt: null
-  });
-  
-  if (driverConflict) {
-    throw new Error('Driver has a scheduling conflict with another trip');
-  }
-  
-  // Check for scheduling conflicts for vehicle
-  const vehicleConflict = await Trip.findOne({
-    vehicle: tripData.vehicle,
-    status: { $in: ['scheduled', 'in_progress'] },
-    $or: [
-      {
-        scheduledStartTime: { $lte: tripData.scheduledStartTime },
-        scheduledEndTime: { $gte: tripData.scheduledStartTime }
-      },
-      {
-        scheduledStartTime: { $lte: tripData.scheduledEndTime },
-        scheduledEndTime: { $gte: tripData.scheduledEndTime }
-      },
-      {
-        scheduledStartTime: { $gte: tripData.scheduledStartTime },
-        scheduledEndTime: { $lte: tripData.scheduledEndTime }
-      }
-    ],
-    isActive: true,
-    deletedAt: null
-  });
-  
-  if (vehicleConflict) {
-    throw new Error('Vehicle has a scheduling conflict with another trip');
-  }
-  
-  // Create new trip
-  const trip = new Trip({
-    ...tripData,
-    createdBy: userId,
-    createdAt: new Date(),
-    updatedAt: new Date()
-  });
-  
-  await trip.save();
-  
-  return trip;
+  await checkDriverAndVehicle(tripData.driver, tripData.vehicle);
+
+  const schedule = await tripScheduleService.createSchedule({
+    driverId: tripData.driver,
+    vehicleId: tripData.vehicle,
+    title: tripData.name,
+    startLocation: fromGeoLocation(tripData.startLocation),
+    notes: toScheduleNotes(tripData),
+    destinations: [{
+      destination: tripData.endLocation.address || tripData.name,
+      coordinates: tripData.endLocation.coordinates,
+      tripStartTime: tripData.scheduledStartTime,
+      tripApproxArrivalTime: tripData.scheduledEndTime,
+      checkpoints: (tripData.checkpoints || []).map(fromLegacyCheckpoint)
+    }]
+  }, userId);
+
+  return getTripById(schedule._id);
 };
 
 /**
- * Update trip
- * @param {string} id - Trip ID
- * @param {Object} updateData - Trip data to update
+ * Update trip. The scheduled times apply to the start of the first destination and
+ * the arrival at the last one, the end location to the last destination.
+ * @param {string} id - Trip schedule ID
+ * @param {Object} updateData - Legacy trip data to update
+ * @param {string} userId - User ID updating the trip
  * @returns {Promise<Object>} Updated trip
  */
-const updateTrip = async (id, updateData) => {
-  // Check if trip exists
-  const trip = await Trip.findOne({ 
-    _id: id, 
-    isActive: true, 
-    deletedAt: null 
-  });
-  
-  if (!trip) {
+const updateTrip = async (id, updateData, userId) => {
+  const schedule = await TripSchedule.findOne({ _id: id, isActive: true, deletedAt: null });
+  if (!schedule) {
     throw new Error('Trip not found');
   }
-  
+
   // Cannot update trips that are completed or cancelled
-  if (trip.status === 'completed' || trip.status === 'cancelled') {
-    throw new Error(`Cannot update a trip that is ${trip.status}`);
+  if (schedule.status === 'completed' || schedule.status === 'cancelled') {
+    throw new Error(`Cannot update a trip that is ${schedule.status}`);
   }
-  
-  // Check scheduling conflicts if dates are being updated
-  if (
-    (updateData.scheduledStartTime && updateData.scheduledStartTime !== trip.scheduledStartTime) ||
-    (updateData.scheduledEndTime && updateData.scheduledEndTime !== trip.scheduledEndTime) ||
-    (updateData.driver && updateData.driver !== trip.driver.toString()) ||
-    (updateData.vehicle && updateData.vehicle !== trip.vehicle.toString())
-  ) {
-    const driver = updateData.driver || trip.driver;
-    const vehicle = updateData.vehicle || trip.vehicle;
-    const startTime = updateData.scheduledStartTime || trip.scheduledStartTime;
-    const endTime = updateData.scheduledEndTime || trip.scheduledEndTime;
-    
-    // Check for driver conflicts
-    const driverConflict = await Trip.findOne({
-      _id: { $ne: id },
-      driver,
-      status: { $in: ['scheduled', 'in_progress'] },
-      $or: [
-        {
-          scheduledStartTime: { $lte: startTime },
-          scheduledEndTime: { $gte: startTime }
-        },
-        {
-          scheduledStartTime: { $lte: endTime },
-          scheduledEndTime: { $gte: endTime }
-        },
-        {
-          scheduledStartTime: { $gte: startTime },
-          scheduledEndTime: { $lte: endTime }
-        }
-      ],
-      isActive: true,
-      deletedAt: null
-    });
-    
-    if (driverConflict) {
-      throw new Error('Driver has a scheduling conflict with another trip');
-    }
-    
-    // Check for vehicle conflicts
-    const vehicleConflict = await Trip.findOne({
-      _id: { $ne: id },
-      vehicle,
-      status: { $in: ['scheduled', 'in_progress'] },
-      $or: [
-        {
-          scheduledStartTime: { $lte: startTime },
-          scheduledEndTime: { $gte: startTime }
-        },
-        {
-          scheduledStartTime: { $lte: endTime },
-          scheduledEndTime: { $gte: endTime }
-        },
-        {
-          scheduledStartTime: { $gte: startTime },
-          scheduledEndTime: { $lte: endTime }
-        }
-      ],
-      isActive: true,
-      deletedAt: null
-    });
-    
-    if (vehicleConflict) {
-      throw new Error('Vehicle has a scheduling conflict with another trip');
-    }
-    
-    // If driver is changed, check if new driver exists and is active
-    if (updateData.driver && updateData.driver !== trip.driver.toString()) {
-      const driver = await User.findOne({ 
-        _id: updateData.driver, 
-        role: 'driver',
-        isActive: true, 
-        deletedAt: null 
-      });
-      
-      if (!driver) {
-        throw new Error('Driver not found or inactive');
-      }
-      
-      if (driver.status !== 'active') {
-        throw new Error(`Driver is currently ${driver.status}`);
-      }
-    }
-    
-    // If vehicle is changed, check if new vehicle exists and is active
-    if (updateData.vehicle && updateData.vehicle !== trip.vehicle.toString()) {
-      const vehicle = await Vehicle.findOne({ 
-        _id: updateData.vehicle, 
-        isActive: true, 
-        deletedAt: null 
-      });
-      
-      if (!vehicle) {
-        throw new Error('Vehicle not found or inactive');
-      }
-      
-      if (vehicle.status !== 'active') {
-        throw new Error(`Vehicle is currently ${vehicle.status}`);
-      }
-    }
+
+  await checkDriverAndVehicle(
+    updateData.driver && updateData.driver !== schedule.driverId.toString() ? updateData.driver : null,
+    updateData.vehicle && updateData.vehicle !== schedule.vehicleId.toString() ? updateData.vehicle : null
+  );
+
+  const destinations = schedule.destinations.map(dest => dest.toObject());
+  const lastDestination = destinations[destinations.length - 1];
+  if (updateData.scheduledStartTime) {
+    destinations[0].tripStartTime = updateData.scheduledStartTime;
+  }
+  if (updateData.scheduledEndTime) {
+    lastDestination.tripApproxArrivalTime = updateData.scheduledEndTime;
+  }
+  if (updateData.endLocation) {
+    lastDestination.destination = updateData.endLocation.address || lastDestination.destination;
+    lastDestination.coordinates = updateData.endLocation.coordinates;
+  }
+
+  const scheduleUpdate = { destinations };
+  if (updateData.driver) {
+    scheduleUpdate.driverId = updateData.driver;
+  }
+  if (updateData.vehicle) {
+    scheduleUpdate.vehicleId = updateData.vehicle;
   }
-  
-  // Update trip
-  Object.keys(updateData).forEach(key => {
-    trip[key] = updateData[key];
-  });
-  
-  trip.updatedAt = new Date();
-  await trip.save();
-  
-  return trip;
+  if (updateData.name) {
+    scheduleUpdate.title = updateData.name;
+  }
+  if (updateData.startLocation) {
+    scheduleUpdate.startLocation = fromGeoLocation(updateData.startLocation);
+  }
+  if (updateData.purpose !== undefined || updateData.notes !== undefined) {
+    scheduleUpdate.notes = toScheduleNotes(updateData);
+  }
+
+  await tripScheduleService.updateSchedule(id, scheduleUpdate, userId);
+
+  return getTripById(id);
 };
 
 /**
- * Update trip status
- * @param {string} id - Trip ID
- * @param {string} status - New status
- * @param {Object} statusData - Additional status data
+ * Update trip status. Starting and completing go through the schedule's trip flow,
+ * so the driver must be punched in and completing needs an end odometer reading.
+ * @param {string} id - Trip schedule ID
+ * @param {string} status - New legacy status
+ * @param {Object} statusData - odometer, distance, fuelConsumption, maintenanceRequired, maintenanceNotes, reason
+ * @param {Object} user - User changing the status
  * @returns {Promise<Object>} Updated trip
  */
-const updateTripStatus = async (id, status, statusData = {}) => {
-  // Check if trip exists
-  const trip = await Trip.findOne({ 
-    _id: id, 
-    isActive: true, 
-    deletedAt: null 
-  });
-  
-  if (!trip) {
+const updateTripStatus = async (id, status, statusData, user) => {
+  const schedule = await TripSchedule.findOne({ _id: id, isActive: true, deletedAt: null });
+  if (!schedule) {
+    throw new Error('Trip not found');
+  }
+
+  const isDriver = user.role === 'driver';
+  if (isDriver && schedule.driverId.toString() !== user._id.toString()) {
     throw new Error('Trip not found');
   }
-  
+
   // Validate status transitions
-  const validTransitions = {
-    scheduled: ['in_progress', 'cancelled'],
-    in_progress: ['completed', 'cancelled'],
-    completed: [],
-    cancelled: []
-  };
-  
-  if (!validTransitions[trip.status].includes(status)) {
-    throw new Error(`Cannot change trip status from ${trip.status} to ${status}`);
+  const currentStatus = STATUS_FROM_SCHEDULE[schedule.status];
+  if (!VALID_TRANSITIONS[currentStatus].includes(status)) {
+    throw new Error(`Cannot change trip status from ${currentStatus} to ${status}`);
   }
-  
-  // Update status
-  trip.status = status;
-  
-  // Update status-specific fields
+
   if (status === 'in_progress') {
-    trip.actualStartTime = new Date();
+    await tripScheduleService.startTrip(id, schedule.driverId, {
+      odometer: statusData.odometer,
+      coordinates: statusData.coordinates
+    });
   } else if (status === 'completed') {
-    trip.actualEndTime = new Date();
-    
-    // Update additional data if provided
-    if (statusData.distance) trip.distance = statusData.distance;
-    if (statusData.duration) trip.duration = statusData.duration;
-    if (statusData.fuelConsumption) trip.fuelConsumption = statusData.fuelConsumption;
-    if (statusData.maintenanceRequired !== undefined) {
-      trip.maintenanceRequired = statusData.maintenanceRequired;
-      if (statusData.maintenanceRequired && statusData.maintenanceNotes) {
-        trip.maintenanceNotes = statusData.maintenanceNotes;
-      }
+    // Legacy clients send the distance instead of the end odometer
+    const odometer = statusData.odometer
+      || (schedule.startOdometer != null && statusData.distance != null ? schedule.startOdometer + statusData.distance : undefined);
+    await tripScheduleService.completeTrip(id, schedule.driverId, {
+      odometer,
+      coordinates: statusData.coordinates,
+      fuelConsumption: statusData.fuelConsumption,
+      maintenanceRequired: statusData.maintenanceRequired,
+      maintenanceNotes: statusData.maintenanceNotes
+    });
+  } else {
+    if (isDriver) {
+      throw new Error('Cannot change trip status, drivers can only start and complete trips');
     }
-    
-    // Update driver's total trips count
-    await User.findOneAndUpdate(
-      { _id: trip.driver, role: 'driver' },
-      { $inc: { totalTrips: 1 } }
-    );
+    await tripScheduleService.cancelSchedule(id, user._id, { reason: statusData.reason || `Cancelled ${API_REASON}` });
   }
-  
-  trip.updatedAt = new Date();
-  await trip.save();
-  
-  // If trip is cancelled or completed, driver available again
-  if (status === 'cancelled' || status === 'completed') {
-    await User.findOneAndUpdate(
-      { _id: trip.driver, role: 'driver' },
-      { isAvailable: true }
-    );
-  } else if (status === 'in_progress') {
-    // If trip is in progress, mark driver as unavailable
-    await User.findOneAndUpdate(
-      { _id: trip.driver, role: 'driver' },
-      { isAvailable: false }
-    );
-  }
-  
-  return trip;
+
+  return getTripById(id);
 };
 
 /**
  * Add checkpoint to trip
- * @param {string} id - Trip ID
- * @param {Object} checkpoint - Checkpoint data
+ * @param {string} id - Trip schedule ID
+ * @param {Object} checkpoint - Legacy checkpoint, optionally with the destinationId it belongs to
+ * @param {Object} user - User adding the checkpoint
  * @returns {Promise<Object>} Updated trip
  */
-const addCheckpoint = async (id, checkpoint) => {
-  // Check if trip exists
-  const trip = await Trip.findOne({ 
-    _id: id, 
-    isActive: true, 
-    deletedAt: null 
-  });
-  
-  if (!trip) {
+const addCheckpoint = async (id, { destinationId, ...checkpoint }, user) => {
+  const schedule = await TripSchedule.findOne({ _id: id, isActive: true, deletedAt: null }, 'destinations._id');
+  if (!schedule) {
     throw new Error('Trip not found');
   }
-  
-  // Can only add checkpoints to trips that are scheduled or in progress
-  if (trip.status !== 'scheduled' && trip.status !== 'in_progress') {
-    throw new Error(`Cannot add checkpoints to a trip that is ${trip.status}`);
-  }
-  
-  // Add checkpoint
-  trip.checkpoints.push(checkpoint);
-  trip.updatedAt = new Date();
-  await trip.save();
-  
-  return trip;
+
+  // Without a destination the checkpoint is on the way to the last one
+  const destination = destinationId || schedule.destinations[schedule.destinations.length - 1]._id;
+  await tripScheduleService.addCheckpoint(id, destination, fromLegacyCheckpoint(checkpoint), user);
+
+  return getTripById(id);
 };
 
 /**
  * Update checkpoint status
- * @param {string} tripId - Trip ID
+ * @param {string} tripId - Trip schedule ID
  * @param {string} checkpointId - Checkpoint ID
  * @param {string} status - New status
  * @param {string} notes - Optional notes
+ * @param {Object} user - User updating the checkpoint
  * @returns {Promise<Object>} Updated trip
  */
-const updateCheckpointStatus = async (tripId, checkpointId, status, notes = '') => {
-  // Check if trip exists
-  const trip = await Trip.findOne({ 
-    _id: tripId, 
-    isActive: true, 
-    deletedAt: null 
-  });
-  
-  if (!trip) {
-    throw new Error('Trip not found');
-  }
-  
-  // Can only update checkpoints for trips that are in progress
-  if (trip.status !== 'in_progress') {
-    throw new Error('Cannot update checkpoints for a trip that is not in progress');
-  }
-  
-  // Find the checkpoint
-  const checkpoint = trip.checkpoints.id(checkpointId);
-  if (!checkpoint) {
-    throw new Error('Checkpoint not found');
-  }
-  
-  // Update checkpoint
-  checkpoint.status = status;
-  if (notes) {
-    checkpoint.notes = notes;
-  }
-  checkpoint.timestamp = new Date();
-  
-  trip.updatedAt = new Date();
-  await trip.save();
-  
-  return trip;
+const updateCheckpointStatus = async (tripId, checkpointId, status, notes, user) => {
+  await tripScheduleService.updateCheckpointStatus(tripId, checkpointId, { status, notes }, user);
+  return getTripById(tripId);
 };
 
 /**
  * Delete trip (soft delete)
- * @param {string} id - Trip ID
- * @returns {Promise<Object>} Deleted trip
+ * @param {string} id - Trip schedule ID
+ * @param {string} userId - User ID deleting the trip
+ * @returns {Promise<TripSchedule>} Deleted schedule
  */
-const deleteTrip = async (id) => {
-  // Check if trip exists
-  const trip = await Trip.findOne({ 
-    _id: id, 
-    isActive: true, 
-    deletedAt: null 
-  });
-  
-  if (!trip) {
+const deleteTrip = async (id, userId) => {
+  const schedule = await TripSchedule.findOne({ _id: id, isActive: true, deletedAt: null }, 'status');
+  if (!schedule) {
     throw new Error('Trip not found');
   }
-  
-  // Cannot delete trips that are in progress
-  if (trip.status === 'in_progress') {
-    throw new Error('Cannot delete a trip that is in progress');
+
+  // Cannot delete trips that have started
+  if (['in progress', 'completed'].includes(schedule.status)) {
+    throw new Error(`Cannot delete a trip that is ${schedule.status}`);
   }
-  
-  // Soft delete
-  trip.isActive = false;
-  trip.deletedAt = new Date();
-  trip.updatedAt = new Date();
-  await trip.save();
-  
-  return trip;
+
+  const { schedule: deleted } = await tripScheduleService.deleteSchedule(id, userId, { reason: `Deleted ${API_REASON}` });
+  return deleted;
 };
 
 module.exports = {
@@ -617,4 +487,4 @@ module.exports = {
   addCheckpoint,
   updateCheckpointStatus,
   deleteTrip
-}; 
\ No newline at end of file
+};
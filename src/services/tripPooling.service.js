@@ -0,0 +1,295 @@
+/**
+ * Trip Pooling Service
+ * Groups compatible pending trip requests so they can share one vehicle
+ */
+const { status } = require('http-status');
+const moment = require('moment-timezone');
+const { TripRequest, Vehicle } = require('../models');
+const ApiError = require('../utils/ApiError');
+const tripScheduleService = require('./tripSchedule.service');
+const { vehicleMatchesRequirement } = require('./assignment.service');
+const env = require('../config/env');
+
+// Local hours covered by each timeType
+const TIME_TYPE_HOURS = {
+  morning: [6, 12],
+  afternoon: [12, 17],
+  evening: [17, 22],
+  any: [0, 24]
+};
+
+/**
+ * Get the time window in which a request can be served
+ * @param {Object} tripRequest
+ * @returns {{start: Date, end: Date}}
+ */
+const getRequestWindow = (tripRequest) => {
+  const dateTime = moment(tripRequest.dateTime).tz('Asia/Dubai');
+  const hours = TIME_TYPE_HOURS[tripRequest.timeType];
+
+  if (hours) {
+    return {
+      start: dateTime.clone().startOf('day').add(hours[0], 'hours').toDate(),
+      end: dateTime.clone().startOf('day').add(hours[1], 'hours').toDate()
+    };
+  }
+
+  return {
+    start: dateTime.clone().subtract(env.POOLING_TIME_TOLERANCE_MINUTES, 'minutes').toDate(),
+    end: dateTime.clone().add(env.POOLING_TIME_TOLERANCE_MINUTES, 'minutes').toDate()
+  };
+};
+
+/**
+ * Normalise a destination name for comparison
+ * @param {string} destination
+ * @returns {string}
+ */
+const normaliseDestination = (destination) => (destination || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Get what a request has in common with a pool
+ * @param {Object} candidate - Request being considered
+ * @param {Object[]} members - Requests already in the pool
+ * @returns {{purposes: string[], destinations: string[]}}
+ */
+const getSharedTraits = (candidate, members) => {
+  const memberPurposes = new Set();
+  const memberDestinations = new Set();
+  members.forEach(member => {
+    member.destinations.forEach(dest => {
+      memberPurposes.add(dest.purpose.toString());
+      memberDestinations.add(normaliseDestination(dest.destination));
+    });
+  });
+
+  const purposes = new Set();
+  const destinations = new Set();
+  candidate.destinations.forEach(dest => {
+    if (memberPurposes.has(dest.purpose.toString())) {
+      purposes.add(dest.purpose.toString());
+    }
+    if (memberDestinations.has(normaliseDestination(dest.destination))) {
+      destinations.add(dest.destination);
+    }
+  });
+
+  return {
+    purposes: Array.from(purposes),
+    destinations: Array.from(destinations)
+  };
+};
+
+/**
+ * Vehicles that satisfy every request in a pool and seat all of its passengers
+ * @param {Object[]} vehicles - Active vehicles
+ * @param {Object[]} requests - Pooled requests
+ * @returns {Object[]}
+ */
+const getPoolVehicles = (vehicles, requests) => {
+  const totalPeople = requests.reduce((sum, request) => sum + (request.noOfPeople || 0), 0);
+
+  return vehicles
+    .filter(vehicle => vehicle.capacity >= totalPeople)
+    .filter(vehicle => requests.every(request => vehicleMatchesRequirement(vehicle, request.requiredVehicle)))
+    .sort((a, b) => a.capacity - b.capacity);
+};
+
+/**
+ * Propose pools of pending trip requests that can share one vehicle
+ * @param {Object} options
+ * @param {Date} options.dateFrom - Window start
+ * @param {Date} options.dateTo - Window end
+ * @param {number} [options.maxPoolSize] - Maximum requests per pool
+ * @returns {Promise<Object>} Proposed pools
+ */
+const proposePools = async ({ dateFrom, dateTo, maxPoolSize = 4 }) => {
+  const requests = await TripRequest.find({
+    status: 'pending',
+    deletedAt: null,
+    dateTime: { $gte: new Date(dateFrom), $lte: new Date(dateTo) }
+  })
+    .populate('createdBy', 'name phone')
+    .populate('destinations.purpose', 'name')
+    .sort({ dateTime: 1 })
+    .lean();
+
+  const vehicles = await Vehicle.find({
+    status: 'active',
+    isActive: true,
+    deletedAt: null,
+    capacity: { $gt: 0 }
+  }).lean();
+
+  // Compare purposes by id while keeping the populated names for the response
+  const purposeNames = new Map();
+  requests.forEach(request => {
+    request.destinations.forEach(dest => {
+      if (dest.purpose && dest.purpose._id) {
+        purposeNames.set(dest.purpose._id.toString(), dest.purpose.name);
+        dest.purpose = dest.purpose._id;
+      }
+    });
+    request.window = getRequestWindow(request);
+  });
+
+  const pooledIds = new Set();
+  const pools = [];
+
+  requests.forEach(seed => {
+    if (pooledIds.has(seed._id.toString())) {
+      return;
+    }
+
+    const members = [seed];
+    let window = { ...seed.window };
+    const sharedPurposes = new Set();
+    const sharedDestinations = new Set();
+
+    for (const candidate of requests) {
+      if (members.length >= maxPoolSize) {
+        break;
+      }
+      if (candidate === seed || pooledIds.has(candidate._id.toString())) {
+        continue;
+      }
+
+      const overlap = {
+        start: new Date(Math.max(window.start, candidate.window.start)),
+        end: new Date(Math.min(window.end, candidate.window.end))
+      };
+      if (overlap.start > overlap.end) {
+        continue;
+      }
+
+      const shared = getSharedTraits(candidate, members);
+      if (shared.purposes.length === 0 && shared.destinations.length === 0) {
+        continue;
+      }
+
+      if (getPoolVehicles(vehicles, [...members, candidate]).length === 0) {
+        continue;
+      }
+
+      members.push(candidate);
+      window = overlap;
+      shared.purposes.forEach(purpose => sharedPurposes.add(purpose));
+      shared.destinations.forEach(destination => sharedDestinations.add(destination));
+    }
+
+    if (members.length < 2) {
+      return;
+    }
+
+    members.forEach(member => pooledIds.add(member._id.toString()));
+
+    pools.push({
+      requestIds: members.map(member => member._id),
+      requests: members.map(member => ({
+        id: member._id,
+        dateTime: member.dateTime,
+        timeType: member.timeType,
+        noOfPeople: member.noOfPeople,
+        requiredVehicle: member.requiredVehicle,
+        destinations: member.destinations.map(dest => ({
+          destination: dest.destination,
+          purpose: dest.purpose ? { id: dest.purpose, name: purposeNames.get(dest.purpose.toString()) } : null
+        })),
+        createdBy: member.createdBy ? {
+          id: member.createdBy._id,
+          name: member.createdBy.name,
+          phone: member.createdBy.phone
+        } : null
+      })),
+      totalPeople: members.reduce((sum, member) => sum + (member.noOfPeople || 0), 0),
+      window,
+      sharedPurposes: Array.from(sharedPurposes).map(id => ({ id, name: purposeNames.get(id) })),
+      sharedDestinations: Array.from(sharedDestinations),
+      candidateVehicles: getPoolVehicles(vehicles, members).map(vehicle => ({
+        id: vehicle._id,
+        name: vehicle.name,
+        type: vehicle.type,
+        capacity: vehicle.capacity
+      }))
+    });
+  });
+
+  return {
+    filters: { dateFrom, dateTo, maxPoolSize },
+    pendingRequests: requests.length,
+    pooledRequests: pooledIds.size,
+    pools
+  };
+};
+
+/**
+ * Turn an accepted pool into a trip schedule and link its requests
+ * @param {Object} poolBody
+ * @param {ObjectId[]} poolBody.requestIds - Requests in the pool
+ * @param {ObjectId} poolBody.driverId
+ * @param {ObjectId} poolBody.vehicleId
+ * @param {Date} poolBody.tripStartTime
+ * @param {Date} [poolBody.tripApproxArrivalTime]
+ * @param {boolean} [poolBody.isForceSchedule] - Skip the availability check
+ * @param {Object} [poolBody.complianceOverride] - Admin reason to schedule despite expired documents
+ * @param {ObjectId} userId - User ID creating the schedule
+ * @returns {Promise<TripSchedule>}
+ */
+const createScheduleFromPool = async (poolBody, userId) => {
+  const { requestIds, driverId, vehicleId, tripStartTime, tripApproxArrivalTime, isForceSchedule, complianceOverride } = poolBody;
+
+  const requests = await TripRequest.find({ _id: { $in: requestIds }, deletedAt: null }).lean();
+  if (requests.length !== requestIds.length) {
+    throw new ApiError(status.NOT_FOUND, 'One or more trip requests were not found');
+  }
+
+  const notPending = requests.filter(request => request.status !== 'pending');
+  if (notPending.length > 0) {
+    throw new ApiError(status.BAD_REQUEST, 'All trip requests in a pool must be pending', {
+      requestIds: notPending.map(request => request._id)
+    });
+  }
+
+  const vehicle = await Vehicle.findOne({ _id: vehicleId, isActive: true, deletedAt: null }).lean();
+  if (!vehicle) {
+    throw new ApiError(status.NOT_FOUND, 'Vehicle not found');
+  }
+  if (vehicle.status !== 'active') {
+    throw new ApiError(status.BAD_REQUEST, `Vehicle is ${vehicle.status}`);
+  }
+
+  const totalPeople = requests.reduce((sum, request) => sum + (request.noOfPeople || 0), 0);
+  if (vehicle.capacity && totalPeople > vehicle.capacity) {
+    throw new ApiError(status.BAD_REQUEST, `Pool has ${totalPeople} people but the vehicle seats ${vehicle.capacity}`);
+  }
+
+  const mismatched = requests.filter(request => !vehicleMatchesRequirement(vehicle, request.requiredVehicle));
+  if (mismatched.length > 0) {
+    throw new ApiError(status.BAD_REQUEST, 'Vehicle does not match the required vehicle of every request', {
+      requestIds: mismatched.map(request => request._id)
+    });
+  }
+
+  // Keep the legs in the order the requests asked for
+  const orderedRequests = [...requests].sort((a, b) => a.dateTime - b.dateTime);
+
+  // Creating the schedule links the requests in the same transaction, and fails
+  // if any of them was scheduled by someone else in the meantime
+  return tripScheduleService.createSchedule({
+    driverId,
+    vehicleId,
+    isForceSchedule,
+    complianceOverride,
+    destinations: orderedRequests.map(request => ({
+      requestId: request._id,
+      tripStartTime,
+      tripApproxArrivalTime: tripApproxArrivalTime || null
+    }))
+  }, userId);
+};
+
+module.exports = {
+  getRequestWindow,
+  proposePools,
+  createScheduleFromPool
+};
@@ -409,22 +409,92 @@ const getTripRequestsByUser = async (userId, options = {}) => {
 };
 
 /**
- * Update request status (linked/unlinked from schedule)
- * @param {ObjectId} requestId 
- * @param {ObjectId} scheduleId - Schedule ID or null to unlink
- * @returns {Promise<TripRequest>}
+ * Link trip requests to a schedule and mark them as scheduled.
+ * Requests must be pending or already linked to the same schedule.
+ * @param {ObjectId[]} requestIds
+ * @param {ObjectId} scheduleId
+ * @param {ObjectId} userId - User ID making the change
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<void>}
  */
-const updateRequestLinkStatus = async (requestId, scheduleId) => {
-  const updated = await TripRequest.findByIdAndUpdate(
-    requestId,
-    {
-      linkedTripId: scheduleId,
-      status: scheduleId ? 'scheduled' : 'pending'
-    },
-    { new: true }
-  );
-  
-  return true;
+const linkRequestsToSchedule = async (requestIds, scheduleId, userId, session = null) => {
+  for (const requestId of requestIds) {
+    const tripRequest = await TripRequest.findOne({ _id: requestId, deletedAt: null }).session(session);
+    if (!tripRequest) {
+      throw new ApiError(status.NOT_FOUND, `Trip request ${requestId} not found`);
+    }
+
+    if (tripRequest.linkedTripId && tripRequest.linkedTripId.toString() === scheduleId.toString()) {
+      continue;
+    }
+
+    if (tripRequest.status !== 'pending' || tripRequest.linkedTripId) {
+      throw new ApiError(status.CONFLICT, `Trip request ${requestId} is already ${tripRequest.status}`, {
+        requestId,
+        linkedTripId: tripRequest.linkedTripId
+      });
+    }
+
+    const previousState = tripRequest.toObject();
+    tripRequest.status = 'scheduled';
+    tripRequest.linkedTripId = scheduleId;
+    await tripRequest.save({ session });
+
+    await TripRequestHistory.create([{
+      tripRequestId: tripRequest._id,
+      changedBy: userId,
+      changeType: 'status_changed',
+      previousState,
+      newState: tripRequest.toObject(),
+      remarks: 'Status changed to scheduled'
+    }], { session });
+  }
+};
+
+/**
+ * Unlink trip requests from a schedule and return them to pending, or cancel them.
+ * Requests that are no longer linked to the schedule are left alone.
+ * @param {ObjectId[]} requestIds
+ * @param {ObjectId} scheduleId
+ * @param {ObjectId} userId - User ID making the change
+ * @param {ClientSession} [session] - Transaction session
+ * @param {Object} [options]
+ * @param {string} [options.status] - New request status, pending or cancelled
+ * @param {string} [options.remarks] - History remarks
+ * @param {string} [options.cancelRemarks] - Stored on the request when it is cancelled
+ * @returns {Promise<TripRequest[]>} Requests that were unlinked
+ */
+const unlinkRequestsFromSchedule = async (requestIds, scheduleId, userId, session = null, options = {}) => {
+  const { status: newStatus = 'pending', remarks = `Status changed to ${newStatus}`, cancelRemarks = null } = options;
+  const unlinked = [];
+
+  for (const requestId of requestIds) {
+    const tripRequest = await TripRequest.findOne({ _id: requestId, linkedTripId: scheduleId }).session(session);
+    if (!tripRequest) {
+      continue;
+    }
+
+    const previousState = tripRequest.toObject();
+    tripRequest.status = newStatus;
+    tripRequest.linkedTripId = null;
+    if (newStatus === 'cancelled') {
+      tripRequest.cancelRemarks = cancelRemarks;
+    }
+    await tripRequest.save({ session });
+
+    await TripRequestHistory.create([{
+      tripRequestId: tripRequest._id,
+      changedBy: userId,
+      changeType: 'status_changed',
+      previousState,
+      newState: tripRequest.toObject(),
+      remarks
+    }], { session });
+
+    unlinked.push(tripRequest);
+  }
+
+  return unlinked;
 };
 
 module.exports = {
@@ -434,5 +504,6 @@ module.exports = {
   updateTripRequest,
   deleteTripRequest,
   getTripRequestsByUser,
-  updateRequestLinkStatus
+  linkRequestsToSchedule,
+  unlinkRequestsFromSchedule
 }; 
\ No newline at end of file
@@ -0,0 +1,238 @@
+/**
+ * Trip Route Service
+ * Rebuilds the driven route of a trip from the DriverLocation breadcrumbs tagged with its id
+ */
+const { status } = require('http-status');
+const { TripSchedule } = require('../models');
+const DriverLocation = require('../models/driverLocation.model');
+const ApiError = require('../utils/ApiError');
+const { haversineDistanceKm, isValidCoordinates, separateGpsJumps } = require('../utils/geo');
+const env = require('../config/env');
+
+/**
+ * Drop invalid points, GPS jumps and jitter from a trip's breadcrumbs
+ * @param {Object[]} points - DriverLocation documents sorted by timestamp
+ * @returns {Object[]} Cleaned points as { coordinates, timestamp }
+ */
+const cleanBreadcrumbs = (points) => {
+  const valid = points
+    .map(point => ({ coordinates: point.geometry && point.geometry.coordinates, timestamp: new Date(point.timestamp) }))
+    .filter(({ coordinates }) => isValidCoordinates(coordinates) && !(coordinates[0] === 0 && coordinates[1] === 0));
+
+  // A point the vehicle could not have reached in time is a bad fix, the first point included
+  const { kept } = separateGpsJumps(valid, env.GPS_MAX_SPEED_KMH);
+
+  const cleaned = [];
+  kept.forEach(current => {
+    const previous = cleaned[cleaned.length - 1];
+
+    // Small moves are the receiver wandering around a standing vehicle
+    if (previous && haversineDistanceKm(previous.coordinates, current.coordinates) * 1000 < env.GPS_JITTER_METERS) {
+      return;
+    }
+
+    cleaned.push(current);
+  });
+
+  return cleaned;
+};
+
+/**
+ * Find places where the vehicle stayed within the stop radius for at least the minimum stop time
+ * @param {Object[]} points - Raw DriverLocation documents sorted by timestamp
+ * @returns {Object[]} Stops as { coordinates, arrivedAt, departedAt, durationMinutes }
+ */
+const detectStops = (points) => {
+  const stops = [];
+  let cluster = null;
+
+  const closeCluster = () => {
+    if (!cluster) {
+      return;
+    }
+    const durationMinutes = (cluster.departedAt - cluster.arrivedAt) / (60 * 1000);
+    if (durationMinutes >= env.GPS_STOP_MIN_MINUTES) {
+      stops.push({ ...cluster, durationMinutes: Math.round(durationMinutes) });
+    }
+  };
+
+  points.forEach(point => {
+    const coordinates = point.geometry && point.geometry.coordinates;
+    if (!isValidCoordinates(coordinates)) {
+      return;
+    }
+    const timestamp = new Date(point.timestamp);
+
+    if (cluster && haversineDistanceKm(cluster.coordinates, coordinates) * 1000 <= env.GPS_STOP_RADIUS_METERS) {
+      cluster.departedAt = timestamp;
+      return;
+    }
+
+    closeCluster();
+    cluster = { coordinates, arrivedAt: timestamp, departedAt: timestamp };
+  });
+  closeCluster();
+
+  return stops;
+};
+
+/**
+ * Check whether GPS and odometer distance disagree by more than the tolerance
+ * @param {number|null} gpsDistance - Kilometres
+ * @param {number|null} odometerDistance - Kilometres
+ * @returns {boolean}
+ */
+const isDistanceMismatch = (gpsDistance, odometerDistance) => {
+  if (gpsDistance == null || odometerDistance == null) {
+    return false;
+  }
+  const reference = Math.max(gpsDistance, odometerDistance);
+  if (reference === 0) {
+    return false;
+  }
+  return (Math.abs(gpsDistance - odometerDistance) / reference) * 100 > env.GPS_DISTANCE_TOLERANCE_PERCENT;
+};
+
+/**
+ * Build the route and its metrics for a trip
+ * @param {Object} trip - TripSchedule document
+ * @returns {Promise<Object>} { path, stops, summary }
+ */
+const buildTripRoute = async (trip) => {
+  const points = await DriverLocation.find({ tripId: trip._id, isActive: true })
+    .sort({ timestamp: 1 })
+    .lean();
+
+  const path = cleanBreadcrumbs(points);
+  const stops = detectStops(points);
+
+  let distanceKm = 0;
+  for (let i = 1; i < path.length; i++) {
+    distanceKm += haversineDistanceKm(path[i - 1].coordinates, path[i].coordinates);
+  }
+
+  const startTime = trip.actualStartTime || (path[0] && path[0].timestamp);
+  const endTime = trip.actualEndTime || (path.length > 0 ? path[path.length - 1].timestamp : null);
+  const totalMinutes = startTime && endTime ? Math.max(0, (endTime - startTime) / (60 * 1000)) : 0;
+  const stoppedMinutes = Math.min(totalMinutes, stops.reduce((sum, stop) => sum + stop.durationMinutes, 0));
+
+  const gpsDistance = path.length > 1 ? Math.round(distanceKm * 10) / 10 : null;
+  const odometerDistance = trip.distanceTraveled != null ? trip.distanceTraveled : null;
+
+  return {
+    path,
+    stops,
+    summary: {
+      gpsDistance,
+      odometerDistance,
+      movingMinutes: Math.round(totalMinutes - stoppedMinutes),
+      stoppedMinutes: Math.round(stoppedMinutes),
+      stopCount: stops.length,
+      pointCount: points.length,
+      usedPointCount: path.length,
+      isDistanceMismatch: isDistanceMismatch(gpsDistance, odometerDistance)
+    }
+  };
+};
+
+/**
+ * Compute the GPS metrics of a completed trip and store them on it
+ * @param {ObjectId} tripId
+ * @returns {Promise<TripSchedule>} Trip with its GPS summary and distance flag
+ */
+const updateTripGpsSummary = async (tripId) => {
+  const trip = await TripSchedule.findById(tripId);
+  if (!trip) {
+    throw new ApiError(status.NOT_FOUND, 'Trip schedule not found');
+  }
+
+  const { summary } = await buildTripRoute(trip);
+
+  trip.gpsSummary = {
+    distance: summary.gpsDistance,
+    movingMinutes: summary.movingMinutes,
+    stoppedMinutes: summary.stoppedMinutes,
+    stopCount: summary.stopCount,
+    pointCount: summary.usedPointCount,
+    computedAt: new Date()
+  };
+  trip.isDistanceFlagged = summary.isDistanceMismatch;
+  await trip.save();
+
+  return trip;
+};
+
+/**
+ * Get the reconstructed route of a trip as a GeoJSON FeatureCollection
+ * @param {ObjectId} scheduleId
+ * @returns {Promise<Object>} FeatureCollection with the path, start, end and stops
+ */
+const getTripRoute = async (scheduleId) => {
+  const trip = await TripSchedule.findOne({ _id: scheduleId, deletedAt: null }).lean();
+  if (!trip) {
+    throw new ApiError(status.NOT_FOUND, 'Trip schedule not found');
+  }
+
+  const { path, stops, summary } = await buildTripRoute(trip);
+  const features = [];
+
+  if (path.length > 1) {
+    features.push({
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        coordinates: path.map(point => point.coordinates)
+      },
+      properties: {
+        type: 'path',
+        timestamps: path.map(point => point.timestamp)
+      }
+    });
+  }
+
+  if (path.length > 0) {
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: path[0].coordinates },
+      properties: { type: 'start', timestamp: path[0].timestamp }
+    });
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: path[path.length - 1].coordinates },
+      properties: { type: 'end', timestamp: path[path.length - 1].timestamp }
+    });
+  }
+
+  stops.forEach(stop => {
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: stop.coordinates },
+      properties: {
+        type: 'stop',
+        arrivedAt: stop.arrivedAt,
+        departedAt: stop.departedAt,
+        durationMinutes: stop.durationMinutes
+      }
+    });
+  });
+
+  return {
+    type: 'FeatureCollection',
+    features,
+    properties: {
+      tripScheduleId: trip._id,
+      status: trip.status,
+      actualStartTime: trip.actualStartTime || null,
+      actualEndTime: trip.actualEndTime || null,
+      ...summary
+    }
+  };
+};
+
+module.exports = {
+  cleanBreadcrumbs,
+  detectStops,
+  isDistanceMismatch,
+  getTripRoute,
+  updateTripGpsSummary
+};
@@ -1,5 +1,5 @@
 const { status } = require('http-status');
-const { TripSchedule, TripRequest, TripPurpose } = require('../models');
+const { TripSchedule, TripPurpose, RecurringSchedule } = require('../models');
 const ApiError = require('../utils/ApiError');
 const { getPagination } = require('../utils/pagination');
 const mongoose = require('mongoose');
@@ -10,6 +10,31 @@ const httpStatus = require('http-status');
 const { sendNotificationsToRoles } = require('../utils/notifcationHelper');
 const { createTripStartedNotification, createTripEndedNotification } = require('../notificationTemplates/trips');
 const driverAttendanceService = require('../services/driverAttendance.service');
+const tripRequestService = require('./tripRequest.service');
+const tripRouteService = require('./tripRoute.service');
+const liveFleetService = require('./liveFleet.service');
+const tripTrackingService = require('./tripTracking.service');
+const maintenancePlanService = require('./maintenancePlan.service');
+const maintenanceService = require('./maintenance.service');
+const vehicleDowntimeService = require('./vehicleDowntime.service');
+const complianceService = require('./compliance.service');
+const rosterService = require('./roster.service');
+const workingHoursService = require('./workingHours.service');
+const withTransaction = require('../utils/transaction');
+
+/**
+ * Format a destination checkpoint
+ * @param {Object} checkpoint
+ * @returns {Object}
+ */
+const formatCheckpoint = (checkpoint) => ({
+  id: checkpoint._id,
+  address: checkpoint.address || null,
+  coordinates: checkpoint.coordinates && checkpoint.coordinates.length ? checkpoint.coordinates : null,
+  status: checkpoint.status,
+  timestamp: checkpoint.timestamp || null,
+  notes: checkpoint.notes || null
+});
 
 /**
  * Format trip schedule data according to required structure
@@ -20,6 +45,12 @@ const formatTripSchedule = (schedule, needActualTrip = false) => {
   const formatted = {
     id: schedule._id,
     status: schedule.status,
+    title: schedule.title || null,
+    notes: schedule.notes || null,
+    startLocation: schedule.startLocation && (schedule.startLocation.address || schedule.startLocation.coordinates?.length) ? {
+      address: schedule.startLocation.address || null,
+      coordinates: schedule.startLocation.coordinates?.length ? schedule.startLocation.coordinates : null
+    } : null,
     createdBy: schedule.createdBy ? {
       id: schedule.createdBy._id,
       name: schedule.createdBy.name,
@@ -56,6 +87,11 @@ const formatTripSchedule = (schedule, needActualTrip = false) => {
           tripStartTime: dest.tripStartTime,
           tripApproxArrivalTime: dest.tripApproxArrivalTime,
           tripPurposeTime: dest.tripPurposeTime,
+          coordinates: dest.coordinates && dest.coordinates.length ? dest.coordinates : null,
+          geofenceRadius: dest.geofenceRadius || null,
+          actualArrivalTime: dest.actualArrivalTime || null,
+          actualDepartureTime: dest.actualDepartureTime || null,
+          checkpoints: (dest.checkpoints || []).map(formatCheckpoint),
           jobCardId: dest.requestId.jobCardId || null,
           noOfPeople: dest.requestId.noOfPeople || 0,
           createdBy: dest.requestId.createdBy ? {
@@ -77,6 +113,11 @@ const formatTripSchedule = (schedule, needActualTrip = false) => {
           tripStartTime: dest.tripStartTime,
           tripApproxArrivalTime: dest.tripApproxArrivalTime,
           tripPurposeTime: dest.tripPurposeTime,
+          coordinates: dest.coordinates && dest.coordinates.length ? dest.coordinates : null,
+          geofenceRadius: dest.geofenceRadius || null,
+          actualArrivalTime: dest.actualArrivalTime || null,
+          actualDepartureTime: dest.actualDepartureTime || null,
+          checkpoints: (dest.checkpoints || []).map(formatCheckpoint),
           jobCardId: null,
           noOfPeople: null,
           createdBy: dest.destinationAddedBy ? {
@@ -89,6 +130,8 @@ const formatTripSchedule = (schedule, needActualTrip = false) => {
     }),
     tripStartTime: schedule.destinations[0]?.tripStartTime,
     tripApproxReturnTime: schedule.destinations[schedule.destinations.length - 1]?.tripApproxArrivalTime,
+    isOffRoster: schedule.isOffRoster || false,
+    workingHoursWarnings: schedule.workingHoursWarnings || [],
     createdAt: schedule.createdAt,
     updatedAt: schedule.updatedAt,
     actualTrip: needActualTrip ? {
@@ -96,7 +139,13 @@ const formatTripSchedule = (schedule, needActualTrip = false) => {
       endOdometer: schedule.endOdometer,
       distanceTraveled: schedule.distanceTraveled,
       actualStartTime: schedule.actualStartTime,
-      actualEndTime: schedule.actualEndTime
+      actualEndTime: schedule.actualEndTime,
+      gpsSummary: schedule.gpsSummary && schedule.gpsSummary.computedAt ? schedule.gpsSummary : null,
+      isDistanceFlagged: schedule.isDistanceFlagged || false,
+      fuelConsumption: schedule.fuelConsumption ?? null,
+      maintenanceRequired: schedule.maintenanceRequired || false,
+      maintenanceNotes: schedule.maintenanceNotes || null,
+      maintenanceRequestId: schedule.maintenanceRequestId || null
     } : null
   };
 
@@ -193,6 +242,30 @@ const getScheduleById = async (id, formatted = true) => {
   return formatted ? formatTripSchedule(schedule) : schedule;
 };
 
+/**
+ * Get the trip request IDs linked from schedule destinations
+ * @param {Object[]} destinations - Schedule destinations (raw or populated)
+ * @returns {string[]} Unique request IDs
+ */
+const getRequestIds = (destinations = []) => {
+  const requestIds = destinations
+    .filter(dest => dest.requestId)
+    .map(dest => (dest.requestId._id || dest.requestId).toString());
+  return [...new Set(requestIds)];
+};
+
+/**
+ * Check whether a driver is on leave, on a holiday or off shift during a trip
+ * @param {ObjectId} driverId
+ * @param {Date} startTime
+ * @param {Date} endTime
+ * @returns {Promise<boolean>}
+ */
+const isOffRoster = async (driverId, startTime, endTime) => {
+  const rosterConflicts = await rosterService.getRosterConflicts(driverId, startTime, endTime);
+  return rosterConflicts.length > 0;
+};
+
 /**
  * Create a trip schedule
  * @param {Object} scheduleBody
@@ -225,10 +298,27 @@ const createSchedule = async (scheduleBody, userId) => {
     }
   });
   
+  // Mandatory documents must be valid for the whole trip, isForceSchedule doesn't skip this
+  const { complianceOverride } = scheduleBody;
+  delete scheduleBody.complianceOverride;
+  const overriddenItems = await complianceService.checkScheduleCompliance({
+    vehicleId: scheduleBody.vehicleId,
+    driverId: scheduleBody.driverId,
+    validUntil: tripApproxArrivalTime || tripStartTime,
+    override: complianceOverride
+  }, userId);
+
+  // Blocking working hour rules aren't skipped by isForceSchedule either
+  scheduleBody.workingHoursWarnings = await workingHoursService.checkWorkingHours({
+    driverId: scheduleBody.driverId,
+    startTime: tripStartTime,
+    endTime: tripApproxArrivalTime
+  });
+
   // Check vehicle and driver availability before creating the schedule
   // If isForceSchedule is true, skip availability check
   if (!scheduleBody.isForceSchedule) {
-    const { isAvailable, conflictingSchedules } = await checkAvailability(
+    const { isAvailable, conflictingSchedules, conflictingMaintenance, rosterConflicts } = await checkAvailability(
       scheduleBody.vehicleId,
       scheduleBody.driverId,
       tripStartTime,
@@ -246,25 +336,42 @@ const createSchedule = async (scheduleBody, userId) => {
       // Determine what's conflicting
       const vehicleConflicts = conflictingSchedules.filter(s => s.vehicleId && s.vehicleId._id.toString() === scheduleBody.vehicleId.toString());
       const driverConflicts = conflictingSchedules.filter(s => s.driverId && s.driverId._id.toString() === scheduleBody.driverId.toString());
+      const hasVehicleConflict = vehicleConflicts.length > 0 || conflictingMaintenance.length > 0;
+      const hasDriverConflict = driverConflicts.length > 0 || rosterConflicts.length > 0;
       
       let conflictMessage = '';
-      if (vehicleConflicts.length > 0 && driverConflicts.length > 0) {
+      if (hasVehicleConflict && hasDriverConflict) {
         conflictMessage = 'vehicle-driver';
-      } else if (vehicleConflicts.length > 0) {
+      } else if (hasVehicleConflict) {
         conflictMessage = 'vehicle';
-      } else if (driverConflicts.length > 0) {
+      } else if (hasDriverConflict) {
         conflictMessage = 'driver';
       } else {
         conflictMessage = 'resource';
       }
       
-      throw new ApiError(status.CONFLICT, conflictMessage, { conflictingSchedules });
+      throw new ApiError(status.CONFLICT, conflictMessage, { conflictingSchedules, conflictingMaintenance, rosterConflicts });
     }
   }
   
   scheduleBody.tripStartTime = tripStartTime;
   scheduleBody.tripApproxArrivalTime = tripApproxArrivalTime;
-  return TripSchedule.create(scheduleBody);
+  // Only forced schedules get past roster conflicts, they are flagged for review
+  scheduleBody.isOffRoster = scheduleBody.isForceSchedule
+    ? await isOffRoster(scheduleBody.driverId, tripStartTime, tripApproxArrivalTime)
+    : false;
+
+  const requestIds = getRequestIds(scheduleBody.destinations);
+
+  // Create the schedule and link its requests together, or not at all
+  return withTransaction(async (session) => {
+    const [schedule] = await TripSchedule.create([scheduleBody], { session });
+    await tripRequestService.linkRequestsToSchedule(requestIds, schedule._id, userId, session);
+    if (overriddenItems.length > 0) {
+      await complianceService.recordOverride(schedule, overriddenItems, complianceOverride.reason, userId, session);
+    }
+    return schedule;
+  });
 };
 
 /**
@@ -276,10 +383,10 @@ const createSchedule = async (scheduleBody, userId) => {
 const updateSchedule = async (scheduleId, updateBody, userId) => {
   const schedule = await getScheduleById(scheduleId, false); // Get raw document
   
-  const existingRequestIds=schedule.destinations.map(dest=>dest.requestId?._id.toString());
-  const updatedRequestIds=updateBody.destinations.map(dest=>dest.requestId);
-  const newlyAddedRequestIds=updatedRequestIds.filter(id=>!existingRequestIds.includes(id));
-  const deletedRequestIds=existingRequestIds.filter(id=>!updatedRequestIds.includes(id));
+  const existingRequestIds = getRequestIds(schedule.destinations);
+  const updatedRequestIds = getRequestIds(updateBody.destinations);
+  const newlyAddedRequestIds = updatedRequestIds.filter(id => !existingRequestIds.includes(id));
+  const deletedRequestIds = existingRequestIds.filter(id => !updatedRequestIds.includes(id));
   // Initialize with first destination's times
   let updatedTripStartTime = new Date(updateBody.destinations[0].tripStartTime);
   let updatedTripApproxArrivalTime = new Date(updateBody.destinations[0].tripApproxArrivalTime);
@@ -301,13 +408,20 @@ const updateSchedule = async (scheduleId, updateBody, userId) => {
     }
   });
 
+  const workingHoursWarnings = await workingHoursService.checkWorkingHours({
+    driverId: updateBody.driverId || schedule.driverId,
+    startTime: updatedTripStartTime,
+    endTime: updatedTripApproxArrivalTime,
+    excludeScheduleId: schedule._id
+  });
+
   // Check vehicle and driver availability before updating the schedule
   // If isForceSchedule is true, skip availability check
   if (!updateBody.isForceSchedule) {
     const vehicleId = updateBody.vehicleId || schedule.vehicleId;
     const driverId = updateBody.driverId || schedule.driverId;
     
-    const { isAvailable, conflictingSchedules } = await checkAvailability(
+    const { isAvailable, conflictingSchedules, conflictingMaintenance, rosterConflicts } = await checkAvailability(
       vehicleId,
       driverId,
       updatedTripStartTime,
@@ -319,19 +433,21 @@ const updateSchedule = async (scheduleId, updateBody, userId) => {
       // Determine what's conflicting
       const vehicleConflicts = conflictingSchedules.filter(s => s.vehicleId && s.vehicleId._id.toString() === vehicleId.toString());
       const driverConflicts = conflictingSchedules.filter(s => s.driverId && s.driverId._id.toString() === driverId.toString());
+      const hasVehicleConflict = vehicleConflicts.length > 0 || conflictingMaintenance.length > 0;
+      const hasDriverConflict = driverConflicts.length > 0 || rosterConflicts.length > 0;
       
       let conflictMessage = '';
-      if (vehicleConflicts.length > 0 && driverConflicts.length > 0) {
+      if (hasVehicleConflict && hasDriverConflict) {
         conflictMessage = 'vehicle-driver';
-      } else if (vehicleConflicts.length > 0) {
+      } else if (hasVehicleConflict) {
         conflictMessage = 'vehicle';
-      } else if (driverConflicts.length > 0) {
+      } else if (hasDriverConflict) {
         conflictMessage = 'driver';
       } else {
         conflictMessage = 'resource';
       }
       
-      throw new ApiError(status.CONFLICT, conflictMessage, { conflictingSchedules });
+      throw new ApiError(status.CONFLICT, conflictMessage, { conflictingSchedules, conflictingMaintenance, rosterConflicts });
     }
   }
 
@@ -340,54 +456,146 @@ const updateSchedule = async (scheduleId, updateBody, userId) => {
   delete safeUpdateBody.createdAt;
   
   Object.assign(schedule, safeUpdateBody);
+
+  // Editing a single occurrence detaches it from later edits to its series
+  if (schedule.recurringScheduleId) {
+    schedule.isRecurrenceException = true;
+  }
  
   schedule.tripStartTime = updatedTripStartTime.toUTCString();
   schedule.tripApproxArrivalTime = updatedTripApproxArrivalTime.toUTCString();
+  schedule.workingHoursWarnings = workingHoursWarnings;
+  schedule.isOffRoster = updateBody.isForceSchedule
+    ? await isOffRoster(schedule.driverId, updatedTripStartTime, updatedTripApproxArrivalTime)
+    : false;
   
-  //find trip requests by ids and update status to 'scheduled'
-  await TripRequest.updateMany({_id:{$in:newlyAddedRequestIds}},{$set:{status:'scheduled', linkedTripId: schedule._id}});
-  //find trip requests by ids and update status to 'pending', 'cancelled'
-  await TripRequest.updateMany({_id:{$in:deletedRequestIds}},{$set:{status:'pending',linkedTripId:null}});
-
-  await schedule.save();
+  // Move request links and the schedule together
+  await withTransaction(async (session) => {
+    await tripRequestService.linkRequestsToSchedule(newlyAddedRequestIds, schedule._id, userId, session);
+    await tripRequestService.unlinkRequestsFromSchedule(deletedRequestIds, schedule._id, userId, session, {
+      remarks: 'Removed from trip schedule'
+    });
+    await schedule.save({ session });
+  });
  
   return formatTripSchedule(schedule); // Return formatted data
 };
 
 /**
- * Delete trip schedule by id (soft delete)
+ * Get the request status and history remarks for a cancellation policy
+ * @param {string} requestPolicy - pending (requests can be scheduled again) or cancelled
+ * @param {string} action - Description of what happened to the schedule
+ * @param {string} reason - Cancellation reason
+ * @returns {Object} Options for unlinkRequestsFromSchedule
+ */
+const getRequestCancellationOptions = (requestPolicy, action, reason) => ({
+  status: requestPolicy === 'cancelled' ? 'cancelled' : 'pending',
+  remarks: requestPolicy === 'cancelled'
+    ? `${action}, request cancelled: ${reason}`
+    : `${action}, request returned to pending: ${reason}`,
+  cancelRemarks: reason
+});
+
+/**
+ * Delete trip schedule by id (soft delete). Only scheduled and cancelled schedules can be deleted,
+ * trips that started stay on record.
  * @param {ObjectId} scheduleId
  * @param {ObjectId} userId - User ID deleting the schedule
- * @returns {Promise<TripSchedule>}
+ * @param {Object} cancellation
+ * @param {string} cancellation.reason - Why the schedule is deleted
+ * @param {string} [cancellation.requestPolicy] - pending or cancelled, applied to linked requests
+ * @returns {Promise<{schedule: TripSchedule, affectedRequests: TripRequest[]}>}
  */
-const deleteSchedule = async (scheduleId, userId) => {
+const deleteSchedule = async (scheduleId, userId, { reason, requestPolicy = 'pending' } = {}) => {
+  if (!reason) {
+    throw new ApiError(status.BAD_REQUEST, 'A reason is required to delete a trip schedule');
+  }
+
   const schedule = await getScheduleById(scheduleId, false);
+
+  if (!['scheduled', 'cancelled'].includes(schedule.status)) {
+    throw new ApiError(status.BAD_REQUEST, `Cannot delete a trip schedule that is ${schedule.status}`);
+  }
+
+  const requestIds = getRequestIds(schedule.destinations);
   
   // Soft delete
   schedule.isActive = false;
   schedule.deletedAt = new Date();
   schedule.deletedBy = userId;
-  await schedule.save();
+  schedule.deletionReason = reason;
+
+  const affectedRequests = await withTransaction(async (session) => {
+    const unlinked = await tripRequestService.unlinkRequestsFromSchedule(
+      requestIds,
+      schedule._id,
+      userId,
+      session,
+      getRequestCancellationOptions(requestPolicy, 'Trip schedule deleted', reason)
+    );
+    await schedule.save({ session });
+
+    // Exclude the occurrence from its series so it isn't generated again
+    if (schedule.recurringScheduleId && schedule.occurrenceDate) {
+      await RecurringSchedule.updateOne(
+        { _id: schedule.recurringScheduleId },
+        { $addToSet: { 'recurrence.exceptionDates': schedule.occurrenceDate } },
+        { session }
+      );
+    }
+
+    return unlinked;
+  });
   
-  return schedule;
+  return { schedule, affectedRequests };
 };
 
 /**
  * Cancel trip schedule by id
  * @param {ObjectId} scheduleId
  * @param {ObjectId} userId - User ID cancelling the schedule
- * @returns {Promise<TripSchedule>}
+ * @param {Object} cancellation
+ * @param {string} cancellation.reason - Why the schedule is cancelled
+ * @param {string} [cancellation.requestPolicy] - pending or cancelled, applied to linked requests
+ * @returns {Promise<{schedule: TripSchedule, affectedRequests: TripRequest[]}>}
  */
-const cancelSchedule = async (scheduleId, userId) => {
+const cancelSchedule = async (scheduleId, userId, { reason, requestPolicy = 'pending' } = {}) => {
+  if (!reason) {
+    throw new ApiError(status.BAD_REQUEST, 'A reason is required to cancel a trip schedule');
+  }
+
   const schedule = await getScheduleById(scheduleId, false);
+
+  if (['completed', 'cancelled'].includes(schedule.status)) {
+    throw new ApiError(status.BAD_REQUEST, `Trip schedule is already ${schedule.status}`);
+  }
+
+  const requestIds = getRequestIds(schedule.destinations);
   
-  // Soft delete
   schedule.status = 'cancelled';
   schedule.cancelledBy = userId;
   schedule.cancelledAt = new Date();
-  await schedule.save();
+  schedule.cancellationReason = reason;
+
+  const affectedRequests = await withTransaction(async (session) => {
+    const unlinked = await tripRequestService.unlinkRequestsFromSchedule(
+      requestIds,
+      schedule._id,
+      userId,
+      session,
+      getRequestCancellationOptions(requestPolicy, 'Trip schedule cancelled', reason)
+    );
+    await schedule.save({ session });
+    return unlinked;
+  });
+
+  await tripTrackingService.revokeTripLinks(schedule._id, 'cancelled');
+
+  liveFleetService.publishTripStatus(schedule).catch(error => {
+    console.error('Error publishing trip status:', error);
+  });
   
-  return schedule;
+  return { schedule, affectedRequests };
 };
 
 /**
@@ -413,20 +621,24 @@ const getSchedulesByVehicle = async (vehicleId, options = {}) => {
 };
 
 /**
- * Check vehicle and driver availability for a time range
- * @param {ObjectId} vehicleId
- * @param {ObjectId} driverId
+ * Check vehicle and driver availability for a time range.
+ * Scheduled and in-service maintenance of the vehicle counts as a conflict, and so do leave, sick
+ * days, public holidays and times outside the planned shifts of a rostered driver.
+ * @param {ObjectId|null} vehicleId - Null checks the driver only
+ * @param {ObjectId|null} driverId - Null checks the vehicle only
  * @param {Date} startTime
  * @param {Date} endTime
  * @param {ObjectId} [excludeScheduleId] - Schedule ID to exclude (for updates)
- * @returns {Promise<{isAvailable: boolean, conflictingSchedules: TripSchedule[]}>}
+ * @returns {Promise<{isAvailable: boolean, conflictingSchedules: TripSchedule[], conflictingMaintenance: Object[], rosterConflicts: Object[]}>}
  */
 const checkAvailability = async (vehicleId, driverId, startTime, endTime, excludeScheduleId = null) => {
-  // If either startTime or endTime is null, consider as available
-  if (!startTime || !endTime) {
+  // If either startTime or endTime is null, or there is nothing to check, consider as available
+  if (!startTime || !endTime || (!vehicleId && !driverId)) {
     return {
       isAvailable: true,
-      conflictingSchedules: []
+      conflictingSchedules: [],
+      conflictingMaintenance: [],
+      rosterConflicts: []
     };
   }
 
@@ -450,15 +662,16 @@ const checkAvailability = async (vehicleId, driverId, startTime, endTime, exclud
     ]
   };
 
-  // Create filter for checking conflicts
+  // Create filter for checking conflicts, only with the given vehicle or driver. Both $or
+  // conditions go under $and so the date range doesn't replace the resource condition.
   const filter = {
     isActive: true,
     deletedAt: null,
-    $or: [
-      { vehicleId },
-      { driverId }
-    ],
-    ...dateFilter
+    status: { $nin: ['cancelled', 'completed'] },
+    $and: [
+      { $or: [vehicleId && { vehicleId }, driverId && { driverId }].filter(Boolean) },
+      dateFilter
+    ]
   };
 
   // Exclude the current schedule if provided (for updates)
@@ -481,8 +694,13 @@ const checkAvailability = async (vehicleId, driverId, startTime, endTime, exclud
     })
     .populate('destinations.purposeId', 'name jobCardNeeded');
 
+  const conflictingMaintenance = await vehicleDowntimeService.getMaintenanceWindows(vehicleId, startTime, endTime);
+  const rosterConflicts = await rosterService.getRosterConflicts(driverId, startTime, endTime);
+
   return {
-    isAvailable: conflictingSchedules.length === 0,
+    isAvailable: conflictingSchedules.length === 0 && conflictingMaintenance.length === 0 && rosterConflicts.length === 0,
+    conflictingMaintenance,
+    rosterConflicts,
     conflictingSchedules: conflictingSchedules.map(schedule => ({
       _id: schedule._id,
       driverId: schedule.driverId,
@@ -690,11 +908,21 @@ const startTrip = async (tripId, driverId, updateData) => {
       'You already have an active trip. Please complete it before starting a new one.'
     );
   }
+
+  // A late start can go over the working hour limits the schedule kept to
+  const startedAt = new Date();
+  const plannedMs = trip.tripStartTime && trip.tripApproxArrivalTime ? trip.tripApproxArrivalTime - trip.tripStartTime : 0;
+  trip.workingHoursWarnings = await workingHoursService.checkWorkingHours({
+    driverId,
+    startTime: startedAt,
+    endTime: plannedMs > 0 ? new Date(startedAt.getTime() + plannedMs) : null,
+    excludeScheduleId: trip._id
+  }, startedAt);
   
   // Update trip status
   trip.status = 'in progress';
   trip.startOdometer = updateData.odometer;
-  trip.actualStartTime = new Date();
+  trip.actualStartTime = startedAt;
   
   await trip.save();
   
@@ -703,6 +931,10 @@ const startTrip = async (tripId, driverId, updateData) => {
     const vehicle = await Vehicle.findById(trip.vehicleId);
       vehicle.odometer = updateData.odometer;
       await vehicle.save();
+
+    maintenancePlanService.evaluateVehicle(trip.vehicleId).catch(error => {
+      console.error('Error evaluating maintenance plans:', error);
+    });
   }
   
   // Record driver location if coordinates provided
@@ -710,7 +942,7 @@ const startTrip = async (tripId, driverId, updateData) => {
     try {
       await DriverLocation.create({
         driverId,
-        location: {
+        geometry: {
           type: 'Point',
           coordinates: updateData.coordinates
         },
@@ -723,6 +955,15 @@ const startTrip = async (tripId, driverId, updateData) => {
       console.error('Failed to record trip start location:', error);
     }
   }
+  liveFleetService.publishTripStatus(trip).catch(error => {
+    console.error('Error publishing trip status:', error);
+  });
+
+  // Send requestors a live tracking link
+  tripTrackingService.notifyRequestorsTripStarted(trip).catch(error => {
+    console.error('Error sending trip tracking links:', error);
+  });
+
   // Get trip data and send notifications asynchronously
   getScheduleById(tripId).then(tripData => {
     sendNotificationsToRoles(['admin', 'super-admin'], ['receiveDriverTripStarted'], `Trip Started: ${tripData.driver.name}`, createTripStartedNotification(tripData), {
@@ -790,13 +1031,23 @@ const completeTrip = async (tripId, driverId, updateData) => {
   trip.actualEndTime = new Date();
   trip.distanceTraveled = distanceTraveled;
   trip.notes = updateData.notes || trip.notes;
+
+  // Post-trip condition report
+  if (updateData.fuelConsumption !== undefined) {
+    trip.fuelConsumption = updateData.fuelConsumption;
+  }
+  trip.maintenanceRequired = Boolean(updateData.maintenanceRequired);
+  trip.maintenanceNotes = trip.maintenanceRequired ? updateData.maintenanceNotes : undefined;
   
   // Update vehicle odometer if it's higher than current
   if (updateData.odometer && trip.vehicleId) {
     const vehicle = await Vehicle.findById(trip.vehicleId);
       vehicle.odometer = updateData.odometer;
       await vehicle.save();
-    
+
+    maintenancePlanService.evaluateVehicle(trip.vehicleId).catch(error => {
+      console.error('Error evaluating maintenance plans:', error);
+    });
   }
   
   await trip.save();
@@ -806,7 +1057,7 @@ const completeTrip = async (tripId, driverId, updateData) => {
     try {
       await DriverLocation.create({
         driverId,
-        location: {
+        geometry: {
           type: 'Point',
           coordinates: updateData.coordinates
         },
@@ -820,6 +1071,43 @@ const completeTrip = async (tripId, driverId, updateData) => {
     }
   }
 
+  // Compare the odometer distance with the GPS route
+  try {
+    const routedTrip = await tripRouteService.updateTripGpsSummary(trip._id);
+    trip.gpsSummary = routedTrip.gpsSummary;
+    trip.isDistanceFlagged = routedTrip.isDistanceFlagged;
+  } catch (error) {
+    console.error('Failed to compute trip GPS summary:', error);
+  }
+
+  // A reported defect becomes a maintenance request for admins to review
+  if (trip.maintenanceRequired && trip.vehicleId) {
+    try {
+      const maintenance = await maintenanceService.createMaintenance({
+        vehicle: trip.vehicleId,
+        type: 'corrective',
+        title: 'Reported after trip',
+        description: trip.maintenanceNotes,
+        odometer: updateData.odometer
+      }, driver);
+      trip.maintenanceRequestId = maintenance._id;
+      await TripSchedule.updateOne({ _id: trip._id }, { maintenanceRequestId: maintenance._id });
+    } catch (error) {
+      console.error('Failed to create maintenance request from trip report:', error);
+    }
+  }
+
+  // Tracking links stop working with the trip
+  try {
+    await tripTrackingService.revokeTripLinks(trip._id, 'completed');
+  } catch (error) {
+    console.error('Failed to revoke trip tracking links:', error);
+  }
+
+  liveFleetService.publishTripStatus(trip).catch(error => {
+    console.error('Error publishing trip status:', error);
+  });
+
    // Get trip data and send notifications asynchronously
    getScheduleById(tripId).then(tripData => {
     sendNotificationsToRoles(['admin', 'super-admin'], ['receiveDriverTripEnded'], `Trip Ended: ${tripData.driver.name}`, createTripEndedNotification(tripData), {
@@ -834,6 +1122,88 @@ const completeTrip = async (tripId, driverId, updateData) => {
   return trip;
 };
 
+/**
+ * Find a schedule whose checkpoints the user can change
+ * @param {ObjectId} scheduleId
+ * @param {Object} user - Drivers can only change their own trips
+ * @returns {Promise<TripSchedule>}
+ */
+const getCheckpointSchedule = async (scheduleId, user) => {
+  const schedule = await TripSchedule.findOne({ _id: scheduleId, isActive: true, deletedAt: null });
+  if (!schedule) {
+    throw new ApiError(status.NOT_FOUND, 'Trip schedule not found');
+  }
+  if (user.role === 'driver' && schedule.driverId.toString() !== user._id.toString()) {
+    throw new ApiError(status.FORBIDDEN, 'Not allowed to change checkpoints of another driver\'s trip');
+  }
+  return schedule;
+};
+
+/**
+ * Add a checkpoint on the way to a destination of a scheduled or in-progress trip
+ * @param {ObjectId} scheduleId
+ * @param {ObjectId} destinationId
+ * @param {Object} checkpoint - address, coordinates, status, notes
+ * @param {Object} user - User adding the checkpoint
+ * @returns {Promise<Object>} Formatted schedule
+ */
+const addCheckpoint = async (scheduleId, destinationId, checkpoint, user) => {
+  const schedule = await getCheckpointSchedule(scheduleId, user);
+  if (!['scheduled', 'in progress'].includes(schedule.status)) {
+    throw new ApiError(status.BAD_REQUEST, `Cannot add checkpoints to a trip that is ${schedule.status}`);
+  }
+
+  const destination = schedule.destinations.id(destinationId);
+  if (!destination) {
+    throw new ApiError(status.NOT_FOUND, 'Destination not found');
+  }
+
+  const checkpointStatus = checkpoint.status || 'pending';
+  destination.checkpoints.push({
+    ...checkpoint,
+    status: checkpointStatus,
+    timestamp: checkpointStatus === 'pending' ? null : new Date(),
+    updatedBy: user._id
+  });
+  await schedule.save();
+
+  return getScheduleById(schedule._id);
+};
+
+/**
+ * Mark a checkpoint of an in-progress trip as reached, skipped or pending
+ * @param {ObjectId} scheduleId
+ * @param {ObjectId} checkpointId
+ * @param {Object} update
+ * @param {string} update.status
+ * @param {string} [update.notes]
+ * @param {Object} user - User updating the checkpoint
+ * @returns {Promise<Object>} Formatted schedule
+ */
+const updateCheckpointStatus = async (scheduleId, checkpointId, { status: checkpointStatus, notes }, user) => {
+  const schedule = await getCheckpointSchedule(scheduleId, user);
+  if (schedule.status !== 'in progress') {
+    throw new ApiError(status.BAD_REQUEST, 'Cannot update checkpoints for a trip that is not in progress');
+  }
+
+  const checkpoint = schedule.destinations
+    .map(destination => destination.checkpoints.id(checkpointId))
+    .find(Boolean);
+  if (!checkpoint) {
+    throw new ApiError(status.NOT_FOUND, 'Checkpoint not found');
+  }
+
+  checkpoint.status = checkpointStatus;
+  checkpoint.timestamp = new Date();
+  checkpoint.updatedBy = user._id;
+  if (notes) {
+    checkpoint.notes = notes;
+  }
+  await schedule.save();
+
+  return getScheduleById(schedule._id);
+};
+
 module.exports = {
   getSchedules,
   getScheduleById,
@@ -847,5 +1217,7 @@ module.exports = {
   getDriverTrips,
   getDriverUpcomingTrips,
   startTrip,
-  completeTrip
+  completeTrip,
+  addCheckpoint,
+  updateCheckpointStatus
 }; 
\ No newline at end of file
@@ -0,0 +1,249 @@
+/**
+ * Trip Tracking Service
+ * Signed, expiring public links to the live view of an in-progress trip
+ */
+const jwt = require('jsonwebtoken');
+const { status } = require('http-status');
+const { TripSchedule, TripRequest, TripTrackingLink } = require('../models');
+const DriverLocation = require('../models/driverLocation.model');
+const ApiError = require('../utils/ApiError');
+const { haversineDistanceKm } = require('../utils/geo');
+const { getDestinationGeofence } = require('./geofence.service');
+const { sendNotificationsToIds } = require('../utils/notifcationHelper');
+const { createTripStartedRequestorNotification } = require('../notificationTemplates/trips');
+const env = require('../config/env');
+
+const TOKEN_PURPOSE = 'trip-tracking';
+
+/**
+ * Get the public URL of a tracking token
+ * @param {string} token
+ * @returns {string}
+ */
+const getTrackingUrl = (token) => `${env.TRACKING_LINK_BASE_URL.replace(/\/$/, '')}/${token}`;
+
+/**
+ * Get the users whose requests are served by a trip
+ * @param {Object} trip - Trip schedule
+ * @returns {Promise<string[]>}
+ */
+const getTripRequestorIds = async (trip) => {
+  const requestIds = trip.destinations.filter(dest => dest.requestId).map(dest => dest.requestId._id || dest.requestId);
+  const requests = await TripRequest.find({ _id: { $in: requestIds } }, 'createdBy').lean();
+  return [...new Set(requests.filter(request => request.createdBy).map(request => request.createdBy.toString()))];
+};
+
+/**
+ * Create a tracking link for an in-progress trip
+ * @param {ObjectId} scheduleId
+ * @param {Object} user - User creating the link
+ * @param {Object} [options]
+ * @param {number} [options.expiresInMinutes] - Link lifetime
+ * @param {ObjectId} [options.createdFor] - Requestor the link is for
+ * @returns {Promise<Object>} { id, token, url, expiresAt }
+ */
+const createTrackingLink = async (scheduleId, user, { expiresInMinutes = env.TRACKING_LINK_TTL_MINUTES, createdFor = null } = {}) => {
+  const trip = await TripSchedule.findOne({ _id: scheduleId, isActive: true, deletedAt: null }).lean();
+  if (!trip) {
+    throw new ApiError(status.NOT_FOUND, 'Trip schedule not found');
+  }
+  if (trip.status !== 'in progress') {
+    throw new ApiError(status.BAD_REQUEST, 'Only trips in progress can be tracked');
+  }
+
+  // Requestors can only share trips serving their own requests
+  if (user && user.role === 'requestor') {
+    const requestorIds = await getTripRequestorIds(trip);
+    if (!requestorIds.includes(user._id.toString())) {
+      throw new ApiError(status.FORBIDDEN, 'This trip does not serve any of your requests');
+    }
+    createdFor = user._id;
+  }
+
+  const expiresAt = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+  const link = await TripTrackingLink.create({
+    tripScheduleId: trip._id,
+    createdFor,
+    expiresAt,
+    createdBy: user ? user._id : null
+  });
+
+  const token = jwt.sign(
+    { purpose: TOKEN_PURPOSE, linkId: link._id.toString() },
+    env.TRACKING_LINK_SECRET,
+    { expiresIn: expiresInMinutes * 60 }
+  );
+
+  return {
+    id: link._id,
+    token,
+    url: getTrackingUrl(token),
+    expiresAt
+  };
+};
+
+/**
+ * Revoke a tracking link
+ * @param {ObjectId} scheduleId
+ * @param {ObjectId} linkId
+ * @param {Object} user - User revoking the link
+ * @returns {Promise<TripTrackingLink>}
+ */
+const revokeTrackingLink = async (scheduleId, linkId, user) => {
+  const link = await TripTrackingLink.findOne({ _id: linkId, tripScheduleId: scheduleId });
+  if (!link) {
+    throw new ApiError(status.NOT_FOUND, 'Tracking link not found');
+  }
+  if (user.role === 'requestor' && (!link.createdBy || link.createdBy.toString() !== user._id.toString())
+    && (!link.createdFor || link.createdFor.toString() !== user._id.toString())) {
+    throw new ApiError(status.FORBIDDEN, 'You can only revoke your own tracking links');
+  }
+
+  if (!link.revokedAt) {
+    link.revokedAt = new Date();
+    link.revokedBy = user._id;
+    link.revokedReason = 'revoked';
+    await link.save();
+  }
+
+  return link;
+};
+
+/**
+ * Invalidate every open link of a trip once it is no longer running
+ * @param {ObjectId} tripId
+ * @param {string} reason - completed or cancelled
+ * @returns {Promise<number>} Number of links revoked
+ */
+const revokeTripLinks = async (tripId, reason) => {
+  const result = await TripTrackingLink.updateMany(
+    { tripScheduleId: tripId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Get the read-only tracking view for a token
+ * @param {string} token
+ * @returns {Promise<Object>} Driver location, remaining destinations and ETAs
+ */
+const getTrackingView = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, env.TRACKING_LINK_SECRET);
+  } catch (error) {
+    throw new ApiError(status.UNAUTHORIZED, 'Invalid or expired tracking link');
+  }
+  if (payload.purpose !== TOKEN_PURPOSE) {
+    throw new ApiError(status.UNAUTHORIZED, 'Invalid or expired tracking link');
+  }
+
+  const link = await TripTrackingLink.findById(payload.linkId);
+  if (!link || link.revokedAt || link.expiresAt < new Date()) {
+    throw new ApiError(status.GONE, 'This tracking link is no longer active');
+  }
+
+  const trip = await TripSchedule.findOne({ _id: link.tripScheduleId, isActive: true, deletedAt: null })
+    .populate('driverId', 'name')
+    .populate('vehicleId', 'name')
+    .populate('destinations.requestId', 'destinations')
+    .lean();
+  if (!trip || trip.status !== 'in progress') {
+    throw new ApiError(status.GONE, 'This trip is no longer being tracked');
+  }
+
+  const latestLocation = await DriverLocation.findOne({
+    driverId: trip.driverId._id,
+    isActive: true,
+    timestamp: { $gte: trip.actualStartTime || trip.tripStartTime }
+  }).sort({ timestamp: -1 }).lean();
+
+  const now = new Date();
+  let cursor = latestLocation ? latestLocation.geometry.coordinates : null;
+  let minutesAhead = 0;
+
+  const remainingDestinations = trip.destinations
+    .filter(dest => !dest.actualArrivalTime)
+    .map(dest => {
+      const name = dest.requestId && dest.requestId.destinations
+        ? dest.requestId.destinations.map(requestDest => requestDest.destination).filter(Boolean).join(' - ')
+        : dest.destination;
+      const geofence = getDestinationGeofence(dest);
+
+      let eta = dest.tripApproxArrivalTime || null;
+      let etaSource = eta ? 'planned' : null;
+      if (geofence && cursor) {
+        minutesAhead += (haversineDistanceKm(cursor, geofence.coordinates) / env.TRACKING_AVERAGE_SPEED_KMH) * 60;
+        cursor = geofence.coordinates;
+        eta = new Date(now.getTime() + minutesAhead * 60 * 1000);
+        etaSource = 'gps';
+      }
+
+      return {
+        destination: name,
+        plannedArrivalTime: dest.tripApproxArrivalTime || null,
+        eta,
+        etaSource
+      };
+    });
+
+  link.lastViewedAt = now;
+  await link.save();
+
+  return {
+    trip: {
+      id: trip._id,
+      status: trip.status,
+      actualStartTime: trip.actualStartTime || null
+    },
+    driver: { name: trip.driverId.name },
+    vehicle: trip.vehicleId ? { name: trip.vehicleId.name } : null,
+    currentLocation: latestLocation ? {
+      coordinates: latestLocation.geometry.coordinates,
+      location: latestLocation.location || null,
+      timestamp: latestLocation.timestamp
+    } : null,
+    remainingDestinations,
+    eta: remainingDestinations.length > 0 ? remainingDestinations[0].eta : null,
+    expiresAt: link.expiresAt
+  };
+};
+
+/**
+ * Send each requestor of a started trip a tracking link
+ * @param {Object} trip - Trip schedule that just started
+ * @returns {Promise<void>}
+ */
+const notifyRequestorsTripStarted = async (trip) => {
+  const requestorIds = await getTripRequestorIds(trip);
+  if (requestorIds.length === 0) {
+    return;
+  }
+
+  const tripData = await TripSchedule.findById(trip._id, 'driverId vehicleId')
+    .populate('driverId', 'name')
+    .populate('vehicleId', 'name')
+    .lean();
+  const names = {
+    driver: tripData.driverId ? { name: tripData.driverId.name } : null,
+    vehicle: tripData.vehicleId ? { name: tripData.vehicleId.name } : null
+  };
+
+  for (const requestorId of requestorIds) {
+    const link = await createTrackingLink(trip._id, null, { createdFor: requestorId });
+
+    await sendNotificationsToIds([requestorId], ['receiveMyRequestTripStarted'], 'Your Trip Has Started', createTripStartedRequestorNotification(names, link.expiresAt), {
+      tripScheduleId: trip._id.toString(),
+      trackingUrl: link.url
+    });
+  }
+};
+
+module.exports = {
+  createTrackingLink,
+  revokeTrackingLink,
+  revokeTripLinks,
+  getTrackingView,
+  notifyRequestorsTripStarted
+};
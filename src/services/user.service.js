@@ -1,5 +1,7 @@
 const User = require('../models/user.model');
 const {createSettings} = require('./notificationSettings.service');
+const { DriverProfile } = require('../models');
+const { ensureDriverProfile } = require('./driver.service');
 
 /**
  * Get all users service
@@ -74,6 +76,11 @@ const createUser = async (userData) => {
 
   // add usernotificationSettings
   await createSettings(user._id, user.role);
+
+  // Drivers get an empty profile to fill licence details in
+  if (user.role === 'driver') {
+    await ensureDriverProfile(user._id);
+  }
   
   return user;
 };
@@ -115,6 +122,8 @@ const updateUser = async (id, updateData) => {
     }
   }
   
+  const previousRole = user.role;
+
   // Update user
   Object.keys(updateData).forEach(key => {
     user[key] = updateData[key];
@@ -122,6 +131,10 @@ const updateUser = async (id, updateData) => {
   
   user.updatedAt = new Date();
   await user.save();
+
+  if (user.role === 'driver' && previousRole !== 'driver') {
+    await ensureDriverProfile(user._id);
+  }
   
   return user;
 };
@@ -143,6 +156,12 @@ const deleteUser = async (id) => {
   user.deletedAt = new Date();
   user.updatedAt = new Date();
   await user.save();
+
+  // The driver profile goes with its user
+  await DriverProfile.updateMany(
+    { user: user._id, deletedAt: null },
+    { isActive: false, deletedAt: user.deletedAt }
+  );
   
   return user;
 };
@@ -1,5 +1,7 @@
 const Vehicle = require('../models/vehicle.model');
 const User = require('../models/user.model');
+const vehicleDowntimeService = require('./vehicleDowntime.service');
+const { syncProfileVehicle } = require('./driver.service');
 
 /**
  * Get all vehicles
@@ -73,6 +75,10 @@ const createVehicle = async (vehicleData) => {
   // Create new vehicle
   const vehicle = new Vehicle(vehicleData);
   await vehicle.save();
+
+  if (vehicle.assignedDriver) {
+    await syncProfileVehicle(vehicle._id, null, vehicle.assignedDriver);
+  }
   
   return vehicle;
 };
@@ -124,6 +130,9 @@ const updateVehicle = async (id, updateData) => {
     }
   }
   
+  const previousStatus = vehicle.status;
+  const previousDriver = vehicle.assignedDriver;
+
   // Update vehicle
   Object.keys(updateData).forEach(key => {
     vehicle[key] = updateData[key];
@@ -131,23 +140,34 @@ const updateVehicle = async (id, updateData) => {
   
   vehicle.updatedAt = new Date();
   await vehicle.save();
+
+  if (updateData.assignedDriver !== undefined) {
+    await syncProfileVehicle(vehicle._id, previousDriver, vehicle.assignedDriver);
+  }
+
+  await vehicleDowntimeService.syncVehicleStatus(vehicle._id, previousStatus, vehicle.status);
   
   return vehicle;
 };
 
 /**
- * Update vehicle status
+ * Update vehicle status, moving in and out of maintenance is recorded in the downtime ledger
  * @param {string} id - Vehicle ID
  * @param {string} status - New status
+ * @param {Object} [options]
+ * @param {string} [options.notes] - Recorded as the downtime reason
+ * @param {string} [options.userId] - User changing the status
  * @returns {Promise<Object>} Updated vehicle
  */
-const updateVehicleStatus = async (id, status) => {
+const updateVehicleStatus = async (id, status, { notes, userId } = {}) => {
   // Check if vehicle exists
   const vehicle = await Vehicle.findOne({ _id: id, deletedAt: null });
   if (!vehicle) {
     throw new Error('Vehicle not found');
   }
   
+  const previousStatus = vehicle.status;
+
   // Update status
   vehicle.status = status;
   vehicle.updatedAt = new Date();
@@ -158,6 +178,8 @@ const updateVehicleStatus = async (id, status) => {
   }
   
   await vehicle.save();
+
+  await vehicleDowntimeService.syncVehicleStatus(vehicle._id, previousStatus, status, { reason: notes, userId });
   
   return vehicle;
 };
@@ -187,10 +209,14 @@ const assignDriver = async (id, driverId) => {
     throw new Error('Invalid driver assignment. Driver not found or not active.');
   }
   
+  const previousDriver = vehicle.assignedDriver;
+
   // Update vehicle with driver
   vehicle.assignedDriver = driverId;
   vehicle.updatedAt = new Date();
   await vehicle.save();
+
+  await syncProfileVehicle(vehicle._id, previousDriver, driverId);
   
   return vehicle;
 };
@@ -207,10 +233,14 @@ const removeDriver = async (id) => {
     throw new Error('Vehicle not found');
   }
   
+  const previousDriver = vehicle.assignedDriver;
+
   // Remove driver from vehicle
   vehicle.assignedDriver = null;
   vehicle.updatedAt = new Date();
   await vehicle.save();
+
+  await syncProfileVehicle(vehicle._id, previousDriver, null);
   
   return vehicle;
 };
@@ -233,6 +263,10 @@ const deleteVehicle = async (id) => {
   vehicle.deletedAt = new Date();
   vehicle.updatedAt = new Date();
   await vehicle.save();
+
+  if (vehicle.assignedDriver) {
+    await syncProfileVehicle(vehicle._id, vehicle.assignedDriver, null);
+  }
   
   return vehicle;
 };
@@ -0,0 +1,310 @@
+/**
+ * Vehicle Downtime Service
+ * Keeps the downtime ledger and vehicle status in step with maintenance, and reports availability
+ */
+const moment = require('moment-timezone');
+const { status } = require('http-status');
+const { VehicleDowntime, Vehicle, Maintenance } = require('../models');
+const ApiError = require('../utils/ApiError');
+const { getCoveredMs, round } = require('../utils/timeRange');
+const env = require('../config/env');
+
+const HOUR_MS = 60 * 60 * 1000;
+const REPORT_TIMEZONE = 'Asia/Dubai';
+
+/**
+ * Open a downtime for a vehicle and take it out of service. Retired vehicles keep their status.
+ * @param {ObjectId} vehicleId
+ * @param {Object} downtime
+ * @param {string} downtime.reason
+ * @param {ObjectId} [downtime.maintenance] - Maintenance causing the downtime
+ * @param {Date} [downtime.startedAt]
+ * @param {ObjectId} [downtime.userId] - User starting the downtime
+ * @returns {Promise<VehicleDowntime|null>} Null when the maintenance already has a downtime
+ */
+const startDowntime = async (vehicleId, { reason, maintenance = null, startedAt = new Date(), userId = null }) => {
+  let downtime;
+  try {
+    downtime = await VehicleDowntime.create({
+      vehicle: vehicleId,
+      reason,
+      maintenance,
+      startedAt,
+      startedBy: userId
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+
+  await Vehicle.updateOne(
+    { _id: vehicleId, status: 'active' },
+    { $set: { status: 'maintenance', updatedAt: new Date() } }
+  );
+
+  return downtime;
+};
+
+/**
+ * Close open downtimes and put their vehicles back in service once none is left open
+ * @param {Object} filter - Downtimes to close
+ * @param {Object} [options]
+ * @param {Date} [options.endedAt]
+ * @param {ObjectId} [options.userId] - User ending the downtime
+ * @returns {Promise<number>} Number of downtimes closed
+ */
+const endDowntime = async (filter, { endedAt = new Date(), userId = null } = {}) => {
+  const open = await VehicleDowntime.find({ ...filter, endedAt: null }, 'vehicle startedAt').lean();
+  if (open.length === 0) {
+    return 0;
+  }
+
+  // A downtime never ends before it started
+  for (const downtime of open) {
+    await VehicleDowntime.updateOne(
+      { _id: downtime._id, endedAt: null },
+      { $set: { endedAt: endedAt < downtime.startedAt ? downtime.startedAt : endedAt, endedBy: userId } }
+    );
+  }
+
+  const vehicleIds = [...new Set(open.map(downtime => downtime.vehicle.toString()))];
+  for (const vehicleId of vehicleIds) {
+    const stillDown = await VehicleDowntime.exists({ vehicle: vehicleId, endedAt: null });
+    if (!stillDown) {
+      await Vehicle.updateOne(
+        { _id: vehicleId, status: 'maintenance' },
+        { $set: { status: 'active', updatedAt: new Date() } }
+      );
+    }
+  }
+
+  return open.length;
+};
+
+/**
+ * Start the downtime of a maintenance going into service
+ * @param {Maintenance} maintenance
+ * @param {ObjectId} [userId]
+ * @returns {Promise<VehicleDowntime|null>}
+ */
+const startMaintenanceDowntime = (maintenance, userId = null) => startDowntime(
+  maintenance.vehicle._id || maintenance.vehicle,
+  {
+    reason: `Maintenance: ${maintenance.title}`,
+    maintenance: maintenance._id,
+    startedAt: maintenance.startDate || new Date(),
+    userId
+  }
+);
+
+/**
+ * End the downtime of a maintenance that is completed or removed
+ * @param {Maintenance} maintenance
+ * @param {ObjectId} [userId]
+ * @returns {Promise<number>}
+ */
+const endMaintenanceDowntime = (maintenance, userId = null) => endDowntime(
+  { maintenance: maintenance._id },
+  { endedAt: maintenance.endDate || new Date(), userId }
+);
+
+/**
+ * Record a manual vehicle status change in the ledger. Leaving maintenance by hand only ends
+ * manual downtimes, the downtime of a maintenance in service runs until it is completed.
+ * @param {ObjectId} vehicleId
+ * @param {string} previousStatus
+ * @param {string} newStatus
+ * @param {Object} [options]
+ * @param {string} [options.reason]
+ * @param {ObjectId} [options.userId]
+ * @returns {Promise<void>}
+ */
+const syncVehicleStatus = async (vehicleId, previousStatus, newStatus, { reason, userId = null } = {}) => {
+  if (previousStatus === newStatus) {
+    return;
+  }
+
+  if (newStatus === 'maintenance') {
+    await startDowntime(vehicleId, { reason: reason || 'Vehicle status set to maintenance', userId });
+  } else if (previousStatus === 'maintenance') {
+    await endDowntime({ vehicle: vehicleId, maintenance: null }, { userId });
+  }
+};
+
+/**
+ * Get scheduled and in-service maintenance of a vehicle overlapping a time range.
+ * Scheduled maintenance blocks from its scheduled date to its scheduled end. Maintenance in
+ * service blocks until its scheduled end, or without end when it has none or is overrunning.
+ * @param {ObjectId} vehicleId
+ * @param {Date} startTime
+ * @param {Date} endTime
+ * @returns {Promise<Object[]>} Maintenance windows
+ */
+const getMaintenanceWindows = async (vehicleId, startTime, endTime) => {
+  if (!vehicleId || !startTime || !endTime) {
+    return [];
+  }
+
+  const now = new Date();
+  const defaultWindowMs = env.MAINTENANCE_DEFAULT_WINDOW_HOURS * HOUR_MS;
+
+  const maintenance = await Maintenance.find({
+    vehicle: vehicleId,
+    $or: [
+      { status: 'scheduled', scheduledDate: { $lte: endTime }, scheduledEndDate: { $gte: startTime } },
+      {
+        status: 'scheduled',
+        scheduledEndDate: null,
+        scheduledDate: { $lte: endTime, $gte: new Date(startTime.getTime() - defaultWindowMs) }
+      },
+      {
+        status: 'in-service',
+        startDate: { $lte: endTime },
+        $or: [
+          { scheduledEndDate: null },
+          { scheduledEndDate: { $gte: startTime } },
+          { scheduledEndDate: { $lt: now } }
+        ]
+      }
+    ]
+  }, 'title status scheduledDate scheduledEndDate startDate').lean();
+
+  return maintenance.map(item => {
+    if (item.status === 'in-service') {
+      const isOverrunning = !item.scheduledEndDate || item.scheduledEndDate < now;
+      return {
+        _id: item._id,
+        title: item.title,
+        status: item.status,
+        startTime: item.startDate,
+        endTime: isOverrunning ? null : item.scheduledEndDate
+      };
+    }
+    return {
+      _id: item._id,
+      title: item.title,
+      status: item.status,
+      startTime: item.scheduledDate,
+      endTime: item.scheduledEndDate || new Date(item.scheduledDate.getTime() + defaultWindowMs)
+    };
+  });
+};
+
+/**
+ * Get the downtime ledger of a vehicle
+ * @param {ObjectId} vehicleId
+ * @param {Object} [range]
+ * @param {Date} [range.from] - Only downtime still running after this date
+ * @param {Date} [range.to] - Only downtime started before this date
+ * @returns {Promise<VehicleDowntime[]>}
+ */
+const getVehicleDowntime = async (vehicleId, { from, to } = {}) => {
+  const vehicle = await Vehicle.findOne({ _id: vehicleId, deletedAt: null }, '_id');
+  if (!vehicle) {
+    throw new ApiError(status.NOT_FOUND, 'Vehicle not found');
+  }
+
+  const filter = { vehicle: vehicleId };
+  if (to) {
+    filter.startedAt = { $lt: new Date(to) };
+  }
+  if (from) {
+    filter.$or = [{ endedAt: null }, { endedAt: { $gt: new Date(from) } }];
+  }
+
+  return VehicleDowntime.find(filter)
+    .populate('maintenance', 'title type status')
+    .populate('startedBy', 'name email')
+    .populate('endedBy', 'name email')
+    .sort({ startedAt: -1 });
+};
+
+/**
+ * Report availability of vehicles for a calendar month, in Dubai time.
+ * The current month is counted up to now, and vehicles added during the month from when they were added.
+ * @param {Object} [query]
+ * @param {string} [query.month] - YYYY-MM, defaults to the current month
+ * @param {ObjectId} [query.vehicleId] - Only this vehicle
+ * @returns {Promise<Object>} Availability percentage and downtime hours per vehicle
+ */
+const getAvailabilityReport = async ({ month, vehicleId } = {}) => {
+  const now = new Date();
+  const monthStart = month
+    ? moment.tz(month, 'YYYY-MM', true, REPORT_TIMEZONE)
+    : moment.tz(now, REPORT_TIMEZONE).startOf('month');
+
+  if (!monthStart.isValid()) {
+    throw new ApiError(status.BAD_REQUEST, 'Month must be in YYYY-MM format');
+  }
+
+  const periodStart = monthStart.toDate();
+  const periodEnd = new Date(Math.min(monthStart.clone().add(1, 'month').valueOf(), now.getTime()));
+  if (periodStart >= now) {
+    throw new ApiError(status.BAD_REQUEST, 'Availability can not be reported for a future month');
+  }
+
+  const vehicleFilter = { deletedAt: null, isActive: true, createdAt: { $lt: periodEnd } };
+  if (vehicleId) {
+    vehicleFilter._id = vehicleId;
+  }
+  const vehicles = await Vehicle.find(vehicleFilter, 'name licensePlate status createdAt').sort({ name: 1 }).lean();
+
+  const downtimes = await VehicleDowntime.find({
+    vehicle: { $in: vehicles.map(vehicle => vehicle._id) },
+    startedAt: { $lt: periodEnd },
+    $or: [{ endedAt: null }, { endedAt: { $gt: periodStart } }]
+  }, 'vehicle startedAt endedAt').lean();
+
+  const downtimesByVehicle = new Map();
+  downtimes.forEach(downtime => {
+    const key = downtime.vehicle.toString();
+    downtimesByVehicle.set(key, [...(downtimesByVehicle.get(key) || []), downtime]);
+  });
+
+  const results = vehicles.map(vehicle => {
+    const start = new Date(Math.max(periodStart, vehicle.createdAt || periodStart));
+    const vehicleDowntimes = downtimesByVehicle.get(vehicle._id.toString()) || [];
+    const ranges = vehicleDowntimes
+      .map(downtime => ({
+        start: new Date(Math.max(downtime.startedAt, start)),
+        end: new Date(Math.min(downtime.endedAt || periodEnd, periodEnd))
+      }))
+      .filter(range => range.end > range.start);
+
+    const periodMs = periodEnd - start;
+    const downtimeMs = getCoveredMs(ranges);
+
+    return {
+      vehicle: {
+        id: vehicle._id,
+        name: vehicle.name,
+        licensePlate: vehicle.licensePlate,
+        status: vehicle.status
+      },
+      periodHours: round(periodMs / HOUR_MS),
+      downtimeHours: round(downtimeMs / HOUR_MS),
+      downtimeCount: vehicleDowntimes.length,
+      availabilityPercent: periodMs > 0 ? round(((periodMs - downtimeMs) / periodMs) * 100) : 100
+    };
+  });
+
+  return {
+    month: monthStart.format('YYYY-MM'),
+    periodStart,
+    periodEnd,
+    vehicles: results
+  };
+};
+
+module.exports = {
+  startDowntime,
+  endDowntime,
+  startMaintenanceDowntime,
+  endMaintenanceDowntime,
+  syncVehicleStatus,
+  getMaintenanceWindows,
+  getVehicleDowntime,
+  getAvailabilityReport
+};
@@ -0,0 +1,319 @@
+/**
+ * Working Hours Service
+ * Duty, rest and driving limits of drivers, from attendance punches and trip schedule times.
+ * Each rule warns or blocks as set in WORKING_HOURS_BLOCKING_RULES.
+ */
+const moment = require('moment-timezone');
+const { status } = require('http-status');
+const { TripSchedule, DriverAttendance, User } = require('../models');
+const ApiError = require('../utils/ApiError');
+const { getCoveredMs, round } = require('../utils/timeRange');
+const env = require('../config/env');
+
+const DATE_KEY_FORMAT = 'YYYY-MM-DD';
+const REPORT_TIMEZONE = 'Asia/Dubai';
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Longest range of the report
+const MAX_RANGE_DAYS = 62;
+
+const RULES = {
+  duty: { label: 'Daily duty hours', limitHours: () => env.WORKING_HOURS_MAX_DUTY_HOURS },
+  rest: { label: 'Rest between duty days', limitHours: () => env.WORKING_HOURS_MIN_REST_HOURS },
+  driving: { label: 'Continuous driving', limitHours: () => env.WORKING_HOURS_MAX_DRIVING_HOURS }
+};
+
+/**
+ * Whether a rule blocks or only warns
+ * @param {string} rule - duty, rest or driving
+ * @returns {string} block or warn
+ */
+const getPolicy = (rule) => (env.WORKING_HOURS_BLOCKING_RULES.includes(rule) ? 'block' : 'warn');
+
+/**
+ * Get the working hour limits and how each rule is enforced
+ * @returns {Object}
+ */
+const getLimits = () => ({
+  maxDutyHours: env.WORKING_HOURS_MAX_DUTY_HOURS,
+  minRestHours: env.WORKING_HOURS_MIN_REST_HOURS,
+  maxDrivingHours: env.WORKING_HOURS_MAX_DRIVING_HOURS,
+  minBreakMinutes: env.WORKING_HOURS_MIN_BREAK_MINUTES,
+  policies: Object.fromEntries(Object.keys(RULES).map(rule => [rule, getPolicy(rule)]))
+});
+
+/**
+ * Get the driving time of a trip schedule: actual times once started, planned times before.
+ * Trips without an arrival time are given the default trip duration.
+ * @param {Object} schedule
+ * @param {Date} now
+ * @returns {{start: Date, end: Date, scheduleId: ObjectId}|null}
+ */
+const getTripRange = (schedule, now) => {
+  const defaultDurationMs = env.ASSIGNMENT_DEFAULT_TRIP_DURATION_MINUTES * MINUTE_MS;
+  const plannedEnd = (start) => schedule.tripApproxArrivalTime
+    ? new Date(schedule.tripApproxArrivalTime)
+    : new Date(start.getTime() + defaultDurationMs);
+
+  let start;
+  let end;
+  if (schedule.status === 'completed' && schedule.actualStartTime && schedule.actualEndTime) {
+    start = new Date(schedule.actualStartTime);
+    end = new Date(schedule.actualEndTime);
+  } else if (schedule.status === 'in progress' && schedule.actualStartTime) {
+    start = new Date(schedule.actualStartTime);
+    end = new Date(Math.max(plannedEnd(start), now));
+  } else if (schedule.tripStartTime) {
+    start = new Date(schedule.tripStartTime);
+    end = plannedEnd(start);
+  } else {
+    return null;
+  }
+
+  return end > start ? { start, end, scheduleId: schedule._id } : null;
+};
+
+/**
+ * Get the trips and punches of a driver around a period
+ * @param {ObjectId} driverId
+ * @param {Date} from
+ * @param {Date} to
+ * @param {Object} [options]
+ * @param {ObjectId} [options.excludeScheduleId] - Schedule being changed, left out
+ * @param {Date} [options.now]
+ * @returns {Promise<{trips: Object[], punches: Object[]}>} Time ranges
+ */
+const getDriverActivity = async (driverId, from, to, { excludeScheduleId = null, now = new Date() } = {}) => {
+  const scheduleFilter = {
+    driverId,
+    isActive: true,
+    deletedAt: null,
+    status: { $ne: 'cancelled' },
+    tripStartTime: { $lte: to },
+    $or: [
+      { tripApproxArrivalTime: { $gte: from } },
+      { actualEndTime: { $gte: from } },
+      { tripStartTime: { $gte: new Date(from.getTime() - DAY_MS) } }
+    ]
+  };
+  if (excludeScheduleId) {
+    scheduleFilter._id = { $ne: excludeScheduleId };
+  }
+
+  // Attendance dates are server midnights, a day either side catches every punch in the period
+  const [schedules, attendance] = await Promise.all([
+    TripSchedule.find(scheduleFilter, 'status tripStartTime tripApproxArrivalTime actualStartTime actualEndTime').lean(),
+    DriverAttendance.find({
+      driverId,
+      isActive: true,
+      date: { $gte: new Date(from.getTime() - DAY_MS), $lte: new Date(to.getTime() + DAY_MS) }
+    }, 'punches').lean()
+  ]);
+
+  const overlaps = (range) => range.end >= from && range.start <= to;
+
+  return {
+    trips: schedules.map(schedule => getTripRange(schedule, now)).filter(range => range && overlaps(range)),
+    punches: attendance
+      .flatMap(record => record.punches)
+      .map(punch => ({ start: new Date(punch.inTime), end: new Date(punch.outTime || now) }))
+      .filter(range => range.end > range.start && overlaps(range))
+  };
+};
+
+/**
+ * Group duty time into duty days by the local date it starts on.
+ * Duty running on past midnight stays with the day it started.
+ * @param {Array<{start: Date, end: Date}>} ranges
+ * @returns {Object[]} { date, start, end, ranges }
+ */
+const getDutyDays = (ranges) => {
+  const days = [];
+  [...ranges].sort((a, b) => a.start - b.start).forEach(range => {
+    const date = moment.tz(range.start, REPORT_TIMEZONE).format(DATE_KEY_FORMAT);
+    const current = days[days.length - 1];
+    if (current && (current.date === date || range.start <= current.end)) {
+      current.end = new Date(Math.max(current.end, range.end));
+      current.ranges.push(range);
+      return;
+    }
+    days.push({ date, start: range.start, end: range.end, ranges: [range] });
+  });
+  return days;
+};
+
+/**
+ * Find working hour violations in a driver's trips and punches
+ * @param {Array<{start: Date, end: Date}>} trips - Driving time
+ * @param {Array<{start: Date, end: Date}>} punches - Punched in time
+ * @returns {Object[]} Violations: { rule, policy, date, start, end, hours, limitHours }
+ */
+const findViolations = (trips, punches) => {
+  const violations = [];
+  const addViolation = (rule, date, start, end, hours) => {
+    violations.push({
+      rule,
+      label: RULES[rule].label,
+      policy: getPolicy(rule),
+      date,
+      start,
+      end,
+      hours: round(hours),
+      limitHours: RULES[rule].limitHours()
+    });
+  };
+
+  // Trips are duty time whether or not the driver punched in for them
+  const dutyDays = getDutyDays([...punches, ...trips]);
+  dutyDays.forEach((day, index) => {
+    const dutyHours = getCoveredMs(day.ranges) / HOUR_MS;
+    if (dutyHours > env.WORKING_HOURS_MAX_DUTY_HOURS) {
+      addViolation('duty', day.date, day.start, day.end, dutyHours);
+    }
+
+    const previous = dutyDays[index - 1];
+    if (previous) {
+      const restHours = (day.start - previous.end) / HOUR_MS;
+      if (restHours < env.WORKING_HOURS_MIN_REST_HOURS) {
+        addViolation('rest', day.date, previous.end, day.start, restHours);
+      }
+    }
+  });
+
+  // Trips closer together than a break are one stretch of driving
+  const breakMs = env.WORKING_HOURS_MIN_BREAK_MINUTES * MINUTE_MS;
+  const stretches = [];
+  [...trips].sort((a, b) => a.start - b.start).forEach(trip => {
+    const current = stretches[stretches.length - 1];
+    if (current && trip.start - current.end < breakMs) {
+      current.end = new Date(Math.max(current.end, trip.end));
+      current.ranges.push(trip);
+      return;
+    }
+    stretches.push({ start: trip.start, end: trip.end, ranges: [trip] });
+  });
+  stretches.forEach(stretch => {
+    const drivingHours = getCoveredMs(stretch.ranges) / HOUR_MS;
+    if (drivingHours > env.WORKING_HOURS_MAX_DRIVING_HOURS) {
+      addViolation('driving', moment.tz(stretch.start, REPORT_TIMEZONE).format(DATE_KEY_FORMAT), stretch.start, stretch.end, drivingHours);
+    }
+  });
+
+  return violations.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Check a driver's trip against the working hour limits.
+ * Violations of blocking rules reject the trip, the others are returned as warnings.
+ * Only violations the trip takes part in count, earlier ones are left to the report.
+ * @param {Object} trip
+ * @param {ObjectId} trip.driverId
+ * @param {Date} trip.startTime
+ * @param {Date} [trip.endTime] - Defaults to the default trip duration
+ * @param {ObjectId} [trip.excludeScheduleId] - Schedule being changed or started
+ * @param {Date} [now]
+ * @returns {Promise<Object[]>} Warnings
+ */
+const checkWorkingHours = async ({ driverId, startTime, endTime, excludeScheduleId = null }, now = new Date()) => {
+  if (!driverId || !startTime) {
+    return [];
+  }
+
+  const start = new Date(startTime);
+  const end = endTime && new Date(endTime) > start
+    ? new Date(endTime)
+    : new Date(start.getTime() + env.ASSIGNMENT_DEFAULT_TRIP_DURATION_MINUTES * MINUTE_MS);
+
+  // Far enough either side for the duty days and rest around the trip
+  const marginMs = DAY_MS + env.WORKING_HOURS_MIN_REST_HOURS * HOUR_MS;
+  const { trips, punches } = await getDriverActivity(
+    driverId,
+    new Date(start.getTime() - marginMs),
+    new Date(end.getTime() + marginMs),
+    { excludeScheduleId, now }
+  );
+
+  const violations = findViolations([...trips, { start, end }], punches)
+    .filter(violation => violation.start <= end && violation.end >= start);
+
+  const blocking = violations.filter(violation => violation.policy === 'block');
+  if (blocking.length > 0) {
+    throw new ApiError(status.CONFLICT, 'Driver would exceed working hour limits', { workingHoursViolations: violations });
+  }
+
+  return violations;
+};
+
+/**
+ * Report working hours and limit violations of drivers over a date range, in Dubai time
+ * @param {Object} query
+ * @param {Date} query.from - First date
+ * @param {Date} query.to - Last date
+ * @param {ObjectId} [query.driverId] - Only this driver, otherwise every active driver
+ * @param {Date} [now]
+ * @returns {Promise<Object>} Duty and driving hours with violations per driver
+ */
+const getWorkingHoursReport = async ({ from, to, driverId }, now = new Date()) => {
+  const fromKey = moment.utc(from).format(DATE_KEY_FORMAT);
+  const toKey = moment.utc(to).format(DATE_KEY_FORMAT);
+  if (toKey < fromKey) {
+    throw new ApiError(status.BAD_REQUEST, 'The end date must not be before the start date');
+  }
+  if (moment.utc(toKey).diff(moment.utc(fromKey), 'days') >= MAX_RANGE_DAYS) {
+    throw new ApiError(status.BAD_REQUEST, `The range can not be longer than ${MAX_RANGE_DAYS} days`);
+  }
+
+  const periodStart = moment.tz(fromKey, DATE_KEY_FORMAT, REPORT_TIMEZONE).toDate();
+  const periodEnd = moment.tz(toKey, DATE_KEY_FORMAT, REPORT_TIMEZONE).add(1, 'day').toDate();
+
+  const driverFilter = { role: 'driver', isActive: true, deletedAt: null };
+  if (driverId) {
+    driverFilter._id = driverId;
+  }
+  const drivers = await User.find(driverFilter, 'name phone').sort({ name: 1 }).lean();
+
+  const results = [];
+  for (const driver of drivers) {
+    // The day before shows the rest ahead of the first day
+    const { trips, punches } = await getDriverActivity(driver._id, new Date(periodStart.getTime() - DAY_MS), periodEnd, { now });
+    const violations = findViolations(trips, punches)
+      .filter(violation => violation.date >= fromKey && violation.date <= toKey);
+
+    const clip = (ranges) => ranges
+      .map(range => ({
+        start: new Date(Math.max(range.start, periodStart)),
+        end: new Date(Math.min(range.end, periodEnd))
+      }))
+      .filter(range => range.end > range.start);
+
+    const countRule = (rule) => violations.filter(violation => violation.rule === rule).length;
+
+    results.push({
+      driver: { id: driver._id, name: driver.name, phone: driver.phone },
+      dutyHours: round(getCoveredMs(clip([...punches, ...trips])) / HOUR_MS),
+      drivingHours: round(getCoveredMs(clip(trips)) / HOUR_MS),
+      violationCounts: {
+        duty: countRule('duty'),
+        rest: countRule('rest'),
+        driving: countRule('driving')
+      },
+      violations
+    });
+  }
+
+  return {
+    from: fromKey,
+    to: toKey,
+    limits: getLimits(),
+    drivers: results
+  };
+};
+
+module.exports = {
+  getLimits,
+  findViolations,
+  checkWorkingHours,
+  getWorkingHoursReport
+};
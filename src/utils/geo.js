@@ -0,0 +1,136 @@
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two GeoJSON coordinates
+ * @param {number[]} from - [longitude, latitude]
+ * @param {number[]} to - [longitude, latitude]
+ * @returns {number} Distance in kilometres
+ */
+const haversineDistanceKm = (from, to) => {
+  const [fromLng, fromLat] = from;
+  const [toLng, toLat] = to;
+  const dLat = toRadians(toLat - fromLat);
+  const dLng = toRadians(toLng - fromLng);
+
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(fromLat)) * Math.cos(toRadians(toLat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Check that a value is a usable [longitude, latitude] pair
+ * @param {number[]} coordinates
+ * @returns {boolean}
+ */
+const isValidCoordinates = (coordinates) => {
+  return Array.isArray(coordinates)
+    && coordinates.length === 2
+    && coordinates.every(value => typeof value === 'number' && Number.isFinite(value))
+    && Math.abs(coordinates[0]) <= 180
+    && Math.abs(coordinates[1]) <= 90;
+};
+
+// Held back points that agree with each other this many times over outvote the last kept point
+const REANCHOR_POINTS = 3;
+
+/**
+ * Check that a vehicle could have moved between two points in the time between them
+ * @param {Object} from - { coordinates, timestamp }
+ * @param {Object} to - { coordinates, timestamp }
+ * @param {number} maxSpeedKmh
+ * @returns {boolean}
+ */
+const isPlausibleMove = (from, to, maxSpeedKmh) => {
+  const distanceKm = haversineDistanceKm(from.coordinates, to.coordinates);
+  if (distanceKm === 0) {
+    return true;
+  }
+  const hours = (new Date(to.timestamp) - new Date(from.timestamp)) / (60 * 60 * 1000);
+  return hours > 0 && distanceKm / hours <= maxSpeedKmh;
+};
+
+/**
+ * Separate GPS jumps from time-ordered points. A point the vehicle could not have reached from
+ * the last kept point is held back. When REANCHOR_POINTS held back points in a row agree with
+ * each other, the kept point was the bad fix: the held back run is kept and the track goes on
+ * from there, and kept points not yet backed by as many points are treated as jumps.
+ * @param {Object[]} points - { coordinates, timestamp } sorted by timestamp
+ * @param {number} maxSpeedKmh
+ * @param {Object} [anchor] - Point before the first one, such as the last stored point
+ * @returns {{kept: Object[], jumps: Object[]}}
+ */
+const separateGpsJumps = (points, maxSpeedKmh, anchor = null) => {
+  const kept = [];
+  const jumps = [];
+  let run = [];
+  // Kept points since the track was last picked up, they can still turn out to be the bad fixes
+  let unconfirmed = 0;
+
+  points.forEach(point => {
+    const last = kept[kept.length - 1] || anchor;
+    if (!last || isPlausibleMove(last, point, maxSpeedKmh)) {
+      kept.push(point);
+      unconfirmed++;
+      jumps.push(...run);
+      run = [];
+      return;
+    }
+
+    if (run.length > 0 && !isPlausibleMove(run[run.length - 1], point, maxSpeedKmh)) {
+      jumps.push(...run);
+      run = [];
+    }
+    run.push(point);
+
+    if (run.length >= REANCHOR_POINTS) {
+      if (unconfirmed < REANCHOR_POINTS) {
+        jumps.push(...kept.splice(kept.length - unconfirmed, unconfirmed));
+      }
+      kept.push(...run);
+      unconfirmed = run.length;
+      run = [];
+    }
+  });
+  jumps.push(...run);
+
+  return { kept, jumps };
+};
+
+/**
+ * Extract coordinates from a map link such as
+ * https://maps.google.com/?q=25.2048,55.2708 or https://www.google.com/maps/@25.2048,55.2708,15z
+ * @param {string} mapLink
+ * @returns {number[]|null} [longitude, latitude] or null when the link has no coordinates
+ */
+const parseMapLinkCoordinates = (mapLink) => {
+  if (!mapLink) {
+    return null;
+  }
+
+  let link = mapLink;
+  try {
+    link = decodeURIComponent(mapLink);
+  } catch (error) {
+    // Keep the raw link if it isn't valid URI encoding
+  }
+
+  const match = link.match(/(?:[?&](?:q|query|ll|destination)=|@)(-?\d+(?:\.\d+)?),\s*(-?\d+(?:\.\d+)?)/);
+
+  if (!match) {
+    return null;
+  }
+
+  const coordinates = [parseFloat(match[2]), parseFloat(match[1])];
+  return isValidCoordinates(coordinates) ? coordinates : null;
+};
+
+module.exports = {
+  haversineDistanceKm,
+  isValidCoordinates,
+  isPlausibleMove,
+  separateGpsJumps,
+  parseMapLinkCoordinates
+};
@@ -0,0 +1,56 @@
+/**
+ * Sum the length of time ranges, counting overlapping parts once
+ * @param {Array<{start: Date, end: Date}>} ranges
+ * @returns {number} Milliseconds
+ */
+const getCoveredMs = (ranges) => {
+  const sorted = [...ranges].sort((a, b) => a.start - b.start);
+  let total = 0;
+  let current = null;
+
+  sorted.forEach(range => {
+    if (current && range.start <= current.end) {
+      current.end = new Date(Math.max(current.end, range.end));
+      return;
+    }
+    if (current) {
+      total += current.end - current.start;
+    }
+    current = { start: range.start, end: range.end };
+  });
+
+  return current ? total + (current.end - current.start) : total;
+};
+
+/**
+ * Get the part of time ranges that falls within other ranges
+ * @param {Array<{start: Date, end: Date}>} ranges
+ * @param {Array<{start: Date, end: Date}>} within
+ * @returns {number} Milliseconds
+ */
+const getOverlapMs = (ranges, within) => {
+  const overlaps = [];
+  ranges.forEach(range => {
+    within.forEach(other => {
+      const start = new Date(Math.max(range.start, other.start));
+      const end = new Date(Math.min(range.end, other.end));
+      if (end > start) {
+        overlaps.push({ start, end });
+      }
+    });
+  });
+  return getCoveredMs(overlaps);
+};
+
+/**
+ * Round hours or percentages for reports
+ * @param {number} value
+ * @returns {number} Value to two decimals
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+module.exports = {
+  getCoveredMs,
+  getOverlapMs,
+  round
+};
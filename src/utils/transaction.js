@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+/**
+ * Run a function inside a MongoDB transaction.
+ * The transaction is retried on transient errors and aborted if the function throws. Mongoose
+ * resets the documents saved in the transaction before a retry, so changes made to them before
+ * calling this are saved again.
+ * @param {Function} fn - Async function receiving the session
+ * @returns {Promise<*>} Value returned by fn
+ */
+const withTransaction = (fn) => mongoose.connection.transaction(fn);
+
+module.exports = withTransaction;
@@ -0,0 +1,41 @@
+const Joi = require('joi');
+const { objectId } = require('./custom.validator');
+
+/**
+ * Expiring documents validation schema
+ */
+const getExpiring = {
+  query: Joi.object().keys({
+    withinDays: Joi.number().integer().min(0).max(365),
+    subjectType: Joi.string().valid('vehicle', 'driver')
+  })
+};
+
+/**
+ * Compliance overrides validation schema
+ */
+const getOverrides = {
+  query: Joi.object().keys({
+    vehicle: Joi.custom(objectId),
+    driver: Joi.custom(objectId),
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100)
+  })
+};
+
+/**
+ * Working hours report validation schema
+ */
+const getWorkingHours = {
+  query: Joi.object().keys({
+    from: Joi.date().iso().required(),
+    to: Joi.date().iso().min(Joi.ref('from')).required(),
+    driverId: Joi.custom(objectId)
+  })
+};
+
+module.exports = {
+  getExpiring,
+  getOverrides,
+  getWorkingHours
+};
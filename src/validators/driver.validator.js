@@ -21,6 +21,24 @@ const documentIdParamSchema = yup.object({
     .required('Document ID is required')
 });
 
+/**
+ * Schema for a driver's home depot
+ */
+const homeDepotSchema = yup.object({
+  name: yup.string()
+    .trim()
+    .required('Depot name is required')
+    .max(100, 'Depot name must be at most 100 characters'),
+  address: yup.string()
+    .trim()
+    .max(300, 'Depot address must be at most 300 characters'),
+  coordinates: yup.array()
+    .of(yup.number())
+    .length(2, 'Coordinates must be [longitude, latitude]')
+    .test('coordinates', 'Coordinates must be [longitude, latitude]', value => !value
+      || (value[0] >= -180 && value[0] <= 180 && value[1] >= -90 && value[1] <= 90))
+}).noUnknown(true);
+
 /**
  * Schema for creating a driver
  */
@@ -47,6 +65,7 @@ const createDriverSchema = yup.object({
     .nullable(),
   isAvailable: yup.boolean()
     .default(true),
+  homeDepot: homeDepotSchema.default(undefined),
   notes: yup.string()
     .trim()
     .max(500, 'Notes must be at most 500 characters')
@@ -67,8 +86,8 @@ const updateDriverSchema = yup.object({
   isAvailable: yup.boolean(),
   vehicle: yup.string()
     .matches(/^[0-9a-fA-F]{24}$/, 'Invalid vehicle ID format')
-    .nullable()
-    .default(null),
+    .nullable(),
+  homeDepot: homeDepotSchema.nullable().default(undefined),
   notes: yup.string()
     .trim()
     .max(500, 'Notes must be at most 500 characters')
@@ -92,10 +111,15 @@ const updateDriverStatusSchema = yup.object({
 const addDocumentSchema = yup.object({
   type: yup.string()
     .required('Document type is required')
-    .oneOf(['license', 'id_card', 'insurance', 'medical', 'background_check'], 'Invalid document type'),
+    .oneOf(['license', 'id_card', 'insurance', 'medical', 'background_check', 'other'], 'Invalid document type'),
+  name: yup.string()
+    .trim()
+    .max(100, 'Document name must be at most 100 characters'),
   url: yup.string()
     .required('Document URL is required')
     .url('Invalid URL format'),
+  expiresAt: yup.date()
+    .nullable(),
   verified: yup.boolean()
     .default(false)
 }).noUnknown(true);
@@ -27,7 +27,7 @@ const dateRangeSchema = yup.object().shape({
     .transform((value, originalValue) => 
       originalValue === '' ? null : value
     )
-    .when('startDate', (startDate, schema) => 
+    .when('startDate', ([startDate], schema) => 
       startDate ? 
         schema.min(startDate, 'End date must be after start date') : 
         schema
@@ -43,7 +43,109 @@ const dateRangeSchema = yup.object().shape({
     .nullable()
 });
 
+/**
+ * Idle alert history query validation
+ */
+const idleAlertQuerySchema = dateRangeSchema.shape({
+  driverId: yup.string()
+    .matches(/^[0-9a-fA-F]{24}$/, 'Driver ID must be a valid MongoDB ID')
+    .nullable()
+});
+
+/**
+ * Attendance correction request validation
+ * missed_punch_in adds a punch, missed_punch_out and wrong_time change a punch of an attendance record
+ */
+const createCorrectionSchema = yup.object().shape({
+  type: yup.string()
+    .required('Correction type is required')
+    .oneOf(['missed_punch_in', 'missed_punch_out', 'wrong_time'], 'Invalid correction type'),
+  attendanceId: yup.string()
+    .matches(/^[0-9a-fA-F]{24}$/, 'Attendance ID must be a valid MongoDB ID')
+    .when('type', ([type], schema) =>
+      type === 'missed_punch_in' ?
+        schema.strip() :
+        schema.required('Attendance ID is required')
+    ),
+  punchIndex: yup.number()
+    .integer('Punch index must be an integer')
+    .min(0, 'Punch index must be at least 0')
+    .when('type', ([type], schema) =>
+      type === 'missed_punch_in' ?
+        schema.strip() :
+        schema.required('Punch index is required')
+    ),
+  inTime: yup.date()
+    .when('type', ([type], schema) => {
+      if (type === 'missed_punch_in') {
+        return schema.required('Punch-in time is required');
+      }
+      return type === 'missed_punch_out' ? schema.strip() : schema;
+    }),
+  outTime: yup.date()
+    .when(['type', 'inTime'], ([type, inTime], schema) => {
+      if (type === 'wrong_time' && !inTime) {
+        return schema.required('Punch-in or punch-out time is required');
+      }
+      return type === 'wrong_time' ? schema : schema.required('Punch-out time is required');
+    }),
+  reason: yup.string()
+    .trim()
+    .required('Reason is required')
+    .max(500, 'Reason must be at most 500 characters')
+});
+
+/**
+ * Attendance correction review validation
+ */
+const reviewCorrectionSchema = yup.object().shape({
+  status: yup.string()
+    .required('Status is required')
+    .oneOf(['approved', 'rejected'], 'Status must be approved or rejected'),
+  reviewNotes: yup.string()
+    .trim()
+    .max(500, 'Review notes must be at most 500 characters')
+});
+
+/**
+ * Correction ID parameter validation
+ */
+const correctionIdParamSchema = yup.object().shape({
+  correctionId: yup.string()
+    .required('Correction ID is required')
+    .matches(/^[0-9a-fA-F]{24}$/, 'Correction ID must be a valid MongoDB ID')
+});
+
+/**
+ * Attendance correction list query validation
+ */
+const correctionQuerySchema = yup.object().shape({
+  driverId: yup.string()
+    .matches(/^[0-9a-fA-F]{24}$/, 'Driver ID must be a valid MongoDB ID')
+    .nullable(),
+  status: yup.string()
+    .oneOf(['pending', 'approved', 'rejected'], 'Invalid status')
+    .nullable(),
+  type: yup.string()
+    .oneOf(['missed_punch_in', 'missed_punch_out', 'wrong_time', 'auto_close'], 'Invalid correction type')
+    .nullable(),
+  page: yup.number()
+    .integer('Page must be an integer')
+    .min(1, 'Page must be at least 1')
+    .nullable(),
+  limit: yup.number()
+    .integer('Limit must be an integer')
+    .min(1, 'Limit must be at least 1')
+    .max(100, 'Limit must be at most 100')
+    .nullable()
+});
+
 module.exports = {
   driverIdParamSchema,
-  dateRangeSchema
+  dateRangeSchema,
+  idleAlertQuerySchema,
+  createCorrectionSchema,
+  reviewCorrectionSchema,
+  correctionIdParamSchema,
+  correctionQuerySchema
 }; 
\ No newline at end of file
@@ -0,0 +1,44 @@
+const Joi = require('joi');
+const { objectId } = require('./custom.validator');
+const env = require('../config/env');
+
+// One id or a comma-separated list
+const idList = Joi.alternatives().try(
+  Joi.custom(objectId),
+  Joi.array().items(Joi.custom(objectId))
+);
+
+/**
+ * Live fleet stream validation schema
+ */
+const liveFleet = {
+  query: Joi.object().keys({
+    driverId: idList,
+    vehicleId: idList,
+    tripId: idList,
+  }),
+};
+
+/**
+ * Offline location batch validation schema
+ */
+const recordLocationBatch = {
+  body: Joi.object().keys({
+    deviceId: Joi.string().trim().max(200),
+    points: Joi.array().items(Joi.object().keys({
+      coordinates: Joi.array().ordered(
+        Joi.number().min(-180).max(180).required(),
+        Joi.number().min(-90).max(90).required()
+      ).length(2).required(),
+      timestamp: Joi.date().iso().required(),
+      sequence: Joi.number().integer().min(0).required(),
+      tripId: Joi.custom(objectId),
+      source: Joi.string().valid('trip', 'attendance', 'background'),
+    })).min(1).max(env.LOCATION_BATCH_MAX_POINTS).required(),
+  }),
+};
+
+module.exports = {
+  liveFleet,
+  recordLocationBatch,
+};
@@ -0,0 +1,64 @@
+const Joi = require('joi');
+const { objectId } = require('./custom.validator');
+
+const column = Joi.string().trim().max(100);
+
+/**
+ * Import fuel card statement validation schema
+ */
+const importStatement = {
+  body: Joi.object().keys({
+    name: Joi.string().trim().max(200).required(),
+    csv: Joi.string().required(),
+    columnMapping: Joi.object().keys({
+      transactionAt: column,
+      plate: column,
+      amount: column,
+      volume: column,
+      odometer: column,
+      cardNumber: column,
+      station: column,
+      reference: column,
+    }),
+    dateFormat: Joi.string().trim().max(50),
+    delimiter: Joi.string().valid(',', ';', '\t', '|'),
+  }),
+};
+
+/**
+ * Get fuel card imports validation schema
+ */
+const getImports = {
+  query: Joi.object().keys({
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100),
+  }),
+};
+
+/**
+ * Fuel card import id validation schema
+ */
+const getImport = {
+  params: Joi.object().keys({
+    id: Joi.custom(objectId).required(),
+  }),
+};
+
+/**
+ * Create fueling records from unmatched lines validation schema
+ */
+const createMissingRecords = {
+  params: Joi.object().keys({
+    id: Joi.custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    transactionIds: Joi.array().items(Joi.custom(objectId)).min(1),
+  }),
+};
+
+module.exports = {
+  importStatement,
+  getImports,
+  getImport,
+  createMissingRecords,
+};
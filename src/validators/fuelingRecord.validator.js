@@ -13,7 +13,11 @@ const createFuelingRecordSchema = {
     vehicleId: Joi.string().required().custom(objectId)
       .description('Vehicle ID'),
     amount: Joi.number().required().min(0)
-      .description('Amount of fuel in liters/gallons'),
+      .description('Cost of fuel in Dirhams'),
+    volume: Joi.number().positive()
+      .description('Litres of fuel'),
+    pricePerLitre: Joi.number().positive()
+      .description('Price per litre in Dirhams'),
     odometer: Joi.number().required().min(0)
       .description('Current odometer reading'),
     fueledAt: Joi.date().max('now')
@@ -35,7 +39,11 @@ const updateFuelingRecordSchema = {
   }),
   body: Joi.object().keys({
     amount: Joi.number().min(0)
-      .description('Amount of fuel in liters/gallons'),
+      .description('Cost of fuel in Dirhams'),
+    volume: Joi.number().positive()
+      .description('Litres of fuel'),
+    pricePerLitre: Joi.number().positive()
+      .description('Price per litre in Dirhams'),
     cost: Joi.number().min(0)
       .description('Cost of fuel'),
     odometer: Joi.number().min(0)
@@ -91,10 +99,27 @@ const queryParamsSchema = {
   })
 };
 
+/**
+ * Schema for validating fuel analytics query params
+ */
+const analyticsQuerySchema = {
+  query: Joi.object().keys({
+    vehicleId: Joi.string().custom(objectId)
+      .description('Only fuelings of this vehicle'),
+    driverId: Joi.string().custom(objectId)
+      .description('Only fuelings by this driver'),
+    startDate: Joi.date()
+      .description('Filter by start date (inclusive)'),
+    endDate: Joi.date().min(Joi.ref('startDate'))
+      .description('Filter by end date (inclusive)')
+  })
+};
+
 module.exports = {
   createFuelingRecordSchema,
   updateFuelingRecordSchema,
   idParamSchema,
   vehicleIdParamSchema,
-  queryParamsSchema
+  queryParamsSchema,
+  analyticsQuerySchema
 }; 
\ No newline at end of file
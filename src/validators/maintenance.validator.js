@@ -1,6 +1,8 @@
 const Joi = require('joi');
 const { objectId } = require('./custom.validator');
 
+const MAINTENANCE_STATUSES = ['requested', 'approved', 'rejected', 'scheduled', 'in-service', 'completed', 'cancelled'];
+
 /**
  * Create maintenance validation schema
  * @type {Object}
@@ -11,9 +13,9 @@ const createMaintenance = {
       'any.required': 'Vehicle ID is required',
       'string.pattern.name': 'Vehicle ID must be a valid ObjectId'
     }),
-    type: Joi.string().valid('preventive', 'corrective', 'predictive', 'scheduled', 'emergency').required().messages({
+    type: Joi.string().valid('preventive', 'corrective', 'predictive', 'scheduled', 'emergency', 'other').required().messages({
       'any.required': 'Maintenance type is required',
-      'any.only': 'Maintenance type must be one of: preventive, corrective, predictive, scheduled, emergency'
+      'any.only': 'Maintenance type must be one of: preventive, corrective, predictive, scheduled, emergency, other'
     }),
     title: Joi.string().required().min(3).max(100).messages({
       'any.required': 'Title is required',
@@ -24,13 +26,14 @@ const createMaintenance = {
       'string.max': 'Description cannot exceed 500 characters'
     }),
     servicedBy: Joi.object({
-      type: Joi.string().valid('internal', 'external').required(),
-      name: Joi.string().required(),
+      type: Joi.string().valid('internal', 'external'),
+      name: Joi.string(),
       contact: Joi.string(),
       cost: Joi.number().min(0)
     }).messages({
       'any.required': 'Service provider details are required'
     }),
+    serviceLocation: Joi.string().allow(''),
     odometer: Joi.number().min(0).messages({
       'number.min': 'Odometer reading cannot be negative'
     }),
@@ -48,6 +51,13 @@ const createMaintenance = {
     scheduledDate: Joi.date().iso().messages({
       'date.format': 'Scheduled date must be in ISO format'
     }),
+    scheduledEndDate: Joi.date().iso().when('scheduledDate', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('scheduledDate'))
+    }).messages({
+      'date.format': 'Scheduled end must be in ISO format',
+      'date.min': 'Scheduled end must be after scheduled date'
+    }),
     startDate: Joi.date().iso().messages({
       'date.format': 'Start date must be in ISO format'
     }),
@@ -58,9 +68,6 @@ const createMaintenance = {
     duration: Joi.number().min(0).messages({
       'number.min': 'Duration cannot be negative'
     }),
-    status: Joi.string().valid('pending', 'in-progress', 'completed', 'cancelled').default('pending').messages({
-      'any.only': 'Status must be one of: pending, in-progress, completed, cancelled'
-    }),
     priority: Joi.string().valid('low', 'medium', 'high', 'critical').default('medium').messages({
       'any.only': 'Priority must be one of: low, medium, high, critical'
     }),
@@ -91,14 +98,14 @@ const createMaintenance = {
  */
 const updateMaintenance = {
   params: Joi.object().keys({
-    id: Joi.custom(objectId).required().messages({
+    maintenanceId: Joi.custom(objectId).required().messages({
       'any.required': 'Maintenance ID is required',
       'string.pattern.name': 'Maintenance ID must be a valid ObjectId'
     })
   }),
   body: Joi.object().keys({
-    type: Joi.string().valid('preventive', 'corrective', 'predictive', 'scheduled', 'emergency').messages({
-      'any.only': 'Maintenance type must be one of: preventive, corrective, predictive, scheduled, emergency'
+    type: Joi.string().valid('preventive', 'corrective', 'predictive', 'scheduled', 'emergency', 'other').messages({
+      'any.only': 'Maintenance type must be one of: preventive, corrective, predictive, scheduled, emergency, other'
     }),
     title: Joi.string().min(3).max(100).messages({
       'string.min': 'Title must be at least 3 characters long',
@@ -108,11 +115,12 @@ const updateMaintenance = {
       'string.max': 'Description cannot exceed 500 characters'
     }),
     servicedBy: Joi.object({
-      type: Joi.string().valid('internal', 'external').required(),
-      name: Joi.string().required(),
+      type: Joi.string().valid('internal', 'external'),
+      name: Joi.string(),
       contact: Joi.string(),
       cost: Joi.number().min(0)
     }),
+    serviceLocation: Joi.string().allow(''),
     odometer: Joi.number().min(0).messages({
       'number.min': 'Odometer reading cannot be negative'
     }),
@@ -130,6 +138,13 @@ const updateMaintenance = {
     scheduledDate: Joi.date().iso().messages({
       'date.format': 'Scheduled date must be in ISO format'
     }),
+    scheduledEndDate: Joi.date().iso().when('scheduledDate', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('scheduledDate'))
+    }).messages({
+      'date.format': 'Scheduled end must be in ISO format',
+      'date.min': 'Scheduled end must be after scheduled date'
+    }),
     startDate: Joi.date().iso().messages({
       'date.format': 'Start date must be in ISO format'
     }),
@@ -170,18 +185,34 @@ const updateMaintenance = {
  */
 const updateStatus = {
   params: Joi.object().keys({
-    id: Joi.custom(objectId).required().messages({
+    maintenanceId: Joi.custom(objectId).required().messages({
       'any.required': 'Maintenance ID is required',
       'string.pattern.name': 'Maintenance ID must be a valid ObjectId'
     })
   }),
   body: Joi.object().keys({
-    status: Joi.string().valid('pending', 'in-progress', 'completed', 'cancelled').required().messages({
+    status: Joi.string().valid(...MAINTENANCE_STATUSES.filter(value => value !== 'requested')).required().messages({
       'any.required': 'Status is required',
-      'any.only': 'Status must be one of: pending, in-progress, completed, cancelled'
+      'any.only': 'Status must be one of: approved, rejected, scheduled, in-service, completed, cancelled'
     }),
     notes: Joi.string().max(500).messages({
       'string.max': 'Notes cannot exceed 500 characters'
+    }),
+    scheduledDate: Joi.date().iso().messages({
+      'date.format': 'Scheduled date must be in ISO format'
+    }),
+    scheduledEndDate: Joi.date().iso().when('scheduledDate', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('scheduledDate'))
+    }).messages({
+      'date.format': 'Scheduled end must be in ISO format',
+      'date.min': 'Scheduled end must be after scheduled date'
+    }),
+    odometer: Joi.number().min(0).messages({
+      'number.min': 'Odometer reading cannot be negative'
+    }),
+    cost: Joi.number().min(0).messages({
+      'number.min': 'Cost cannot be negative'
     })
   })
 };
@@ -192,7 +223,7 @@ const updateStatus = {
  */
 const addDocument = {
   params: Joi.object().keys({
-    id: Joi.custom(objectId).required().messages({
+    maintenanceId: Joi.custom(objectId).required().messages({
       'any.required': 'Maintenance ID is required',
       'string.pattern.name': 'Maintenance ID must be a valid ObjectId'
     })
@@ -220,7 +251,7 @@ const addDocument = {
  */
 const getById = {
   params: Joi.object().keys({
-    id: Joi.custom(objectId).required().messages({
+    maintenanceId: Joi.custom(objectId).required().messages({
       'any.required': 'Maintenance ID is required',
       'string.pattern.name': 'Maintenance ID must be a valid ObjectId'
     })
@@ -241,7 +272,22 @@ const getByVehicle = {
   query: Joi.object().keys({
     page: Joi.number().integer().min(1),
     limit: Joi.number().integer().min(1).max(100),
-    status: Joi.string().valid('pending', 'in-progress', 'completed', 'cancelled')
+    status: Joi.string().valid(...MAINTENANCE_STATUSES)
+  })
+};
+
+/**
+ * Get my maintenance requests validation schema
+ * @type {Object}
+ */
+const getMyRequests = {
+  query: Joi.object().keys({
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100),
+    status: Joi.alternatives().try(
+      Joi.string().valid(...MAINTENANCE_STATUSES),
+      Joi.array().items(Joi.string().valid(...MAINTENANCE_STATUSES))
+    )
   })
 };
 
@@ -251,7 +297,7 @@ const getByVehicle = {
  */
 const deleteMaintenance = {
   params: Joi.object().keys({
-    id: Joi.custom(objectId).required().messages({
+    maintenanceId: Joi.custom(objectId).required().messages({
       'any.required': 'Maintenance ID is required',
       'string.pattern.name': 'Maintenance ID must be a valid ObjectId'
     })
@@ -265,5 +311,6 @@ module.exports = {
   addDocument,
   getById,
   getByVehicle,
+  getMyRequests,
   deleteMaintenance
 }; 
\ No newline at end of file
@@ -0,0 +1,84 @@
+const Joi = require('joi');
+const { objectId } = require('./custom.validator');
+
+const servicedBy = Joi.object({
+  type: Joi.string().valid('internal', 'external'),
+  name: Joi.string().trim(),
+  contact: Joi.string().trim()
+});
+
+/**
+ * Create maintenance plan validation schema
+ * A plan is for a vehicle type or one vehicle, with a kilometre interval, a month interval or both
+ */
+const createPlan = {
+  body: Joi.object().keys({
+    title: Joi.string().trim().min(3).max(100).required(),
+    description: Joi.string().max(500),
+    vehicleType: Joi.string().valid('car', 'truck', 'van'),
+    vehicle: Joi.custom(objectId),
+    intervalKm: Joi.number().integer().min(1),
+    intervalMonths: Joi.number().integer().min(1).max(120),
+    priority: Joi.string().valid('low', 'medium', 'high', 'critical'),
+    servicedBy
+  })
+    .xor('vehicleType', 'vehicle')
+    .or('intervalKm', 'intervalMonths')
+};
+
+/**
+ * Update maintenance plan validation schema
+ */
+const updatePlan = {
+  params: Joi.object().keys({
+    planId: Joi.custom(objectId).required()
+  }),
+  body: Joi.object().keys({
+    title: Joi.string().trim().min(3).max(100),
+    description: Joi.string().max(500).allow(''),
+    intervalKm: Joi.number().integer().min(1).allow(null),
+    intervalMonths: Joi.number().integer().min(1).max(120).allow(null),
+    priority: Joi.string().valid('low', 'medium', 'high', 'critical'),
+    servicedBy
+  }).min(1)
+};
+
+/**
+ * Maintenance plan id validation schema
+ */
+const getPlan = {
+  params: Joi.object().keys({
+    planId: Joi.custom(objectId).required()
+  })
+};
+
+/**
+ * Get maintenance plans validation schema
+ */
+const getPlans = {
+  query: Joi.object().keys({
+    vehicle: Joi.custom(objectId),
+    vehicleType: Joi.string().valid('car', 'truck', 'van'),
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100)
+  })
+};
+
+/**
+ * Due soon validation schema
+ */
+const getDueSoon = {
+  query: Joi.object().keys({
+    vehicleId: Joi.custom(objectId),
+    withinDays: Joi.number().integer().min(0).max(365),
+    withinKm: Joi.number().integer().min(0).max(100000)
+  })
+};
+
+module.exports = {
+  createPlan,
+  updatePlan,
+  getPlan,
+  getPlans,
+  getDueSoon
+};
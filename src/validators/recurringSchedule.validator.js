@@ -0,0 +1,120 @@
+const Joi = require('joi');
+const { objectId } = require('./custom.validator');
+
+const timeOfDay = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).messages({
+  'string.pattern.base': '{{#label}} must be a time in HH:mm format',
+});
+
+/**
+ * Destination template schema for recurring schedules
+ */
+const destinationSchema = Joi.object().keys({
+  startTime: timeOfDay.required(),
+  arrivalTime: timeOfDay.allow(null),
+  tripPurposeTime: Joi.number().integer().min(0).allow(null),
+  purposeId: Joi.custom(objectId).allow(null),
+  destination: Joi.string().allow(null),
+});
+
+/**
+ * Recurrence rule schema
+ */
+const recurrenceSchema = Joi.object().keys({
+  frequency: Joi.string().valid('daily', 'weekly'),
+  interval: Joi.number().integer().min(1),
+  daysOfWeek: Joi.array().items(Joi.number().integer().min(0).max(6)).unique(),
+  startDate: Joi.date().iso(),
+  endDate: Joi.date().iso().min(Joi.ref('startDate')).allow(null),
+  exceptionDates: Joi.array().items(Joi.date().iso()),
+});
+
+/**
+ * Get recurring schedules validation schema
+ */
+const getRecurringSchedules = {
+  query: Joi.object().keys({
+    driverId: Joi.custom(objectId),
+    vehicleId: Joi.custom(objectId),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+/**
+ * Get recurring schedule by id validation schema
+ */
+const getRecurringSchedule = {
+  params: Joi.object().keys({
+    id: Joi.custom(objectId).required(),
+  }),
+};
+
+/**
+ * Get occurrences of a recurring schedule validation schema
+ */
+const getOccurrences = {
+  params: Joi.object().keys({
+    id: Joi.custom(objectId).required(),
+  }),
+  query: Joi.object().keys({
+    status: Joi.alternatives().try(
+      Joi.string().valid('scheduled', 'in progress', 'completed', 'cancelled'),
+      Joi.array().items(Joi.string().valid('scheduled', 'in progress', 'completed', 'cancelled'))
+    ),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+/**
+ * Create recurring schedule validation schema
+ */
+const createRecurringSchedule = {
+  body: Joi.object().keys({
+    name: Joi.string().required(),
+    driverId: Joi.custom(objectId).required(),
+    vehicleId: Joi.custom(objectId).required(),
+    destinations: Joi.array().items(destinationSchema).min(1).required(),
+    recurrence: recurrenceSchema.fork(['frequency', 'startDate'], schema => schema.required()).required(),
+    timezone: Joi.string(),
+  }),
+};
+
+/**
+ * Update recurring schedule (all future occurrences) validation schema
+ */
+const updateRecurringSchedule = {
+  params: Joi.object().keys({
+    id: Joi.custom(objectId).required(),
+  }),
+  body: Joi.object()
+    .keys({
+      name: Joi.string(),
+      driverId: Joi.custom(objectId),
+      vehicleId: Joi.custom(objectId),
+      destinations: Joi.array().items(destinationSchema).min(1),
+      recurrence: recurrenceSchema,
+      timezone: Joi.string(),
+      effectiveFrom: Joi.date().iso(),
+    })
+    .min(1),
+};
+
+/**
+ * Delete recurring schedule validation schema
+ */
+const deleteRecurringSchedule = {
+  params: Joi.object().keys({
+    id: Joi.custom(objectId).required(),
+  }),
+};
+
+module.exports = {
+  getRecurringSchedules,
+  getRecurringSchedule,
+  getOccurrences,
+  createRecurringSchedule,
+  updateRecurringSchedule,
+  deleteRecurringSchedule,
+};
@@ -0,0 +1,191 @@
+const Joi = require('joi');
+const moment = require('moment-timezone');
+const { objectId } = require('./custom.validator');
+
+const timeOfDay = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).messages({
+  'string.pattern.base': '{{#label}} must be a time in HH:mm format',
+});
+
+const timezone = Joi.string().custom((value, helpers) => {
+  if (!moment.tz.zone(value)) {
+    return helpers.message('{{#label}} must be a valid timezone');
+  }
+  return value;
+});
+
+/**
+ * Weekly shift schema, a shift ending at or before its start runs past midnight
+ */
+const weeklyShiftSchema = Joi.object().keys({
+  dayOfWeek: Joi.number().integer().min(0).max(6).required(),
+  startTime: timeOfDay.required(),
+  endTime: timeOfDay.required(),
+});
+
+/**
+ * Shift schema for shift changes on dates
+ */
+const shiftSchema = Joi.object().keys({
+  startTime: timeOfDay.required(),
+  endTime: timeOfDay.required(),
+});
+
+/**
+ * Create roster validation schema
+ */
+const createRoster = {
+  body: Joi.object().keys({
+    driverId: Joi.custom(objectId).required(),
+    weeklyShifts: Joi.array().items(weeklyShiftSchema).required(),
+    effectiveFrom: Joi.date().iso().required(),
+    effectiveTo: Joi.date().iso().min(Joi.ref('effectiveFrom')).allow(null),
+    timezone,
+    notes: Joi.string().max(500).allow(''),
+  }),
+};
+
+/**
+ * Update roster validation schema
+ */
+const updateRoster = {
+  params: Joi.object().keys({
+    rosterId: Joi.custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    weeklyShifts: Joi.array().items(weeklyShiftSchema),
+    effectiveFrom: Joi.date().iso(),
+    effectiveTo: Joi.date().iso().allow(null),
+    timezone,
+    notes: Joi.string().max(500).allow(''),
+  }).min(1),
+};
+
+/**
+ * Roster id validation schema
+ */
+const getRoster = {
+  params: Joi.object().keys({
+    rosterId: Joi.custom(objectId).required(),
+  }),
+};
+
+/**
+ * Get rosters validation schema
+ */
+const getRosters = {
+  query: Joi.object().keys({
+    driverId: Joi.custom(objectId),
+    activeOn: Joi.date().iso(),
+    sortBy: Joi.string(),
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100),
+  }),
+};
+
+/**
+ * Create roster exception validation schema
+ */
+const createException = {
+  body: Joi.object().keys({
+    driverId: Joi.custom(objectId).required(),
+    type: Joi.string().valid('shift', 'day_off', 'leave', 'sick').required(),
+    startDate: Joi.date().iso().required(),
+    endDate: Joi.date().iso().min(Joi.ref('startDate')).required(),
+    shifts: Joi.when('type', {
+      is: 'shift',
+      then: Joi.array().items(shiftSchema).min(1).required(),
+      otherwise: Joi.forbidden(),
+    }),
+    notes: Joi.string().max(500).allow(''),
+  }),
+};
+
+/**
+ * Get roster exceptions validation schema
+ */
+const getExceptions = {
+  query: Joi.object().keys({
+    driverId: Joi.custom(objectId),
+    type: Joi.string().valid('shift', 'day_off', 'leave', 'sick'),
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref('from')),
+    sortBy: Joi.string(),
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100),
+  }),
+};
+
+/**
+ * Roster exception id validation schema
+ */
+const deleteException = {
+  params: Joi.object().keys({
+    exceptionId: Joi.custom(objectId).required(),
+  }),
+};
+
+/**
+ * Create public holiday validation schema
+ */
+const createHoliday = {
+  body: Joi.object().keys({
+    date: Joi.date().iso().required(),
+    name: Joi.string().trim().max(100).required(),
+  }),
+};
+
+/**
+ * Get public holidays validation schema
+ */
+const getHolidays = {
+  query: Joi.object().keys({
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref('from')),
+  }),
+};
+
+/**
+ * Public holiday id validation schema
+ */
+const deleteHoliday = {
+  params: Joi.object().keys({
+    holidayId: Joi.custom(objectId).required(),
+  }),
+};
+
+/**
+ * Roster calendar validation schema
+ */
+const getCalendar = {
+  query: Joi.object().keys({
+    from: Joi.date().iso().required(),
+    to: Joi.date().iso().min(Joi.ref('from')).required(),
+    driverId: Joi.custom(objectId),
+  }),
+};
+
+/**
+ * Roster versus attendance report validation schema
+ */
+const getAttendanceReport = {
+  query: Joi.object().keys({
+    from: Joi.date().iso().required(),
+    to: Joi.date().iso().min(Joi.ref('from')).required(),
+    driverId: Joi.custom(objectId),
+  }),
+};
+
+module.exports = {
+  createRoster,
+  updateRoster,
+  getRoster,
+  getRosters,
+  createException,
+  getExceptions,
+  deleteException,
+  createHoliday,
+  getHolidays,
+  deleteHoliday,
+  getCalendar,
+  getAttendanceReport,
+};
@@ -143,16 +143,26 @@ const updateTripStatusSchema = yup.object({
     .min(0, 'Duration must be a positive number'),
   fuelConsumption: yup.number()
     .min(0, 'Fuel consumption must be a positive number'),
+  odometer: yup.number()
+    .min(0, 'Odometer must be a positive number'),
+  coordinates: yup.array()
+    .of(yup.number())
+    .length(2, 'Coordinates must be [longitude, latitude]'),
   maintenanceRequired: yup.boolean(),
   maintenanceNotes: yup.string()
     .trim()
-    .max(500, 'Maintenance notes must be at most 500 characters')
+    .max(500, 'Maintenance notes must be at most 500 characters'),
+  reason: yup.string()
+    .trim()
+    .max(500, 'Reason must be at most 500 characters')
 }).noUnknown(true);
 
 /**
  * Schema for adding a checkpoint
  */
 const addCheckpointSchema = yup.object({
+  destinationId: yup.string()
+    .matches(/^[0-9a-fA-F]{24}$/, 'Invalid destination ID format'),
   location: locationSchema.required('Location is required'),
   status: yup.string()
     .oneOf(['reached', 'skipped', 'pending'], 'Invalid checkpoint status')
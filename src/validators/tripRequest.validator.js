@@ -95,10 +95,54 @@ const deleteTripRequest = {
   }),
 };
 
+/**
+ * Suggest assignment validation schema
+ */
+const suggestAssignment = {
+  params: Joi.object().keys({
+    id: Joi.custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    estimatedDurationMinutes: Joi.number().integer().min(1).max(24 * 60),
+    limit: Joi.number().integer().min(1).max(50),
+  }),
+};
+
+/**
+ * Propose trip request pools validation schema
+ */
+const getPools = {
+  query: Joi.object().keys({
+    dateFrom: Joi.date().iso().required(),
+    dateTo: Joi.date().iso().min(Joi.ref('dateFrom')).required(),
+    maxPoolSize: Joi.number().integer().min(2).max(20),
+  }),
+};
+
+/**
+ * Create schedule from pool validation schema
+ */
+const createPoolSchedule = {
+  body: Joi.object().keys({
+    requestIds: Joi.array().items(Joi.custom(objectId)).min(2).unique().required(),
+    driverId: Joi.custom(objectId).required(),
+    vehicleId: Joi.custom(objectId).required(),
+    tripStartTime: Joi.date().iso().required(),
+    tripApproxArrivalTime: Joi.date().iso().min(Joi.ref('tripStartTime')).allow(null),
+    isForceSchedule: Joi.boolean().optional().allow(null),
+    complianceOverride: Joi.object().keys({
+      reason: Joi.string().trim().min(3).max(500).required(),
+    }),
+  }),
+};
+
 module.exports = {
   getTripRequests,
   getTripRequest,
   createTripRequest,
   updateTripRequest,
   deleteTripRequest,
+  suggestAssignment,
+  getPools,
+  createPoolSchedule,
 }; 
\ No newline at end of file
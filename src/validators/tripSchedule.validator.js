@@ -17,6 +17,8 @@ const getSchedules = {
       Joi.string().valid('scheduled', 'in progress', 'completed', 'cancelled'),
       Joi.array().items(Joi.string().valid('scheduled', 'in progress', 'completed', 'cancelled'))
     ),
+    isDistanceFlagged: Joi.boolean(),
+    isOffRoster: Joi.boolean(),
   }),
 };
 
@@ -29,6 +31,32 @@ const getSchedule = {
   }),
 };
 
+/**
+ * [longitude, latitude] pair
+ */
+const coordinatesSchema = Joi.array().ordered(
+  Joi.number().min(-180).max(180).required(),
+  Joi.number().min(-90).max(90).required()
+).length(2);
+
+/**
+ * Checkpoint on the way to a destination
+ */
+const checkpointSchema = Joi.object().keys({
+  address: Joi.string().trim().max(300),
+  coordinates: coordinatesSchema,
+  status: Joi.string().valid('pending', 'reached', 'skipped').default('pending'),
+  notes: Joi.string().trim().max(500),
+}).or('address', 'coordinates');
+
+/**
+ * Start of a trip that doesn't leave from the depot
+ */
+const startLocationSchema = Joi.object().keys({
+  address: Joi.string().trim().max(300),
+  coordinates: coordinatesSchema,
+}).or('address', 'coordinates');
+
 /**
  * Destination schema for creating/updating trip schedules
  */
@@ -39,6 +67,9 @@ const destinationSchema = Joi.object().keys({
   tripPurposeTime: Joi.number().integer().min(0).allow(null),
   purposeId: Joi.string().allow(null).optional(),
   destination: Joi.string().allow(null).optional(),
+  coordinates: coordinatesSchema.allow(null),
+  geofenceRadius: Joi.number().integer().min(10).max(5000).allow(null),
+  checkpoints: Joi.array().items(checkpointSchema),
 });
 
 /**
@@ -49,7 +80,14 @@ const createSchedule = {
     driverId: Joi.custom(objectId).required(),
     vehicleId: Joi.custom(objectId).required(),
     destinations: Joi.array().items(destinationSchema).min(1).required(),
+    title: Joi.string().trim().max(100),
+    startLocation: startLocationSchema,
+    notes: Joi.string().trim().max(1000),
     isForceSchedule: Joi.boolean().optional().allow(null),
+    // Admin reason to schedule a vehicle or driver with expired mandatory documents
+    complianceOverride: Joi.object().keys({
+      reason: Joi.string().trim().min(3).max(500).required(),
+    }),
   }),
 };
 
@@ -65,6 +103,9 @@ const updateSchedule = {
       driverId: Joi.custom(objectId),
       vehicleId: Joi.custom(objectId),
       destinations: Joi.array().items(destinationSchema).min(1),
+      title: Joi.string().trim().max(100).allow(null, ''),
+      startLocation: startLocationSchema.allow(null),
+      notes: Joi.string().trim().max(1000).allow(null, ''),
       isActive: Joi.boolean(),
       isForceSchedule: Joi.boolean().optional().allow(null),
     })
@@ -78,14 +119,31 @@ const deleteSchedule = {
   params: Joi.object().keys({
     id: Joi.custom(objectId).required(),
   }),
+  body: Joi.object().keys({
+    reason: Joi.string().trim().required(),
+    requestPolicy: Joi.string().valid('pending', 'cancelled').default('pending'),
+  }),
 };
 /**
- * Delete schedule validation schema
+ * Cancel schedule validation schema
  */
 const cancelSchedule = {
   params: Joi.object().keys({
     id: Joi.custom(objectId).required(),
   }),
+  body: Joi.object().keys({
+    reason: Joi.string().trim().required(),
+    requestPolicy: Joi.string().valid('pending', 'cancelled').default('pending'),
+  }),
+};
+
+/**
+ * Get schedule route validation schema
+ */
+const getScheduleRoute = {
+  params: Joi.object().keys({
+    id: Joi.custom(objectId).required(),
+  }),
 };
 
 /**
@@ -101,6 +159,52 @@ const checkAvailability = {
   }),
 };
 
+/**
+ * Complete trip validation schema, with the driver's post-trip condition report
+ */
+const completeTrip = {
+  params: Joi.object().keys({
+    tripId: Joi.custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    odometer: Joi.number().min(0).required(),
+    notes: Joi.string().trim().max(1000).allow(''),
+    coordinates: coordinatesSchema,
+    fuelConsumption: Joi.number().min(0),
+    maintenanceRequired: Joi.boolean().default(false),
+    maintenanceNotes: Joi.string().trim().max(500).when('maintenanceRequired', {
+      is: true,
+      then: Joi.required(),
+      otherwise: Joi.allow('', null),
+    }),
+  }),
+};
+
+/**
+ * Add checkpoint validation schema
+ */
+const addCheckpoint = {
+  params: Joi.object().keys({
+    id: Joi.custom(objectId).required(),
+    destinationId: Joi.custom(objectId).required(),
+  }),
+  body: checkpointSchema,
+};
+
+/**
+ * Update checkpoint status validation schema
+ */
+const updateCheckpointStatus = {
+  params: Joi.object().keys({
+    id: Joi.custom(objectId).required(),
+    checkpointId: Joi.custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    status: Joi.string().valid('pending', 'reached', 'skipped').required(),
+    notes: Joi.string().trim().max(500),
+  }),
+};
+
 module.exports = {
   getSchedules,
   getSchedule,
@@ -108,5 +212,9 @@ module.exports = {
   updateSchedule,
   deleteSchedule,
   cancelSchedule,
+  getScheduleRoute,
   checkAvailability,
+  completeTrip,
+  addCheckpoint,
+  updateCheckpointStatus,
 }; 
\ No newline at end of file
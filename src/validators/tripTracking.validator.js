@@ -0,0 +1,39 @@
+const Joi = require('joi');
+const { objectId } = require('./custom.validator');
+
+/**
+ * Create tracking link validation schema
+ */
+const createTrackingLink = {
+  params: Joi.object().keys({
+    id: Joi.custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    expiresInMinutes: Joi.number().integer().min(5).max(24 * 60),
+  }),
+};
+
+/**
+ * Revoke tracking link validation schema
+ */
+const revokeTrackingLink = {
+  params: Joi.object().keys({
+    id: Joi.custom(objectId).required(),
+    linkId: Joi.custom(objectId).required(),
+  }),
+};
+
+/**
+ * Tracking view validation schema
+ */
+const getTrackingView = {
+  params: Joi.object().keys({
+    token: Joi.string().required(),
+  }),
+};
+
+module.exports = {
+  createTrackingLink,
+  revokeTrackingLink,
+  getTrackingView,
+};
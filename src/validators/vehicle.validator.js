@@ -22,6 +22,10 @@ const createVehicleSchema = yup.object().shape({
   mileage: yup.number()
     .min(0, 'Mileage cannot be negative')
     .default(0),
+  fuelTankCapacity: yup.number()
+    .min(1, 'Fuel tank capacity must be at least 1 litre')
+    .optional()
+    .nullable(),
   registrationExpiry: yup.date().optional(),
   insuranceExpiry: yup.date().optional(),
   lastMaintenanceDate: yup.date().nullable(),
@@ -52,6 +56,10 @@ const updateVehicleSchema = yup.object().shape({
   mileage: yup.number()
     .min(0, 'Mileage cannot be negative')
     .optional(),
+  fuelTankCapacity: yup.number()
+    .min(1, 'Fuel tank capacity must be at least 1 litre')
+    .optional()
+    .nullable(),
   registrationExpiry: yup.date().optional(),
   insuranceExpiry: yup.date().optional(),
   lastMaintenanceDate: yup.date().nullable().optional(),
@@ -76,6 +84,24 @@ const assignDriverSchema = yup.object().shape({
   driverId: yup.string().required('Driver ID is required')
 });
 
+/**
+ * Availability report query validation schema
+ */
+const availabilityQuerySchema = yup.object().shape({
+  month: yup.string()
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/, 'Month must be in YYYY-MM format')
+    .optional(),
+  vehicleId: yup.string().optional()
+});
+
+/**
+ * Vehicle downtime query validation schema
+ */
+const downtimeQuerySchema = yup.object().shape({
+  from: yup.date().optional(),
+  to: yup.date().optional()
+});
+
 /**
  * Vehicle ID parameter validation schema
  */
@@ -88,5 +114,7 @@ module.exports = {
   updateVehicleSchema,
   updateVehicleStatusSchema,
   assignDriverSchema,
+  availabilityQuerySchema,
+  downtimeQuerySchema,
   vehicleIdParamSchema
 }; 
\ No newline at end of file